@@ -1,75 +1,130 @@
 import fs from "fs";
 import path from "path";
+import { setImmediate } from "timers/promises";
 import { parse } from "@babel/parser";
 import traverseModule from "@babel/traverse";
+import { codeFrameColumns } from "@babel/code-frame";
+import {
+  resolveSpreadAttribute,
+  getPropStatus,
+} from "./src/analysis/spread-resolver.js";
+import { createComponentMatcher } from "./src/analysis/component-matcher.js";
+import { compileUserRegex } from "./src/analysis/safe-regex.js";
+import { compilePropQuery } from "./src/analysis/prop-query.js";
+import { createPropInventory } from "./src/analysis/prop-inventory.js";
+import { createComponentInventory } from "./src/analysis/component-inventory.js";
+import { extractComponentDefinitions } from "./src/analysis/definition-extractor.js";
+import { createDefinitionIndex } from "./src/analysis/definition-index.js";
+import { checkRequiredProps } from "./src/analysis/required-props.js";
+import { checkAllowedValues } from "./src/analysis/value-validation.js";
+import {
+  findModuleFile,
+  resolveImportedElement,
+} from "./src/analysis/import-resolver.js";
+import { openAnalysisCache } from "./src/cache/analysis-cache.js";
+import { planPropRename } from "./src/codemod/prop-rename.js";
+import { planPropInsertion } from "./src/codemod/prop-insert.js";
+import {
+  compileMigrationRecipe,
+  loadMigrationRecipe,
+} from "./src/codemod/migration-recipe.js";
+import {
+  planElementMigration,
+  planFileMigration,
+} from "./src/codemod/migration.js";
+import { applyEdits, createUnifiedDiff } from "./src/codemod/source-edits.js";
+import { getParserConfig } from "./src/analysis/parser-profiles.js";
+import {
+  compileBatchQueries,
+  loadBatchQueries,
+} from "./src/analysis/batch-query.js";
+import { createFileFilter } from "./src/files/file-filter.js";
+import { watchFiles } from "./src/files/file-watcher.js";
+import {
+  GitChangesError,
+  getChangedFiles,
+  overlapsChangedLines,
+} from "./src/files/git-changes.js";
+import { diffResults } from "./src/analysis/result-delta.js";
+import {
+  resolveConcurrency,
+  runWorkerTasks,
+} from "./src/workers/worker-pool.js";
+import {
+  IGNORE_FILES,
+  isIgnored,
+  loadIgnoreRules,
+  readDirectoryIgnoreRules,
+} from "./src/files/ignore-rules.js";
+import {
+  InputSanitizationError,
+  sanitizePropName,
+  sanitizePropValue,
+} from "./src/security/input-sanitizer.js";
+import {
+  describePropValue,
+  describeUnknownValue,
+  getComparableValues,
+  toRange,
+} from "./src/analysis/prop-value.js";
 const traverse = traverseModule.default || traverseModule;
 
 /**
- * Finds .gitignore file in current directory or any ancestor directories
- * @returns {string|null} Absolute path to .gitignore file or null if not found
+ * A single JSX element matched by the analysis
+ * @typedef {Object} AnalysisResult
+ * @property {string} filePath - Path of the file, relative to the working directory
+ * @property {number} lineNumber - Line of the element's opening tag
+ * @property {import("./src/analysis/prop-value.js").SourceRange} range - Start and end of the whole element
+ * @property {import("./src/analysis/prop-value.js").SourceRange|null} propRange - Where the queried
+ *   prop is set (the attribute, or the property of a spread object), or null if it is not set
+ * @property {string} elementName - Tag name of the matched element, e.g. `IconButton` or `UI.Button`
+ * @property {Object<string, import("./src/analysis/prop-value.js").PropValue>} props - Matched prop
+ *   (or all props in verbose mode) as typed values
+ * @property {"present"|"missing"|"unknown"} propStatus - Whether the queried prop is definitely set,
+ *   definitely absent, or unknown because of an opaque or conditional spread attribute
+ * @property {string[]} [unresolvedSpreads] - Source of spread attributes that could not be resolved
+ * @property {string} [message] - Explanation for missing-prop results
+ * @property {string} [codeFrame] - Source lines around the prop or element (with the `codeFrame` option)
  */
-const findGitignoreInAncestors = () => {
-  let currentDir = process.cwd();
-  const rootDir = path.parse(currentDir).root;
-
-  while (true) {
-    const potentialPath = path.join(currentDir, ".gitignore");
-    try {
-      // Check if file exists
-      fs.accessSync(potentialPath, fs.constants.F_OK);
-      return potentialPath;
-    } catch (error) {
-      // If we've reached the root directory, stop searching
-      if (currentDir === rootDir) {
-        break;
-      }
-      // Move up one directory level
-      currentDir = path.dirname(currentDir);
-    }
-  }
-  return null;
-};
 
 /**
- * Parses .gitignore file and extracts directory patterns
- * @returns {Set<string>} Set of directory names to exclude from analysis
+ * A single JSX element selected by a prop query
+ * @typedef {Object} QueryResult
+ * @property {string} filePath - Path of the file, relative to the working directory
+ * @property {number} lineNumber - Line of the element's opening tag
+ * @property {import("./src/analysis/prop-value.js").SourceRange} range - Start and end of the whole element
+ * @property {string} elementName - Tag name of the matched element
+ * @property {Object<string, import("./src/analysis/prop-value.js").PropValue>} props - Props referenced
+ *   by the query (or all props in verbose mode) as typed values
+ * @property {"match"|"unknown"} queryStatus - Whether the element definitely matches, or might
+ *   match depending on spread attributes that could not be resolved
+ * @property {string[]} [unresolvedSpreads] - Source of spread attributes that could not be resolved
+ * @property {string} [message] - Explanation for unknown results
+ * @property {string} [codeFrame] - Source lines around the element (with the `codeFrame` option)
  */
-const parseGitignore = () => {
-  const gitignorePath = findGitignoreInAncestors();
 
-  if (!gitignorePath) {
-    return new Set();
-  }
-
-  try {
-    const content = fs.readFileSync(gitignorePath, "utf8");
-    return new Set(
-      content
-        .split("\n")
-        .map((line) => line.trim())
-        .filter((line) => line && !line.startsWith("#"))
-        .map((line) => line.replace(/\/$/, "").replace(/[\\*].*$/, ""))
-        .filter((dir) => dir)
-    );
-  } catch (error) {
-    console.warn(
-      `Warning: Could not read .gitignore at ${gitignorePath}: ${error.message}`
-    );
-    return new Set();
-  }
-};
+/**
+ * Directories never scanned, whatever the ignore files say
+ */
+const DEFAULT_EXCLUDED_DIRS = new Set(["node_modules", ".git"]);
 
 /**
- * Recursively finds all JavaScript/JSX files in a directory
+ * Recursively finds all JavaScript/JSX files in a directory, skipping the
+ * paths its ignore files (`.gitignore`, `.jsxanalyzerignore`) exclude
  * @param {string} dir - Directory to search
+ * @param {string[]} extensions - Extensions of the files to find, e.g. `.jsx`
+ * @param {import("./src/files/file-filter.js").FileFilter|null} [fileFilter] - Include/exclude
+ *   globs of the scan
+ * @param {Array<import("./src/files/ignore-rules.js").IgnoreRule>} [ignoreRules] - Rules that
+ *   apply to the directory's contents, loaded from its ancestors when omitted
  * @returns {string[]} - Array of absolute file paths matching supported extensions
  */
-const findJSXFiles = (dir) => {
-  // Combine default exclusions with .gitignore patterns
-  const gitignoreDirs = parseGitignore();
-  const defaultExclusions = new Set(["node_modules", ".git"]);
-  const excludedDirs = new Set([...defaultExclusions, ...gitignoreDirs]);
-
+const findJSXFiles = (
+  dir,
+  extensions,
+  fileFilter = null,
+  ignoreRules = loadIgnoreRules(dir)
+) => {
   const files = [];
 
   try {
@@ -79,14 +134,27 @@ const findJSXFiles = (dir) => {
       const fullPath = path.join(dir, entry.name);
 
       if (entry.isDirectory()) {
-        // Skip node_modules and other common directories
-        if (!excludedDirs.has(entry.name)) {
-          files.push(...findJSXFiles(fullPath));
+        // Skip node_modules, .git and ignored directories
+        if (
+          !DEFAULT_EXCLUDED_DIRS.has(entry.name) &&
+          !isIgnored(ignoreRules, fullPath, true) &&
+          !(fileFilter && fileFilter.excludesDirectory(fullPath))
+        ) {
+          files.push(
+            ...findJSXFiles(fullPath, extensions, fileFilter, [
+              ...ignoreRules,
+              ...readDirectoryIgnoreRules(fullPath),
+            ])
+          );
         }
       } else if (entry.isFile()) {
         // Check for JavaScript/JSX files
         const ext = path.extname(entry.name).toLowerCase();
-        if ([".js", ".jsx", ".ts", ".tsx"].includes(ext)) {
+        if (
+          extensions.includes(ext) &&
+          !isIgnored(ignoreRules, fullPath, false) &&
+          (!fileFilter || fileFilter.includesFile(fullPath))
+        ) {
           files.push(fullPath);
         }
       }
@@ -99,178 +167,642 @@ const findJSXFiles = (dir) => {
 };
 
 /**
- * Parses a file and extracts JSX component usage
+ * Paths a scan of a directory enters and finds
+ * @typedef {Object} ScanMatcher
+ * @property {(dirPath: string) => boolean} includesDirectory - Whether the scan enters a
+ *   directory: it is under the scanned one, and neither it nor a directory between them is
+ *   excluded, ignored or left out by the include/exclude globs
+ * @property {(filePath: string) => boolean} includesFile - Whether the scan finds a file, if
+ *   it exists: its directory is entered, and its extension is scanned and neither its ignore
+ *   rules nor the include/exclude globs leave it out
+ * @property {(dirPath: string) => Array<import("./src/files/ignore-rules.js").IgnoreRule>|null} getDirectoryRules -
+ *   Rules that apply to the contents of a directory, or null if the scan skips it
+ */
+
+/**
+ * Checks paths against the rules a scan of a directory applies, without
+ * walking the directory. Ignore files are read once per directory checked.
+ * @param {string} dir - Scanned directory
+ * @param {string[]} extensions - Extensions of the files to find, e.g. `.jsx`
+ * @param {import("./src/files/file-filter.js").FileFilter|null} [fileFilter] - Include/exclude
+ *   globs of the scan
+ * @returns {ScanMatcher}
+ */
+const createScanMatcher = (dir, extensions, fileFilter = null) => {
+  const scannedDir = path.resolve(dir);
+  // Rules of each directory entered, or null when the directory is skipped
+  const rulesByDir = new Map([[scannedDir, loadIgnoreRules(scannedDir)]]);
+  const getDirectoryRules = (dirPath) => {
+    const relativePath = path.relative(scannedDir, dirPath);
+    if (relativePath.startsWith("..") || path.isAbsolute(relativePath)) {
+      return null;
+    }
+    if (!rulesByDir.has(dirPath)) {
+      const parentRules = getDirectoryRules(path.dirname(dirPath));
+      rulesByDir.set(
+        dirPath,
+        parentRules &&
+          !DEFAULT_EXCLUDED_DIRS.has(path.basename(dirPath)) &&
+          !isIgnored(parentRules, dirPath, true) &&
+          !(fileFilter && fileFilter.excludesDirectory(dirPath))
+          ? [...parentRules, ...readDirectoryIgnoreRules(dirPath)]
+          : null
+      );
+    }
+    return rulesByDir.get(dirPath);
+  };
+
+  return {
+    includesDirectory: (dirPath) => getDirectoryRules(dirPath) !== null,
+    includesFile: (filePath) => {
+      const rules = getDirectoryRules(path.dirname(filePath));
+      return (
+        rules !== null &&
+        extensions.includes(path.extname(filePath).toLowerCase()) &&
+        !isIgnored(rules, filePath, false) &&
+        (!fileFilter || fileFilter.includesFile(filePath))
+      );
+    },
+    getDirectoryRules,
+  };
+};
+
+/**
+ * Keeps the files of a list that a scan of a directory would find, e.g. the
+ * files git reports as changed
+ * @param {string} dir - Scanned directory
+ * @param {string[]} filePaths - Absolute paths of the candidate files
+ * @param {string[]} extensions - Extensions of the files to find, e.g. `.jsx`
+ * @param {import("./src/files/file-filter.js").FileFilter|null} [fileFilter] - Include/exclude
+ *   globs of the scan
+ * @returns {string[]} - Candidates a scan would find, in list order
+ */
+const selectScannedFiles = (dir, filePaths, extensions, fileFilter = null) => {
+  const scan = createScanMatcher(dir, extensions, fileFilter);
+  return filePaths.filter(
+    (filePath) =>
+      scan.includesFile(filePath) &&
+      fs.statSync(filePath, { throwIfNoEntry: false }) !== undefined
+  );
+};
+
+/**
+ * Creates the predicate used to compare prop values against the query
+ * @param {string|null} propValue - Value to match (null for presence check)
+ * @param {FindPropOptions} options - Analysis options selecting the match mode
+ * @returns {((value: string|number|boolean) => boolean)|null} - Predicate applied to the comparable
+ *   values of a prop, or null for presence checks
+ * @throws {InputSanitizationError} - If a regex value is invalid or prone to ReDoS
+ */
+const createValueMatcher = (propValue, options) => {
+  if (propValue === null || propValue === undefined) {
+    return null;
+  }
+
+  if (options.regex && options.includes) {
+    throw new Error(
+      "The 'regex' and 'includes' options cannot be used together"
+    );
+  }
+
+  if (options.regex) {
+    // Regex match, e.g. /\bbtn-(primary|danger)\b/
+    const regex = compileUserRegex(propValue);
+    return (attrValue) => regex.test(String(attrValue));
+  }
+
+  if (options.includes) {
+    // Substring match
+    return (attrValue) => String(attrValue).includes(propValue);
+  }
+
+  // Exact match
+  return (attrValue) => String(attrValue) === propValue;
+};
+
+/**
+ * Gets the dotted name of a JSX element, e.g. `Button` or `Component.SubComponent`
+ * @param {Object} openingElement - JSXOpeningElement node
+ * @returns {string} - Element name, `namespace:name` for namespaced names like `svg:rect`
+ */
+const getElementName = (openingElement) => {
+  if (openingElement.name.type === "JSXIdentifier") {
+    return openingElement.name.name;
+  }
+
+  if (openingElement.name.type === "JSXMemberExpression") {
+    // Handle cases like <Component.SubComponent>
+    const parts = [];
+    let current = openingElement.name;
+    while (current) {
+      if (current.type === "JSXIdentifier") {
+        parts.unshift(current.name);
+        break;
+      } else if (current.type === "JSXMemberExpression") {
+        parts.unshift(current.property.name);
+        current = current.object;
+      }
+    }
+    return parts.join(".");
+  }
+
+  if (openingElement.name.type === "JSXNamespacedName") {
+    return `${openingElement.name.namespace.name}:${openingElement.name.name.name}`;
+  }
+
+  return "";
+};
+
+/**
+ * Props of a single JSX element, including those resolved from spreads
+ * @typedef {Object} ElementProps
+ * @property {Object<string, import("./src/analysis/prop-value.js").PropValue>} props - Typed prop values;
+ *   later attributes override earlier spreads
+ * @property {Set<string>} explicitProps - Props set through regular attributes
+ * @property {Array<import("./src/analysis/spread-resolver.js").SpreadResolution>} spreads - Resolved spread attributes
+ */
+
+/**
+ * Extracts all props of a JSX element, in order, so later attributes override spreads
+ * @param {Object} openingElement - JSXOpeningElement node
+ * @param {import("@babel/traverse").NodePath} nodePath - Path of the JSX element
+ * @param {string} code - Source code of the file
+ * @returns {ElementProps}
+ */
+const collectElementProps = (openingElement, nodePath, code) => {
+  const props = {};
+  const explicitProps = new Set();
+  const spreads = [];
+
+  openingElement.attributes.forEach((attr) => {
+    if (attr.type === "JSXAttribute" && attr.name.type === "JSXIdentifier") {
+      explicitProps.add(attr.name.name);
+      props[attr.name.name] = describePropValue(
+        attr.value,
+        attr,
+        nodePath.scope,
+        code
+      );
+    } else if (attr.type === "JSXSpreadAttribute") {
+      const spread = resolveSpreadAttribute(attr, nodePath.scope, code);
+      spreads.push(spread);
+
+      for (const [attrName, spreadProp] of spread.props) {
+        // A conditional spread may not apply, so keep earlier values
+        if (!spreadProp.certain && attrName in props) {
+          continue;
+        }
+        props[attrName] = spreadProp.valueNode
+          ? describePropValue(
+              spreadProp.valueNode,
+              spreadProp.valueNode,
+              nodePath.scope,
+              code
+            )
+          : describeUnknownValue(attr);
+      }
+    }
+  });
+
+  return { props, explicitProps, spreads };
+};
+
+/**
+ * Lists the values a prop is compared against when matching
+ * @param {ElementProps} elementProps - Props of the element
+ * @param {string} propName - Prop to look up
+ * @returns {Array<string|number|boolean>} - Empty if the prop is not set
+ */
+const getPropValues = (elementProps, propName) =>
+  propName in elementProps.props
+    ? getComparableValues(elementProps.props[propName])
+    : [];
+
+/**
+ * Collects the source of spread attributes that could not be resolved
+ * @param {ElementProps} elementProps - Props of the element
+ * @returns {string[]}
+ */
+const getUnresolvedSpreads = (elementProps) =>
+  elementProps.spreads.flatMap((spread) => spread.opaqueSources);
+
+/**
+ * JSX element visited during a file walk
+ * @typedef {Object} VisitedElement
+ * @property {import("@babel/traverse").NodePath} nodePath - Path of the JSXElement
+ * @property {Object} openingElement - JSXOpeningElement node
+ * @property {string} elementName - Dotted element name
+ * @property {string} code - Source code of the file
+ */
+
+/**
+ * Parses a file once and calls the visitor for every JSX element in it.
+ * Read and parse errors are reported as warnings so one bad file does not
+ * abort a whole directory scan.
+ * @param {string} filePath - Path to the file
+ * @param {import("./src/analysis/parser-profiles.js").ParserProfileOptions} [options] - Analysis
+ *   options selecting the parser profile of the file
+ * @param {(element: VisitedElement) => void} visitor - Called for each JSX element
+ * @param {(ast: import("@babel/types").File, code: string) => void} [onParsed] - Called with
+ *   the parsed file before its elements are visited
+ */
+const forEachJSXElement = (filePath, options, visitor, onParsed) => {
+  let code;
+  try {
+    code = fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    console.warn(`Warning: Could not parse file ${filePath}: ${error.message}`);
+    return;
+  }
+  visitJSXElements(filePath, code, options, visitor, onParsed);
+};
+
+/**
+ * Parses source code and calls the visitor for every JSX element in it,
+ * reporting parse errors as warnings
+ * @param {string} filePath - Path of the file the code comes from
+ * @param {string} code - Source code
+ * @param {import("./src/analysis/parser-profiles.js").ParserProfileOptions} [options] - Analysis
+ *   options selecting the parser profile of the file
+ * @param {(element: VisitedElement) => void} visitor - Called for each JSX element
+ * @param {(ast: import("@babel/types").File, code: string) => void} [onParsed] - Called with
+ *   the parsed file before its elements are visited
+ * @returns {boolean} - Whether the code could be parsed
+ */
+const visitJSXElements = (filePath, code, options, visitor, onParsed) => {
+  try {
+    // Parse the code into an AST, with the syntax plugins of its language
+    const ast = parse(
+      code,
+      getParserConfig(options).getParserOptions(filePath, code)
+    );
+    if (onParsed) {
+      onParsed(ast, code);
+    }
+
+    // Traverse the AST to find JSX elements
+    traverse(ast, {
+      JSXElement(nodePath) {
+        const openingElement = nodePath.node.openingElement;
+        visitor({
+          nodePath,
+          openingElement,
+          elementName: getElementName(openingElement),
+          code,
+        });
+      },
+    });
+    return true;
+  } catch (error) {
+    console.warn(`Warning: Could not parse file ${filePath}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * JSX element reduced to the data prop usage analysis needs, as kept in
+ * the analysis cache
+ * @typedef {Object} ElementRecord
+ * @property {string} elementName - Dotted element name
+ * @property {import("./src/analysis/prop-value.js").SourceRange} range - Start and end of the element
+ * @property {{source: string, exportName: string}|null} imported - Export the element name is
+ *   imported as, or null
+ * @property {ElementProps} elementProps - Props of the element
+ */
+
+/**
+ * Drops the AST nodes of the values spreads contribute: the typed values in
+ * `props` already describe them, and records are kept in memory and written
+ * to the analysis cache
+ * @param {ElementProps} elementProps - Props collected from a parsed element
+ * @returns {ElementProps}
+ */
+const toRecordProps = ({ props, explicitProps, spreads }) => ({
+  props,
+  explicitProps,
+  spreads: spreads.map(({ props: spreadProps, opaque, opaqueSources }) => ({
+    props: new Map(
+      [...spreadProps].map(([name, { certain }]) => [
+        name,
+        { certain, valueNode: null },
+      ])
+    ),
+    opaque,
+    opaqueSources,
+  })),
+});
+
+/**
+ * Lists the JSX elements of a file, from the analysis cache when the file
+ * has not changed since it was last parsed
+ * @param {string} filePath - Path to the file
+ * @param {import("./src/cache/analysis-cache.js").AnalysisCache|null} analysisCache - Cache,
+ *   or null to always parse
+ * @param {import("./src/analysis/parser-profiles.js").ParserProfileOptions} options - Analysis
+ *   options selecting the parser profile of the file
+ * @param {import("./src/analysis/component-matcher.js").ComponentMatcher} matchComponent - Without
+ *   a cache, only the elements it matches are extracted
+ * @returns {ElementRecord[]}
+ */
+const readElementRecords = (
+  filePath,
+  analysisCache,
+  options,
+  matchComponent
+) => {
+  const records = [];
+  const addRecord = ({ nodePath, openingElement, elementName, code }) => {
+    // Cached files keep every element, whatever the query
+    if (!analysisCache && !matchComponent(elementName, nodePath, filePath)) {
+      return;
+    }
+    records.push({
+      elementName,
+      range: toRange(nodePath.node),
+      imported: resolveImportedElement(nodePath, elementName),
+      elementProps: toRecordProps(
+        collectElementProps(openingElement, nodePath, code)
+      ),
+    });
+  };
+
+  if (!analysisCache) {
+    forEachJSXElement(filePath, options, addRecord);
+    return records;
+  }
+
+  let code;
+  try {
+    code = fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    console.warn(`Warning: Could not parse file ${filePath}: ${error.message}`);
+    return records;
+  }
+
+  const profile = getParserConfig(options).getProfile(filePath, code);
+  const cached = analysisCache.read(code, profile);
+  if (cached) {
+    return cached;
+  }
+  if (visitJSXElements(filePath, code, options, addRecord)) {
+    analysisCache.write(code, profile, records);
+  }
+  return records;
+};
+
+/**
+ * Extracts JSX component usage from the elements of a file
  * @typedef {Object} AnalyzeOptions
  * @property {boolean} [findMissing] - If true, finds components missing the specified prop
  * @property {boolean} [verbose] - If true, returns all props of matching components
- * @property {boolean} [includes] - If true, checks if prop value includes the specified string
  *
  * @param {string} filePath - Path to the file
- * @param {string} componentName - Name of the component to find
+ * @param {ElementRecord[]} records - JSX elements of the file
+ * @param {import("./src/analysis/component-matcher.js").ComponentMatcher} matchComponent - Decides
+ *   which JSX elements are the component to find
  * @param {string} propName - Name of the prop to check
- * @param {string|null} propValue - Value of the prop to match (null for presence check)
+ * @param {((attrValue: any) => boolean)|null} matchValue - Value predicate (null for presence check)
  * @param {AnalyzeOptions} options - Additional analysis options
- * @returns {Array<{filePath: string, lineNumber: number, props: Object, message?: string}>} - Array of results with detailed info
+ * @returns {Array<AnalysisResult>} - Array of results with detailed info
  */
-const analyzeFile = (filePath, componentName, propName, propValue, options) => {
+const analyzeElements = (
+  filePath,
+  records,
+  matchComponent,
+  propName,
+  matchValue,
+  options
+) => {
   const results = [];
 
-  try {
-    const code = fs.readFileSync(filePath, "utf8");
-
-    // Parse the code into an AST
-    const ast = parse(code, {
-      sourceType: "module",
-      allowImportExportEverywhere: true,
-      allowReturnOutsideFunction: true,
-      plugins: [
-        "jsx",
-        "typescript",
-        "decorators-legacy",
-        "classProperties",
-        "objectRestSpread",
-        "asyncGenerators",
-        "functionBind",
-        "exportDefaultFrom",
-        "exportNamespaceFrom",
-        "dynamicImport",
-        "nullishCoalescingOperator",
-        "optionalChaining",
-      ],
-    });
+  records.forEach(({ elementName, range, imported, elementProps }) => {
+    // Check if this is the component we're looking for
+    if (!matchComponent(elementName, null, filePath, imported)) {
+      return;
+    }
 
-    // Traverse the AST to find JSX elements
-    traverse(ast, {
-      JSXElement(nodePath) {
-        const { node } = nodePath;
-        const openingElement = node.openingElement;
-
-        // Check if this is the component we're looking for
-        let elementName = "";
-        if (openingElement.name.type === "JSXIdentifier") {
-          elementName = openingElement.name.name;
-        } else if (openingElement.name.type === "JSXMemberExpression") {
-          // Handle cases like <Component.SubComponent>
-          const parts = [];
-          let current = openingElement.name;
-          while (current) {
-            if (current.type === "JSXIdentifier") {
-              parts.unshift(current.name);
-              break;
-            } else if (current.type === "JSXMemberExpression") {
-              parts.unshift(current.property.name);
-              current = current.object;
-            }
-          }
-          elementName = parts.join(".");
-        }
+    const lineNumber = range.start.line;
+    const { props, explicitProps, spreads } = elementProps;
+    const propStatus = getPropStatus(propName, explicitProps, spreads);
 
-        if (elementName === componentName) {
-          const lineNumber = openingElement.loc.start.line;
-          const props = {};
-          let hasProp = false;
-          let propMatch = false;
-
-          // Extract all props
-          openingElement.attributes.forEach((attr) => {
-            if (
-              attr.type === "JSXAttribute" &&
-              attr.name.type === "JSXIdentifier"
-            ) {
-              const attrName = attr.name.name;
-              let attrValue = null;
-
-              if (attr.value) {
-                if (attr.value.type === "Literal") {
-                  attrValue = attr.value.value;
-                } else if (attr.value.type === "JSXStringLiteral") {
-                  // JSX string attributes like testProp="value"
-                  attrValue = attr.value.value;
-                } else if (attr.value.type === "StringLiteral") {
-                  // Another possible type for string literals
-                  attrValue = attr.value.value;
-                } else if (attr.value.type === "JSXExpressionContainer") {
-                  // For expressions, get the raw code
-                  attrValue = code.substring(attr.value.start, attr.value.end);
-                } else {
-                  attrValue = "<complex_value>";
-                }
-              } else {
-                // Boolean prop (present without value)
-                attrValue = true;
-              }
-
-              props[attrName] = attrValue;
-
-              // Check if this is the prop we're looking for
-              if (attrName === propName) {
-                hasProp = true;
-
-                if (propValue === null) {
-                  // Just checking for presence of prop
-                  propMatch = true;
-                } else if (options.includes) {
-                  // Substring match
-                  propMatch = String(attrValue).includes(propValue);
-                } else {
-                  // Exact match
-                  propMatch = String(attrValue) === propValue;
-                }
-              }
-            }
-          });
-
-          // Determine if we should include this result
-          let shouldInclude = false;
-          let message = null;
-
-          if (options.findMissing) {
-            if (!hasProp) {
-              shouldInclude = true;
-              message = `Component <${componentName}> is missing the prop '${propName}'.`;
-            }
-          } else {
-            if (hasProp && (propValue === null || propMatch)) {
-              shouldInclude = true;
-            }
-          }
+    // Determine if we should include this result
+    let shouldInclude = false;
+    let message = null;
 
-          if (shouldInclude) {
-            const result = {
-              filePath: path.relative(process.cwd(), filePath),
-              lineNumber,
-              props: options.verbose ? props : { [propName]: props[propName] },
-            };
+    if (options.findMissing) {
+      if (propStatus === "missing") {
+        shouldInclude = true;
+        message = `Component <${elementName}> is missing the prop '${propName}'.`;
+      } else if (propStatus === "unknown") {
+        shouldInclude = true;
+        message = `Component <${elementName}> may be missing the prop '${propName}' (hidden behind a spread attribute).`;
+      }
+    } else if (propName in props) {
+      // A missing value predicate means we just check for presence;
+      // otherwise the normalized value or any resolved candidate may match
+      shouldInclude =
+        matchValue === null ||
+        getPropValues(elementProps, propName).some(matchValue);
+    }
 
-            if (message) {
-              result.message = message;
-            }
+    if (shouldInclude) {
+      const result = {
+        filePath: path.relative(process.cwd(), filePath),
+        lineNumber,
+        range,
+        propRange: propName in props ? props[propName].range : null,
+        elementName,
+        props: options.verbose
+          ? props
+          : propName in props
+          ? { [propName]: props[propName] }
+          : {},
+        propStatus,
+      };
 
-            results.push(result);
-          }
+      if (propStatus === "unknown") {
+        const unresolvedSpreads = getUnresolvedSpreads(elementProps);
+        if (unresolvedSpreads.length > 0) {
+          result.unresolvedSpreads = unresolvedSpreads;
         }
-      },
-    });
-  } catch (error) {
-    console.warn(`Warning: Could not parse file ${filePath}: ${error.message}`);
+      }
+
+      if (message) {
+        result.message = message;
+      }
+
+      results.push(result);
+    }
+  });
+
+  return results;
+};
+
+/**
+ * Git settings of a scan
+ * @typedef {Object} ChangedFilesOptions
+ * @property {string} [changedSince] - Only analyzes the files changed since this git ref (compared
+ *   from its merge base with HEAD), and untracked files, instead of walking the whole directory
+ */
+
+/**
+ * Settings of the files an analysis reads, accepted by every analysis and
+ * codemod: include/exclude globs, scanned extensions, parser profiles and
+ * changed files
+ * @typedef {import("./src/files/file-filter.js").FileFilterOptions & import("./src/analysis/parser-profiles.js").ParserProfileOptions & ChangedFilesOptions} ScanOptions
+ */
+
+/**
+ * Lists the files to analyze: the file itself, or every file with a scanned
+ * extension in a directory that the include/exclude globs select. With
+ * `changedSince`, only the files git reports as changed are considered.
+ * @param {string} rootDir - File or directory path
+ * @param {ScanOptions} [options] - Scan settings
+ * @returns {string[]}
+ * @throws {InputSanitizationError} - If a glob is invalid
+ * @throws {ParserProfileError} - If an extension or parser profile is invalid
+ * @throws {GitChangesError} - If `changedSince` is not a valid ref, or git fails
+ */
+const getFilesToAnalyze = (rootDir, options = {}) => {
+  // Validate the scan settings before any file is parsed
+  const fileFilter = createFileFilter(rootDir, options);
+  const { extensions } = getParserConfig(options);
+  const { changedSince } = options;
+
+  // Check if rootDir is a file or directory
+  const stats = fs.statSync(rootDir);
+
+  if (stats.isFile()) {
+    return changedSince === undefined ||
+      getChangedFiles(rootDir, changedSince).size > 0
+      ? [rootDir]
+      : [];
+  }
+
+  if (stats.isDirectory() && changedSince !== undefined) {
+    const files = selectScannedFiles(
+      rootDir,
+      [...getChangedFiles(rootDir, changedSince).keys()],
+      extensions,
+      fileFilter
+    );
+    console.log(
+      `Found ${files.length} JavaScript/JSX files changed since ${changedSince}...`
+    );
+    return files;
+  }
+
+  if (stats.isDirectory()) {
+    const files = findJSXFiles(rootDir, extensions, fileFilter);
+    console.log(`Found ${files.length} JavaScript/JSX files to analyze...`);
+    return files;
+  }
+
+  return [];
+};
+
+/**
+ * Adds the source lines around each result, pointing at the matched prop
+ * when there is one and at the start of the element otherwise
+ * @param {Array<AnalysisResult|QueryResult|import("./src/analysis/required-props.js").RequiredPropsResult|import("./src/analysis/value-validation.js").InvalidValueResult>} results -
+ *   Results to annotate
+ * @param {{codeFrame?: boolean, contextLines?: number}} options - Code frame options
+ * @returns {Array} - The same results
+ */
+const addCodeFrames = (results, { codeFrame, contextLines = 2 } = {}) => {
+  if (!codeFrame) {
+    return results;
   }
 
+  const sources = new Map();
+  for (const result of results) {
+    if (!sources.has(result.filePath)) {
+      sources.set(result.filePath, fs.readFileSync(result.filePath, "utf8"));
+    }
+    // Code frames count columns from 1, Babel locations from 0
+    const { start, end } = result.propRange || { start: result.range.start };
+    const location = {
+      start: { line: start.line, column: start.column + 1 },
+    };
+    if (end) {
+      location.end = { line: end.line, column: end.column + 1 };
+    }
+    result.codeFrame = codeFrameColumns(
+      sources.get(result.filePath),
+      location,
+      {
+        highlightCode: false,
+        linesAbove: contextLines,
+        linesBelow: contextLines,
+      }
+    );
+  }
   return results;
 };
 
+/**
+ * Creates the filter applied to the results of a prop usage analysis: with
+ * `changedLinesOnly`, it keeps the results whose element starts, or whose
+ * prop is set, on a line added or modified since the `changedSince` ref
+ * @param {string} rootDir - File or directory path
+ * @param {{changedSince?: string, changedLinesOnly?: boolean}} options - Analysis options
+ * @returns {(results: Array<AnalysisResult>) => Array<AnalysisResult>}
+ * @throws {GitChangesError} - If `changedLinesOnly` is set without a valid ref, or git fails
+ */
+const createChangedLineFilter = (
+  rootDir,
+  { changedSince, changedLinesOnly }
+) => {
+  if (!changedLinesOnly) {
+    return (results) => results;
+  }
+  if (changedSince === undefined) {
+    throw new GitChangesError(
+      "changedLinesOnly requires a changedSince ref",
+      "INVALID_REF"
+    );
+  }
+
+  const changedFiles = getChangedFiles(rootDir, changedSince, { lines: true });
+  return (results) =>
+    results.filter((result) => {
+      const ranges = changedFiles.get(path.resolve(result.filePath));
+      return (
+        ranges !== undefined &&
+        (overlapsChangedLines(ranges, result.lineNumber, result.lineNumber) ||
+          (result.propRange !== null &&
+            overlapsChangedLines(
+              ranges,
+              result.propRange.start.line,
+              result.propRange.end.line
+            )))
+      );
+    });
+};
+
 /**
  * Finds usages of a specified JSX component and its props.
  * @typedef {Object} FindPropOptions
  * @property {boolean} [findMissing] - If true, finds components missing the specified prop
  * @property {boolean} [verbose] - If true, returns all props of matching components
  * @property {boolean} [includes] - If true, checks if prop value includes the specified string
+ * @property {boolean} [regex] - If true, treats the prop value as a regular expression
+ *   (`pattern` or `/pattern/flags`), rejecting patterns prone to ReDoS
+ * @property {boolean} [codeFrame] - If true, adds the source lines around each result
+ * @property {number} [contextLines=2] - Lines shown above and below in code frames
+ * @property {boolean} [changedLinesOnly] - If true, only reports results on lines changed since
+ *   the `changedSince` ref
  *
  * @param {string} rootDir - The directory to search
- * @param {string} componentName - The name of the component to find
+ * @param {string} componentName - The component to find: an exact name, a glob (`*Button`, `Form.*`),
+ *   a regex (`/^Icon[A-Z]/`), or `<module>#<export>` (e.g. `@acme/ui#Button`) to match it through
+ *   import bindings, aliases and namespaces
  * @param {string} propName - The name of the prop to check
- * @param {string|null} propValue - The value of the prop to match (null for presence check)
- * @param {FindPropOptions} options - Additional analysis options
- * @returns {Array<{filePath: string, lineNumber: number, props: Object, message?: string}>} - Array of matching results with detailed info
+ * @param {string|null} propValue - The value of the prop to match (null for presence check),
+ *   a substring with `includes` or a pattern with `regex`
+ * @param {FindPropOptions & ScanOptions & import("./src/cache/analysis-cache.js").AnalysisCacheOptions} options -
+ *   Additional analysis options; with `cache`, only files changed since the last cached analysis are parsed
+ * @returns {Array<AnalysisResult>} - Array of matching results with detailed info
  */
 export const findPropUsage = (
   rootDir,
@@ -279,60 +811,1439 @@ export const findPropUsage = (
   propValue,
   options
 ) => {
-  const results = [];
+  const matchValue = createValueMatcher(propValue, options);
+  const matchComponent = createComponentMatcher(componentName);
+  const analysisCache = openAnalysisCache(options);
+  const keepChangedLines = createChangedLineFilter(rootDir, options);
 
-  // Check if rootDir is a file or directory
-  const stats = fs.statSync(rootDir);
+  return addCodeFrames(
+    keepChangedLines(
+      getFilesToAnalyze(rootDir, options).flatMap((filePath) =>
+        analyzeElements(
+          filePath,
+          readElementRecords(filePath, analysisCache, options, matchComponent),
+          matchComponent,
+          propName,
+          matchValue,
+          options
+        )
+      )
+    ),
+    options
+  );
+};
 
-  if (stats.isFile()) {
-    // Single file analysis
-    const fileResults = analyzeFile(
-      rootDir,
-      componentName,
-      propName,
-      propValue,
-      options
-    );
-    results.push(...fileResults);
-  } else if (stats.isDirectory()) {
-    // Directory analysis
-    const files = findJSXFiles(rootDir);
-    console.log(`Found ${files.length} JavaScript/JSX files to analyze...`);
+/**
+ * Worker module running `findPropUsage` file by file
+ */
+const PROP_USAGE_WORKER = new URL(
+  "./src/workers/prop-usage-worker.js",
+  import.meta.url
+);
 
-    for (const filePath of files) {
-      const fileResults = analyzeFile(
-        filePath,
-        componentName,
-        propName,
-        propValue,
-        options
-      );
-      results.push(...fileResults);
-    }
+/**
+ * Finds usages of a JSX component and its props like `findPropUsage`, parsing
+ * files on a pool of worker threads. Results come in the same order as with
+ * `findPropUsage`, whichever worker finishes first.
+ * @typedef {Object} ParallelOptions
+ * @property {number} [concurrency] - Number of worker threads; defaults to one per available
+ *   CPU, and 1 analyzes on the calling thread
+ *
+ * @param {string} rootDir - The directory to search
+ * @param {string} componentName - The component to find, as for `findPropUsage`
+ * @param {string} propName - The name of the prop to check
+ * @param {string|null} propValue - The value of the prop to match (null for presence check)
+ * @param {FindPropOptions & ScanOptions & import("./src/cache/analysis-cache.js").AnalysisCacheOptions & ParallelOptions} options -
+ *   Additional analysis options
+ * @returns {Promise<Array<AnalysisResult>>} - Array of matching results with detailed info
+ * @throws {WorkerPoolError} - If the concurrency is invalid or a worker fails
+ */
+export const findPropUsageParallel = async (
+  rootDir,
+  componentName,
+  propName,
+  propValue,
+  options = {}
+) => {
+  const { concurrency, ...analysisOptions } = options;
+  const workerCount = resolveConcurrency(concurrency);
+
+  // Reject invalid queries before any worker starts
+  const matchValue = createValueMatcher(propValue, analysisOptions);
+  const matchComponent = createComponentMatcher(componentName);
+  const keepChangedLines = createChangedLineFilter(rootDir, analysisOptions);
+  const files = getFilesToAnalyze(rootDir, analysisOptions);
+
+  if (workerCount === 1) {
+    const analysisCache = openAnalysisCache(analysisOptions);
+    return addCodeFrames(
+      keepChangedLines(
+        files.flatMap((filePath) =>
+          analyzeElements(
+            filePath,
+            readElementRecords(
+              filePath,
+              analysisCache,
+              analysisOptions,
+              matchComponent
+            ),
+            matchComponent,
+            propName,
+            matchValue,
+            analysisOptions
+          )
+        )
+      ),
+      analysisOptions
+    );
   }
 
-  return results;
+  // Workers get the files to analyze, so they do not ask git again
+  const { changedSince, changedLinesOnly, ...workerOptions } = analysisOptions;
+  const resultsByFile = await runWorkerTasks(PROP_USAGE_WORKER, files, {
+    concurrency: workerCount,
+    workerData: {
+      componentName,
+      propName,
+      propValue,
+      options: { ...workerOptions, codeFrame: false },
+    },
+  });
+  return addCodeFrames(keepChangedLines(resultsByFile.flat()), analysisOptions);
 };
 
 /**
- * Displays the analysis results in the console.
- * @param {Array<{filePath: string, lineNumber: number, props: Object, message?: string}>} results - Analysis results to display
+ * Finds usages of a JSX component and its props like `findPropUsage`, but
+ * yields the results of each file as soon as it is analyzed instead of
+ * collecting them. Other tasks run between files, and stopping the iteration
+ * (or aborting the signal) skips the remaining files.
+ * @typedef {Object} StreamOptions
+ * @property {AbortSignal} [signal] - Stops the analysis before the next file once aborted
+ *
+ * @param {string} rootDir - The directory to search
+ * @param {string} componentName - The component to find, as for `findPropUsage`
+ * @param {string} propName - The name of the prop to check
+ * @param {string|null} propValue - The value of the prop to match (null for presence check)
+ * @param {FindPropOptions & ScanOptions & import("./src/cache/analysis-cache.js").AnalysisCacheOptions & StreamOptions} [options] -
+ *   Additional analysis options
+ * @returns {AsyncGenerator<AnalysisResult>} - Matching results, in the order of `findPropUsage`
+ * @throws {DOMException} - An `AbortError` (or the abort reason) once the signal is aborted
  */
-export const displayResults = (results) => {
+export const streamPropUsage = async function* (
+  rootDir,
+  componentName,
+  propName,
+  propValue,
+  options = {}
+) {
+  const { signal } = options;
+  const matchValue = createValueMatcher(propValue, options);
+  const matchComponent = createComponentMatcher(componentName);
+  const analysisCache = openAnalysisCache(options);
+  const keepChangedLines = createChangedLineFilter(rootDir, options);
+
+  for (const filePath of getFilesToAnalyze(rootDir, options)) {
+    // Give the event loop a turn before each file, so callers stay responsive
+    await setImmediate();
+    if (signal) {
+      signal.throwIfAborted();
+    }
+
+    yield* addCodeFrames(
+      keepChangedLines(
+        analyzeElements(
+          filePath,
+          readElementRecords(filePath, analysisCache, options, matchComponent),
+          matchComponent,
+          propName,
+          matchValue,
+          options
+        )
+      ),
+      options
+    );
+  }
+};
+
+/**
+ * Changes to the results of a watched analysis
+ * @typedef {Object} WatchUpdate
+ * @property {string[]} changedFiles - Files analyzed again or dropped, relative to the working directory
+ * @property {Array<AnalysisResult>} added - New results
+ * @property {Array<AnalysisResult>} resolved - Results that no longer apply
+ * @property {Array<AnalysisResult>} results - Every current result, by file in the order found
+ */
+
+/**
+ * Running prop usage watch
+ * @typedef {Object} PropUsageWatcher
+ * @property {() => Array<AnalysisResult>} getResults - Current results, by file in the order found
+ * @property {() => void} close - Stops watching
+ */
+
+/**
+ * Analyzes prop usage like `findPropUsage`, then keeps the results of every
+ * file in memory and watches the tree: when files change, only those are
+ * parsed again and the update lists the results they added and resolved.
+ * Files that are created, deleted or come in and out of the include/exclude
+ * globs and ignore files are picked up as well.
+ * @typedef {Object} WatchOptions
+ * @property {(update: WatchUpdate) => void} [onUpdate] - Called after each batch of changed
+ *   files is analyzed
+ * @property {number} [debounce=100] - Quiet period after the last change before files are
+ *   analyzed again, in milliseconds
+ * @property {AbortSignal} [signal] - Stops watching once aborted
+ *
+ * @param {string} rootDir - The directory or file to watch
+ * @param {string} componentName - The component to find, as for `findPropUsage`
+ * @param {string} propName - The name of the prop to check
+ * @param {string|null} propValue - The value of the prop to match (null for presence check)
+ * @param {FindPropOptions & ScanOptions & import("./src/cache/analysis-cache.js").AnalysisCacheOptions & WatchOptions} [options] -
+ *   Additional analysis options
+ * @returns {PropUsageWatcher}
+ */
+export const watchPropUsage = (
+  rootDir,
+  componentName,
+  propName,
+  propValue,
+  options = {}
+) => {
+  const { onUpdate, debounce, signal } = options;
+  if (signal) {
+    signal.throwIfAborted();
+  }
+
+  const matchValue = createValueMatcher(propValue, options);
+  const matchComponent = createComponentMatcher(componentName);
+  const analysisCache = openAnalysisCache(options);
+  const fileFilter = createFileFilter(rootDir, options);
+  const { extensions } = getParserConfig(options);
+
+  const analyzeFile = (filePath) =>
+    addCodeFrames(
+      analyzeElements(
+        filePath,
+        readElementRecords(filePath, analysisCache, options, matchComponent),
+        matchComponent,
+        propName,
+        matchValue,
+        options
+      ),
+      options
+    );
+
+  const watchedPath = path.resolve(rootDir);
+  const isDirectory = fs.statSync(watchedPath).isDirectory();
+  let scan = createScanMatcher(watchedPath, extensions, fileFilter);
+
+  // Results of each scanned file, keyed by absolute path in the order found
+  const index = new Map(
+    getFilesToAnalyze(rootDir, options).map((filePath) => [
+      path.resolve(filePath),
+      analyzeFile(filePath),
+    ])
+  );
+
+  const getResults = () => [...index.values()].flat();
+
+  /**
+   * Lists the scanned files under a directory, without walking the others
+   * @param {string} dirPath - Absolute directory path
+   * @returns {string[]}
+   */
+  const listDirectoryFiles = (dirPath) =>
+    scan.includesDirectory(dirPath)
+      ? findJSXFiles(
+          dirPath,
+          extensions,
+          fileFilter,
+          scan.getDirectoryRules(dirPath)
+        )
+      : [];
+
+  /**
+   * Lists the indexed files at or under a path
+   * @param {string} changedPath - Absolute path of a file or directory
+   * @returns {string[]}
+   */
+  const listIndexedFiles = (changedPath) =>
+    [...index.keys()].filter(
+      (key) => key === changedPath || key.startsWith(changedPath + path.sep)
+    );
+
+  const refresh = (changedPaths) => {
+    // Files to analyze again, and files no longer scanned
+    const analyzed = new Set();
+    const dropped = new Set();
+
+    if (!isDirectory) {
+      const target = fs.existsSync(watchedPath) ? analyzed : dropped;
+      target.add(watchedPath);
+    } else if (
+      changedPaths.some((changedPath) =>
+        IGNORE_FILES.includes(path.basename(changedPath))
+      )
+    ) {
+      // Ignore files can bring any directory in or out of the scan
+      scan = createScanMatcher(watchedPath, extensions, fileFilter);
+      fileWatcher.rewatch();
+      const scanned = new Set(listDirectoryFiles(watchedPath));
+      for (const key of index.keys()) {
+        if (!scanned.has(key)) {
+          dropped.add(key);
+        }
+      }
+      for (const filePath of scanned) {
+        if (!index.has(filePath) || changedPaths.includes(filePath)) {
+          analyzed.add(filePath);
+        }
+      }
+    } else {
+      for (const changedPath of changedPaths) {
+        const stats = fs.statSync(changedPath, { throwIfNoEntry: false });
+        const scanned =
+          stats && stats.isDirectory()
+            ? listDirectoryFiles(changedPath)
+            : stats && scan.includesFile(changedPath)
+            ? [changedPath]
+            : [];
+        // A removed directory, or one replaced, drops the files it had
+        for (const key of listIndexedFiles(changedPath)) {
+          dropped.add(key);
+        }
+        for (const filePath of scanned) {
+          dropped.delete(filePath);
+          analyzed.add(filePath);
+        }
+      }
+    }
+
+    const update = { changedFiles: [], added: [], resolved: [] };
+    for (const key of analyzed) {
+      const previousResults = index.get(key) || [];
+      const results = analyzeFile(key);
+      const { added, resolved } = diffResults(previousResults, results);
+      index.set(key, results);
+      update.changedFiles.push(path.relative(process.cwd(), key));
+      update.added.push(...added);
+      update.resolved.push(...resolved);
+    }
+
+    // Deleted files, and files no longer scanned, resolve all their results
+    for (const key of dropped) {
+      update.changedFiles.push(path.relative(process.cwd(), key));
+      update.resolved.push(...index.get(key));
+      index.delete(key);
+    }
+
+    if (update.changedFiles.length > 0 && onUpdate) {
+      onUpdate({ ...update, results: getResults() });
+    }
+  };
+
+  // Directories the scan skips, such as node_modules, are never watched
+  const fileWatcher = watchFiles(rootDir, refresh, {
+    debounce,
+    watchesDirectory: (dirPath) => scan.includesDirectory(dirPath),
+    watchesFile: (filePath) =>
+      index.has(filePath) ||
+      IGNORE_FILES.includes(path.basename(filePath)) ||
+      scan.includesFile(filePath),
+  });
+  const close = () => fileWatcher.close();
+  if (signal) {
+    signal.addEventListener("abort", close, { once: true });
+  }
+
+  return { getResults, close };
+};
+
+/**
+ * Results of one query of a batch
+ * @typedef {Object} BatchResult
+ * @property {import("./src/analysis/batch-query.js").BatchQuery} query - Validated query
+ * @property {Array<AnalysisResult>} results - Matching results, in file order
+ */
+
+/**
+ * Runs many prop usage queries in a single scan: every file is parsed once
+ * and checked against each query, which yields the same results as a
+ * separate `findPropUsage` call.
+ * @param {string} rootDir - The directory to search
+ * @param {Object[]|{queries: Object[]}} queries - Queries as `{name?, component, prop, value?, mode?}`,
+ *   with `mode` one of `exact` (the default), `includes`, `regex` or `missing`
+ * @param {{verbose?: boolean, codeFrame?: boolean, contextLines?: number, changedLinesOnly?: boolean} & ScanOptions & import("./src/cache/analysis-cache.js").AnalysisCacheOptions} [options] -
+ *   Options applied to every query
+ * @returns {Array<BatchResult>} - Results of each query, in query order
+ * @throws {BatchQueryError} - If a query is malformed
+ */
+export const findPropUsageBatch = (rootDir, queries, options = {}) => {
+  const batch = compileBatchQueries(queries).map((query) => {
+    const queryOptions = {
+      ...options,
+      findMissing: query.mode === "missing",
+      includes: query.mode === "includes",
+      regex: query.mode === "regex",
+    };
+    return {
+      query,
+      matchComponent: createComponentMatcher(query.component),
+      matchValue: createValueMatcher(query.value, queryOptions),
+      options: queryOptions,
+      results: [],
+    };
+  });
+  // Without a cache, only the elements some query targets are extracted
+  const matchAnyComponent = (...args) =>
+    batch.some(({ matchComponent }) => matchComponent(...args));
+  const analysisCache = openAnalysisCache(options);
+  const keepChangedLines = createChangedLineFilter(rootDir, options);
+
+  for (const filePath of getFilesToAnalyze(rootDir, options)) {
+    const records = readElementRecords(
+      filePath,
+      analysisCache,
+      options,
+      matchAnyComponent
+    );
+    for (const entry of batch) {
+      entry.results.push(
+        ...analyzeElements(
+          filePath,
+          records,
+          entry.matchComponent,
+          entry.query.prop,
+          entry.matchValue,
+          entry.options
+        )
+      );
+    }
+  }
+
+  return batch.map(({ query, results }) => ({
+    query,
+    results: addCodeFrames(keepChangedLines(results), options),
+  }));
+};
+
+// Queries kept in JSON files are read with this before `findPropUsageBatch`
+export { loadBatchQueries };
+
+/**
+ * Evaluates a compiled prop query against every JSX element of a file
+ * @param {string} filePath - Path to the file
+ * @param {import("./src/analysis/prop-query.js").CompiledPropQuery} query - Compiled query
+ * @param {FindQueryOptions & ScanOptions} options - Additional analysis options
+ * @returns {Array<QueryResult>}
+ */
+const analyzeFileQuery = (filePath, query, options) => {
+  const results = [];
+
+  forEachJSXElement(
+    filePath,
+    options,
+    ({ nodePath, openingElement, elementName, code }) => {
+      const selectors = query.selectors.filter((selector) =>
+        selector.matchComponent(elementName, nodePath, filePath)
+      );
+      if (selectors.length === 0) {
+        return;
+      }
+
+      const elementProps = collectElementProps(openingElement, nodePath, code);
+      const { props, explicitProps, spreads } = elementProps;
+      const element = {
+        getValues: (propName) => getPropValues(elementProps, propName),
+        getStatus: (propName) =>
+          getPropStatus(propName, explicitProps, spreads),
+        hasOpaqueSpread: spreads.some((spread) => spread.opaque),
+      };
+
+      let queryStatus = null;
+      for (const selector of selectors) {
+        const outcome = selector.condition(element);
+        if (outcome === true) {
+          queryStatus = "match";
+          break;
+        }
+        if (outcome === null) {
+          queryStatus = "unknown";
+        }
+      }
+
+      if (!queryStatus || (queryStatus === "unknown" && options.definiteOnly)) {
+        return;
+      }
+
+      const result = {
+        filePath: path.relative(process.cwd(), filePath),
+        lineNumber: openingElement.loc.start.line,
+        range: toRange(nodePath.node),
+        elementName,
+        props: options.verbose
+          ? props
+          : Object.fromEntries(
+              query.referencedProps
+                .filter((propName) => propName in props)
+                .map((propName) => [propName, props[propName]])
+            ),
+        queryStatus,
+      };
+
+      if (queryStatus === "unknown") {
+        const unresolvedSpreads = getUnresolvedSpreads(elementProps);
+        if (unresolvedSpreads.length > 0) {
+          result.unresolvedSpreads = unresolvedSpreads;
+        }
+        result.message = `Component <${elementName}> may match the query depending on its spread attributes.`;
+      }
+
+      results.push(result);
+    }
+  );
+
+  return results;
+};
+
+/**
+ * Finds JSX elements matching a composable prop query. Each file is parsed
+ * once, however many predicates the query combines.
+ * @typedef {Object} FindQueryOptions
+ * @property {boolean} [verbose] - If true, returns all props of matching elements
+ * @property {boolean} [definiteOnly] - If true, drops elements whose match depends on
+ *   spread attributes that could not be resolved
+ * @property {boolean} [codeFrame] - If true, adds the source lines around each result
+ * @property {number} [contextLines=2] - Lines shown above and below in code frames
+ *
+ * @param {string} rootDir - The directory or file to search
+ * @param {string|import("./src/analysis/prop-query.js").QuerySelector|Array<import("./src/analysis/prop-query.js").QuerySelector>} query -
+ *   Selector string such as `Button[href]:not([rel])`, or the equivalent query object(s)
+ * @param {FindQueryOptions & ScanOptions} [options] - Additional analysis options
+ * @returns {Array<QueryResult>} - Matching elements
+ * @throws {PropQueryError} - If the query is malformed
+ */
+export const findPropQuery = (rootDir, query, options = {}) => {
+  const compiledQuery = compilePropQuery(query);
+
+  return addCodeFrames(
+    getFilesToAnalyze(rootDir, options).flatMap((filePath) =>
+      analyzeFileQuery(filePath, compiledQuery, options)
+    ),
+    options
+  );
+};
+
+/**
+ * Lists every prop a component is called with, with usage counts, files and
+ * the distribution of static values
+ * @typedef {Object} ListPropsOptions
+ * @property {number} [maxValues=20] - Maximum number of distinct values listed per prop
+ *
+ * @param {string} rootDir - The directory or file to search
+ * @param {string} componentName - The component to inventory: an exact name, a glob, a regex
+ *   or `<module>#<export>`, as for `findPropUsage`
+ * @param {ListPropsOptions & ScanOptions} [options] - Inventory options
+ * @returns {import("./src/analysis/prop-inventory.js").PropInventory}
+ */
+export const listProps = (rootDir, componentName, options = {}) => {
+  const matchComponent = createComponentMatcher(componentName);
+  const inventory = createPropInventory(componentName, options);
+
+  for (const filePath of getFilesToAnalyze(rootDir, options)) {
+    forEachJSXElement(
+      filePath,
+      options,
+      ({ nodePath, openingElement, elementName, code }) => {
+        if (!matchComponent(elementName, nodePath, filePath)) {
+          return;
+        }
+
+        const elementProps = collectElementProps(
+          openingElement,
+          nodePath,
+          code
+        );
+        inventory.addUsage(
+          path.relative(process.cwd(), filePath),
+          elementProps.props,
+          getUnresolvedSpreads(elementProps).length > 0
+        );
+      }
+    );
+  }
+
+  return inventory.build();
+};
+
+/**
+ * Counts every JSX element in a codebase by component, with the files using
+ * it, whether it is intrinsic or custom, and where custom components are imported from
+ * @typedef {Object} ComponentInventoryOptions
+ * @property {boolean} [customOnly] - If true, leaves out intrinsic elements such as `div`
+ *
+ * @param {string} rootDir - The directory or file to search
+ * @param {ComponentInventoryOptions & ScanOptions} [options] - Inventory options
+ * @returns {import("./src/analysis/component-inventory.js").ComponentInventory}
+ */
+export const getComponentInventory = (rootDir, options = {}) => {
+  const inventory = createComponentInventory(options);
+
+  for (const filePath of getFilesToAnalyze(rootDir, options)) {
+    const relativePath = path.relative(process.cwd(), filePath);
+    forEachJSXElement(filePath, options, ({ nodePath, elementName }) => {
+      inventory.addElement(elementName, nodePath, relativePath);
+    });
+  }
+
+  return inventory.build();
+};
+
+/**
+ * Component definition located in the codebase
+ * @typedef {import("./src/analysis/definition-extractor.js").ComponentDefinition & {filePath: string}} CatalogEntry
+ */
+
+/**
+ * Builds an API catalog of the components defined in a codebase: for every
+ * component, its props with type, required flag, default and description
+ * @typedef {Object} CatalogOptions
+ * @property {boolean} [exportedOnly] - If true, leaves out components that are not exported
+ *
+ * @param {string} rootDir - The directory or file to search
+ * @param {CatalogOptions & ScanOptions} [options] - Catalog options
+ * @returns {{componentCount: number, components: CatalogEntry[]}}
+ */
+export const getComponentCatalog = (rootDir, options = {}) => {
+  const components = [];
+
+  for (const filePath of getFilesToAnalyze(rootDir, options)) {
+    try {
+      const code = fs.readFileSync(filePath, "utf8");
+      const ast = parse(
+        code,
+        getParserConfig(options).getParserOptions(filePath, code)
+      );
+      const relativePath = path.relative(process.cwd(), filePath);
+
+      for (const definition of extractComponentDefinitions(ast, code)) {
+        if (!options.exportedOnly || definition.exported) {
+          components.push({ filePath: relativePath, ...definition });
+        }
+      }
+    } catch (error) {
+      console.warn(
+        `Warning: Could not parse file ${filePath}: ${error.message}`
+      );
+    }
+  }
+
+  return { componentCount: components.length, components };
+};
+
+/**
+ * Pairs every component usage in a codebase with the definition it refers to.
+ * Each file is parsed once for both definitions and usages, and definitions
+ * imported from outside rootDir through relative imports are read too.
+ * @param {string} rootDir - The directory or file to search
+ * @param {ScanOptions} [options] - Scan settings
+ * @returns {Array<import("./src/analysis/definition-index.js").ResolvedUsage>}
+ */
+const resolveComponentUsages = (rootDir, options) => {
+  const index = createDefinitionIndex();
+
+  for (const filePath of getFilesToAnalyze(rootDir, options)) {
+    const relativePath = path.relative(process.cwd(), filePath);
+    forEachJSXElement(
+      filePath,
+      options,
+      ({ nodePath, openingElement, elementName, code }) => {
+        index.addUsage(
+          relativePath,
+          nodePath,
+          elementName,
+          collectElementProps(openingElement, nodePath, code)
+        );
+      },
+      (ast, code) =>
+        index.addDefinitions(
+          relativePath,
+          extractComponentDefinitions(ast, code)
+        )
+    );
+  }
+
+  for (const moduleId of index.getMissingModules()) {
+    const filePath = findModuleFile(moduleId);
+    if (!filePath) {
+      continue;
+    }
+    try {
+      const code = fs.readFileSync(filePath, "utf8");
+      index.addDefinitions(
+        path.relative(process.cwd(), filePath),
+        extractComponentDefinitions(
+          parse(
+            code,
+            getParserConfig(options).getParserOptions(filePath, code)
+          ),
+          code
+        )
+      );
+    } catch (error) {
+      console.warn(
+        `Warning: Could not parse file ${filePath}: ${error.message}`
+      );
+    }
+  }
+
+  return index.getResolvedUsages();
+};
+
+/**
+ * Finds every usage of the components defined in a codebase that omits a
+ * prop its definition requires: a required member of its TypeScript props
+ * type, a `propTypes` entry with `.isRequired` or a non-optional JSDoc property
+ * @typedef {Object} RequiredPropsOptions
+ * @property {boolean} [verbose] - If true, returns all props of reported elements
+ * @property {boolean} [definiteOnly] - If true, ignores required props that unresolved
+ *   spread attributes may set
+ * @property {boolean} [codeFrame] - If true, adds the source lines around each result
+ * @property {number} [contextLines=2] - Lines shown above and below in code frames
+ *
+ * @param {string} rootDir - The directory or file to search
+ * @param {RequiredPropsOptions & ScanOptions} [options] - Check options
+ * @returns {Array<import("./src/analysis/required-props.js").RequiredPropsResult>}
+ */
+export const findMissingRequiredProps = (rootDir, options = {}) =>
+  addCodeFrames(
+    checkRequiredProps(resolveComponentUsages(rootDir, options), options),
+    options
+  );
+
+/**
+ * Finds every prop given a statically known value outside the set its
+ * component declares, from a literal union type (`"small" | "large"` in
+ * TypeScript or JSDoc) or `PropTypes.oneOf([...])`
+ * @typedef {Object} InvalidValuesOptions
+ * @property {boolean} [verbose] - If true, returns all props of reported elements
+ * @property {boolean} [codeFrame] - If true, adds the source lines around each result
+ * @property {number} [contextLines=2] - Lines shown above and below in code frames
+ *
+ * @param {string} rootDir - The directory or file to search
+ * @param {InvalidValuesOptions & ScanOptions} [options] - Check options
+ * @returns {Array<import("./src/analysis/value-validation.js").InvalidValueResult>}
+ */
+export const findInvalidPropValues = (rootDir, options = {}) =>
+  addCodeFrames(
+    checkAllowedValues(resolveComponentUsages(rootDir, options), options),
+    options
+  );
+
+/**
+ * File changed by a codemod
+ * @typedef {Object} CodemodFileChange
+ * @property {string} filePath - Path of the file, relative to the working directory
+ * @property {number[]} lineNumbers - Lines of the changed elements
+ * @property {string} diff - Unified diff of the change
+ */
+
+/**
+ * Element a codemod refused to change
+ * @typedef {Object} CodemodSkip
+ * @property {string} filePath - Path of the file, relative to the working directory
+ * @property {number} lineNumber - Line of the element's opening tag
+ * @property {string} elementName - Tag name of the element
+ * @property {string} reason - Why the element was left alone
+ * @property {string[]} [unresolvedSpreads] - Source of spread attributes that could not be resolved
+ */
+
+/**
+ * Outcome of a prop rename
+ * @typedef {Object} RenamePropResult
+ * @property {string} component - Component query
+ * @property {string} from - Previous prop name
+ * @property {string} to - New prop name
+ * @property {boolean} dryRun - Whether files were left unchanged
+ * @property {number} renamedCount - Number of elements renamed (or to rename in dry-run mode)
+ * @property {CodemodFileChange[]} files - Changed files with their diffs
+ * @property {CodemodSkip[]} skipped - Elements left alone because the rename would be ambiguous
+ */
+
+/**
+ * Renames a prop on every usage of a component. Only the attribute names are
+ * rewritten, so formatting and values are kept; usages whose spread
+ * attributes make the rename ambiguous are skipped and reported instead.
+ * @typedef {Object} RenamePropOptions
+ * @property {boolean} [dryRun] - If true, computes the diffs without writing files
+ *
+ * @param {string} rootDir - The directory or file to rewrite
+ * @param {string} componentName - The component whose prop is renamed: an exact name, a glob,
+ *   a regex or `<module>#<export>`, as for `findPropUsage`
+ * @param {string} fromProp - Current prop name
+ * @param {string} toProp - New prop name
+ * @param {RenamePropOptions & ScanOptions} [options] - Codemod options
+ * @returns {RenamePropResult}
+ * @throws {InputSanitizationError} - If a prop name is not a valid JSX attribute name
+ */
+export const renameProp = (
+  rootDir,
+  componentName,
+  fromProp,
+  toProp,
+  options = {}
+) => {
+  const from = sanitizePropName(fromProp);
+  const to = sanitizePropName(toProp);
+  const matchComponent = createComponentMatcher(componentName);
+  const result = {
+    component: componentName,
+    from,
+    to,
+    dryRun: Boolean(options.dryRun),
+    renamedCount: 0,
+    files: [],
+    skipped: [],
+  };
+
+  for (const filePath of getFilesToAnalyze(rootDir, options)) {
+    const relativePath = path.relative(process.cwd(), filePath);
+    const edits = [];
+    const lineNumbers = [];
+    let source = null;
+
+    forEachJSXElement(
+      filePath,
+      options,
+      ({ nodePath, openingElement, elementName, code }) => {
+        if (!matchComponent(elementName, nodePath, filePath)) {
+          return;
+        }
+        source = code;
+
+        const { spreads } = collectElementProps(openingElement, nodePath, code);
+        const plan = planPropRename(openingElement, spreads, from, to);
+        const lineNumber = openingElement.loc.start.line;
+
+        if (plan.skipReason) {
+          const skip = {
+            filePath: relativePath,
+            lineNumber,
+            elementName,
+            reason: plan.skipReason,
+          };
+          if (plan.unresolvedSpreads.length > 0) {
+            skip.unresolvedSpreads = plan.unresolvedSpreads;
+          }
+          result.skipped.push(skip);
+        } else if (plan.edits.length > 0) {
+          edits.push(...plan.edits);
+          lineNumbers.push(lineNumber);
+        }
+      }
+    );
+
+    if (edits.length === 0) {
+      continue;
+    }
+
+    if (!result.dryRun) {
+      fs.writeFileSync(filePath, applyEdits(source, edits));
+    }
+    result.renamedCount += lineNumbers.length;
+    result.files.push({
+      filePath: relativePath,
+      lineNumbers,
+      diff: createUnifiedDiff(relativePath, source, edits),
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Outcome of a missing-prop fix
+ * @typedef {Object} InsertPropResult
+ * @property {string} component - Component query
+ * @property {string} prop - Inserted prop name
+ * @property {boolean} dryRun - Whether files were left unchanged
+ * @property {number} insertedCount - Number of elements fixed (or to fix in dry-run mode)
+ * @property {CodemodFileChange[]} files - Changed files with their diffs
+ * @property {CodemodSkip[]} skipped - Elements missing the prop that were left alone
+ */
+
+/**
+ * Checks a value to insert as a prop
+ * @param {*} value - Value from the caller or a defaults config
+ * @returns {string|number|boolean}
+ * @throws {InputSanitizationError} - If the value is not a safe string, number or boolean
+ */
+const validateInsertValue = (value) => {
+  if (!["string", "number", "boolean"].includes(typeof value)) {
+    throw new InputSanitizationError(
+      "Inserted prop values must be strings, numbers or booleans",
+      "INVALID_TYPE",
+      "propValue",
+      value
+    );
+  }
+  return sanitizePropValue(value);
+};
+
+/**
+ * Inserts a prop on every usage of a component that is definitely missing
+ * it, the fix for `--find-missing` results. Only the new attribute is
+ * written; usages whose spread attributes may already pass the prop are
+ * skipped and reported instead.
+ * @typedef {Object} InsertPropOptions
+ * @property {string|number|boolean} [value] - Value to insert on every usage
+ * @property {Object<string, Object<string, string|number|boolean>>} [defaults] - Values by
+ *   component query, then prop name, used when `value` is not given, e.g.
+ *   `{"Button": {"type": "button"}}`; the first matching query applies
+ * @property {boolean} [dryRun] - If true, computes the diffs without writing files
+ *
+ * @param {string} rootDir - The directory or file to rewrite
+ * @param {string} componentName - The component to fix: an exact name, a glob, a regex or
+ *   `<module>#<export>`, as for `findPropUsage`
+ * @param {string} propName - Prop to insert
+ * @param {InsertPropOptions & ScanOptions} [options] - Codemod options
+ * @returns {InsertPropResult}
+ * @throws {InputSanitizationError} - If the prop name or a value is invalid
+ */
+export const insertMissingProp = (
+  rootDir,
+  componentName,
+  propName,
+  options = {}
+) => {
+  const prop = sanitizePropName(propName);
+  const value =
+    options.value === undefined || options.value === null
+      ? null
+      : validateInsertValue(options.value);
+  const defaults = Object.entries(options.defaults || {})
+    .filter(([, props]) => props && prop in props)
+    .map(([query, props]) => ({
+      matchComponent: createComponentMatcher(query),
+      value: validateInsertValue(props[prop]),
+    }));
+  const matchComponent = createComponentMatcher(componentName);
+  const result = {
+    component: componentName,
+    prop,
+    dryRun: Boolean(options.dryRun),
+    insertedCount: 0,
+    files: [],
+    skipped: [],
+  };
+
+  for (const filePath of getFilesToAnalyze(rootDir, options)) {
+    const relativePath = path.relative(process.cwd(), filePath);
+    const edits = [];
+    const lineNumbers = [];
+    let source = null;
+
+    forEachJSXElement(
+      filePath,
+      options,
+      ({ nodePath, openingElement, elementName, code }) => {
+        if (!matchComponent(elementName, nodePath, filePath)) {
+          return;
+        }
+        source = code;
+
+        const elementProps = collectElementProps(
+          openingElement,
+          nodePath,
+          code
+        );
+        const lineNumber = openingElement.loc.start.line;
+        const configured = defaults.find((entry) =>
+          entry.matchComponent(elementName, nodePath, filePath)
+        );
+        const elementValue =
+          value !== null ? value : configured ? configured.value : null;
+
+        const plan = planPropInsertion(
+          openingElement,
+          elementProps,
+          prop,
+          elementValue === null ? "" : elementValue,
+          code
+        );
+        if (plan.edits.length > 0 && elementValue === null) {
+          plan.edits = [];
+          plan.skipReason = `no value given for '${prop}' and no default configured for <${elementName}>`;
+        }
+
+        if (plan.skipReason) {
+          const skip = {
+            filePath: relativePath,
+            lineNumber,
+            elementName,
+            reason: plan.skipReason,
+          };
+          if (plan.unresolvedSpreads.length > 0) {
+            skip.unresolvedSpreads = plan.unresolvedSpreads;
+          }
+          result.skipped.push(skip);
+        } else if (plan.edits.length > 0) {
+          edits.push(...plan.edits);
+          lineNumbers.push(lineNumber);
+        }
+      }
+    );
+
+    if (edits.length === 0) {
+      continue;
+    }
+
+    if (!result.dryRun) {
+      fs.writeFileSync(filePath, applyEdits(source, edits));
+    }
+    result.insertedCount += lineNumbers.length;
+    result.files.push({
+      filePath: relativePath,
+      lineNumbers,
+      diff: createUnifiedDiff(relativePath, source, edits),
+    });
+  }
+
+  return result;
+};
+
+// Recipes kept in JSON or JS files are read with this before `migrateComponents`
+export { loadMigrationRecipe };
+
+/**
+ * Element a migration changed (or would change in dry-run mode)
+ * @typedef {Object} MigrationSite
+ * @property {string} filePath - Path of the file, relative to the working directory
+ * @property {number} lineNumber - Line of the element's opening tag
+ * @property {string} elementName - Tag name of the element before the migration
+ * @property {string} component - Component query of the migration applied
+ * @property {string[]} changes - Description of each change, e.g. `kind → variant`
+ */
+
+/**
+ * Outcome of a migration recipe
+ * @typedef {Object} MigrationResult
+ * @property {string|null} recipe - Recipe name
+ * @property {boolean} dryRun - Whether files were left unchanged
+ * @property {number} migratedCount - Number of elements migrated (or to migrate in dry-run mode)
+ * @property {CodemodFileChange[]} files - Changed files with their diffs
+ * @property {MigrationSite[]} applied - Migrated elements
+ * @property {Array<CodemodSkip & {component: string}>} skipped - Matched elements left alone
+ * @property {Array<{component: string, applied: number, skipped: number}>} summary - Counts per
+ *   migration, in recipe order
+ */
+
+/**
+ * Applies a migration recipe to every usage of the components it names:
+ * element renames, prop renames, value mappings, prop removals and import
+ * rewrites. Elements that cannot be migrated safely are skipped as a whole
+ * and reported. Running a recipe again on migrated code changes nothing.
+ * @typedef {Object} MigrationOptions
+ * @property {boolean} [dryRun] - If true, computes the diffs without writing files
+ *
+ * @param {string} rootDir - The directory or file to rewrite
+ * @param {Object|Object[]} recipe - Migration recipe, see src/codemod/migration-recipe.js
+ * @param {MigrationOptions & ScanOptions} [options] - Codemod options
+ * @returns {MigrationResult}
+ * @throws {MigrationRecipeError} - If the recipe is malformed
+ */
+export const migrateComponents = (rootDir, recipe, options = {}) => {
+  const { name, migrations } = compileMigrationRecipe(recipe);
+  const result = {
+    recipe: name,
+    dryRun: Boolean(options.dryRun),
+    migratedCount: 0,
+    files: [],
+    applied: [],
+    skipped: [],
+    summary: migrations.map((migration) => ({
+      component: migration.component,
+      applied: 0,
+      skipped: 0,
+    })),
+  };
+
+  for (const filePath of getFilesToAnalyze(rootDir, options)) {
+    const relativePath = path.relative(process.cwd(), filePath);
+    const elements = [];
+    let source = null;
+    let program = null;
+
+    forEachJSXElement(
+      filePath,
+      options,
+      ({ nodePath, openingElement, elementName, code }) => {
+        const migration = migrations.find((candidate) =>
+          candidate.matchComponent(elementName, nodePath, filePath)
+        );
+        if (!migration) {
+          return;
+        }
+        source = code;
+        elements.push({
+          nodePath,
+          elementName,
+          migration,
+          plan: planElementMigration(
+            nodePath.node,
+            elementName,
+            collectElementProps(openingElement, nodePath, code),
+            migration,
+            code
+          ),
+        });
+      },
+      (ast) => {
+        program = ast.program;
+      }
+    );
+
+    if (elements.length === 0) {
+      continue;
+    }
+
+    const edits = planFileMigration(elements, program, source, filePath);
+    const lineNumbers = [];
+    for (const { nodePath, elementName, migration, plan } of elements) {
+      const lineNumber = nodePath.node.openingElement.loc.start.line;
+      const counts = result.summary[migrations.indexOf(migration)];
+      if (plan.skipReasons.length > 0) {
+        const skip = {
+          filePath: relativePath,
+          lineNumber,
+          elementName,
+          component: migration.component,
+          reason: plan.skipReasons.join("; "),
+        };
+        if (plan.unresolvedSpreads.length > 0) {
+          skip.unresolvedSpreads = [...new Set(plan.unresolvedSpreads)];
+        }
+        result.skipped.push(skip);
+        counts.skipped++;
+      } else if (plan.changes.length > 0) {
+        result.applied.push({
+          filePath: relativePath,
+          lineNumber,
+          elementName,
+          component: migration.component,
+          changes: plan.changes,
+        });
+        lineNumbers.push(lineNumber);
+        counts.applied++;
+      }
+    }
+
+    if (edits.length === 0) {
+      continue;
+    }
+
+    if (!result.dryRun) {
+      fs.writeFileSync(filePath, applyEdits(source, edits));
+    }
+    result.migratedCount += lineNumbers.length;
+    result.files.push({
+      filePath: relativePath,
+      lineNumbers,
+      diff: createUnifiedDiff(relativePath, source, edits),
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Formats a typed prop value for console output, e.g. `"primary" (string)`
+ * or `{large ? 3 : 2} (unknown) → 3 | 2`
+ * @param {import("./src/analysis/prop-value.js").PropValue} propValue - Typed prop value
+ * @returns {string}
+ */
+const formatPropValue = (propValue) => {
+  let text;
+  if (propValue.kind === "string") {
+    text = JSON.stringify(propValue.value);
+  } else if (propValue.kind === "number" || propValue.kind === "boolean") {
+    text = String(propValue.value);
+  } else {
+    text =
+      propValue.raw ||
+      (propValue.value === null ? "?" : String(propValue.value));
+  }
+
+  text += ` (${propValue.kind})`;
+  if (propValue.candidates) {
+    text += ` → ${propValue.candidates
+      .map((candidate) => JSON.stringify(candidate))
+      .join(" | ")}`;
+  }
+  return text;
+};
+
+/**
+ * Displays one result in the console
+ * @param {AnalysisResult|QueryResult} result - Result to display
+ * @param {number} index - Position of the result
+ */
+const displayResult = (result, index) => {
+  const location = result.range
+    ? `${result.lineNumber}:${result.range.start.column + 1}`
+    : result.lineNumber;
+  console.log(`\n[${index + 1}] ${result.filePath}:${location}`);
+  if (result.props) {
+    const entries = Object.entries(result.props);
+    console.log(entries.length > 0 ? "  Props:" : "  Props: (none)");
+    entries.forEach(([propName, propValue]) => {
+      console.log(`    ${propName}: ${formatPropValue(propValue)}`);
+    });
+  }
+  if (result.message) {
+    console.log(`  Note: ${result.message}`);
+  }
+  if (result.codeFrame) {
+    console.log(
+      result.codeFrame
+        .split("\n")
+        .map((line) => `  ${line}`)
+        .join("\n")
+    );
+  }
+};
+
+/**
+ * Displays the analysis results in the console.
+ * @param {Array<AnalysisResult|QueryResult|import("./src/analysis/required-props.js").RequiredPropsResult|import("./src/analysis/value-validation.js").InvalidValueResult>} results -
+ *   Analysis results to display
+ */
+export const displayResults = (results) => {
   if (!results || results.length === 0) {
     console.log("No results to display.");
     return;
   }
 
   console.log("\n--- JSX Prop Analysis Results ---");
-  results.forEach((result, index) => {
-    console.log(`\n[${index + 1}] ${result.filePath}:${result.lineNumber}`);
-    if (result.props) {
-      console.log("  Props:", JSON.stringify(result.props, null, 2));
+  results.forEach(displayResult);
+  console.log("\n---------------------------------");
+};
+
+/**
+ * Displays results in the console as they arrive, e.g. from `streamPropUsage`
+ * @param {AsyncIterable<AnalysisResult|QueryResult>} results - Results to display
+ * @returns {Promise<number>} - Number of results displayed
+ */
+export const displayResultStream = async (results) => {
+  let count = 0;
+  for await (const result of results) {
+    if (count === 0) {
+      console.log("\n--- JSX Prop Analysis Results ---");
+    }
+    displayResult(result, count++);
+  }
+  if (count > 0) {
+    console.log("\n---------------------------------");
+  }
+  return count;
+};
+
+/**
+ * Displays the changes of a watched analysis in the console
+ * @param {WatchUpdate} update - Update to display
+ */
+export const displayWatchUpdate = (update) => {
+  const { changedFiles, added, resolved, results } = update;
+  const time = new Date().toLocaleTimeString();
+  console.log(
+    `\n[${time}] ${changedFiles.length} file(s) changed: ` +
+      `${added.length} new, ${resolved.length} resolved, ${results.length} remaining`
+  );
+
+  if (added.length > 0) {
+    console.log("\n--- New ---");
+    added.forEach(displayResult);
+  }
+  if (resolved.length > 0) {
+    console.log("\n--- Resolved ---");
+    resolved.forEach((result, index) => {
+      console.log(
+        `\n[${index + 1}] ${result.filePath}:${result.lineNumber}:${
+          result.range.start.column + 1
+        } <${result.elementName}>`
+      );
+    });
+  }
+};
+
+/**
+ * Displays a prop inventory in the console.
+ * @param {import("./src/analysis/prop-inventory.js").PropInventory} inventory - Inventory to display
+ */
+export const displayPropInventory = (inventory) => {
+  console.log(`\n--- Prop Inventory: ${inventory.component} ---`);
+  console.log(
+    `${inventory.totalUsages} usages in ${inventory.fileCount} files` +
+      (inventory.usagesWithUnresolvedSpreads > 0
+        ? ` (${inventory.usagesWithUnresolvedSpreads} with unresolved spreads)`
+        : "")
+  );
+
+  inventory.props.forEach((prop) => {
+    console.log(
+      `\n${prop.name}: ${prop.count} usages in ${prop.fileCount} files`
+    );
+    console.log(
+      `  Kinds: ${Object.entries(prop.kinds)
+        .map(([kind, count]) => `${kind} ${count}`)
+        .join(", ")}`
+    );
+    if (prop.values.length > 0) {
+      const hidden = prop.distinctValueCount - prop.values.length;
+      console.log(
+        `  Values: ${prop.values
+          .map(({ value, count }) => `${JSON.stringify(value)} ×${count}`)
+          .join(", ")}${hidden > 0 ? ` (+${hidden} more)` : ""}`
+      );
+    }
+    if (prop.dynamicCount > 0) {
+      console.log(`  Dynamic: ${prop.dynamicCount}`);
+    }
+  });
+  console.log("\n---------------------------------");
+};
+
+/**
+ * Displays a component inventory in the console.
+ * @param {import("./src/analysis/component-inventory.js").ComponentInventory} inventory - Inventory to display
+ */
+export const displayComponentInventory = (inventory) => {
+  console.log("\n--- Component Inventory ---");
+  console.log(
+    `${inventory.totalElements} elements, ${inventory.componentCount} components in ${inventory.fileCount} files`
+  );
+
+  inventory.components.forEach((component) => {
+    console.log(
+      `\n${component.name} (${component.type}): ${component.usages} usages in ${component.fileCount} files`
+    );
+    if (component.importSources && component.importSources.length > 0) {
+      console.log(
+        `  Imported from: ${component.importSources
+          .map(
+            ({ source, exportName, usages }) =>
+              `${source}#${exportName} ×${usages}`
+          )
+          .join(", ")}`
+      );
+    }
+    if (component.origins && component.origins.local > 0) {
+      console.log(`  Local: ${component.origins.local}`);
     }
-    if (result.message) {
-      console.log(`  Note: ${result.message}`);
+    if (component.origins && component.origins.unbound > 0) {
+      console.log(`  Unbound: ${component.origins.unbound}`);
     }
   });
   console.log("\n---------------------------------");
 };
+
+/**
+ * Displays a component catalog in the console.
+ * @param {{componentCount: number, components: CatalogEntry[]}} catalog - Catalog to display
+ */
+export const displayComponentCatalog = (catalog) => {
+  console.log("\n--- Component Catalog ---");
+  catalog.components.forEach((component) => {
+    console.log(
+      `\n${component.name} (${component.filePath}:${component.line})${
+        component.exported ? "" : " [not exported]"
+      }`
+    );
+    component.props.forEach((prop) => {
+      let line = `  ${prop.name}${prop.required ? "" : "?"}`;
+      if (prop.type) {
+        line += `: ${prop.type}`;
+      }
+      if (prop.default !== null) {
+        line += ` = ${prop.default}`;
+      }
+      if (prop.description) {
+        line += ` - ${prop.description}`;
+      }
+      console.log(line);
+    });
+    if (component.acceptsRestProps) {
+      console.log("  ...rest");
+    }
+  });
+  console.log("\n---------------------------------");
+};
+
+/**
+ * Displays the outcome of a codemod in the console: the diffs in dry-run
+ * mode, then a summary and the elements left alone.
+ * @param {{dryRun: boolean, files: CodemodFileChange[], skipped: CodemodSkip[]}} result - Codemod outcome
+ */
+export const displayCodemodResult = (result) => {
+  if (result.dryRun) {
+    result.files.forEach((file) => process.stdout.write(file.diff));
+  }
+
+  const elementCount = result.files.reduce(
+    (count, file) => count + file.lineNumbers.length,
+    0
+  );
+  console.log(
+    `\n${
+      result.dryRun ? "Would change" : "Changed"
+    } ${elementCount} elements in ${result.files.length} files.`
+  );
+
+  if (result.skipped.length > 0) {
+    console.log(`\nSkipped ${result.skipped.length} elements:`);
+    result.skipped.forEach((skip) => {
+      console.log(
+        `  ${skip.filePath}:${skip.lineNumber} <${skip.elementName}> - ${skip.reason}`
+      );
+    });
+  }
+};
+
+/**
+ * Displays the outcome of a migration: diffs in dry-run mode, changed and
+ * skipped elements, and counts per migration
+ * @param {MigrationResult} result - Result of `migrateComponents`
+ */
+export const displayMigrationResult = (result) => {
+  if (result.recipe) {
+    console.log(`Migration: ${result.recipe}`);
+  }
+  displayCodemodResult(result);
+
+  console.log("\nBy migration:");
+  result.summary.forEach((counts) => {
+    console.log(
+      `  ${counts.component}: ${counts.applied} ${
+        result.dryRun ? "to migrate" : "migrated"
+      }, ${counts.skipped} skipped`
+    );
+  });
+};
+
+/**
+ * Displays the results of a batch, query by query
+ * @param {Array<BatchResult>} batchResults - Result of `findPropUsageBatch`
+ */
+export const displayBatchResults = (batchResults) => {
+  batchResults.forEach(({ query, results }) => {
+    const value = query.value === null ? "" : ` ${JSON.stringify(query.value)}`;
+    console.log(
+      `\n=== ${query.name}: ${query.component} ${query.prop} (${query.mode}${value}) - ${results.length} result(s) ===`
+    );
+    if (results.length > 0) {
+      displayResults(results);
+    } else {
+      console.log("No matching components found.");
+    }
+  });
+};
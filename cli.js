@@ -1,12 +1,38 @@
 #!/usr/bin/env node
 
+import fs from "fs";
 import yargs from "yargs";
 import { hideBin } from "yargs/helpers";
 /**
  * Import functions for analyzing JSX prop usage and displaying results
  * @module analyzer
  */
-import { findPropUsage, displayResults } from "./analyzer.js";
+import {
+  findPropUsageParallel,
+  streamPropUsage,
+  watchPropUsage,
+  findPropUsageBatch,
+  loadBatchQueries,
+  findPropQuery,
+  listProps,
+  getComponentInventory,
+  getComponentCatalog,
+  findMissingRequiredProps,
+  findInvalidPropValues,
+  renameProp,
+  insertMissingProp,
+  loadMigrationRecipe,
+  migrateComponents,
+  displayResults,
+  displayResultStream,
+  displayWatchUpdate,
+  displayPropInventory,
+  displayComponentInventory,
+  displayComponentCatalog,
+  displayCodemodResult,
+  displayMigrationResult,
+  displayBatchResults,
+} from "./analyzer.js";
 
 /**
  * CLI interface for JSX prop analysis tool
@@ -15,14 +41,45 @@ import { findPropUsage, displayResults } from "./analyzer.js";
  * @property {boolean} [findMissing=false] - Find components missing the specified prop
  * @property {boolean} [verbose=false] - Include all props of matching components
  * @property {boolean} [includes=false] - Check if prop value includes the specified string
+ * @property {boolean} [regex=false] - Treat the prop value as a regular expression
+ * @property {boolean} [codeFrame=false] - Add the source lines around each result
+ * @property {number} [contextLines=2] - Lines shown above and below in code frames
+ * @property {string[]} [include] - Globs of the files to analyze, relative to rootDir
+ * @property {string[]} [exclude] - Globs of the files to leave out, relative to rootDir
+ * @property {string[]} [extensions] - File extensions to scan
+ * @property {Object<string, string>} [parserProfiles] - Parser profile by extension
+ * @property {boolean} [flow=true] - Parse files with an `@flow` pragma with Flow syntax
+ * @property {string} [changedSince] - Only analyze files changed since this git ref
+ * @property {boolean} [changedLinesOnly=false] - Only report results on changed lines
  *
  * @typedef {Object} ComponentAnalysisResult - Result of component analysis
  * @property {string} filePath - Path to the file containing the component
  * @property {string} componentName - Name of the component
- * @property {Object} props - Props of the component
+ * @property {Object} props - Props of the component as typed values ({kind, value, raw, range, candidates?})
  * @property {Object} [matchedProp] - Details of the matched prop
  */
 
+/**
+ * Collects the options selecting the files every command reads
+ * @param {Object} argv - Command line arguments
+ * @returns {import("./analyzer.js").ScanOptions}
+ */
+const getScanOptions = ({
+  include,
+  exclude,
+  extensions,
+  parserProfile,
+  flow,
+  since,
+}) => ({
+  include,
+  exclude,
+  extensions,
+  parserProfiles: parserProfile,
+  flow,
+  changedSince: since,
+});
+
 /**
  * Main command execution with enhanced type definitions
  * @param {Object} argv - Command line arguments
@@ -33,9 +90,559 @@ import { findPropUsage, displayResults } from "./analyzer.js";
  * @param {boolean} [argv.findMissing=false] - Find components missing the specified prop
  * @param {boolean} [argv.verbose=false] - Include all props of matching components
  * @param {boolean} [argv.includes=false] - Check if prop value includes the specified string
+ * @param {boolean} [argv.regex=false] - Treat the prop value as a regular expression
  * @typedef {AnalysisOptions} argv.AnalysisOptions - Analysis configuration options
  */
 yargs(hideBin(process.argv))
+  .option("include", {
+    type: "string",
+    array: true,
+    description:
+      "Only analyze files matching these globs, relative to rootDir (e.g. 'src/**/*.tsx'); '!glob' excludes",
+  })
+  .option("exclude", {
+    type: "string",
+    array: true,
+    description:
+      "Leave out files matching these globs, relative to rootDir (e.g. '**/*.stories.tsx')",
+  })
+  .option("extensions", {
+    type: "string",
+    array: true,
+    description:
+      "File extensions to scan (default .js .jsx .mjs .cjs .ts .mts .cts .tsx)",
+  })
+  .option("parser-profile", {
+    type: "string",
+    array: true,
+    description:
+      "Parser profile of an extension as ext=profile, where profile is typescript, tsx, jsx or flow (e.g. .js=flow)",
+    coerce: (entries) =>
+      Object.fromEntries(
+        entries.map((entry) => {
+          const separator = entry.indexOf("=");
+          if (separator <= 0) {
+            throw new Error(
+              `Invalid --parser-profile ${entry}: expected ext=profile`
+            );
+          }
+          return [entry.slice(0, separator), entry.slice(separator + 1)];
+        })
+      ),
+  })
+  .option("flow", {
+    type: "boolean",
+    description:
+      "Parse JavaScript files starting with an @flow comment with Flow syntax (disable with --no-flow)",
+    default: true,
+  })
+  .option("since", {
+    type: "string",
+    description:
+      "Only analyze files changed since this git ref (e.g. origin/main), and untracked files",
+  })
+  .command(
+    "query <rootDir> <query>",
+    "Find JSX elements matching a composable prop query",
+    (yargs) => {
+      return yargs
+        .positional("rootDir", {
+          describe: "Root directory or file to scan",
+          type: "string",
+        })
+        .positional("query", {
+          describe:
+            "Selector such as 'Button[href]:not([rel])' (supports [prop], [prop=\"v\"], *=, ^=, $=, =/regex/, :not(), :is() and comma-separated alternatives)",
+          type: "string",
+        })
+        .option("json", {
+          type: "boolean",
+          description: "Parse the query as a JSON query object instead",
+          default: false,
+        })
+        .option("verbose", {
+          alias: "v",
+          type: "boolean",
+          description: "Include all props of matching components in the output",
+          default: false,
+        })
+        .option("definite-only", {
+          alias: "d",
+          type: "boolean",
+          description:
+            "Skip elements whose match depends on unresolved spread attributes",
+          default: false,
+        })
+        .option("code-frame", {
+          alias: "c",
+          type: "boolean",
+          description: "Show the source lines around each result",
+          default: false,
+        })
+        .option("context", {
+          type: "number",
+          description: "Lines shown above and below in code frames",
+          default: 2,
+        })
+        .implies("context", "code-frame");
+    },
+    (argv) => {
+      const {
+        rootDir,
+        query,
+        json,
+        verbose,
+        definiteOnly,
+        codeFrame,
+        context,
+      } = argv;
+
+      console.log(`Querying ${rootDir} for ${query}...`);
+
+      const results = findPropQuery(rootDir, json ? JSON.parse(query) : query, {
+        verbose,
+        definiteOnly,
+        codeFrame,
+        contextLines: context,
+        ...getScanOptions(argv),
+      });
+
+      if (results.length > 0) {
+        displayResults(results);
+      } else {
+        console.log("No matching components found.");
+      }
+    }
+  )
+  .command(
+    "list-props <rootDir> <componentName>",
+    "List every prop a component is called with",
+    (yargs) => {
+      return yargs
+        .positional("rootDir", {
+          describe: "Root directory or file to scan",
+          type: "string",
+        })
+        .positional("componentName", {
+          describe:
+            "JSX component to inventory: exact name, glob, /regex/ or <module>#<export>",
+          type: "string",
+        })
+        .option("max-values", {
+          type: "number",
+          description: "Maximum number of distinct values listed per prop",
+          default: 20,
+        })
+        .option("json", {
+          type: "boolean",
+          description: "Print the inventory as JSON",
+          default: false,
+        });
+    },
+    (argv) => {
+      const { rootDir, componentName, maxValues, json } = argv;
+
+      const inventory = listProps(rootDir, componentName, {
+        maxValues,
+        ...getScanOptions(argv),
+      });
+
+      if (json) {
+        console.log(JSON.stringify(inventory, null, 2));
+      } else if (inventory.totalUsages > 0) {
+        displayPropInventory(inventory);
+      } else {
+        console.log("No matching components found.");
+      }
+    }
+  )
+  .command(
+    "inventory <rootDir>",
+    "Count every component used in a codebase and where it is imported from",
+    (yargs) => {
+      return yargs
+        .positional("rootDir", {
+          describe: "Root directory or file to scan",
+          type: "string",
+        })
+        .option("custom-only", {
+          alias: "c",
+          type: "boolean",
+          description: "Leave out intrinsic elements such as div or span",
+          default: false,
+        })
+        .option("json", {
+          type: "boolean",
+          description: "Print the inventory as JSON",
+          default: false,
+        })
+        .option("output", {
+          alias: "o",
+          type: "string",
+          description: "Write the inventory as JSON to this file",
+        });
+    },
+    (argv) => {
+      const { rootDir, customOnly, json, output } = argv;
+
+      const inventory = getComponentInventory(rootDir, {
+        customOnly,
+        ...getScanOptions(argv),
+      });
+
+      if (output) {
+        fs.writeFileSync(output, `${JSON.stringify(inventory, null, 2)}\n`);
+        console.log(
+          `Wrote ${inventory.componentCount} components to ${output}`
+        );
+      } else if (json) {
+        console.log(JSON.stringify(inventory, null, 2));
+      } else if (inventory.totalElements > 0) {
+        displayComponentInventory(inventory);
+      } else {
+        console.log("No JSX elements found.");
+      }
+    }
+  )
+  .command(
+    "catalog <rootDir>",
+    "Extract the props each component declares into an API catalog",
+    (yargs) => {
+      return yargs
+        .positional("rootDir", {
+          describe: "Root directory or file to scan",
+          type: "string",
+        })
+        .option("exported-only", {
+          alias: "e",
+          type: "boolean",
+          description: "Only list components exported from their module",
+          default: false,
+        })
+        .option("json", {
+          type: "boolean",
+          description: "Print the catalog as JSON",
+          default: false,
+        })
+        .option("output", {
+          alias: "o",
+          type: "string",
+          description: "Write the catalog as JSON to this file",
+        });
+    },
+    (argv) => {
+      const { rootDir, exportedOnly, json, output } = argv;
+
+      const catalog = getComponentCatalog(rootDir, {
+        exportedOnly,
+        ...getScanOptions(argv),
+      });
+
+      if (output) {
+        fs.writeFileSync(output, `${JSON.stringify(catalog, null, 2)}\n`);
+        console.log(`Wrote ${catalog.componentCount} components to ${output}`);
+      } else if (json) {
+        console.log(JSON.stringify(catalog, null, 2));
+      } else if (catalog.componentCount > 0) {
+        displayComponentCatalog(catalog);
+      } else {
+        console.log("No component definitions found.");
+      }
+    }
+  )
+  .command(
+    "check-required <rootDir>",
+    "Find usages missing props their component definitions require",
+    (yargs) => {
+      return yargs
+        .positional("rootDir", {
+          describe: "Root directory or file to scan",
+          type: "string",
+        })
+        .option("verbose", {
+          alias: "v",
+          type: "boolean",
+          description: "Include all props of reported components in the output",
+          default: false,
+        })
+        .option("definite-only", {
+          alias: "d",
+          type: "boolean",
+          description:
+            "Ignore required props that unresolved spread attributes may set",
+          default: false,
+        })
+        .option("json", {
+          type: "boolean",
+          description: "Print the results as JSON",
+          default: false,
+        })
+        .option("code-frame", {
+          alias: "c",
+          type: "boolean",
+          description: "Show the source lines around each result",
+          default: false,
+        })
+        .option("context", {
+          type: "number",
+          description: "Lines shown above and below in code frames",
+          default: 2,
+        })
+        .implies("context", "code-frame");
+    },
+    (argv) => {
+      const { rootDir, verbose, definiteOnly, json, codeFrame, context } = argv;
+
+      const results = findMissingRequiredProps(rootDir, {
+        verbose,
+        definiteOnly,
+        codeFrame,
+        contextLines: context,
+        ...getScanOptions(argv),
+      });
+
+      if (json) {
+        console.log(JSON.stringify(results, null, 2));
+      } else if (results.length > 0) {
+        displayResults(results);
+      } else {
+        console.log("No missing required props found.");
+      }
+    }
+  )
+  .command(
+    "check-values <rootDir>",
+    "Find literal prop values outside the union or oneOf their component declares",
+    (yargs) => {
+      return yargs
+        .positional("rootDir", {
+          describe: "Root directory or file to scan",
+          type: "string",
+        })
+        .option("verbose", {
+          alias: "v",
+          type: "boolean",
+          description: "Include all props of reported components in the output",
+          default: false,
+        })
+        .option("json", {
+          type: "boolean",
+          description: "Print the results as JSON",
+          default: false,
+        })
+        .option("code-frame", {
+          alias: "c",
+          type: "boolean",
+          description: "Show the source lines around each result",
+          default: false,
+        })
+        .option("context", {
+          type: "number",
+          description: "Lines shown above and below in code frames",
+          default: 2,
+        })
+        .implies("context", "code-frame");
+    },
+    (argv) => {
+      const { rootDir, verbose, json, codeFrame, context } = argv;
+
+      const results = findInvalidPropValues(rootDir, {
+        verbose,
+        codeFrame,
+        contextLines: context,
+        ...getScanOptions(argv),
+      });
+
+      if (json) {
+        console.log(JSON.stringify(results, null, 2));
+      } else if (results.length > 0) {
+        displayResults(results);
+      } else {
+        console.log("No invalid prop values found.");
+      }
+    }
+  )
+  .command(
+    "batch <rootDir> <queries>",
+    "Run many prop usage queries from a JSON file, parsing each file once",
+    (yargs) => {
+      return yargs
+        .positional("rootDir", {
+          describe: "Root directory or file to scan",
+          type: "string",
+        })
+        .positional("queries", {
+          describe:
+            'JSON file of queries, e.g. [{"component": "Button", "prop": "type", "mode": "missing"}]',
+          type: "string",
+        })
+        .option("verbose", {
+          alias: "v",
+          type: "boolean",
+          description: "Include all props of matching components in the output",
+          default: false,
+        })
+        .option("json", {
+          type: "boolean",
+          description: "Print the results as JSON",
+          default: false,
+        })
+        .option("code-frame", {
+          alias: "c",
+          type: "boolean",
+          description: "Show the source lines around each result",
+          default: false,
+        })
+        .option("context", {
+          type: "number",
+          description: "Lines shown above and below in code frames",
+          default: 2,
+        })
+        .option("cache", {
+          type: "boolean",
+          description:
+            "Reuse the JSX extracted from files unchanged since the last cached run",
+          default: false,
+        })
+        .option("cache-location", {
+          type: "string",
+          description:
+            "Cache directory (default node_modules/.cache/jsx-analyzer)",
+        })
+        .option("changed-lines", {
+          type: "boolean",
+          description:
+            "With --since, only report results on lines added or modified since the ref",
+        })
+        .implies("context", "code-frame")
+        .implies("cache-location", "cache")
+        .implies("changed-lines", "since");
+    },
+    (argv) => {
+      const {
+        rootDir,
+        queries,
+        verbose,
+        json,
+        codeFrame,
+        context,
+        cache,
+        cacheLocation,
+        changedLines,
+      } = argv;
+
+      const batchResults = findPropUsageBatch(
+        rootDir,
+        loadBatchQueries(queries),
+        {
+          verbose,
+          codeFrame,
+          contextLines: context,
+          cache,
+          cacheLocation,
+          changedLinesOnly: changedLines,
+          ...getScanOptions(argv),
+        }
+      );
+
+      if (json) {
+        console.log(JSON.stringify(batchResults, null, 2));
+      } else {
+        displayBatchResults(batchResults);
+      }
+    }
+  )
+  .command(
+    "rename-prop <rootDir> <componentName> <from> <to>",
+    "Rename a prop on every usage of a component",
+    (yargs) => {
+      return yargs
+        .positional("rootDir", {
+          describe: "Root directory or file to rewrite",
+          type: "string",
+        })
+        .positional("componentName", {
+          describe:
+            "JSX component whose prop is renamed: exact name, glob, /regex/ or <module>#<export>",
+          type: "string",
+        })
+        .positional("from", {
+          describe: "Current prop name",
+          type: "string",
+        })
+        .positional("to", {
+          describe: "New prop name",
+          type: "string",
+        })
+        .option("dry-run", {
+          alias: "n",
+          type: "boolean",
+          description: "Print unified diffs instead of writing files",
+          default: false,
+        })
+        .option("json", {
+          type: "boolean",
+          description: "Print the result as JSON",
+          default: false,
+        });
+    },
+    (argv) => {
+      const { rootDir, componentName, from, to, dryRun, json } = argv;
+
+      const result = renameProp(rootDir, componentName, from, to, {
+        dryRun,
+        ...getScanOptions(argv),
+      });
+
+      if (json) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        displayCodemodResult(result);
+      }
+    }
+  )
+  .command(
+    "migrate <rootDir> <recipe>",
+    "Apply a migration recipe: component and prop renames, value mappings, removed props and import rewrites",
+    (yargs) => {
+      return yargs
+        .positional("rootDir", {
+          describe: "Root directory or file to rewrite",
+          type: "string",
+        })
+        .positional("recipe", {
+          describe:
+            "Path of a JSON recipe, or a JS module exporting it by default",
+          type: "string",
+        })
+        .option("dry-run", {
+          alias: "n",
+          type: "boolean",
+          description: "Print unified diffs instead of writing files",
+          default: false,
+        })
+        .option("json", {
+          type: "boolean",
+          description: "Print the result as JSON",
+          default: false,
+        });
+    },
+    async (argv) => {
+      const { rootDir, recipe, dryRun, json } = argv;
+
+      const result = migrateComponents(
+        rootDir,
+        await loadMigrationRecipe(recipe),
+        { dryRun, ...getScanOptions(argv) }
+      );
+
+      if (json) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        displayMigrationResult(result);
+      }
+    }
+  )
   .command(
     "$0 <rootDir> <componentName> <propName> [propValue]",
     "Analyze JSX prop usage in a codebase",
@@ -46,7 +653,8 @@ yargs(hideBin(process.argv))
           type: "string",
         })
         .positional("componentName", {
-          describe: "Name of the JSX component to analyze",
+          describe:
+            "JSX component to analyze: exact name, glob (*Button, Form.*), /regex/, or <module>#<export> (e.g. @acme/ui#Button) to match through imports",
           type: "string",
         })
         .positional("propName", {
@@ -76,9 +684,85 @@ yargs(hideBin(process.argv))
           description:
             "Check if the prop value includes the specified string (substring match)",
           default: false,
-        });
+        })
+        .option("regex", {
+          alias: "r",
+          type: "boolean",
+          description:
+            "Treat the prop value as a regular expression (pattern or /pattern/flags)",
+          default: false,
+        })
+        .option("fix", {
+          type: "boolean",
+          description:
+            "Insert the missing prop, with propValue or a default from --fix-config as its value",
+          default: false,
+        })
+        .option("fix-config", {
+          type: "string",
+          description:
+            'JSON file of default values by component and prop, e.g. {"Button": {"type": "button"}}',
+        })
+        .option("dry-run", {
+          alias: "n",
+          type: "boolean",
+          description:
+            "With --fix, print unified diffs instead of writing files",
+          default: false,
+        })
+        .option("code-frame", {
+          alias: "c",
+          type: "boolean",
+          description: "Show the source lines around each result",
+          default: false,
+        })
+        .option("context", {
+          type: "number",
+          description: "Lines shown above and below in code frames",
+          default: 2,
+        })
+        .option("concurrency", {
+          alias: "j",
+          type: "number",
+          description:
+            "Parse files on this many worker threads (1 analyzes on the main thread)",
+        })
+        .option("cache", {
+          type: "boolean",
+          description:
+            "Reuse the JSX extracted from files unchanged since the last cached run",
+          default: false,
+        })
+        .option("cache-location", {
+          type: "string",
+          description:
+            "Cache directory (default node_modules/.cache/jsx-analyzer)",
+        })
+        .option("changed-lines", {
+          type: "boolean",
+          description:
+            "With --since, only report results on lines added or modified since the ref",
+        })
+        .option("watch", {
+          alias: "w",
+          type: "boolean",
+          description:
+            "Keep running and re-analyze changed files, printing new and resolved results",
+        })
+        .conflicts("watch", ["concurrency", "since"])
+        .check(
+          (argv) =>
+            !(argv.watch && argv.fix) ||
+            "Arguments watch and fix are mutually exclusive"
+        )
+        .implies("fix", "find-missing")
+        .implies("fix-config", "fix")
+        .implies("dry-run", "fix")
+        .implies("context", "code-frame")
+        .implies("cache-location", "cache")
+        .implies("changed-lines", "since");
     },
-    (argv) => {
+    async (argv) => {
       const {
         rootDir,
         componentName,
@@ -87,36 +771,124 @@ yargs(hideBin(process.argv))
         findMissing,
         verbose,
         includes,
+        regex,
+        fix,
+        fixConfig,
+        dryRun,
+        codeFrame,
+        context,
+        concurrency,
+        cache,
+        cacheLocation,
+        changedLines,
+        watch,
       } = argv;
 
+      if (fix) {
+        const defaults = fixConfig
+          ? JSON.parse(fs.readFileSync(fixConfig, "utf8"))
+          : {};
+        const fixOptions = {
+          value: propValue,
+          defaults,
+          ...getScanOptions(argv),
+        };
+
+        // Preview the change before any file is written
+        const preview = insertMissingProp(rootDir, componentName, propName, {
+          ...fixOptions,
+          dryRun: true,
+        });
+        if (dryRun) {
+          displayCodemodResult(preview);
+          return;
+        }
+        preview.files.forEach((file) => process.stdout.write(file.diff));
+        displayCodemodResult(
+          insertMissingProp(rootDir, componentName, propName, {
+            ...fixOptions,
+            dryRun: false,
+          })
+        );
+        return;
+      }
+
       /**
        * Analysis options configuration
        * @type {AnalysisOptions}
        * @property {boolean} findMissing - Whether to find missing props
        * @property {boolean} verbose - Whether to include all props in output
        * @property {boolean} includes - Whether to check substring matches
+       * @property {boolean} regex - Whether to match the value as a regular expression
+       * @property {boolean} codeFrame - Whether to add the source lines around each result
+       * @property {number} contextLines - Lines shown above and below in code frames
+       * @property {boolean} cache - Whether to reuse the elements of unchanged files
+       * @property {string} [cacheLocation] - Cache directory
+       * @property {boolean} changedLinesOnly - Whether to only report results on changed lines
+       * @property {string[]} [include] - Globs of the files to analyze
+       * @property {string[]} [exclude] - Globs of the files to leave out
        */
-      const options = { findMissing, verbose, includes };
+      const options = {
+        findMissing,
+        verbose,
+        includes,
+        regex,
+        codeFrame,
+        contextLines: context,
+        cache,
+        cacheLocation,
+        changedLinesOnly: changedLines,
+        ...getScanOptions(argv),
+      };
 
       console.log(
         `Analyzing ${componentName} for prop "${propName}" in ${rootDir}...`
       );
 
+      if (watch) {
+        const watcher = watchPropUsage(
+          rootDir,
+          componentName,
+          propName,
+          propValue,
+          { ...options, onUpdate: displayWatchUpdate }
+        );
+        const results = watcher.getResults();
+        if (results.length > 0) {
+          displayResults(results);
+        } else {
+          console.log("No matching components found.");
+        }
+        console.log(
+          `\nWatching ${rootDir} for changes (${results.length} results). Press Ctrl+C to stop.`
+        );
+        return;
+      }
+
       /**
-       * Find prop usage with enhanced type inference
-       * @type {Array<ComponentAnalysisResult>}
+       * Find prop usage with enhanced type inference, printing the results
+       * of each file as it is analyzed, or on worker threads when a
+       * concurrency is given
+       * @type {AsyncIterable<ComponentAnalysisResult>|Array<ComponentAnalysisResult>}
        */
-      const results = findPropUsage(
-        rootDir,
-        componentName,
-        propName,
-        propValue,
-        options
-      );
+      const results =
+        concurrency === undefined
+          ? streamPropUsage(
+              rootDir,
+              componentName,
+              propName,
+              propValue,
+              options
+            )
+          : await findPropUsageParallel(
+              rootDir,
+              componentName,
+              propName,
+              propValue,
+              { ...options, concurrency }
+            );
 
-      if (results.length > 0) {
-        displayResults(results);
-      } else {
+      if ((await displayResultStream(results)) === 0) {
         console.log("No matching components found.");
       }
     }
@@ -6,11 +6,14 @@
  * @property {boolean} [findMissing=false] - Find components missing the specified prop
  * @property {boolean} [verbose=false] - Include all props of matching components
  * @property {boolean} [includes=false] - Check if prop value includes the specified string
+ * @property {boolean} [regex=false] - Treat the prop value as a regular expression
+ * @property {boolean} [codeFrame=false] - Add the source lines around each result
+ * @property {number} [contextLines=2] - Lines shown above and below in code frames
  *
  * @typedef {Object} ComponentAnalysisResult - Result of component analysis
  * @property {string} filePath - Path to the file containing the component
  * @property {string} componentName - Name of the component
- * @property {Object} props - Props of the component
+ * @property {Object} props - Props of the component as typed values ({kind, value, raw, range, candidates?})
  * @property {Object} [matchedProp] - Details of the matched prop
  *
  * @typedef {Object} ToolResponse - MCP tool response format
@@ -20,8 +23,23 @@
 
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { z } from "zod";
-import { findPropUsage } from "./analyzer.js";
+// The SDK wraps tool parameter shapes in its own zod 3 object schema
+import { z } from "zod/v3";
+import {
+  findPropUsageParallel,
+  streamPropUsage,
+  findPropUsageBatch,
+  findPropQuery,
+  listProps,
+  getComponentInventory,
+  getComponentCatalog,
+  findMissingRequiredProps,
+  findInvalidPropValues,
+  renameProp,
+  insertMissingProp,
+  loadMigrationRecipe,
+  migrateComponents,
+} from "./analyzer.js";
 
 // Create an MCP server
 const server = new McpServer({
@@ -29,6 +47,155 @@ const server = new McpServer({
   version: "1.0.0",
 });
 
+/**
+ * File selection and parser settings accepted by every tool
+ */
+const scanOptionsSchema = {
+  include: z
+    .union([z.string(), z.array(z.string())])
+    .optional()
+    .describe(
+      "Only analyze files matching these globs, relative to rootDir, e.g. src/**/*.tsx; a glob starting with ! excludes"
+    ),
+  exclude: z
+    .union([z.string(), z.array(z.string())])
+    .optional()
+    .describe(
+      "Leave out files matching these globs, relative to rootDir, e.g. **/*.stories.tsx or **/__tests__/**"
+    ),
+  extensions: z
+    .array(z.string())
+    .optional()
+    .describe(
+      "File extensions to scan; defaults to .js, .jsx, .mjs, .cjs, .ts, .mts, .cts and .tsx"
+    ),
+  parserProfiles: z
+    .record(z.string(), z.enum(["typescript", "tsx", "jsx", "flow"]))
+    .optional()
+    .describe(
+      'Parser profile by extension, overriding the defaults (typescript for .ts/.mts/.cts, tsx for .tsx, jsx otherwise), e.g. {".js": "flow"}'
+    ),
+  flow: z
+    .boolean()
+    .optional()
+    .describe(
+      "Parse JavaScript files starting with an @flow comment with Flow syntax (default true)"
+    ),
+  changedSince: z
+    .string()
+    .optional()
+    .describe(
+      "Only analyze files changed since this git ref (compared from its merge base with HEAD), plus untracked files, e.g. origin/main"
+    ),
+};
+
+/**
+ * Worker thread setting of the tools running prop usage analyses
+ */
+const concurrencySchema = z
+  .number()
+  .int()
+  .min(1)
+  .optional()
+  .describe(
+    "Parse files on this many worker threads (1 analyzes on the server thread); omit to analyze without workers"
+  );
+
+/**
+ * Analysis cache setting of the tools running prop usage analyses
+ */
+const cacheSchema = z
+  .boolean()
+  .optional()
+  .default(false)
+  .describe(
+    "Reuse the JSX extracted from files unchanged since the last cached analysis, kept in node_modules/.cache/jsx-analyzer"
+  );
+
+/**
+ * Changed-lines setting of the tools running prop usage analyses
+ */
+const changedLinesOnlySchema = z
+  .boolean()
+  .optional()
+  .default(false)
+  .describe(
+    "With changedSince, only report results on lines added or modified since the ref"
+  );
+
+/**
+ * Result limit of the tools running prop usage analyses
+ */
+const limitSchema = z
+  .number()
+  .int()
+  .min(1)
+  .optional()
+  .describe(
+    "Stop the analysis once this many results are found; summary.limitReached tells whether more may exist"
+  );
+
+/**
+ * Runs a prop usage analysis file by file, so the server keeps handling
+ * messages meanwhile and stops once the limit is reached or the request is
+ * cancelled. With a concurrency, the files are analyzed on worker threads
+ * and the results cut to the limit afterwards.
+ * @param {string} rootDir - Root directory or file path to analyze
+ * @param {string} componentName - Component to find
+ * @param {string} propName - Prop to check
+ * @param {string|null} propValue - Value to match, or null for a presence check
+ * @param {AnalysisOptions & {concurrency?: number}} options - Analysis options
+ * @param {{limit?: number, signal?: AbortSignal}} [control] - Result limit and cancellation
+ * @returns {Promise<Array<ComponentAnalysisResult>>}
+ */
+const runPropUsage = async (
+  rootDir,
+  componentName,
+  propName,
+  propValue,
+  options,
+  { limit, signal } = {}
+) => {
+  if (options.concurrency !== undefined) {
+    const results = await findPropUsageParallel(
+      rootDir,
+      componentName,
+      propName,
+      propValue,
+      options
+    );
+    return limit === undefined ? results : results.slice(0, limit);
+  }
+
+  const results = [];
+  for await (const result of streamPropUsage(
+    rootDir,
+    componentName,
+    propName,
+    propValue,
+    { ...options, signal }
+  )) {
+    results.push(result);
+    if (results.length === limit) {
+      break;
+    }
+  }
+  return results;
+};
+
+/**
+ * Describes how prop values are compared for the search criteria summary
+ * @param {boolean} includes - Whether substring matching is enabled
+ * @param {boolean} regex - Whether regex matching is enabled
+ * @returns {"exact"|"includes"|"regex"} Value match mode
+ */
+const getValueMatchMode = (includes, regex) => {
+  if (regex) {
+    return "regex";
+  }
+  return includes ? "includes" : "exact";
+};
+
 /**
  * Analyze JSX prop usage with enhanced type definitions
  * @param {Object} params - Tool parameters
@@ -41,9 +208,13 @@ const server = new McpServer({
  */
 server.tool(
   "analyze_jsx_props",
-  z.object({
+  {
     rootDir: z.string().describe("Root directory or file path to analyze"),
-    componentName: z.string().describe("Name of the JSX component to analyze"),
+    componentName: z
+      .string()
+      .describe(
+        "JSX component to analyze: exact name, glob (*Button, Form.*), /regex/, or <module>#<export> (e.g. @acme/ui#Button) to match through import bindings"
+      ),
     propName: z.string().describe("Name of the prop to search for"),
     propValue: z
       .string()
@@ -66,43 +237,94 @@ server.tool(
       .describe(
         "Check if the prop value includes the specified string (substring match)"
       ),
-  }),
-  async ({
-    rootDir,
-    componentName,
-    propName,
-    propValue,
-    findMissing,
-    verbose,
-    includes,
-  }) => {
+    regex: z
+      .boolean()
+      .optional()
+      .default(false)
+      .describe(
+        "Treat the prop value as a regular expression (pattern or /pattern/flags); patterns prone to ReDoS are rejected"
+      ),
+    codeFrame: z
+      .boolean()
+      .optional()
+      .default(false)
+      .describe(
+        "Add a codeFrame to each result: the source lines around the prop or element"
+      ),
+    contextLines: z
+      .number()
+      .int()
+      .min(0)
+      .optional()
+      .default(2)
+      .describe("Lines shown above and below in code frames"),
+    concurrency: concurrencySchema,
+    cache: cacheSchema,
+    limit: limitSchema,
+    changedLinesOnly: changedLinesOnlySchema,
+    ...scanOptionsSchema,
+  },
+  async (
+    {
+      rootDir,
+      componentName,
+      propName,
+      propValue,
+      findMissing,
+      verbose,
+      includes,
+      regex,
+      codeFrame,
+      contextLines,
+      concurrency,
+      cache,
+      limit,
+      changedLinesOnly,
+      ...scanOptions
+    },
+    { signal } = {}
+  ) => {
     try {
       /**
        * Analysis options configuration
        * @type {AnalysisOptions}
        */
-      const options = { findMissing, verbose, includes };
+      const options = {
+        findMissing,
+        verbose,
+        includes,
+        regex,
+        codeFrame,
+        contextLines,
+        concurrency,
+        cache,
+        changedLinesOnly,
+        ...scanOptions,
+      };
 
       /**
        * Find prop usage with enhanced type inference
        * @type {Array<ComponentAnalysisResult>}
        */
-      const results = findPropUsage(
+      const results = await runPropUsage(
         rootDir,
         componentName,
         propName,
         propValue || null,
-        options
+        options,
+        { limit, signal }
       );
 
       if (results.length === 0) {
         const formattedResults = {
           summary: {
             totalMatches: 0,
+            limitReached: false,
             searchCriteria: {
               component: componentName,
               prop: propName,
               value: propValue || null,
+              valueMatch: getValueMatchMode(includes, regex),
               mode: findMissing ? "missing props" : "existing props",
             },
           },
@@ -124,10 +346,12 @@ server.tool(
       const formattedResults = {
         summary: {
           totalMatches: results.length,
+          limitReached: results.length === limit,
           searchCriteria: {
             component: componentName,
             prop: propName,
             value: propValue || null,
+            valueMatch: getValueMatchMode(includes, regex),
             mode: findMissing ? "missing props" : "existing props",
           },
         },
@@ -163,44 +387,148 @@ server.tool(
  * @param {string} params.componentName - Name of the JSX component to analyze
  * @param {string} params.propName - Name of the prop that should be present
  * @param {AnalysisOptions} params.options - Analysis configuration options
- * @returns {Promise<ToolResponse>} Tool response with missing prop analysis results
+ * @param {boolean} [params.fix] - Insert the missing prop instead of listing violations
+ * @param {string|number|boolean} [params.value] - Value inserted in fix mode
+ * @param {Object<string, Object<string, string|number|boolean>>} [params.defaults] - Fix-mode
+ *   values by component query and prop
+ * @param {boolean} [params.dryRun=true] - Only return diffs in fix mode
+ * @returns {Promise<ToolResponse>} Tool response with missing prop analysis results, or the fix outcome
  */
 server.tool(
   "find_missing_props",
-  z.object({
+  {
     rootDir: z.string().describe("Root directory or file path to analyze"),
-    componentName: z.string().describe("Name of the JSX component to analyze"),
+    componentName: z
+      .string()
+      .describe(
+        "JSX component to analyze: exact name, glob (*Button, Form.*), /regex/, or <module>#<export> (e.g. @acme/ui#Button) to match through import bindings"
+      ),
     propName: z.string().describe("Name of the prop that should be present"),
     verbose: z
       .boolean()
       .optional()
       .default(false)
       .describe("Include all props of matching components in the output"),
-  }),
-  async ({ rootDir, componentName, propName, verbose }) => {
+    codeFrame: z
+      .boolean()
+      .optional()
+      .default(false)
+      .describe(
+        "Add a codeFrame to each result: the source lines around the prop or element"
+      ),
+    contextLines: z
+      .number()
+      .int()
+      .min(0)
+      .optional()
+      .default(2)
+      .describe("Lines shown above and below in code frames"),
+    fix: z
+      .boolean()
+      .optional()
+      .default(false)
+      .describe(
+        "Insert the missing prop instead of listing violations; returns unified diffs and skipped elements"
+      ),
+    value: z
+      .union([z.string(), z.number(), z.boolean()])
+      .optional()
+      .describe("Value inserted by fix mode on every usage"),
+    defaults: z
+      .record(
+        z.string(),
+        z.record(z.string(), z.union([z.string(), z.number(), z.boolean()]))
+      )
+      .optional()
+      .describe(
+        'Fix-mode values by component query and prop, used when value is not given, e.g. {"Button": {"type": "button"}}'
+      ),
+    dryRun: z
+      .boolean()
+      .optional()
+      .default(true)
+      .describe(
+        "In fix mode, only return diffs without writing files (default true); set to false to apply the fix"
+      ),
+    concurrency: concurrencySchema,
+    cache: cacheSchema,
+    limit: limitSchema,
+    changedLinesOnly: changedLinesOnlySchema,
+    ...scanOptionsSchema,
+  },
+  async (
+    {
+      rootDir,
+      componentName,
+      propName,
+      verbose,
+      codeFrame,
+      contextLines,
+      fix,
+      value,
+      defaults,
+      dryRun,
+      concurrency,
+      cache,
+      limit,
+      changedLinesOnly,
+      ...scanOptions
+    },
+    { signal } = {}
+  ) => {
     try {
+      if (fix) {
+        const result = insertMissingProp(rootDir, componentName, propName, {
+          value,
+          defaults,
+          dryRun,
+          ...scanOptions,
+        });
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
       /**
        * Analysis options configuration for missing props
        * @type {AnalysisOptions}
        */
-      const options = { findMissing: true, verbose, includes: false };
+      const options = {
+        findMissing: true,
+        verbose,
+        includes: false,
+        codeFrame,
+        contextLines,
+        concurrency,
+        cache,
+        changedLinesOnly,
+        ...scanOptions,
+      };
 
       /**
        * Find prop usage with enhanced type inference
        * @type {Array<ComponentAnalysisResult>}
        */
-      const results = findPropUsage(
+      const results = await runPropUsage(
         rootDir,
         componentName,
         propName,
         null,
-        options
+        options,
+        { limit, signal }
       );
 
       if (results.length === 0) {
         const formattedResults = {
           summary: {
             componentsWithMissingProp: 0,
+            limitReached: false,
             component: componentName,
             missingProp: propName,
           },
@@ -221,6 +549,7 @@ server.tool(
       const formattedResults = {
         summary: {
           componentsWithMissingProp: results.length,
+          limitReached: results.length === limit,
           component: componentName,
           missingProp: propName,
         },
@@ -250,20 +579,25 @@ server.tool(
 );
 
 /**
- * Search prop values with substring matching and enhanced type definitions
+ * Search prop values with substring or regex matching and enhanced type definitions
  * @param {Object} params - Tool parameters
  * @param {string} params.rootDir - Root directory or file path to analyze
  * @param {string} params.componentName - Name of the JSX component to analyze
  * @param {string} params.propName - Name of the prop to search for
  * @param {string|null} [params.searchValue=null] - String to search for within prop values
+ * @param {boolean} [params.regex=false] - Treat the search value as a regular expression
  * @param {AnalysisOptions} params.options - Analysis configuration options
  * @returns {Promise<ToolResponse>} Tool response with search results
  */
 server.tool(
   "search_prop_values",
-  z.object({
+  {
     rootDir: z.string().describe("Root directory or file path to analyze"),
-    componentName: z.string().describe("Name of the JSX component to analyze"),
+    componentName: z
+      .string()
+      .describe(
+        "JSX component to analyze: exact name, glob (*Button, Form.*), /regex/, or <module>#<export> (e.g. @acme/ui#Button) to match through import bindings"
+      ),
     propName: z.string().describe("Name of the prop to search for"),
     searchValue: z
       .string()
@@ -271,13 +605,56 @@ server.tool(
       .describe(
         "String to search for within prop values (optional - if not provided, lists all occurrences of the prop)"
       ),
+    regex: z
+      .boolean()
+      .optional()
+      .default(false)
+      .describe(
+        "Treat searchValue as a regular expression (pattern or /pattern/flags) instead of a substring"
+      ),
     verbose: z
       .boolean()
       .optional()
       .default(false)
       .describe("Include all props of matching components in the output"),
-  }),
-  async ({ rootDir, componentName, propName, searchValue, verbose }) => {
+    codeFrame: z
+      .boolean()
+      .optional()
+      .default(false)
+      .describe(
+        "Add a codeFrame to each result: the source lines around the prop or element"
+      ),
+    contextLines: z
+      .number()
+      .int()
+      .min(0)
+      .optional()
+      .default(2)
+      .describe("Lines shown above and below in code frames"),
+    concurrency: concurrencySchema,
+    cache: cacheSchema,
+    limit: limitSchema,
+    changedLinesOnly: changedLinesOnlySchema,
+    ...scanOptionsSchema,
+  },
+  async (
+    {
+      rootDir,
+      componentName,
+      propName,
+      searchValue,
+      regex,
+      verbose,
+      codeFrame,
+      contextLines,
+      concurrency,
+      cache,
+      limit,
+      changedLinesOnly,
+      ...scanOptions
+    },
+    { signal } = {}
+  ) => {
     try {
       /**
        * Analysis options configuration for prop value search
@@ -286,19 +663,27 @@ server.tool(
       const options = {
         findMissing: false,
         verbose,
-        includes: searchValue ? true : false,
+        includes: searchValue && !regex ? true : false,
+        regex: searchValue && regex ? true : false,
+        codeFrame,
+        contextLines,
+        concurrency,
+        cache,
+        changedLinesOnly,
+        ...scanOptions,
       };
 
       /**
        * Find prop usage with enhanced type inference
        * @type {Array<ComponentAnalysisResult>}
        */
-      const results = findPropUsage(
+      const results = await runPropUsage(
         rootDir,
         componentName,
         propName,
         searchValue || null,
-        options
+        options,
+        { limit, signal }
       );
 
       if (results.length === 0) {
@@ -308,16 +693,20 @@ server.tool(
         };
 
         if (searchValue) {
-          searchCriteria.contains = searchValue;
+          searchCriteria[regex ? "matches" : "contains"] = searchValue;
         }
 
-        const message = searchValue
-          ? `No ${componentName} components found with '${propName}' prop containing '${searchValue}'.`
-          : `No ${componentName} components found with '${propName}' prop.`;
+        let message = `No ${componentName} components found with '${propName}' prop.`;
+        if (searchValue) {
+          message = regex
+            ? `No ${componentName} components found with '${propName}' prop matching ${searchValue}.`
+            : `No ${componentName} components found with '${propName}' prop containing '${searchValue}'.`;
+        }
 
         const formattedResults = {
           summary: {
             totalMatches: 0,
+            limitReached: false,
             searchCriteria,
           },
           matches: [],
@@ -340,12 +729,13 @@ server.tool(
       };
 
       if (searchValue) {
-        searchCriteria.contains = searchValue;
+        searchCriteria[regex ? "matches" : "contains"] = searchValue;
       }
 
       const formattedResults = {
         summary: {
           totalMatches: results.length,
+          limitReached: results.length === limit,
           searchCriteria,
         },
         matches: results,
@@ -373,6 +763,615 @@ server.tool(
   }
 );
 
+/**
+ * Query JSX elements with a composable prop query
+ * @param {Object} params - Tool parameters
+ * @param {string} params.rootDir - Root directory or file path to analyze
+ * @param {string} params.query - Selector string, e.g. `Button[href]:not([rel])`
+ * @param {boolean} [params.verbose=false] - Include all props of matching components
+ * @param {boolean} [params.definiteOnly=false] - Skip matches that depend on unresolved spreads
+ * @param {boolean} [params.codeFrame=false] - Add the source lines around each match
+ * @param {number} [params.contextLines=2] - Lines shown above and below in code frames
+ * @returns {Promise<ToolResponse>} Tool response with query results
+ */
+server.tool(
+  "query_jsx_props",
+  {
+    rootDir: z.string().describe("Root directory or file path to analyze"),
+    query: z
+      .string()
+      .describe(
+        'Prop query selector, e.g. Button[href]:not([rel]) or Input:not([aria-label]):not([aria-labelledby]). Supports [prop], [prop="value"], [prop*="sub"], [prop^="pre"], [prop$="suf"], [prop=/regex/flags], :not(...), :is(...) and comma-separated alternatives; the component may be omitted or be a glob, /regex/ or <module>#<export>'
+      ),
+    verbose: z
+      .boolean()
+      .optional()
+      .default(false)
+      .describe("Include all props of matching components in the output"),
+    definiteOnly: z
+      .boolean()
+      .optional()
+      .default(false)
+      .describe(
+        "Skip elements whose match depends on spread attributes that could not be resolved"
+      ),
+    codeFrame: z
+      .boolean()
+      .optional()
+      .default(false)
+      .describe(
+        "Add a codeFrame to each result: the source lines around the prop or element"
+      ),
+    contextLines: z
+      .number()
+      .int()
+      .min(0)
+      .optional()
+      .default(2)
+      .describe("Lines shown above and below in code frames"),
+    ...scanOptionsSchema,
+  },
+  async ({
+    rootDir,
+    query,
+    verbose,
+    definiteOnly,
+    codeFrame,
+    contextLines,
+    ...scanOptions
+  }) => {
+    try {
+      const results = findPropQuery(rootDir, query, {
+        verbose,
+        definiteOnly,
+        codeFrame,
+        contextLines,
+        ...scanOptions,
+      });
+
+      const formattedResults = {
+        summary: {
+          totalMatches: results.length,
+          definiteMatches: results.filter(
+            (result) => result.queryStatus === "match"
+          ).length,
+          query,
+        },
+        matches: results,
+      };
+
+      if (results.length === 0) {
+        formattedResults.message = `No components found matching ${query}.`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(formattedResults, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error querying JSX props: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+/**
+ * List every prop a component is called with
+ * @param {Object} params - Tool parameters
+ * @param {string} params.rootDir - Root directory or file path to analyze
+ * @param {string} params.componentName - Name of the JSX component to inventory
+ * @param {number} [params.maxValues=20] - Maximum number of distinct values listed per prop
+ * @returns {Promise<ToolResponse>} Tool response with the prop inventory
+ */
+server.tool(
+  "list_props",
+  {
+    rootDir: z.string().describe("Root directory or file path to analyze"),
+    componentName: z
+      .string()
+      .describe(
+        "JSX component to inventory: exact name, glob (*Button, Form.*), /regex/, or <module>#<export> (e.g. @acme/ui#Button)"
+      ),
+    maxValues: z
+      .number()
+      .int()
+      .positive()
+      .optional()
+      .default(20)
+      .describe("Maximum number of distinct values listed per prop"),
+    ...scanOptionsSchema,
+  },
+  async ({ rootDir, componentName, maxValues, ...scanOptions }) => {
+    try {
+      const inventory = listProps(rootDir, componentName, {
+        maxValues,
+        ...scanOptions,
+      });
+
+      if (inventory.totalUsages === 0) {
+        inventory.message = `No ${componentName} components found.`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(inventory, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error listing props: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+/**
+ * Count every component used in a codebase
+ * @param {Object} params - Tool parameters
+ * @param {string} params.rootDir - Root directory or file path to analyze
+ * @param {boolean} [params.customOnly=false] - Leave out intrinsic elements
+ * @returns {Promise<ToolResponse>} Tool response with the component inventory
+ */
+server.tool(
+  "component_inventory",
+  {
+    rootDir: z.string().describe("Root directory or file path to analyze"),
+    customOnly: z
+      .boolean()
+      .optional()
+      .default(false)
+      .describe("Leave out intrinsic elements such as div or span"),
+    ...scanOptionsSchema,
+  },
+  async ({ rootDir, customOnly, ...scanOptions }) => {
+    try {
+      const inventory = getComponentInventory(rootDir, {
+        customOnly,
+        ...scanOptions,
+      });
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(inventory, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error building component inventory: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+server.tool(
+  "component_catalog",
+  {
+    rootDir: z.string().describe("Root directory or file path to analyze"),
+    exportedOnly: z
+      .boolean()
+      .optional()
+      .default(false)
+      .describe("Only list components exported from their module"),
+    ...scanOptionsSchema,
+  },
+  async ({ rootDir, exportedOnly, ...scanOptions }) => {
+    try {
+      const catalog = getComponentCatalog(rootDir, {
+        exportedOnly,
+        ...scanOptions,
+      });
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(catalog, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error building component catalog: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+server.tool(
+  "check_required_props",
+  {
+    rootDir: z.string().describe("Root directory or file path to analyze"),
+    verbose: z
+      .boolean()
+      .optional()
+      .default(false)
+      .describe("Include all props of reported components in the output"),
+    definiteOnly: z
+      .boolean()
+      .optional()
+      .default(false)
+      .describe(
+        "Ignore required props that spread attributes which could not be resolved may set"
+      ),
+    codeFrame: z
+      .boolean()
+      .optional()
+      .default(false)
+      .describe(
+        "Add a codeFrame to each result: the source lines around the prop or element"
+      ),
+    contextLines: z
+      .number()
+      .int()
+      .min(0)
+      .optional()
+      .default(2)
+      .describe("Lines shown above and below in code frames"),
+    ...scanOptionsSchema,
+  },
+  async ({
+    rootDir,
+    verbose,
+    definiteOnly,
+    codeFrame,
+    contextLines,
+    ...scanOptions
+  }) => {
+    try {
+      const results = findMissingRequiredProps(rootDir, {
+        verbose,
+        definiteOnly,
+        codeFrame,
+        contextLines,
+        ...scanOptions,
+      });
+
+      const formattedResults = {
+        summary: {
+          totalViolations: results.length,
+          definiteViolations: results.filter(
+            (result) => result.propStatus === "missing"
+          ).length,
+        },
+        violations: results,
+      };
+
+      if (results.length === 0) {
+        formattedResults.message = "No missing required props found.";
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(formattedResults, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error checking required props: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+server.tool(
+  "check_prop_values",
+  {
+    rootDir: z.string().describe("Root directory or file path to analyze"),
+    verbose: z
+      .boolean()
+      .optional()
+      .default(false)
+      .describe("Include all props of reported components in the output"),
+    codeFrame: z
+      .boolean()
+      .optional()
+      .default(false)
+      .describe(
+        "Add a codeFrame to each result: the source lines around the prop or element"
+      ),
+    contextLines: z
+      .number()
+      .int()
+      .min(0)
+      .optional()
+      .default(2)
+      .describe("Lines shown above and below in code frames"),
+    ...scanOptionsSchema,
+  },
+  async ({ rootDir, verbose, codeFrame, contextLines, ...scanOptions }) => {
+    try {
+      const results = findInvalidPropValues(rootDir, {
+        verbose,
+        codeFrame,
+        contextLines,
+        ...scanOptions,
+      });
+
+      const formattedResults = {
+        summary: {
+          totalViolations: results.length,
+        },
+        violations: results,
+      };
+
+      if (results.length === 0) {
+        formattedResults.message = "No invalid prop values found.";
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(formattedResults, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error checking prop values: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+server.tool(
+  "batch_analyze",
+  {
+    rootDir: z.string().describe("Root directory or file path to analyze"),
+    queries: z
+      .array(
+        z.object({
+          name: z
+            .string()
+            .optional()
+            .describe("Label of the query in the results"),
+          component: z
+            .string()
+            .describe(
+              "JSX component: exact name, glob, /regex/ or <module>#<export>"
+            ),
+          prop: z.string().describe("Prop to check"),
+          value: z
+            .string()
+            .optional()
+            .describe("Value to match; omit to check the presence of the prop"),
+          mode: z
+            .enum(["exact", "includes", "regex", "missing"])
+            .optional()
+            .describe(
+              "How the prop is checked: exact value or presence (default), substring, regex, or missing prop"
+            ),
+        })
+      )
+      .min(1)
+      .describe("Queries run in a single scan, parsing each file once"),
+    verbose: z
+      .boolean()
+      .optional()
+      .default(false)
+      .describe("Include all props of matching components in the output"),
+    codeFrame: z
+      .boolean()
+      .optional()
+      .default(false)
+      .describe(
+        "Add a codeFrame to each result: the source lines around the prop or element"
+      ),
+    contextLines: z
+      .number()
+      .int()
+      .min(0)
+      .optional()
+      .default(2)
+      .describe("Lines shown above and below in code frames"),
+    cache: cacheSchema,
+    changedLinesOnly: changedLinesOnlySchema,
+    ...scanOptionsSchema,
+  },
+  async ({
+    rootDir,
+    queries,
+    verbose,
+    codeFrame,
+    contextLines,
+    cache,
+    changedLinesOnly,
+    ...scanOptions
+  }) => {
+    try {
+      const batchResults = findPropUsageBatch(rootDir, queries, {
+        verbose,
+        codeFrame,
+        contextLines,
+        cache,
+        changedLinesOnly,
+        ...scanOptions,
+      });
+
+      const formattedResults = {
+        summary: {
+          totalQueries: batchResults.length,
+          totalMatches: batchResults.reduce(
+            (total, { results }) => total + results.length,
+            0
+          ),
+        },
+        queries: batchResults,
+      };
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(formattedResults, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error running batch queries: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+server.tool(
+  "rename_prop",
+  {
+    rootDir: z.string().describe("Root directory or file path to rewrite"),
+    componentName: z
+      .string()
+      .describe(
+        "JSX component whose prop is renamed: exact name, glob, /regex/ or <module>#<export>"
+      ),
+    from: z.string().describe("Current prop name"),
+    to: z.string().describe("New prop name"),
+    dryRun: z
+      .boolean()
+      .optional()
+      .default(true)
+      .describe(
+        "Only return unified diffs without writing files (default true); set to false to apply the rename"
+      ),
+    ...scanOptionsSchema,
+  },
+  async ({ rootDir, componentName, from, to, dryRun, ...scanOptions }) => {
+    try {
+      const result = renameProp(rootDir, componentName, from, to, {
+        dryRun,
+        ...scanOptions,
+      });
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error renaming prop: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+server.tool(
+  "migrate_components",
+  {
+    rootDir: z.string().describe("Root directory or file path to rewrite"),
+    recipe: z
+      .string()
+      .describe(
+        "Migration recipe as JSON text, or the path of a JSON or JS recipe file"
+      ),
+    dryRun: z
+      .boolean()
+      .optional()
+      .default(true)
+      .describe(
+        "Only return unified diffs without writing files (default true); set to false to apply the migration"
+      ),
+    ...scanOptionsSchema,
+  },
+  async ({ rootDir, recipe, dryRun, ...scanOptions }) => {
+    try {
+      const trimmed = recipe.trim();
+      const recipeObject =
+        trimmed.startsWith("{") || trimmed.startsWith("[")
+          ? JSON.parse(trimmed)
+          : await loadMigrationRecipe(trimmed);
+      const result = migrateComponents(rootDir, recipeObject, {
+        dryRun,
+        ...scanOptions,
+      });
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error running migration: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
 /**
  * Start the MCP server with enhanced type definitions
  * @returns {Promise<void>} Server initialization result
@@ -0,0 +1,171 @@
+import fs from "fs";
+import { sanitizePropName } from "../security/input-sanitizer.js";
+
+/**
+ * Batch queries
+ *
+ * A batch runs many prop usage queries in one scan, so every file is parsed
+ * once however many checks look at it. Queries can be listed in a JSON file,
+ * either as an array or as `{ "queries": [...] }`:
+ *
+ *   [
+ *     { "name": "buttons-need-type", "component": "Button", "prop": "type", "mode": "missing" },
+ *     { "component": "Button", "prop": "variant", "value": "primary" },
+ *     { "component": "*", "prop": "className", "value": "^btn-", "mode": "regex" }
+ *   ]
+ *
+ * `component` is a component query (exact name, glob, /regex/ or
+ * `<module>#<export>`). `mode` is `exact` (the default: the value, or just
+ * the presence of the prop when no value is given), `includes`, `regex` or
+ * `missing`. `name` labels the query in the results and defaults to its
+ * position in the batch.
+ */
+
+/**
+ * Custom error class for malformed batch queries
+ */
+class BatchQueryError extends Error {
+  constructor(message, code, field) {
+    super(message);
+    this.name = "BatchQueryError";
+    this.code = code;
+    this.field = field;
+  }
+}
+
+/**
+ * Ways a batch query compares prop values
+ */
+const BATCH_QUERY_MODES = ["exact", "includes", "regex", "missing"];
+
+/**
+ * Validated batch query
+ * @typedef {Object} BatchQuery
+ * @property {string} name - Label of the query
+ * @property {string} component - Component query
+ * @property {string} prop - Prop to check
+ * @property {string|null} value - Value to match, or null for a presence or missing check
+ * @property {"exact"|"includes"|"regex"|"missing"} mode - How the prop is checked
+ */
+
+/**
+ * Checks whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Validates one query of a batch
+ * @param {Object} spec - Query as written
+ * @param {number} index - Position of the query in the batch
+ * @returns {BatchQuery}
+ * @throws {BatchQueryError} - If the query is malformed
+ * @throws {InputSanitizationError} - If the prop name is not a valid JSX attribute name
+ */
+const compileBatchQuery = (spec, index) => {
+  const field = `queries[${index}]`;
+  if (!isPlainObject(spec)) {
+    throw new BatchQueryError(
+      `${field} must be an object with component and prop`,
+      "INVALID_QUERY",
+      field
+    );
+  }
+  if (typeof spec.component !== "string" || spec.component === "") {
+    throw new BatchQueryError(
+      `${field}.component must be a component query`,
+      "INVALID_COMPONENT",
+      `${field}.component`
+    );
+  }
+
+  const mode = spec.mode === undefined ? "exact" : spec.mode;
+  if (!BATCH_QUERY_MODES.includes(mode)) {
+    throw new BatchQueryError(
+      `${field}.mode must be one of ${BATCH_QUERY_MODES.join(", ")}`,
+      "INVALID_MODE",
+      `${field}.mode`
+    );
+  }
+
+  const value = spec.value === undefined ? null : spec.value;
+  if (value !== null && typeof value !== "string") {
+    throw new BatchQueryError(
+      `${field}.value must be a string`,
+      "INVALID_VALUE",
+      `${field}.value`
+    );
+  }
+  if (mode === "missing" && value !== null) {
+    throw new BatchQueryError(
+      `${field}.value cannot be used in missing mode`,
+      "INVALID_VALUE",
+      `${field}.value`
+    );
+  }
+  if ((mode === "includes" || mode === "regex") && !value) {
+    throw new BatchQueryError(
+      `${field}.value is required in ${mode} mode`,
+      "INVALID_VALUE",
+      `${field}.value`
+    );
+  }
+
+  if (spec.name !== undefined && typeof spec.name !== "string") {
+    throw new BatchQueryError(
+      `${field}.name must be a string`,
+      "INVALID_QUERY",
+      `${field}.name`
+    );
+  }
+
+  return {
+    name: spec.name === undefined ? field : spec.name,
+    component: spec.component,
+    prop: sanitizePropName(spec.prop),
+    value,
+    mode,
+  };
+};
+
+/**
+ * Validates the queries of a batch
+ * @param {Object[]|{queries: Object[]}} queries - Queries, or an object listing them
+ * @returns {BatchQuery[]}
+ * @throws {BatchQueryError} - If the batch or a query is malformed
+ * @throws {InputSanitizationError} - If a prop name is not a valid JSX attribute name
+ */
+export const compileBatchQueries = (queries) => {
+  const list = isPlainObject(queries) ? queries.queries : queries;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new BatchQueryError(
+      "A batch must list at least one query, as an array or in a queries array",
+      "INVALID_BATCH",
+      "queries"
+    );
+  }
+  return list.map(compileBatchQuery);
+};
+
+/**
+ * Reads the queries of a batch from a JSON file
+ * @param {string} filePath - Path of the queries file
+ * @returns {Object[]|{queries: Object[]}} - Queries as written, to be validated by
+ *   `compileBatchQueries`
+ * @throws {BatchQueryError} - If the file cannot be read or parsed
+ */
+export const loadBatchQueries = (filePath) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new BatchQueryError(
+      `Could not read batch queries ${filePath}: ${error.message}`,
+      "UNREADABLE_QUERIES",
+      "queries"
+    );
+  }
+};
+
+export { BatchQueryError };
@@ -0,0 +1,152 @@
+import {
+  resolveImportedElement,
+  getCanonicalSource,
+} from "./import-resolver.js";
+
+/**
+ * Project-wide component inventory
+ *
+ * Counts every JSX element by name and records where each component comes
+ * from, to track design-system adoption and spot one-off local components.
+ */
+
+/**
+ * Where the elements of a component are bound
+ * @typedef {Object} ComponentOrigins
+ * @property {number} imported - Usages bound to an import
+ * @property {number} local - Usages bound to a declaration in the same file
+ * @property {number} unbound - Usages without any binding (e.g. globals)
+ */
+
+/**
+ * Import source of a component
+ * @typedef {Object} ImportSourceCount
+ * @property {string} source - Module source; relative sources are given from the working directory
+ * @property {string} exportName - Imported export, e.g. `Button`, `default` or `Menu.Item`
+ * @property {number} usages - Usages importing it from there
+ */
+
+/**
+ * Inventory entry for one component name
+ * @typedef {Object} ComponentInventoryEntry
+ * @property {string} name - Element name, e.g. `Button`, `UI.Button` or `div`
+ * @property {"intrinsic"|"custom"} type - Whether it is a host element or a component
+ * @property {number} usages - Number of elements
+ * @property {number} fileCount - Number of files using it
+ * @property {string[]} files - Files using it
+ * @property {ComponentOrigins} [origins] - Binding of the usages (custom components only)
+ * @property {ImportSourceCount[]} [importSources] - Modules it is imported from (custom components only)
+ */
+
+/**
+ * Component inventory of a project
+ * @typedef {Object} ComponentInventory
+ * @property {number} totalElements - Number of JSX elements counted
+ * @property {number} fileCount - Number of files containing them
+ * @property {number} componentCount - Number of distinct element names
+ * @property {ComponentInventoryEntry[]} components - Components, most used first
+ */
+
+/**
+ * Checks whether an element name is an intrinsic (host) element such as
+ * `div` or `svg:rect`, following JSX's lower-case naming rule
+ * @param {string} elementName - Element name
+ * @returns {boolean}
+ */
+export const isIntrinsicElement = (elementName) =>
+  !elementName.includes(".") && /^[a-z]/.test(elementName);
+
+/**
+ * Creates an accumulator for the JSX elements of a project
+ * @param {Object} [options] - Inventory options
+ * @param {boolean} [options.customOnly=false] - Skip intrinsic elements
+ * @returns {{addElement: Function, build: () => ComponentInventory}}
+ */
+export const createComponentInventory = ({ customOnly = false } = {}) => {
+  const components = new Map();
+  const files = new Set();
+  let totalElements = 0;
+
+  /**
+   * Records one JSX element
+   * @param {string} elementName - Element name
+   * @param {import("@babel/traverse").NodePath} nodePath - Path of the JSX element
+   * @param {string} filePath - File of the element, relative to the working directory
+   */
+  const addElement = (elementName, nodePath, filePath) => {
+    const intrinsic = isIntrinsicElement(elementName);
+    if (!elementName || (customOnly && intrinsic)) {
+      return;
+    }
+
+    totalElements++;
+    files.add(filePath);
+
+    if (!components.has(elementName)) {
+      components.set(elementName, {
+        name: elementName,
+        type: intrinsic ? "intrinsic" : "custom",
+        usages: 0,
+        files: new Set(),
+        origins: { imported: 0, local: 0, unbound: 0 },
+        importSources: new Map(),
+      });
+    }
+
+    const entry = components.get(elementName);
+    entry.usages++;
+    entry.files.add(filePath);
+
+    if (intrinsic) {
+      return;
+    }
+
+    const imported = resolveImportedElement(nodePath, elementName);
+    if (imported) {
+      entry.origins.imported++;
+      const source = getCanonicalSource(imported.source, filePath);
+      const key = `${source}#${imported.exportName}`;
+      const sourceCount = entry.importSources.get(key) || {
+        source,
+        exportName: imported.exportName,
+        usages: 0,
+      };
+      sourceCount.usages++;
+      entry.importSources.set(key, sourceCount);
+    } else if (nodePath.scope.getBinding(elementName.split(".")[0])) {
+      entry.origins.local++;
+    } else {
+      entry.origins.unbound++;
+    }
+  };
+
+  /**
+   * Builds the inventory from the elements recorded so far
+   * @returns {ComponentInventory}
+   */
+  const build = () => ({
+    totalElements,
+    fileCount: files.size,
+    componentCount: components.size,
+    components: [...components.values()]
+      .map((entry) => {
+        const component = {
+          name: entry.name,
+          type: entry.type,
+          usages: entry.usages,
+          fileCount: entry.files.size,
+          files: [...entry.files].sort(),
+        };
+        if (entry.type === "custom") {
+          component.origins = entry.origins;
+          component.importSources = [...entry.importSources.values()].sort(
+            (a, b) => b.usages - a.usages || a.source.localeCompare(b.source)
+          );
+        }
+        return component;
+      })
+      .sort((a, b) => b.usages - a.usages || a.name.localeCompare(b.name)),
+  });
+
+  return { addElement, build };
+};
@@ -0,0 +1,87 @@
+import { parseRegexLiteral, compileSafeRegex } from "./safe-regex.js";
+import { parseImportTarget, matchesImportTarget } from "./import-resolver.js";
+
+/**
+ * Component name matching
+ *
+ * A component query can be:
+ * - an exact name: `Button`, `Form.Input`
+ * - a glob: `*Button`, `Form.*`, `Icon?` (`*` stays within one name segment, `**` also crosses dots)
+ * - a regex: `/^Icon[A-Z]/` or `/button$/i`, checked for ReDoS by the input sanitizer
+ * - an import target: `@acme/ui#Button` (see import-resolver.js)
+ */
+
+/**
+ * Predicate deciding whether a JSX element is the queried component
+ * @callback ComponentMatcher
+ * @param {string} elementName - Dotted element name, e.g. `Form.Input`
+ * @param {import("@babel/traverse").NodePath|null} nodePath - Path of the JSX element
+ * @param {string} filePath - Path of the file containing the element
+ * @param {{source: string, exportName: string}|null} [imported] - Export the element is imported
+ *   as, when already known (e.g. from the analysis cache); otherwise resolved from `nodePath`
+ * @returns {boolean}
+ */
+
+/**
+ * Checks whether a component query contains glob wildcards
+ * @param {string} componentName - Component query
+ * @returns {boolean}
+ */
+const isGlobPattern = (componentName) => /[*?]/.test(componentName);
+
+/**
+ * Converts a component-name glob into an anchored regular expression
+ * @param {string} glob - Glob such as `*Button` or `Form.**`
+ * @returns {RegExp}
+ */
+const globToRegExp = (glob) => {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*") {
+      if (glob[i + 1] === "*") {
+        source += ".*";
+        i++;
+      } else {
+        source += "[^.]*";
+      }
+    } else if (char === "?") {
+      source += "[^.]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Creates a matcher for a component query
+ * @param {string} componentName - Exact name, glob, `/regex/` or `<module>#<export>`
+ * @returns {ComponentMatcher}
+ */
+export const createComponentMatcher = (componentName) => {
+  const regexLiteral = parseRegexLiteral(componentName);
+  if (regexLiteral) {
+    const regex = compileSafeRegex(regexLiteral.pattern, regexLiteral.flags);
+    return (elementName) => regex.test(elementName);
+  }
+
+  const importTarget = parseImportTarget(componentName);
+  if (importTarget) {
+    return (elementName, nodePath, filePath, imported) =>
+      matchesImportTarget(
+        nodePath,
+        elementName,
+        importTarget,
+        filePath,
+        imported
+      );
+  }
+
+  if (isGlobPattern(componentName)) {
+    const globRegex = globToRegExp(componentName);
+    return (elementName) => globRegex.test(elementName);
+  }
+
+  return (elementName) => elementName === componentName;
+};
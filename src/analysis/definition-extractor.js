@@ -0,0 +1,905 @@
+import {
+  getTypeScriptAllowedValues,
+  getPropTypesAllowedValues,
+  parseLiteralUnion,
+} from "./literal-types.js";
+
+/**
+ * Component prop definition extraction
+ *
+ * Reads how components declare their props, as opposed to how they are
+ * called, from:
+ * - destructured parameters and their defaults: `({ size = "medium", ...rest })`
+ * - TypeScript interfaces, type aliases and inline type literals
+ * - JSDoc `@typedef`/`@property` blocks and `@param {Type} props` / `@param props.name` tags
+ * - `propTypes` and `defaultProps`, assigned or declared as static class fields
+ *
+ * Only top-level components are considered: function declarations, arrow or
+ * function expressions (optionally wrapped in `memo`/`forwardRef`) and classes
+ * with a superclass, all with capitalized names.
+ */
+
+/**
+ * Where a prop definition was found
+ * @typedef {"destructuring"|"typescript"|"jsdoc"|"propTypes"|"defaultProps"} DefinitionSource
+ */
+
+/**
+ * Definition of one prop of a component
+ * @typedef {Object} PropDefinition
+ * @property {string} name - Prop name
+ * @property {string|null} type - Declared type as written, e.g. `"small" | "large"`; PropTypes are given
+ *   without the `PropTypes.` prefix and `.isRequired`, e.g. `oneOf(["a", "b"])`. TypeScript wins
+ *   over `propTypes`, which wins over JSDoc
+ * @property {Array<string|number|boolean>|null} allowedValues - Values a literal union or `oneOf`
+ *   type allows, from the same source as `type`; null if the type is not a closed set of literals
+ * @property {boolean} required - True if a type declares the prop required and no default is given
+ * @property {string|null} default - Default value source, e.g. `"medium"` or `true`
+ * @property {string|null} description - Description from JSDoc or a comment on the type member
+ * @property {DefinitionSource[]} sources - Where the prop was found
+ */
+
+/**
+ * Definition of one component
+ * @typedef {Object} ComponentDefinition
+ * @property {string} name - Component name
+ * @property {"function"|"class"} kind - How the component is written
+ * @property {number} line - Line of the declaration
+ * @property {boolean} exported - Whether the component is exported
+ * @property {string[]} exportNames - Names it is exported as, e.g. `["Button"]` or `["default"]`
+ * @property {boolean} acceptsRestProps - True if the component takes props beyond those listed,
+ *   through a rest element, an index signature or a type that could not be resolved
+ * @property {PropDefinition[]} props - Props in declaration order
+ */
+
+/**
+ * Wrappers whose first argument is the actual component function
+ */
+const COMPONENT_WRAPPERS = new Set(["memo", "forwardRef", "observer"]);
+
+/**
+ * Checks whether a name follows the component naming convention
+ * @param {string} name - Declared name
+ * @returns {boolean}
+ */
+const isComponentName = (name) => /^[A-Z]/.test(name);
+
+/**
+ * Gets the source text of a node
+ * @param {import("@babel/types").Node} node - Node
+ * @param {string} code - Source code of the file
+ * @returns {string}
+ */
+const sourceOf = (node, code) => code.substring(node.start, node.end);
+
+/**
+ * Gets the static name of an object property or type member key
+ * @param {import("@babel/types").Node} key - Key node
+ * @param {boolean} computed - Whether the key is computed
+ * @returns {string|null}
+ */
+const getKeyName = (key, computed) => {
+  if (key.type === "Identifier" && !computed) {
+    return key.name;
+  }
+  if (key.type === "StringLiteral") {
+    return key.value;
+  }
+  return null;
+};
+
+/**
+ * Extracts the text of the JSDoc block directly preceding a node
+ * @param {import("@babel/types").Node} node - Documented node
+ * @returns {string|null} - Comment text without the leading `*`s, or null
+ */
+const getJSDocText = (node) => {
+  const comments = (node && node.leadingComments) || [];
+  const block = [...comments]
+    .reverse()
+    .find(
+      (comment) => comment.type === "CommentBlock" && comment.value[0] === "*"
+    );
+  if (!block) {
+    return null;
+  }
+  return block.value
+    .split("\n")
+    .map((line) => line.replace(/^\s*\*?\s?/, ""))
+    .join("\n")
+    .trim();
+};
+
+/**
+ * Gets the description part of a JSDoc block (the text before the first tag)
+ * @param {import("@babel/types").Node} node - Documented node
+ * @returns {string|null}
+ */
+const getJSDocDescription = (node) => {
+  const text = getJSDocText(node);
+  if (!text) {
+    return null;
+  }
+  const description = text.split(/^@/m)[0].trim();
+  return description || null;
+};
+
+/**
+ * Parsed JSDoc tag
+ * @typedef {Object} JSDocTag
+ * @property {string} tag - Tag name without `@`
+ * @property {string|null} type - Type between braces
+ * @property {string|null} name - Name, without brackets or default
+ * @property {boolean} optional - True for `[name]`
+ * @property {string|null} default - Default from `[name=default]`
+ * @property {string|null} description - Text after the name
+ */
+
+/**
+ * Reads a brace-delimited type starting at `text[start]`, allowing nested braces
+ * @param {string} text - Tag text
+ * @param {number} start - Index of the opening brace
+ * @returns {{type: string, end: number}|null}
+ */
+const readBracedType = (text, start) => {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === "{") {
+      depth++;
+    } else if (text[i] === "}") {
+      depth--;
+      if (depth === 0) {
+        return { type: text.slice(start + 1, i).trim(), end: i + 1 };
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Finds the bracket closing the optional-name bracket at `text[0]`,
+ * allowing nested brackets in defaults such as `[items=[]]`
+ * @param {string} text - Text starting with `[`
+ * @returns {number} - Index of the closing bracket, or -1
+ */
+const findClosingBracket = (text) => {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "[") {
+      depth++;
+    } else if (text[i] === "]") {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return -1;
+};
+
+/**
+ * Parses the tags of a JSDoc block; continuation lines belong to the previous tag
+ * @param {string} text - Comment text as returned by getJSDocText
+ * @returns {JSDocTag[]}
+ */
+const parseJSDocTags = (text) =>
+  text
+    .split(/^(?=@)/m)
+    .filter((chunk) => chunk.startsWith("@"))
+    .map((chunk) => {
+      const body = chunk.replace(/\s+/g, " ").trim();
+      const tagMatch = /^@(\w+)\s*/.exec(body);
+      let rest = body.slice(tagMatch[0].length);
+
+      let type = null;
+      if (rest.startsWith("{")) {
+        const braced = readBracedType(rest, 0);
+        if (braced) {
+          type = braced.type;
+          rest = rest.slice(braced.end).trim();
+        }
+      }
+
+      let name = null;
+      let optional = false;
+      let defaultValue = null;
+      if (rest.startsWith("[")) {
+        const close = findClosingBracket(rest);
+        const inner = rest.slice(1, close === -1 ? undefined : close);
+        const equals = inner.indexOf("=");
+        name = (equals === -1 ? inner : inner.slice(0, equals)).trim();
+        defaultValue = equals === -1 ? null : inner.slice(equals + 1).trim();
+        optional = true;
+        rest = close === -1 ? "" : rest.slice(close + 1).trim();
+      } else {
+        const nameMatch = /^[^\s]+/.exec(rest);
+        name = nameMatch ? nameMatch[0] : null;
+        rest = nameMatch ? rest.slice(nameMatch[0].length).trim() : rest;
+      }
+
+      const description = rest.replace(/^-\s*/, "").trim();
+      return {
+        tag: tagMatch[1],
+        type,
+        name,
+        optional,
+        default: defaultValue,
+        description: description || null,
+      };
+    });
+
+/**
+ * Accumulates prop definitions from several sources, in first-seen order
+ */
+class PropCollector {
+  constructor() {
+    this.props = new Map();
+    this.types = new Map();
+    this.acceptsRestProps = false;
+  }
+
+  /**
+   * Merges what one source says about a prop
+   * @param {string} name - Prop name
+   * @param {DefinitionSource} source - Where the information comes from
+   * @param {Object} info - Information from that source
+   * @param {string|null} [info.type] - Declared type
+   * @param {Array<string|number|boolean>|null} [info.allowedValues] - Values the type allows
+   * @param {boolean} [info.required] - Whether the source declares the prop required
+   * @param {string|null} [info.default] - Default value source
+   * @param {string|null} [info.description] - Description
+   */
+  add(name, source, info = {}) {
+    if (!this.props.has(name)) {
+      this.props.set(name, {
+        name,
+        type: null,
+        allowedValues: null,
+        required: false,
+        default: null,
+        description: null,
+        sources: [],
+      });
+    }
+
+    const prop = this.props.get(name);
+    if (!prop.sources.includes(source)) {
+      prop.sources.push(source);
+    }
+    if (info.type) {
+      // Keep the type from the most precise source
+      const precedence = ["jsdoc", "propTypes", "typescript"];
+      const current = this.types.get(name);
+      if (
+        !current ||
+        precedence.indexOf(source) >= precedence.indexOf(current)
+      ) {
+        prop.type = info.type;
+        prop.allowedValues = info.allowedValues || null;
+        this.types.set(name, source);
+      }
+    }
+    if (info.required) {
+      prop.required = true;
+    }
+    if (info.default != null && prop.default === null) {
+      prop.default = info.default;
+    }
+    if (info.description && !prop.description) {
+      prop.description = info.description;
+    }
+  }
+
+  /**
+   * Builds the final prop list; props with a default are never required
+   * @returns {PropDefinition[]}
+   */
+  build() {
+    return [...this.props.values()].map((prop) => ({
+      ...prop,
+      required: prop.required && prop.default === null,
+    }));
+  }
+}
+
+/**
+ * Collects the top-level declarations a component definition can refer to
+ * @param {import("@babel/types").File} ast - Parsed file
+ * @returns {{typeDeclarations: Map, typedefs: Map, assignments: Map}}
+ */
+const collectFileDeclarations = (ast) => {
+  const typeDeclarations = new Map();
+  const typedefs = new Map();
+  const assignments = new Map();
+
+  for (const comment of ast.comments || []) {
+    if (comment.type !== "CommentBlock" || comment.value[0] !== "*") {
+      continue;
+    }
+    const text = getJSDocText({ leadingComments: [comment] });
+    const tags = parseJSDocTags(text);
+    const typedef = tags.find((tag) => tag.tag === "typedef");
+    if (typedef && typedef.name) {
+      typedefs.set(typedef.name, {
+        type: typedef.type,
+        properties: tags.filter(
+          (tag) => tag.tag === "property" || tag.tag === "prop"
+        ),
+      });
+    }
+  }
+
+  for (const statement of ast.program.body) {
+    const declaration =
+      statement.type === "ExportNamedDeclaration" && statement.declaration
+        ? statement.declaration
+        : statement;
+
+    if (
+      declaration.type === "TSInterfaceDeclaration" ||
+      declaration.type === "TSTypeAliasDeclaration"
+    ) {
+      typeDeclarations.set(declaration.id.name, declaration);
+    }
+
+    // Component.propTypes = {...} / Component.defaultProps = {...}
+    if (
+      statement.type === "ExpressionStatement" &&
+      statement.expression.type === "AssignmentExpression" &&
+      statement.expression.left.type === "MemberExpression" &&
+      statement.expression.left.object.type === "Identifier" &&
+      !statement.expression.left.computed &&
+      ["propTypes", "defaultProps"].includes(
+        statement.expression.left.property.name
+      )
+    ) {
+      const componentName = statement.expression.left.object.name;
+      const entry = assignments.get(componentName) || {};
+      entry[statement.expression.left.property.name] =
+        statement.expression.right;
+      assignments.set(componentName, entry);
+    }
+  }
+
+  return { typeDeclarations, typedefs, assignments };
+};
+
+/**
+ * Writes a method signature as a function type, e.g. `onSelect(id: string): void`
+ * as `(id: string) => void`
+ * @param {import("@babel/types").TSMethodSignature} member - Method signature
+ * @param {string} code - Source code of the file
+ * @returns {string}
+ */
+const getMethodType = (member, code) => {
+  const params = (member.parameters || member.params || [])
+    .map((param) => sourceOf(param, code))
+    .join(", ");
+  const returnType = member.typeAnnotation
+    ? sourceOf(member.typeAnnotation.typeAnnotation, code)
+    : "void";
+  return `(${params}) => ${returnType}`;
+};
+
+/**
+ * Adds the members of a TypeScript type to the collector, following
+ * references to interfaces and type aliases declared in the same file
+ * @param {import("@babel/types").Node} typeNode - Type annotation node
+ * @param {PropCollector} collector - Collector to fill
+ * @param {Map} typeDeclarations - Interfaces and type aliases of the file
+ * @param {string} code - Source code of the file
+ * @param {Set<string>} seen - Type names already expanded, to stop cycles
+ */
+const addTypeScriptProps = (
+  typeNode,
+  collector,
+  typeDeclarations,
+  code,
+  seen = new Set()
+) => {
+  switch (typeNode.type) {
+    case "TSTypeAnnotation":
+    case "TSParenthesizedType":
+      addTypeScriptProps(
+        typeNode.typeAnnotation,
+        collector,
+        typeDeclarations,
+        code,
+        seen
+      );
+      return;
+
+    case "TSTypeLiteral":
+    case "TSInterfaceBody":
+      for (const member of typeNode.members || typeNode.body) {
+        if (member.type === "TSIndexSignature") {
+          collector.acceptsRestProps = true;
+          continue;
+        }
+        if (
+          member.type !== "TSPropertySignature" &&
+          member.type !== "TSMethodSignature"
+        ) {
+          continue;
+        }
+        const name = getKeyName(member.key, member.computed);
+        if (name === null) {
+          continue;
+        }
+        const typeAnnotation =
+          member.type === "TSPropertySignature" && member.typeAnnotation
+            ? member.typeAnnotation.typeAnnotation
+            : null;
+        collector.add(name, "typescript", {
+          type:
+            member.type === "TSMethodSignature"
+              ? getMethodType(member, code)
+              : typeAnnotation && sourceOf(typeAnnotation, code),
+          allowedValues:
+            typeAnnotation &&
+            getTypeScriptAllowedValues(typeAnnotation, typeDeclarations),
+          required: !member.optional,
+          description: getJSDocDescription(member),
+        });
+      }
+      return;
+
+    case "TSIntersectionType":
+      typeNode.types.forEach((part) =>
+        addTypeScriptProps(part, collector, typeDeclarations, code, seen)
+      );
+      return;
+
+    case "TSTypeReference": {
+      const name =
+        typeNode.typeName.type === "Identifier" ? typeNode.typeName.name : null;
+      const declaration = name && typeDeclarations.get(name);
+      if (!declaration) {
+        // e.g. React.HTMLAttributes<HTMLDivElement> or an imported type
+        collector.acceptsRestProps = true;
+        return;
+      }
+      if (seen.has(name)) {
+        return;
+      }
+      seen.add(name);
+
+      if (declaration.type === "TSInterfaceDeclaration") {
+        for (const heritage of declaration.extends || []) {
+          addTypeScriptProps(
+            {
+              type: "TSTypeReference",
+              typeName: heritage.expression,
+            },
+            collector,
+            typeDeclarations,
+            code,
+            seen
+          );
+        }
+        addTypeScriptProps(
+          declaration.body,
+          collector,
+          typeDeclarations,
+          code,
+          seen
+        );
+      } else {
+        addTypeScriptProps(
+          declaration.typeAnnotation,
+          collector,
+          typeDeclarations,
+          code,
+          seen
+        );
+      }
+      return;
+    }
+
+    default:
+      collector.acceptsRestProps = true;
+  }
+};
+
+/**
+ * Adds JSDoc-declared props: a `@typedef` referenced by `@param {Type} props`
+ * (including `A & B` intersections) and `@param {type} props.name` tags
+ * @param {string|null} jsdocText - JSDoc of the component
+ * @param {PropCollector} collector - Collector to fill
+ * @param {Map} typedefs - Typedefs of the file
+ */
+const addJSDocProps = (jsdocText, collector, typedefs) => {
+  if (!jsdocText) {
+    return;
+  }
+
+  const params = parseJSDocTags(jsdocText).filter(
+    (tag) => tag.tag === "param" && tag.name
+  );
+  if (params.length === 0) {
+    return;
+  }
+
+  const propsParam = params[0];
+  const addProperty = (tag, name) =>
+    collector.add(name, "jsdoc", {
+      type: tag.type,
+      allowedValues: parseLiteralUnion(tag.type),
+      required: !tag.optional,
+      default: tag.default,
+      description: tag.description,
+    });
+
+  if (propsParam.type) {
+    for (const part of propsParam.type.split("&").map((type) => type.trim())) {
+      const typedef = typedefs.get(part);
+      if (typedef) {
+        typedef.properties
+          .filter((tag) => tag.name)
+          .forEach((tag) => addProperty(tag, tag.name));
+      } else if (part !== "Object" && part !== "object") {
+        collector.acceptsRestProps = true;
+      }
+    }
+  }
+
+  const prefix = `${propsParam.name}.`;
+  params
+    .filter((tag) => tag.name.startsWith(prefix))
+    .forEach((tag) => addProperty(tag, tag.name.slice(prefix.length)));
+};
+
+/**
+ * Adds props from a `propTypes` object
+ * @param {import("@babel/types").Node} node - Object expression
+ * @param {PropCollector} collector - Collector to fill
+ * @param {string} code - Source code of the file
+ */
+const addPropTypes = (node, collector, code) => {
+  if (node.type !== "ObjectExpression") {
+    return;
+  }
+  for (const property of node.properties) {
+    if (property.type !== "ObjectProperty") {
+      continue;
+    }
+    const name = getKeyName(property.key, property.computed);
+    if (name === null) {
+      continue;
+    }
+    const source = sourceOf(property.value, code);
+    const required = /\.isRequired$/.test(source);
+    collector.add(name, "propTypes", {
+      type: source.replace(/^PropTypes\./, "").replace(/\.isRequired$/, ""),
+      allowedValues: getPropTypesAllowedValues(property.value),
+      required,
+      description: getJSDocDescription(property),
+    });
+  }
+};
+
+/**
+ * Adds props from a `defaultProps` object
+ * @param {import("@babel/types").Node} node - Object expression
+ * @param {PropCollector} collector - Collector to fill
+ * @param {string} code - Source code of the file
+ */
+const addDefaultProps = (node, collector, code) => {
+  if (node.type !== "ObjectExpression") {
+    return;
+  }
+  for (const property of node.properties) {
+    if (property.type !== "ObjectProperty") {
+      continue;
+    }
+    const name = getKeyName(property.key, property.computed);
+    if (name !== null) {
+      collector.add(name, "defaultProps", {
+        default: sourceOf(property.value, code),
+      });
+    }
+  }
+};
+
+/**
+ * Adds the props destructured from an object pattern
+ * @param {import("@babel/types").ObjectPattern} pattern - Destructuring pattern
+ * @param {PropCollector} collector - Collector to fill
+ * @param {string} code - Source code of the file
+ */
+const addDestructuredProps = (pattern, collector, code) => {
+  for (const property of pattern.properties) {
+    if (property.type === "RestElement") {
+      collector.acceptsRestProps = true;
+      continue;
+    }
+    const name = getKeyName(property.key, property.computed);
+    if (name === null) {
+      collector.acceptsRestProps = true;
+      continue;
+    }
+    collector.add(name, "destructuring", {
+      default:
+        property.value.type === "AssignmentPattern"
+          ? sourceOf(property.value.right, code)
+          : null,
+    });
+  }
+};
+
+/**
+ * Finds the component function inside `memo(...)`, `forwardRef(...)` and
+ * similar wrappers
+ * @param {import("@babel/types").Node} node - Initializer of the component variable
+ * @returns {import("@babel/types").Node|null} - Function node, or null
+ */
+const unwrapComponentFunction = (node) => {
+  if (!node) {
+    return null;
+  }
+  if (
+    node.type === "ArrowFunctionExpression" ||
+    node.type === "FunctionExpression"
+  ) {
+    return node;
+  }
+  if (node.type === "CallExpression" && node.arguments.length > 0) {
+    const callee =
+      node.callee.type === "MemberExpression"
+        ? node.callee.property
+        : node.callee;
+    if (callee.type === "Identifier" && COMPONENT_WRAPPERS.has(callee.name)) {
+      return unwrapComponentFunction(node.arguments[0]);
+    }
+  }
+  if (node.type === "TSAsExpression" || node.type === "TSSatisfiesExpression") {
+    return unwrapComponentFunction(node.expression);
+  }
+  return null;
+};
+
+/**
+ * Gets the props type argument of a typed component variable,
+ * e.g. `Props` in `const Button: React.FC<Props> = ...`
+ * @param {import("@babel/types").Node} id - Declared identifier
+ * @returns {import("@babel/types").Node|null}
+ */
+const getVariablePropsType = (id) => {
+  const annotation = id.typeAnnotation && id.typeAnnotation.typeAnnotation;
+  if (
+    annotation &&
+    annotation.type === "TSTypeReference" &&
+    annotation.typeParameters &&
+    annotation.typeParameters.params.length > 0
+  ) {
+    return annotation.typeParameters.params[0];
+  }
+  return null;
+};
+
+/**
+ * Adds the props a function component declares through its first parameter
+ * @param {import("@babel/types").Node} fn - Component function
+ * @param {PropCollector} collector - Collector to fill
+ * @param {Map} typeDeclarations - Interfaces and type aliases of the file
+ * @param {string} code - Source code of the file
+ */
+const addFunctionProps = (fn, collector, typeDeclarations, code) => {
+  let param = fn.params[0];
+  if (!param) {
+    return;
+  }
+  if (param.type === "AssignmentPattern") {
+    param = param.left;
+  }
+
+  if (param.typeAnnotation) {
+    addTypeScriptProps(param.typeAnnotation, collector, typeDeclarations, code);
+  }
+
+  if (param.type === "ObjectPattern") {
+    addDestructuredProps(param, collector, code);
+    return;
+  }
+
+  // The whole props object is available, so any prop may be read
+  collector.acceptsRestProps = true;
+
+  if (param.type === "Identifier" && fn.body.type === "BlockStatement") {
+    // const { a, b = 1 } = props;
+    for (const statement of fn.body.body) {
+      if (statement.type !== "VariableDeclaration") {
+        continue;
+      }
+      for (const declarator of statement.declarations) {
+        if (
+          declarator.id.type === "ObjectPattern" &&
+          declarator.init &&
+          declarator.init.type === "Identifier" &&
+          declarator.init.name === param.name
+        ) {
+          addDestructuredProps(declarator.id, collector, code);
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Adds the props a class component declares through static fields and its
+ * `Component<Props>` type argument
+ * @param {import("@babel/types").ClassDeclaration} classNode - Component class
+ * @param {PropCollector} collector - Collector to fill
+ * @param {Map} typeDeclarations - Interfaces and type aliases of the file
+ * @param {string} code - Source code of the file
+ */
+const addClassProps = (classNode, collector, typeDeclarations, code) => {
+  const typeArguments = classNode.superTypeParameters;
+  if (typeArguments && typeArguments.params.length > 0) {
+    addTypeScriptProps(
+      typeArguments.params[0],
+      collector,
+      typeDeclarations,
+      code
+    );
+  }
+
+  for (const member of classNode.body.body) {
+    if (member.type !== "ClassProperty" || !member.static || !member.value) {
+      continue;
+    }
+    const name = getKeyName(member.key, member.computed);
+    if (name === "propTypes") {
+      addPropTypes(member.value, collector, code);
+    } else if (name === "defaultProps") {
+      addDefaultProps(member.value, collector, code);
+    }
+  }
+};
+
+/**
+ * Extracts the prop definitions of every top-level component in a file
+ * @param {import("@babel/types").File} ast - Parsed file
+ * @param {string} code - Source code of the file
+ * @returns {ComponentDefinition[]}
+ */
+export const extractComponentDefinitions = (ast, code) => {
+  const { typeDeclarations, typedefs, assignments } =
+    collectFileDeclarations(ast);
+  const exportNames = new Map();
+  const addExportName = (localName, exportName) =>
+    exportNames.set(localName, [
+      ...(exportNames.get(localName) || []),
+      exportName,
+    ]);
+  const candidates = [];
+
+  for (const statement of ast.program.body) {
+    const isExport =
+      statement.type === "ExportNamedDeclaration" ||
+      statement.type === "ExportDefaultDeclaration";
+    const declaration = isExport ? statement.declaration : statement;
+    const getDirectExportName = (name) => {
+      if (!isExport) {
+        return null;
+      }
+      return statement.type === "ExportDefaultDeclaration" ? "default" : name;
+    };
+
+    if (statement.type === "ExportNamedDeclaration" && !declaration) {
+      if (statement.source) {
+        // Re-exports refer to another module's bindings
+        continue;
+      }
+      // export { Button, Modal as Dialog };
+      statement.specifiers.forEach((specifier) =>
+        addExportName(
+          specifier.local.name,
+          specifier.exported.type === "StringLiteral"
+            ? specifier.exported.value
+            : specifier.exported.name
+        )
+      );
+      continue;
+    }
+    if (
+      statement.type === "ExportDefaultDeclaration" &&
+      declaration.type === "Identifier"
+    ) {
+      addExportName(declaration.name, "default");
+      continue;
+    }
+    if (!declaration) {
+      continue;
+    }
+
+    if (
+      declaration.type === "FunctionDeclaration" &&
+      declaration.id &&
+      isComponentName(declaration.id.name)
+    ) {
+      candidates.push({
+        name: declaration.id.name,
+        kind: "function",
+        fn: declaration,
+        documented: statement,
+        exportName: getDirectExportName(declaration.id.name),
+      });
+    } else if (
+      declaration.type === "ClassDeclaration" &&
+      declaration.id &&
+      declaration.superClass &&
+      isComponentName(declaration.id.name)
+    ) {
+      candidates.push({
+        name: declaration.id.name,
+        kind: "class",
+        classNode: declaration,
+        documented: statement,
+        exportName: getDirectExportName(declaration.id.name),
+      });
+    } else if (declaration.type === "VariableDeclaration") {
+      for (const declarator of declaration.declarations) {
+        if (
+          declarator.id.type !== "Identifier" ||
+          !isComponentName(declarator.id.name)
+        ) {
+          continue;
+        }
+        const fn = unwrapComponentFunction(declarator.init);
+        if (fn) {
+          candidates.push({
+            name: declarator.id.name,
+            kind: "function",
+            fn,
+            propsType: getVariablePropsType(declarator.id),
+            documented: statement,
+            exportName: getDirectExportName(declarator.id.name),
+          });
+        }
+      }
+    }
+  }
+
+  return candidates.map((candidate) => {
+    const collector = new PropCollector();
+
+    if (candidate.kind === "class") {
+      addClassProps(candidate.classNode, collector, typeDeclarations, code);
+    } else {
+      if (candidate.propsType) {
+        addTypeScriptProps(
+          candidate.propsType,
+          collector,
+          typeDeclarations,
+          code
+        );
+      }
+      addFunctionProps(candidate.fn, collector, typeDeclarations, code);
+    }
+
+    const assigned = assignments.get(candidate.name) || {};
+    if (assigned.propTypes) {
+      addPropTypes(assigned.propTypes, collector, code);
+    }
+    if (assigned.defaultProps) {
+      addDefaultProps(assigned.defaultProps, collector, code);
+    }
+    addJSDocProps(getJSDocText(candidate.documented), collector, typedefs);
+
+    const names = [
+      ...(candidate.exportName ? [candidate.exportName] : []),
+      ...(exportNames.get(candidate.name) || []),
+    ];
+
+    return {
+      name: candidate.name,
+      kind: candidate.kind,
+      line: candidate.documented.loc.start.line,
+      exported: names.length > 0,
+      exportNames: names,
+      acceptsRestProps: collector.acceptsRestProps,
+      props: collector.build(),
+    };
+  });
+};
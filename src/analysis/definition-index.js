@@ -0,0 +1,176 @@
+import {
+  resolveImportedElement,
+  getModuleId,
+  resolveModuleId,
+} from "./import-resolver.js";
+import { isIntrinsicElement } from "./component-inventory.js";
+import { toRange } from "./prop-value.js";
+
+/**
+ * Links JSX usages to component definitions
+ *
+ * Collects the component definitions and the usages of a codebase in one
+ * pass, then pairs each usage with the definition it refers to so that
+ * checks can compare call sites against what components declare.
+ */
+
+/**
+ * Component definition and the file declaring it
+ * @typedef {Object} IndexedDefinition
+ * @property {string} filePath - File of the definition, relative to the working directory
+ * @property {import("./definition-extractor.js").ComponentDefinition} definition - Definition
+ */
+
+/**
+ * JSX element referring to a known component, kept without its AST
+ * @typedef {Object} ComponentUsage
+ * @property {string} filePath - File of the element, relative to the working directory
+ * @property {number} lineNumber - Line of the element's opening tag
+ * @property {import("./prop-value.js").SourceRange} range - Start and end of the whole element
+ * @property {string} elementName - Dotted element name
+ * @property {Object<string, import("./prop-value.js").PropValue>} props - Typed props of the element
+ * @property {Set<string>} explicitProps - Props set through regular attributes
+ * @property {Array<import("./spread-resolver.js").SpreadResolution>} spreads - Resolved spreads,
+ *   without value nodes
+ * @property {boolean} hasChildren - Whether the element has JSX children
+ */
+
+/**
+ * Usage paired with its definition
+ * @typedef {Object} ResolvedUsage
+ * @property {ComponentUsage} usage - JSX element
+ * @property {IndexedDefinition} component - Definition it refers to
+ */
+
+/**
+ * Checks whether a JSX element has children, ignoring whitespace and empty
+ * expression containers such as comments
+ * @param {import("@babel/types").JSXElement} element - JSX element
+ * @returns {boolean}
+ */
+const hasJSXChildren = (element) =>
+  element.children.some((child) => {
+    if (child.type === "JSXText") {
+      return child.value.trim() !== "";
+    }
+    return !(
+      child.type === "JSXExpressionContainer" &&
+      child.expression.type === "JSXEmptyExpression"
+    );
+  });
+
+/**
+ * Keeps what presence checks need from a spread resolution, without AST nodes
+ * @param {import("./spread-resolver.js").SpreadResolution} spread - Resolved spread attribute
+ * @returns {import("./spread-resolver.js").SpreadResolution}
+ */
+const toStatusSpread = (spread) => ({
+  props: new Map(
+    [...spread.props].map(([name, prop]) => [
+      name,
+      { certain: prop.certain, valueNode: null },
+    ])
+  ),
+  opaque: spread.opaque,
+  opaqueSources: spread.opaqueSources,
+});
+
+/**
+ * Creates an index of component definitions and the usages referring to
+ * them. Definitions may be added after their usages.
+ * @returns {{addDefinitions: Function, addUsage: Function, getMissingModules: () => string[], getResolvedUsages: () => ResolvedUsage[]}}
+ */
+export const createDefinitionIndex = () => {
+  const definitions = new Map();
+  const loadedModules = new Set();
+  const usages = [];
+
+  /**
+   * Records the component definitions of a file
+   * @param {string} filePath - File of the definitions, relative to the working directory
+   * @param {import("./definition-extractor.js").ComponentDefinition[]} fileDefinitions - Definitions
+   */
+  const addDefinitions = (filePath, fileDefinitions) => {
+    const moduleId = getModuleId(filePath);
+    loadedModules.add(moduleId);
+
+    for (const definition of fileDefinitions) {
+      const entry = { filePath, definition };
+      definitions.set(`${moduleId}:${definition.name}`, entry);
+      for (const exportName of definition.exportNames) {
+        definitions.set(`${moduleId}#${exportName}`, entry);
+      }
+    }
+  };
+
+  /**
+   * Records one JSX element, keyed by the definition it refers to: a
+   * top-level declaration of the same file or an export of a relative import
+   * @param {string} filePath - File of the element, relative to the working directory
+   * @param {import("@babel/traverse").NodePath} nodePath - Path of the JSX element
+   * @param {string} elementName - Dotted element name
+   * @param {{props: Object, explicitProps: Set<string>, spreads: Array}} elementProps - Props of the element
+   */
+  const addUsage = (filePath, nodePath, elementName, elementProps) => {
+    if (!elementName || isIntrinsicElement(elementName)) {
+      return;
+    }
+
+    let moduleId = null;
+    let key = null;
+    const imported = resolveImportedElement(nodePath, elementName);
+    if (imported) {
+      moduleId = resolveModuleId(imported.source, filePath);
+      key = moduleId && `${moduleId}#${imported.exportName}`;
+    } else if (!elementName.includes(".")) {
+      const binding = nodePath.scope.getBinding(elementName);
+      if (binding && binding.scope.block.type === "Program") {
+        moduleId = getModuleId(filePath);
+        key = `${moduleId}:${elementName}`;
+      }
+    }
+    if (!key) {
+      return;
+    }
+
+    usages.push({
+      key,
+      moduleId,
+      usage: {
+        filePath,
+        lineNumber: nodePath.node.openingElement.loc.start.line,
+        range: toRange(nodePath.node),
+        elementName,
+        props: elementProps.props,
+        explicitProps: elementProps.explicitProps,
+        spreads: elementProps.spreads.map(toStatusSpread),
+        hasChildren: hasJSXChildren(nodePath.node),
+      },
+    });
+  };
+
+  /**
+   * Lists the modules that usages refer to but whose definitions were not added,
+   * e.g. components imported from outside the analyzed directory
+   * @returns {string[]} - Module ids
+   */
+  const getMissingModules = () => [
+    ...new Set(
+      usages
+        .map(({ moduleId }) => moduleId)
+        .filter((moduleId) => !loadedModules.has(moduleId))
+    ),
+  ];
+
+  /**
+   * Pairs the usages recorded so far with their definitions, in recording
+   * order; usages of unknown components are left out
+   * @returns {ResolvedUsage[]}
+   */
+  const getResolvedUsages = () =>
+    usages
+      .filter(({ key }) => definitions.has(key))
+      .map(({ key, usage }) => ({ usage, component: definitions.get(key) }));
+
+  return { addDefinitions, addUsage, getMissingModules, getResolvedUsages };
+};
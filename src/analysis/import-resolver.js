@@ -0,0 +1,216 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Import-aware component targeting
+ *
+ * A component can be targeted by module source plus export name, written as
+ * `<source>#<exportName>` (e.g. `@acme/ui#Button`, `./src/legacy/Button#default`
+ * or `@acme/ui#Form.Input`). JSX elements are then matched through the import
+ * bindings of each file instead of by tag name.
+ */
+
+/**
+ * Extensions stripped when comparing relative module paths
+ */
+const RESOLVABLE_EXTENSIONS = [
+  ".js",
+  ".jsx",
+  ".ts",
+  ".tsx",
+  ".mjs",
+  ".cjs",
+  ".mts",
+  ".cts",
+];
+
+/**
+ * Component addressed by the module it is exported from
+ * @typedef {Object} ImportTarget
+ * @property {string} source - Module source as written in the query
+ * @property {string} exportName - Export name, `default`, optionally with `.member` parts
+ * @property {string|null} resolvedSource - Normalized absolute path for relative sources
+ */
+
+/**
+ * Normalizes a file-system module specifier so that `./Button`, `./Button.jsx`
+ * and `./Button/index.js` compare equal
+ * @param {string} absolutePath - Absolute module path
+ * @returns {string} - Path without extension or trailing `/index`
+ */
+const normalizeModulePath = (absolutePath) => {
+  let normalized = absolutePath;
+  const ext = path.extname(normalized);
+  if (RESOLVABLE_EXTENSIONS.includes(ext)) {
+    normalized = normalized.slice(0, -ext.length);
+  }
+  if (path.basename(normalized) === "index") {
+    normalized = path.dirname(normalized);
+  }
+  return normalized;
+};
+
+/**
+ * Checks whether a module source refers to a file rather than a package
+ * @param {string} source - Module source
+ * @returns {boolean}
+ */
+const isRelativeSource = (source) =>
+  source.startsWith("./") || source.startsWith("../") || source === ".";
+
+/**
+ * Identifies the module defined by a file, as compared with resolved import sources
+ * @param {string} filePath - Path of the file
+ * @returns {string} - Absolute path without extension or trailing `/index`
+ */
+export const getModuleId = (filePath) =>
+  normalizeModulePath(path.resolve(filePath));
+
+/**
+ * Resolves a relative import source to the module it refers to
+ * @param {string} source - Module source as written in the import
+ * @param {string} filePath - Path of the importing file
+ * @returns {string|null} - Module id as returned by `getModuleId`, or null for package sources
+ */
+export const resolveModuleId = (source, filePath) =>
+  isRelativeSource(source)
+    ? normalizeModulePath(
+        path.resolve(path.dirname(path.resolve(filePath)), source)
+      )
+    : null;
+
+/**
+ * Finds the file defining a module, trying each resolvable extension and `index` files
+ * @param {string} moduleId - Module id as returned by `getModuleId`
+ * @returns {string|null} - Path of the file, or null if none exists
+ */
+export const findModuleFile = (moduleId) => {
+  const candidates = [moduleId, path.join(moduleId, "index")].flatMap((base) =>
+    RESOLVABLE_EXTENSIONS.map((ext) => base + ext)
+  );
+  return (
+    candidates.find((candidate) => {
+      try {
+        return fs.statSync(candidate).isFile();
+      } catch (error) {
+        return false;
+      }
+    }) || null
+  );
+};
+
+/**
+ * Parses a `<source>#<exportName>` component query
+ * @param {string} componentName - Component query
+ * @returns {ImportTarget|null} - Parsed target, or null for plain tag names
+ * @throws {Error} - If the query uses `#` but is malformed
+ */
+export const parseImportTarget = (componentName) => {
+  const hashIndex = componentName.lastIndexOf("#");
+  if (hashIndex === -1) {
+    return null;
+  }
+
+  const source = componentName.slice(0, hashIndex);
+  const exportName = componentName.slice(hashIndex + 1);
+
+  if (!source || !/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(exportName)) {
+    throw new Error(
+      `Invalid import target "${componentName}". Expected <module>#<exportName>, e.g. @acme/ui#Button`
+    );
+  }
+
+  return {
+    source,
+    exportName,
+    resolvedSource: isRelativeSource(source)
+      ? normalizeModulePath(path.resolve(process.cwd(), source))
+      : null,
+  };
+};
+
+/**
+ * Resolves which export a JSX element name refers to through the file's imports
+ * @param {import("@babel/traverse").NodePath} nodePath - Path of the JSX element
+ * @param {string} elementName - Dotted element name, e.g. `UI.Button`
+ * @returns {{source: string, exportName: string}|null} - Imported export, or null
+ *   if the element is not bound to an import
+ */
+export const resolveImportedElement = (nodePath, elementName) => {
+  const [localName, ...members] = elementName.split(".");
+  const binding = nodePath.scope.getBinding(localName);
+
+  if (!binding || binding.kind !== "module") {
+    return null;
+  }
+
+  const specifier = binding.path.node;
+  const source = binding.path.parentPath.node.source.value;
+
+  if (specifier.type === "ImportNamespaceSpecifier") {
+    // <UI.Button> with `import * as UI from "..."`
+    if (members.length === 0) {
+      return null;
+    }
+    return { source, exportName: members.join(".") };
+  }
+
+  let importedName = "default";
+  if (specifier.type === "ImportSpecifier") {
+    importedName =
+      specifier.imported.type === "StringLiteral"
+        ? specifier.imported.value
+        : specifier.imported.name;
+  }
+
+  return { source, exportName: [importedName, ...members].join(".") };
+};
+
+/**
+ * Describes an import source independently of the importing file: package
+ * sources are kept as-is, relative sources become `./`-prefixed paths from the
+ * working directory without extension, as accepted in `<module>#<export>` queries
+ * @param {string} source - Module source as written in the import
+ * @param {string} filePath - Path of the importing file
+ * @returns {string}
+ */
+export const getCanonicalSource = (source, filePath) => {
+  const modulePath = resolveModuleId(source, filePath);
+  if (!modulePath) {
+    return source;
+  }
+
+  const relative = path
+    .relative(process.cwd(), modulePath)
+    .split(path.sep)
+    .join("/");
+  return relative.startsWith("../") ? relative : `./${relative}`;
+};
+
+/**
+ * Checks whether a JSX element refers to the targeted export
+ * @param {import("@babel/traverse").NodePath} nodePath - Path of the JSX element
+ * @param {string} elementName - Dotted element name
+ * @param {ImportTarget} target - Parsed import target
+ * @param {string} filePath - Path of the file containing the element
+ * @param {{source: string, exportName: string}|null} [imported] - Export the element is imported
+ *   as, if already resolved
+ * @returns {boolean}
+ */
+export const matchesImportTarget = (
+  nodePath,
+  elementName,
+  target,
+  filePath,
+  imported = resolveImportedElement(nodePath, elementName)
+) => {
+  if (!imported || imported.exportName !== target.exportName) {
+    return false;
+  }
+
+  if (target.resolvedSource) {
+    return resolveModuleId(imported.source, filePath) === target.resolvedSource;
+  }
+
+  return imported.source === target.source;
+};
@@ -0,0 +1,215 @@
+/**
+ * Allowed values of literal union and enum prop types
+ *
+ * Reads the closed set of values a prop type allows, from TypeScript literal
+ * unions such as `"small" | "large"`, JSDoc types written the same way and
+ * `PropTypes.oneOf([...])`. Types that allow other values (`string`,
+ * `number`, references that cannot be followed) have no allowed set.
+ */
+
+/**
+ * Reads a literal node
+ * @param {import("@babel/types").Node} node - Literal node
+ * @returns {{value: string|number|boolean}|null} - Wrapped value, or null if the node is not a literal
+ */
+const readLiteral = (node) => {
+  switch (node.type) {
+    case "StringLiteral":
+    case "NumericLiteral":
+    case "BooleanLiteral":
+      return { value: node.value };
+    case "TemplateLiteral":
+      return node.expressions.length === 0
+        ? { value: node.quasis[0].value.cooked }
+        : null;
+    case "UnaryExpression":
+      return node.operator === "-" && node.argument.type === "NumericLiteral"
+        ? { value: -node.argument.value }
+        : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Collects the values of a TypeScript type that is a closed set of literals
+ * @param {import("@babel/types").Node} typeNode - Type node
+ * @param {Map} typeDeclarations - Interfaces and type aliases of the file
+ * @param {Set<string>} seen - Aliases already expanded, to stop cycles
+ * @returns {Array<string|number|boolean>|null}
+ */
+const collectTypeScriptValues = (typeNode, typeDeclarations, seen) => {
+  switch (typeNode.type) {
+    case "TSParenthesizedType":
+      return collectTypeScriptValues(
+        typeNode.typeAnnotation,
+        typeDeclarations,
+        seen
+      );
+
+    case "TSLiteralType": {
+      const literal = readLiteral(typeNode.literal);
+      return literal ? [literal.value] : null;
+    }
+
+    case "TSBooleanKeyword":
+      return [true, false];
+
+    case "TSNullKeyword":
+    case "TSUndefinedKeyword":
+      // Optional values are not literals a call site can pass
+      return [];
+
+    case "TSUnionType": {
+      const values = [];
+      for (const member of typeNode.types) {
+        const memberValues = collectTypeScriptValues(
+          member,
+          typeDeclarations,
+          seen
+        );
+        if (!memberValues) {
+          return null;
+        }
+        values.push(...memberValues);
+      }
+      return values.length > 0 ? [...new Set(values)] : null;
+    }
+
+    case "TSTypeReference": {
+      const name =
+        typeNode.typeName.type === "Identifier" ? typeNode.typeName.name : null;
+      const declaration = name && typeDeclarations.get(name);
+      if (
+        !declaration ||
+        declaration.type !== "TSTypeAliasDeclaration" ||
+        seen.has(name)
+      ) {
+        return null;
+      }
+      seen.add(name);
+      return collectTypeScriptValues(
+        declaration.typeAnnotation,
+        typeDeclarations,
+        seen
+      );
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Collects the values of a TypeScript literal union, following type aliases
+ * declared in the same file. `boolean` only counts as `true | false` inside
+ * a union, so plain boolean props are not validated.
+ * @param {import("@babel/types").Node} typeNode - Type node
+ * @param {Map} typeDeclarations - Interfaces and type aliases of the file
+ * @returns {Array<string|number|boolean>|null} - Allowed values, or null if the type is not a closed set
+ */
+export const getTypeScriptAllowedValues = (typeNode, typeDeclarations) =>
+  typeNode.type === "TSBooleanKeyword"
+    ? null
+    : collectTypeScriptValues(typeNode, typeDeclarations, new Set());
+
+/**
+ * Collects the values of a `PropTypes.oneOf([...])` validator, with or
+ * without `.isRequired`
+ * @param {import("@babel/types").Node} node - Validator expression
+ * @returns {Array<string|number|boolean>|null} - Allowed values, or null if it is not `oneOf` of literals
+ */
+export const getPropTypesAllowedValues = (node) => {
+  let call = node;
+  if (
+    call.type === "MemberExpression" &&
+    !call.computed &&
+    call.property.name === "isRequired"
+  ) {
+    call = call.object;
+  }
+
+  const callee = call.type === "CallExpression" ? call.callee : null;
+  const calleeName =
+    callee &&
+    (callee.type === "MemberExpression" ? callee.property : callee).name;
+  if (
+    calleeName !== "oneOf" ||
+    call.arguments.length === 0 ||
+    call.arguments[0].type !== "ArrayExpression"
+  ) {
+    return null;
+  }
+
+  const values = [];
+  for (const element of call.arguments[0].elements) {
+    const literal = element && readLiteral(element);
+    if (!literal) {
+      return null;
+    }
+    values.push(literal.value);
+  }
+  return values.length > 0 ? [...new Set(values)] : null;
+};
+
+/**
+ * Splits a union type on top-level `|`, leaving quoted strings intact
+ * @param {string} type - Union type
+ * @returns {string[]} - Trimmed members
+ */
+const splitUnion = (type) => {
+  const members = [];
+  let current = "";
+  let quote = null;
+
+  for (let i = 0; i < type.length; i++) {
+    const char = type[i];
+    if (quote) {
+      current += char;
+      if (char === "\\") {
+        current += type[++i] || "";
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === "|") {
+      members.push(current.trim());
+      current = "";
+    } else {
+      if (char === '"' || char === "'") {
+        quote = char;
+      }
+      current += char;
+    }
+  }
+  members.push(current.trim());
+  return members;
+};
+
+/**
+ * Parses a literal union written as a JSDoc type, e.g. `"small" | 'large' | 1`;
+ * as for TypeScript, a plain `boolean` is not a closed set
+ * @param {string|null} type - JSDoc type
+ * @returns {Array<string|number|boolean>|null} - Allowed values, or null if the type is not a closed set
+ */
+export const parseLiteralUnion = (type) => {
+  if (!type || type.trim() === "boolean") {
+    return null;
+  }
+
+  const values = [];
+
+  for (const member of splitUnion(type.trim().replace(/^\((.*)\)$/, "$1"))) {
+    if (/^(["']).*\1$/.test(member)) {
+      values.push(member.slice(1, -1).replace(/\\(.)/g, "$1"));
+    } else if (/^-?\d+(\.\d+)?$/.test(member)) {
+      values.push(Number(member));
+    } else if (member === "true" || member === "false") {
+      values.push(member === "true");
+    } else if (member === "boolean") {
+      values.push(true, false);
+    } else if (member !== "null" && member !== "undefined") {
+      return null;
+    }
+  }
+  return values.length > 0 ? [...new Set(values)] : null;
+};
@@ -0,0 +1,228 @@
+import path from "path";
+
+/**
+ * Parser profiles
+ *
+ * Each scanned extension is parsed with the syntax plugins its language
+ * needs, so that TypeScript type assertions such as `<T>value` parse in `.ts`
+ * files while `.tsx` and JavaScript files keep JSX:
+ *
+ *   typescript  TypeScript without JSX (.ts, .mts, .cts)
+ *   tsx         TypeScript with JSX (.tsx)
+ *   jsx         JavaScript with JSX (.js, .jsx, .mjs, .cjs and other extensions)
+ *   flow        JavaScript with JSX and Flow types
+ *
+ * JavaScript files whose leading comments contain `@flow` are parsed with
+ * the flow profile unless Flow detection is turned off. Both the scanned
+ * extensions and the profile of each extension can be configured.
+ */
+
+/**
+ * Custom error class for invalid extension or parser profile settings
+ */
+class ParserProfileError extends Error {
+  constructor(message, code, field) {
+    super(message);
+    this.name = "ParserProfileError";
+    this.code = code;
+    this.field = field;
+  }
+}
+
+/**
+ * Plugins every profile enables
+ */
+const COMMON_PLUGINS = [
+  "decorators-legacy",
+  "classProperties",
+  "objectRestSpread",
+  "asyncGenerators",
+  "functionBind",
+  "exportDefaultFrom",
+  "exportNamespaceFrom",
+  "dynamicImport",
+  "nullishCoalescingOperator",
+  "optionalChaining",
+];
+
+/**
+ * Language plugins of each profile
+ */
+const PROFILE_PLUGINS = {
+  typescript: ["typescript"],
+  tsx: ["jsx", "typescript"],
+  jsx: ["jsx"],
+  flow: ["jsx", "flow"],
+};
+
+/**
+ * Profile of each extension scanned by default
+ */
+export const DEFAULT_PARSER_PROFILES = {
+  ".js": "jsx",
+  ".jsx": "jsx",
+  ".mjs": "jsx",
+  ".cjs": "jsx",
+  ".ts": "typescript",
+  ".mts": "typescript",
+  ".cts": "typescript",
+  ".tsx": "tsx",
+};
+
+/**
+ * Profile of extensions without one
+ */
+const FALLBACK_PROFILE = "jsx";
+
+/**
+ * Matches the comments (and shebang) a file starts with
+ */
+const LEADING_COMMENTS_PATTERN =
+  /^(?:#![^\n]*)?(?:\s*(?:\/\/[^\n]*|\/\*[\s\S]*?\*\/))*/;
+
+/**
+ * Extension and parser settings of an analysis
+ * @typedef {Object} ParserProfileOptions
+ * @property {string[]} [extensions] - Extensions to scan, e.g. `[".js", ".mts"]`; defaults to
+ *   the extensions of `DEFAULT_PARSER_PROFILES`
+ * @property {Object<string, "typescript"|"tsx"|"jsx"|"flow">} [parserProfiles] - Profile by
+ *   extension, overriding the defaults
+ * @property {boolean} [flow=true] - If false, files with `@flow` keep the profile of their extension
+ */
+
+/**
+ * Validated extension and parser settings
+ * @typedef {Object} ParserConfig
+ * @property {string[]} extensions - Extensions to scan, lowercase with a leading dot
+ * @property {(filePath: string, code: string) => string} getProfile - Profile of a file
+ * @property {(filePath: string, code: string) => import("@babel/parser").ParserOptions} getParserOptions -
+ *   Babel options for a file
+ */
+
+/**
+ * Normalizes an extension to lowercase with a leading dot
+ * @param {string} extension - Extension, with or without the dot
+ * @param {string} field - Option the extension comes from, for errors
+ * @returns {string}
+ * @throws {ParserProfileError} - If the extension is malformed
+ */
+const normalizeExtension = (extension, field) => {
+  if (
+    typeof extension !== "string" ||
+    !/^\.?[A-Za-z0-9][\w-]*$/.test(extension)
+  ) {
+    throw new ParserProfileError(
+      `${field} must contain file extensions such as .js or mts, got ${JSON.stringify(
+        extension
+      )}`,
+      "INVALID_EXTENSION",
+      field
+    );
+  }
+  return `.${extension.replace(/^\./, "").toLowerCase()}`;
+};
+
+/**
+ * Checks whether a file declares Flow types with an `@flow` pragma
+ * @param {string} code - Source of the file
+ * @returns {boolean}
+ */
+const hasFlowPragma = (code) =>
+  /@flow\b/.test(code.match(LEADING_COMMENTS_PATTERN)[0]);
+
+/**
+ * Validates the extension and parser settings of an analysis
+ * @param {ParserProfileOptions} [options] - Extension and parser settings
+ * @returns {ParserConfig}
+ * @throws {ParserProfileError} - If an extension or profile is invalid
+ */
+const compileParserConfig = ({ extensions, parserProfiles, flow } = {}) => {
+  const profiles = { ...DEFAULT_PARSER_PROFILES };
+  for (const [extension, profile] of Object.entries(parserProfiles || {})) {
+    if (!Object.hasOwn(PROFILE_PLUGINS, profile)) {
+      throw new ParserProfileError(
+        `Unknown parser profile ${JSON.stringify(
+          profile
+        )} for ${extension}; expected one of ${Object.keys(
+          PROFILE_PLUGINS
+        ).join(", ")}`,
+        "UNKNOWN_PROFILE",
+        "parserProfiles"
+      );
+    }
+    profiles[normalizeExtension(extension, "parserProfiles")] = profile;
+  }
+
+  const scannedExtensions =
+    extensions === undefined || extensions === null
+      ? Object.keys(DEFAULT_PARSER_PROFILES)
+      : [].concat(extensions);
+  if (scannedExtensions.length === 0) {
+    throw new ParserProfileError(
+      "extensions must list at least one file extension",
+      "INVALID_EXTENSION",
+      "extensions"
+    );
+  }
+
+  const getProfile = (filePath, code) => {
+    const profile =
+      profiles[path.extname(filePath).toLowerCase()] || FALLBACK_PROFILE;
+    return profile === "jsx" && flow !== false && hasFlowPragma(code)
+      ? "flow"
+      : profile;
+  };
+
+  return {
+    extensions: [
+      ...new Set(
+        scannedExtensions.map((extension) =>
+          normalizeExtension(extension, "extensions")
+        )
+      ),
+    ],
+    getProfile,
+    getParserOptions: (filePath, code) => ({
+      sourceType: "module",
+      allowImportExportEverywhere: true,
+      allowReturnOutsideFunction: true,
+      plugins: [
+        ...PROFILE_PLUGINS[getProfile(filePath, code)],
+        ...COMMON_PLUGINS,
+      ],
+    }),
+  };
+};
+
+/**
+ * Compiled settings by options object, so that one analysis validates them once
+ */
+const parserConfigs = new WeakMap();
+
+/**
+ * Default settings, shared by analyses that do not configure them
+ */
+const DEFAULT_PARSER_CONFIG = compileParserConfig();
+
+/**
+ * Gets the validated extension and parser settings of an analysis
+ * @param {ParserProfileOptions} [options] - Analysis options holding the settings
+ * @returns {ParserConfig}
+ * @throws {ParserProfileError} - If an extension or profile is invalid
+ */
+export const getParserConfig = (options) => {
+  if (
+    !options ||
+    (options.extensions === undefined &&
+      options.parserProfiles === undefined &&
+      options.flow === undefined)
+  ) {
+    return DEFAULT_PARSER_CONFIG;
+  }
+  if (!parserConfigs.has(options)) {
+    parserConfigs.set(options, compileParserConfig(options));
+  }
+  return parserConfigs.get(options);
+};
+
+export { ParserProfileError };
@@ -0,0 +1,149 @@
+/**
+ * Prop inventory aggregation
+ *
+ * Collects every prop a component is called with across a codebase, with
+ * usage counts, files and the distribution of static values, e.g. before a
+ * prop is deprecated.
+ */
+
+/**
+ * Kinds whose normalized value is itself a static value
+ */
+const STATIC_KINDS = new Set(["string", "number", "boolean"]);
+
+/**
+ * Default number of distinct values listed per prop
+ */
+const DEFAULT_MAX_VALUES = 20;
+
+/**
+ * Count of one distinct static value
+ * @typedef {Object} ValueCount
+ * @property {string|number|boolean} value - Static value
+ * @property {number} count - Number of usages that can take this value
+ */
+
+/**
+ * Inventory entry for one prop
+ * @typedef {Object} PropInventoryEntry
+ * @property {string} name - Prop name
+ * @property {number} count - Number of usages setting the prop
+ * @property {number} fileCount - Number of files with such usages
+ * @property {string[]} files - Files with such usages
+ * @property {Object<string, number>} kinds - Usage count by value kind
+ * @property {ValueCount[]} values - Most common static values, most frequent first
+ * @property {number} distinctValueCount - Number of distinct static values, including those not listed
+ * @property {number} dynamicCount - Usages whose value could not be statically determined
+ */
+
+/**
+ * Prop inventory of a component
+ * @typedef {Object} PropInventory
+ * @property {string} component - Component query
+ * @property {number} totalUsages - Number of matching elements
+ * @property {number} fileCount - Number of files containing matching elements
+ * @property {string[]} files - Files containing matching elements
+ * @property {number} usagesWithUnresolvedSpreads - Elements with spreads that may set further props
+ * @property {PropInventoryEntry[]} props - Props seen, most used first
+ */
+
+/**
+ * Orders entries by descending count, then by name
+ * @param {{count: number}} a - First entry
+ * @param {{count: number}} b - Second entry
+ * @param {(entry: Object) => string} getName - Tie-breaking name
+ * @returns {number}
+ */
+const byCountThenName = (a, b, getName) =>
+  b.count - a.count || getName(a).localeCompare(getName(b));
+
+/**
+ * Creates an accumulator for the props of a component's usages
+ * @param {string} component - Component query, reported as-is
+ * @param {Object} [options] - Inventory options
+ * @param {number} [options.maxValues=20] - Maximum distinct values listed per prop
+ * @returns {{addUsage: Function, build: () => PropInventory}}
+ */
+export const createPropInventory = (
+  component,
+  { maxValues = DEFAULT_MAX_VALUES } = {}
+) => {
+  const files = new Set();
+  const props = new Map();
+  let totalUsages = 0;
+  let usagesWithUnresolvedSpreads = 0;
+
+  /**
+   * Records one usage of the component
+   * @param {string} filePath - File of the usage, relative to the working directory
+   * @param {Object<string, import("./prop-value.js").PropValue>} elementProps - Typed props of the usage
+   * @param {boolean} hasUnresolvedSpreads - Whether the usage has spreads that could not be resolved
+   */
+  const addUsage = (filePath, elementProps, hasUnresolvedSpreads) => {
+    totalUsages++;
+    files.add(filePath);
+    if (hasUnresolvedSpreads) {
+      usagesWithUnresolvedSpreads++;
+    }
+
+    for (const [name, propValue] of Object.entries(elementProps)) {
+      if (!props.has(name)) {
+        props.set(name, {
+          count: 0,
+          files: new Set(),
+          kinds: {},
+          values: new Map(),
+          dynamicCount: 0,
+        });
+      }
+
+      const entry = props.get(name);
+      entry.count++;
+      entry.files.add(filePath);
+      entry.kinds[propValue.kind] = (entry.kinds[propValue.kind] || 0) + 1;
+
+      const staticValues = STATIC_KINDS.has(propValue.kind)
+        ? [propValue.value]
+        : (propValue.candidates || []).filter((value) => value !== null);
+      if (staticValues.length === 0) {
+        entry.dynamicCount++;
+      }
+
+      // Keyed by type so that 2 and "2" stay distinct
+      for (const value of new Set(staticValues)) {
+        const key = `${typeof value}:${value}`;
+        const valueCount = entry.values.get(key) || { value, count: 0 };
+        valueCount.count++;
+        entry.values.set(key, valueCount);
+      }
+    }
+  };
+
+  /**
+   * Builds the inventory from the usages recorded so far
+   * @returns {PropInventory}
+   */
+  const build = () => ({
+    component,
+    totalUsages,
+    fileCount: files.size,
+    files: [...files].sort(),
+    usagesWithUnresolvedSpreads,
+    props: [...props.entries()]
+      .map(([name, entry]) => ({
+        name,
+        count: entry.count,
+        fileCount: entry.files.size,
+        files: [...entry.files].sort(),
+        kinds: entry.kinds,
+        values: [...entry.values.values()]
+          .sort((a, b) => byCountThenName(a, b, (item) => String(item.value)))
+          .slice(0, maxValues),
+        distinctValueCount: entry.values.size,
+        dynamicCount: entry.dynamicCount,
+      }))
+      .sort((a, b) => byCountThenName(a, b, (item) => item.name)),
+  });
+
+  return { addUsage, build };
+};
@@ -0,0 +1,528 @@
+import { createComponentMatcher } from "./component-matcher.js";
+import { compileUserRegex } from "./safe-regex.js";
+
+/**
+ * Composable prop queries
+ *
+ * A query selects JSX elements by component and a boolean combination of
+ * prop predicates. It can be written as a CSS-like selector string:
+ *
+ *   Button[href]:not([rel])
+ *   Input:not([aria-label]):not([aria-labelledby])
+ *   Button:is([href], [to])[variant="primary"]
+ *   *Button[className*="btn-"], Link[to^="/admin"]
+ *
+ * or as a plain object (the form the string syntax is parsed into):
+ *
+ *   { component: "Button", where: { and: [{ prop: "href" }, { not: { prop: "rel" } }] } }
+ *
+ * An array of such objects, like a comma-separated selector list, matches
+ * elements selected by any of its entries.
+ */
+
+/**
+ * Custom error class for malformed prop queries
+ */
+class PropQueryError extends Error {
+  constructor(message, code, query, position) {
+    super(message);
+    this.name = "PropQueryError";
+    this.code = code;
+    this.query = query;
+    this.position = position;
+  }
+}
+
+/**
+ * Prop predicate: presence when no value operator is given
+ * @typedef {Object} PropPredicate
+ * @property {string} prop - Prop name
+ * @property {string} [equals] - Exact value (`[prop="value"]`)
+ * @property {string} [includes] - Substring (`[prop*="value"]`)
+ * @property {string} [startsWith] - Prefix (`[prop^="value"]`)
+ * @property {string} [endsWith] - Suffix (`[prop$="value"]`)
+ * @property {string} [matches] - Regex literal or source (`[prop=/pattern/flags]`)
+ */
+
+/**
+ * Boolean query node
+ * @typedef {PropPredicate|{and: QueryNode[]}|{or: QueryNode[]}|{not: QueryNode}} QueryNode
+ */
+
+/**
+ * A component plus the condition its elements must satisfy
+ * @typedef {Object} QuerySelector
+ * @property {string} [component] - Component query (exact, glob, /regex/ or module#export); any element if omitted
+ * @property {QueryNode} [where] - Condition on the element's props; always true if omitted
+ */
+
+/**
+ * Value operators recognised inside attribute selectors
+ */
+const VALUE_OPERATORS = {
+  "=": "equals",
+  "*=": "includes",
+  "^=": "startsWith",
+  "$=": "endsWith",
+};
+
+/**
+ * Keys of a predicate object that compare the prop value
+ */
+const VALUE_KEYS = ["equals", "includes", "startsWith", "endsWith", "matches"];
+
+/**
+ * Recursive-descent parser for the selector string syntax
+ */
+class QueryParser {
+  constructor(query) {
+    this.query = query;
+    this.pos = 0;
+  }
+
+  error(message) {
+    throw new PropQueryError(
+      `${message} at position ${this.pos} in query "${this.query}"`,
+      "QUERY_SYNTAX_ERROR",
+      this.query,
+      this.pos
+    );
+  }
+
+  peek(text) {
+    return this.query.startsWith(text, this.pos);
+  }
+
+  skipWhitespace() {
+    while (this.pos < this.query.length && /\s/.test(this.query[this.pos])) {
+      this.pos++;
+    }
+  }
+
+  expect(text) {
+    this.skipWhitespace();
+    if (!this.peek(text)) {
+      this.error(`Expected "${text}"`);
+    }
+    this.pos += text.length;
+  }
+
+  /**
+   * selectorList := selector ("," selector)*
+   * @returns {QuerySelector[]}
+   */
+  parseSelectorList() {
+    const selectors = [this.parseSelector()];
+    this.skipWhitespace();
+    while (this.peek(",")) {
+      this.pos++;
+      selectors.push(this.parseSelector());
+      this.skipWhitespace();
+    }
+    if (this.pos < this.query.length) {
+      this.error(`Unexpected "${this.query[this.pos]}"`);
+    }
+    return selectors;
+  }
+
+  /**
+   * selector := component? filter*
+   * @returns {QuerySelector}
+   */
+  parseSelector() {
+    this.skipWhitespace();
+    const component = this.parseComponent();
+    const filters = this.parseCompound(false);
+
+    const selector = {};
+    if (component) {
+      selector.component = component;
+    }
+    if (filters.length === 1) {
+      selector.where = filters[0];
+    } else if (filters.length > 1) {
+      selector.where = { and: filters };
+    }
+
+    if (!component && filters.length === 0) {
+      this.error("Expected a component name or an attribute filter");
+    }
+    return selector;
+  }
+
+  /**
+   * Reads the component part of a selector: a `/regex/flags` literal or
+   * everything up to the first filter or separator
+   * @returns {string}
+   */
+  parseComponent() {
+    const start = this.pos;
+
+    if (this.peek("/")) {
+      this.pos++;
+      while (this.pos < this.query.length && this.query[this.pos] !== "/") {
+        this.pos += this.query[this.pos] === "\\" ? 2 : 1;
+      }
+      if (this.pos >= this.query.length) {
+        this.error("Unterminated component regex");
+      }
+      this.pos++;
+      while (/[a-z]/.test(this.query[this.pos] || "")) {
+        this.pos++;
+      }
+      return this.query.slice(start, this.pos);
+    }
+
+    while (
+      this.pos < this.query.length &&
+      !/[[\]:,()\s]/.test(this.query[this.pos])
+    ) {
+      this.pos++;
+    }
+    return this.query.slice(start, this.pos);
+  }
+
+  /**
+   * compound := filter*  (at least one when `requireOne` is set)
+   * @param {boolean} requireOne - Whether an empty compound is an error
+   * @returns {QueryNode[]}
+   */
+  parseCompound(requireOne) {
+    const filters = [];
+    for (;;) {
+      this.skipWhitespace();
+      if (this.peek("[")) {
+        filters.push(this.parseAttribute());
+      } else if (this.peek(":not(")) {
+        this.pos += ":not(".length;
+        filters.push({ not: this.parseFilterGroup() });
+        this.expect(")");
+      } else if (this.peek(":is(")) {
+        this.pos += ":is(".length;
+        filters.push(this.parseFilterGroup());
+        this.expect(")");
+      } else if (this.peek(":")) {
+        this.error("Unknown pseudo-class, expected :not() or :is()");
+      } else {
+        break;
+      }
+    }
+    if (requireOne && filters.length === 0) {
+      this.error("Expected an attribute filter");
+    }
+    return filters;
+  }
+
+  /**
+   * filterGroup := compound ("," compound)*  - alternatives are OR-ed
+   * @returns {QueryNode}
+   */
+  parseFilterGroup() {
+    const alternatives = [];
+    for (;;) {
+      const compound = this.parseCompound(true);
+      alternatives.push(
+        compound.length === 1 ? compound[0] : { and: compound }
+      );
+      this.skipWhitespace();
+      if (!this.peek(",")) {
+        break;
+      }
+      this.pos++;
+    }
+    return alternatives.length === 1 ? alternatives[0] : { or: alternatives };
+  }
+
+  /**
+   * attribute := "[" name (operator value)? "]"
+   * @returns {PropPredicate}
+   */
+  parseAttribute() {
+    this.expect("[");
+    this.skipWhitespace();
+
+    const nameMatch = /^[A-Za-z_$][\w$.:-]*/.exec(this.query.slice(this.pos));
+    if (!nameMatch) {
+      this.error("Expected a prop name");
+    }
+    this.pos += nameMatch[0].length;
+    const predicate = { prop: nameMatch[0] };
+
+    this.skipWhitespace();
+    const operator = ["*=", "^=", "$=", "="].find((op) => this.peek(op));
+    if (operator) {
+      this.pos += operator.length;
+      this.skipWhitespace();
+
+      if (operator === "=" && this.peek("/")) {
+        predicate.matches = this.parseRegexValue();
+      } else {
+        predicate[VALUE_OPERATORS[operator]] = this.parseValue();
+      }
+    }
+
+    this.expect("]");
+    return predicate;
+  }
+
+  /**
+   * Reads a quoted string or a bare word
+   * @returns {string}
+   */
+  parseValue() {
+    const quote = this.query[this.pos];
+    if (quote === '"' || quote === "'") {
+      this.pos++;
+      let value = "";
+      while (this.pos < this.query.length && this.query[this.pos] !== quote) {
+        if (this.query[this.pos] === "\\") {
+          this.pos++;
+        }
+        value += this.query[this.pos++];
+      }
+      if (this.pos >= this.query.length) {
+        this.error("Unterminated string value");
+      }
+      this.pos++;
+      return value;
+    }
+
+    const bare = /^[\w$.-]+/.exec(this.query.slice(this.pos));
+    if (!bare) {
+      this.error("Expected a value");
+    }
+    this.pos += bare[0].length;
+    return bare[0];
+  }
+
+  /**
+   * Reads a `/pattern/flags` literal
+   * @returns {string}
+   */
+  parseRegexValue() {
+    const start = this.pos;
+    this.pos++;
+    while (this.pos < this.query.length && this.query[this.pos] !== "/") {
+      this.pos += this.query[this.pos] === "\\" ? 2 : 1;
+    }
+    if (this.pos >= this.query.length) {
+      this.error("Unterminated regex value");
+    }
+    this.pos++;
+    while (/[a-z]/.test(this.query[this.pos] || "")) {
+      this.pos++;
+    }
+    return this.query.slice(start, this.pos);
+  }
+}
+
+/**
+ * Parses the selector string syntax into query objects
+ * @param {string} query - Selector string, e.g. `Button[href]:not([rel])`
+ * @returns {QuerySelector[]}
+ * @throws {PropQueryError} - If the query is malformed
+ */
+export const parsePropQuery = (query) =>
+  new QueryParser(query.trim()).parseSelectorList();
+
+/**
+ * Compiled condition; returns true, false, or null when the outcome depends
+ * on spread attributes that could not be resolved
+ * @callback CompiledCondition
+ * @param {QueryElement} element - Element being evaluated
+ * @returns {boolean|null}
+ */
+
+/**
+ * Element view used while evaluating conditions
+ * @typedef {Object} QueryElement
+ * @property {(propName: string) => any[]} getValues - Values a prop is compared against (raw value
+ *   and statically resolved candidates); empty if the prop is not set
+ * @property {(propName: string) => ("present"|"missing"|"unknown")} getStatus - Presence status of a prop
+ * @property {boolean} hasOpaqueSpread - Whether any spread could not be resolved
+ */
+
+/**
+ * Builds the value test for a predicate
+ * @param {PropPredicate} predicate - Prop predicate
+ * @returns {((value: any) => boolean)|null} - Value test, or null for presence checks
+ */
+const compileValueTest = (predicate) => {
+  if (predicate.matches !== undefined) {
+    const regex = compileUserRegex(String(predicate.matches));
+    return (value) => regex.test(String(value));
+  }
+  if (predicate.equals !== undefined) {
+    return (value) => String(value) === String(predicate.equals);
+  }
+  if (predicate.includes !== undefined) {
+    return (value) => String(value).includes(predicate.includes);
+  }
+  if (predicate.startsWith !== undefined) {
+    return (value) => String(value).startsWith(predicate.startsWith);
+  }
+  if (predicate.endsWith !== undefined) {
+    return (value) => String(value).endsWith(predicate.endsWith);
+  }
+  return null;
+};
+
+/**
+ * Compiles a query node into a three-valued condition
+ * @param {QueryNode} node - Query node
+ * @param {Set<string>} referencedProps - Collects every prop named by the query
+ * @param {string} where - Location of the node, for error messages
+ * @returns {CompiledCondition}
+ * @throws {PropQueryError} - If the node is malformed
+ */
+const compileNode = (node, referencedProps, where) => {
+  if (!node || typeof node !== "object" || Array.isArray(node)) {
+    throw new PropQueryError(
+      `Invalid query node at ${where}: expected an object`,
+      "INVALID_QUERY_NODE",
+      node
+    );
+  }
+
+  if (Array.isArray(node.and) || Array.isArray(node.or)) {
+    const isAnd = Array.isArray(node.and);
+    const children = (isAnd ? node.and : node.or).map((child, index) =>
+      compileNode(
+        child,
+        referencedProps,
+        `${where}.${isAnd ? "and" : "or"}[${index}]`
+      )
+    );
+
+    // Kleene logic: a definite false (and) / true (or) wins over unknown
+    const decisive = !isAnd;
+    return (element) => {
+      let unknown = false;
+      for (const child of children) {
+        const value = child(element);
+        if (value === decisive) {
+          return decisive;
+        }
+        if (value === null) {
+          unknown = true;
+        }
+      }
+      return unknown ? null : !decisive;
+    };
+  }
+
+  if (node.not !== undefined) {
+    const child = compileNode(node.not, referencedProps, `${where}.not`);
+    return (element) => {
+      const value = child(element);
+      return value === null ? null : !value;
+    };
+  }
+
+  if (typeof node.prop === "string" && node.prop) {
+    const propName = node.prop;
+    const usedValueKeys = VALUE_KEYS.filter((key) => node[key] !== undefined);
+    if (usedValueKeys.length > 1) {
+      throw new PropQueryError(
+        `Invalid query node at ${where}: use only one of ${usedValueKeys.join(
+          ", "
+        )}`,
+        "INVALID_QUERY_NODE",
+        node
+      );
+    }
+
+    referencedProps.add(propName);
+    const testValue = compileValueTest(node);
+
+    return (element) => {
+      const status = element.getStatus(propName);
+      if (status === "missing") {
+        return false;
+      }
+
+      if (!testValue) {
+        return status === "present" ? true : null;
+      }
+
+      const values = element.getValues(propName);
+      const hasValue = values.length > 0;
+      const valueMatches = values.some(testValue);
+      if (status === "present") {
+        return valueMatches;
+      }
+      // The prop may or may not be set; a visible non-matching value only
+      // settles it when nothing opaque could override it
+      return !valueMatches && hasValue && !element.hasOpaqueSpread
+        ? false
+        : null;
+    };
+  }
+
+  throw new PropQueryError(
+    `Invalid query node at ${where}: expected "prop", "and", "or" or "not"`,
+    "INVALID_QUERY_NODE",
+    node
+  );
+};
+
+/**
+ * Compiled selector ready to be evaluated against elements
+ * @typedef {Object} CompiledSelector
+ * @property {import("./component-matcher.js").ComponentMatcher} matchComponent - Component test
+ * @property {CompiledCondition} condition - Prop condition
+ */
+
+/**
+ * Compiled prop query
+ * @typedef {Object} CompiledPropQuery
+ * @property {CompiledSelector[]} selectors - Alternatives; an element matches if any does
+ * @property {string[]} referencedProps - Every prop named by the query
+ */
+
+/**
+ * Compiles a query given as a selector string, a selector object or an array of them
+ * @param {string|QuerySelector|QuerySelector[]} query - Prop query
+ * @returns {CompiledPropQuery}
+ * @throws {PropQueryError} - If the query is malformed
+ * @throws {InputSanitizationError} - If a regex in the query is prone to ReDoS
+ */
+export const compilePropQuery = (query) => {
+  const selectors =
+    typeof query === "string"
+      ? parsePropQuery(query)
+      : Array.isArray(query)
+      ? query
+      : [query];
+
+  if (selectors.length === 0) {
+    throw new PropQueryError(
+      "Query must contain at least one selector",
+      "EMPTY_QUERY",
+      query
+    );
+  }
+
+  const referencedProps = new Set();
+  const compiled = selectors.map((selector, index) => {
+    if (!selector || typeof selector !== "object") {
+      throw new PropQueryError(
+        `Invalid selector at [${index}]: expected an object`,
+        "INVALID_QUERY_NODE",
+        selector
+      );
+    }
+
+    return {
+      matchComponent: createComponentMatcher(selector.component || "**"),
+      condition:
+        selector.where === undefined
+          ? () => true
+          : compileNode(selector.where, referencedProps, `[${index}].where`),
+    };
+  });
+
+  return { selectors: compiled, referencedProps: [...referencedProps] };
+};
+
+export { PropQueryError };
@@ -0,0 +1,202 @@
+import { evaluateStaticValue } from "./static-evaluator.js";
+
+/**
+ * Typed description of JSX prop values
+ *
+ * Every prop reported by the analyzer is described by its kind, a normalized
+ * value and where it was written, so that `disabled`, `disabled={true}` and
+ * `{...{ disabled: true }}` all read as the boolean `true`.
+ */
+
+/**
+ * Kind of a prop value
+ * @typedef {"string"|"number"|"boolean"|"identifier"|"member"|"function"|"object"|"array"|"jsx"|"call"|"unknown"} PropValueKind
+ */
+
+/**
+ * Position in a source file; lines are 1-based and columns 0-based, as in Babel
+ * @typedef {Object} SourcePosition
+ * @property {number} line - Line number
+ * @property {number} column - Column number
+ */
+
+/**
+ * Source range of a prop: the attribute (`name={value}`) or, for props that
+ * come from a spread, the object property providing it
+ * @typedef {Object} SourceRange
+ * @property {SourcePosition} start - Start position
+ * @property {SourcePosition} end - End position
+ */
+
+/**
+ * Typed prop value
+ * @typedef {Object} PropValue
+ * @property {PropValueKind} kind - Kind of value
+ * @property {string|number|boolean|null} value - Normalized value: the literal for strings, numbers
+ *   and booleans, the dotted name for identifiers and member expressions, the expression source
+ *   otherwise, or null if the value could not be determined
+ * @property {string|null} raw - Value as written, e.g. `"primary"` or `{PRIMARY}`; null for boolean shorthand
+ * @property {SourceRange|null} range - Where the prop is set, if known
+ * @property {Array<string|number|boolean|null>} [candidates] - Values an expression can statically
+ *   take, e.g. `["sm", "lg"]` for `{large ? "lg" : "sm"}`
+ */
+
+/**
+ * Node types mapped directly to a kind, whatever their contents
+ */
+const STRUCTURAL_KINDS = {
+  Identifier: "identifier",
+  MemberExpression: "member",
+  OptionalMemberExpression: "member",
+  ArrowFunctionExpression: "function",
+  FunctionExpression: "function",
+  ObjectMethod: "function",
+  ObjectExpression: "object",
+  ArrayExpression: "array",
+  JSXElement: "jsx",
+  JSXFragment: "jsx",
+  CallExpression: "call",
+  OptionalCallExpression: "call",
+  NewExpression: "call",
+};
+
+/**
+ * Wrappers that do not change the value of the wrapped expression
+ */
+const TRANSPARENT_WRAPPERS = new Set([
+  "ParenthesizedExpression",
+  "TSAsExpression",
+  "TSSatisfiesExpression",
+  "TSNonNullExpression",
+  "TypeCastExpression",
+]);
+
+/**
+ * Converts a node location into a source range
+ * @param {import("@babel/types").Node} node - Node with location info
+ * @returns {SourceRange|null}
+ */
+export const toRange = (node) =>
+  node && node.loc
+    ? {
+        start: { line: node.loc.start.line, column: node.loc.start.column },
+        end: { line: node.loc.end.line, column: node.loc.end.column },
+      }
+    : null;
+
+/**
+ * Strips expression containers and type wrappers
+ * @param {import("@babel/types").Node} node - Value node
+ * @returns {import("@babel/types").Node}
+ */
+const unwrap = (node) => {
+  let current = node;
+  while (
+    current.type === "JSXExpressionContainer" ||
+    TRANSPARENT_WRAPPERS.has(current.type)
+  ) {
+    current = current.expression;
+  }
+  return current;
+};
+
+/**
+ * Builds the dotted name of a non-computed member expression
+ * @param {import("@babel/types").Node} node - Identifier or member expression
+ * @returns {string|null} - Dotted name, or null if any part is computed
+ */
+const getMemberName = (node) => {
+  if (node.type === "Identifier" || node.type === "ThisExpression") {
+    return node.type === "Identifier" ? node.name : "this";
+  }
+  if (
+    (node.type === "MemberExpression" ||
+      node.type === "OptionalMemberExpression") &&
+    !node.computed &&
+    node.property.type === "Identifier"
+  ) {
+    const object = getMemberName(node.object);
+    return object === null ? null : `${object}.${node.property.name}`;
+  }
+  return null;
+};
+
+/**
+ * Describes a prop value node
+ * @param {import("@babel/types").Node|null} valueNode - Attribute value node (null for
+ *   boolean shorthand) or the expression a spread provides
+ * @param {import("@babel/types").Node|null} rangeNode - Node whose location is reported as the range
+ * @param {import("@babel/traverse").Scope} scope - Scope of the JSX element
+ * @param {string} code - Source code of the file
+ * @returns {PropValue}
+ */
+export const describePropValue = (valueNode, rangeNode, scope, code) => {
+  const range = toRange(rangeNode);
+
+  if (!valueNode) {
+    // Boolean shorthand, e.g. <Button disabled />
+    return { kind: "boolean", value: true, raw: null, range };
+  }
+
+  const raw = code.substring(valueNode.start, valueNode.end);
+  const node = unwrap(valueNode);
+
+  if (node.type === "StringLiteral" || node.type === "JSXText") {
+    return { kind: "string", value: node.value, raw, range };
+  }
+
+  if (node.type === "JSXEmptyExpression") {
+    return { kind: "unknown", value: null, raw, range };
+  }
+
+  const source = code.substring(node.start, node.end);
+  const candidates = evaluateStaticValue(node, scope);
+  const structuralKind = STRUCTURAL_KINDS[node.type];
+
+  if (structuralKind) {
+    const value =
+      structuralKind === "identifier" || structuralKind === "member"
+        ? getMemberName(node) || source
+        : source;
+    const typed = { kind: structuralKind, value, raw, range };
+    if (candidates) {
+      typed.candidates = candidates;
+    }
+    return typed;
+  }
+
+  if (candidates && candidates.length === 1 && candidates[0] !== null) {
+    // Literals and expressions folding to one value, e.g. {42}, {-1} or {`btn`}
+    return { kind: typeof candidates[0], value: candidates[0], raw, range };
+  }
+
+  const typed = { kind: "unknown", value: source, raw, range };
+  if (candidates) {
+    typed.candidates = candidates;
+  }
+  return typed;
+};
+
+/**
+ * Describes a prop a spread may provide without a single known value,
+ * e.g. one set differently on both branches of a ternary spread
+ * @param {import("@babel/types").Node|null} rangeNode - Spread attribute node
+ * @returns {PropValue}
+ */
+export const describeUnknownValue = (rangeNode) => ({
+  kind: "unknown",
+  value: null,
+  raw: null,
+  range: toRange(rangeNode),
+});
+
+/**
+ * Lists the values a typed prop is compared against when matching:
+ * its normalized value followed by any statically resolved candidates
+ * @param {PropValue} propValue - Typed prop value
+ * @returns {Array<string|number|boolean>}
+ */
+export const getComparableValues = (propValue) =>
+  [propValue.value, ...(propValue.candidates || [])].filter(
+    (value) => value !== null
+  );
@@ -0,0 +1,126 @@
+import { getPropStatus } from "./spread-resolver.js";
+
+/**
+ * Required-prop validation
+ *
+ * Checks every usage of the components defined in a codebase against the
+ * props their own definitions require (TypeScript types, `propTypes` with
+ * `.isRequired`, non-optional JSDoc properties), so that no required prop has
+ * to be named by hand.
+ */
+
+/**
+ * Usage of a component that omits required props
+ * @typedef {Object} RequiredPropsResult
+ * @property {string} filePath - Path of the file, relative to the working directory
+ * @property {number} lineNumber - Line of the element's opening tag
+ * @property {import("./prop-value.js").SourceRange} range - Start and end of the whole element
+ * @property {string} elementName - Tag name of the element
+ * @property {{name: string, filePath: string, line: number}} component - Definition the element resolves to
+ * @property {string[]} missingProps - Required props the element definitely does not set
+ * @property {string[]} unknownProps - Required props that may be set by spread attributes that
+ *   could not be resolved
+ * @property {"missing"|"unknown"} propStatus - `missing` if any required prop is definitely absent
+ * @property {Object<string, import("./prop-value.js").PropValue>} [props] - All props of the element
+ *   as typed values (verbose mode only)
+ * @property {string[]} [unresolvedSpreads] - Source of spread attributes that could not be resolved
+ * @property {string} message - Explanation of the result
+ */
+
+/**
+ * Quotes and joins prop names for messages, e.g. `'onClick', 'children'`
+ * @param {string[]} names - Prop names
+ * @returns {string}
+ */
+const formatPropNames = (names) =>
+  `prop${names.length > 1 ? "s" : ""} ${names
+    .map((name) => `'${name}'`)
+    .join(", ")}`;
+
+/**
+ * Reports the usages that omit props their definition requires. JSX
+ * children count as the `children` prop.
+ * @param {Array<import("./definition-index.js").ResolvedUsage>} resolvedUsages - Usages with their definitions
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.verbose] - Include all props of reported elements
+ * @param {boolean} [options.definiteOnly] - Ignore props that spread attributes may set
+ * @returns {RequiredPropsResult[]}
+ */
+export const checkRequiredProps = (
+  resolvedUsages,
+  { verbose = false, definiteOnly = false } = {}
+) => {
+  const results = [];
+
+  for (const { usage, component } of resolvedUsages) {
+    const missingProps = [];
+    const unknownProps = [];
+    for (const prop of component.definition.props) {
+      if (!prop.required || (prop.name === "children" && usage.hasChildren)) {
+        continue;
+      }
+      const status = getPropStatus(
+        prop.name,
+        usage.explicitProps,
+        usage.spreads
+      );
+      if (status === "missing") {
+        missingProps.push(prop.name);
+      } else if (status === "unknown" && !definiteOnly) {
+        unknownProps.push(prop.name);
+      }
+    }
+    if (missingProps.length === 0 && unknownProps.length === 0) {
+      continue;
+    }
+
+    const notes = [];
+    if (missingProps.length > 0) {
+      notes.push(
+        `Component <${
+          usage.elementName
+        }> is missing the required ${formatPropNames(missingProps)}.`
+      );
+    }
+    if (unknownProps.length > 0) {
+      notes.push(
+        `Component <${
+          usage.elementName
+        }> may be missing the required ${formatPropNames(
+          unknownProps
+        )} (hidden behind a spread attribute).`
+      );
+    }
+
+    const result = {
+      filePath: usage.filePath,
+      lineNumber: usage.lineNumber,
+      range: usage.range,
+      elementName: usage.elementName,
+      component: {
+        name: component.definition.name,
+        filePath: component.filePath,
+        line: component.definition.line,
+      },
+      missingProps,
+      unknownProps,
+      propStatus: missingProps.length > 0 ? "missing" : "unknown",
+    };
+    if (verbose) {
+      result.props = usage.props;
+    }
+    if (unknownProps.length > 0) {
+      const unresolvedSpreads = usage.spreads.flatMap(
+        (spread) => spread.opaqueSources
+      );
+      if (unresolvedSpreads.length > 0) {
+        result.unresolvedSpreads = unresolvedSpreads;
+      }
+    }
+    result.message = notes.join(" ");
+
+    results.push(result);
+  }
+
+  return results;
+};
@@ -0,0 +1,65 @@
+/**
+ * Result deltas
+ *
+ * Compares the results of a file before and after an edit. Results are told
+ * apart by what they report (element, prop status and prop values) rather
+ * than by where they are, so a usage that only moved because lines were
+ * added above it is neither new nor resolved.
+ */
+
+/**
+ * Results that appeared and disappeared between two analyses
+ * @typedef {Object} ResultDelta
+ * @property {Array<Object>} added - Results of the new analysis without a counterpart in the old one
+ * @property {Array<Object>} resolved - Results of the old analysis without a counterpart in the new one
+ */
+
+/**
+ * Describes a result without its location
+ * @param {import("../../analyzer.js").AnalysisResult} result - Result to describe
+ * @returns {string}
+ */
+const getResultKey = ({ filePath, elementName, propStatus, props, message }) =>
+  JSON.stringify([
+    filePath,
+    elementName,
+    propStatus,
+    message,
+    Object.entries(props).map(([name, { kind, value, raw, candidates }]) => [
+      name,
+      kind,
+      value,
+      raw,
+      candidates,
+    ]),
+  ]);
+
+/**
+ * Pairs the results of two analyses of the same files
+ * @param {Array<import("../../analyzer.js").AnalysisResult>} previous - Results before the change
+ * @param {Array<import("../../analyzer.js").AnalysisResult>} next - Results after the change
+ * @returns {ResultDelta}
+ */
+export const diffResults = (previous, next) => {
+  // Identical results are paired in order, so duplicates are counted
+  const unmatched = new Map();
+  for (const result of previous) {
+    const key = getResultKey(result);
+    if (!unmatched.has(key)) {
+      unmatched.set(key, []);
+    }
+    unmatched.get(key).push(result);
+  }
+
+  const added = [];
+  for (const result of next) {
+    const candidates = unmatched.get(getResultKey(result));
+    if (candidates && candidates.length > 0) {
+      candidates.shift();
+    } else {
+      added.push(result);
+    }
+  }
+
+  return { added, resolved: [...unmatched.values()].flat() };
+};
@@ -0,0 +1,56 @@
+import { sanitizeRegexPattern } from "../security/input-sanitizer.js";
+
+/**
+ * Compilation of user-supplied regular expressions
+ *
+ * Every regex coming from a query (component patterns, prop values) goes
+ * through the input sanitizer's ReDoS checks before it is compiled.
+ */
+
+/**
+ * Flags accepted on user-supplied regular expressions. Stateful flags
+ * (`g`, `y`) are rejected because the compiled regex is reused across files.
+ */
+const ALLOWED_REGEX_FLAGS = /^[imsu]*$/;
+
+/**
+ * Splits a `/pattern/flags` literal into its parts
+ * @param {string} input - Possible regex literal
+ * @returns {{pattern: string, flags: string}|null} - Parts, or null if the input is not a literal
+ */
+export const parseRegexLiteral = (input) => {
+  const match = /^\/(.+)\/([a-z]*)$/s.exec(input);
+  if (!match) {
+    return null;
+  }
+  return { pattern: match[1], flags: match[2] };
+};
+
+/**
+ * Compiles a user-supplied pattern after checking it for ReDoS-prone constructs
+ * @param {string} pattern - Regex source without delimiters
+ * @param {string} [flags=""] - Regex flags
+ * @returns {RegExp}
+ * @throws {InputSanitizationError} - If the pattern is invalid or dangerous
+ * @throws {Error} - If unsupported flags are used
+ */
+export const compileSafeRegex = (pattern, flags = "") => {
+  if (!ALLOWED_REGEX_FLAGS.test(flags)) {
+    throw new Error(
+      `Unsupported regex flags "${flags}". Only "i", "m", "s" and "u" are allowed.`
+    );
+  }
+  return new RegExp(sanitizeRegexPattern(pattern), flags);
+};
+
+/**
+ * Compiles a pattern given either as `/pattern/flags` or as bare regex source
+ * @param {string} input - Regex literal or source
+ * @returns {RegExp}
+ */
+export const compileUserRegex = (input) => {
+  const literal = parseRegexLiteral(input);
+  return literal
+    ? compileSafeRegex(literal.pattern, literal.flags)
+    : compileSafeRegex(input);
+};
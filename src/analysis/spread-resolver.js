@@ -0,0 +1,318 @@
+/**
+ * Static resolution of JSX spread attributes
+ *
+ * Turns `{...expr}` into the set of props it is known to contribute so that
+ * presence checks do not have to treat every spread as a black box.
+ */
+
+/**
+ * Maximum number of identifier hops followed while resolving a spread
+ */
+const MAX_RESOLUTION_DEPTH = 10;
+
+/**
+ * Prop contributed by a spread attribute
+ * @typedef {Object} SpreadProp
+ * @property {boolean} certain - False if the prop only exists on some branches
+ * @property {import("@babel/types").Node|null} valueNode - AST node of the value, if known
+ */
+
+/**
+ * Result of resolving a spread expression
+ * @typedef {Object} SpreadResolution
+ * @property {Map<string, SpreadProp>} props - Props known to come from the spread
+ * @property {boolean} opaque - True if the spread may contribute props we cannot see
+ * @property {string[]} opaqueSources - Source text of the parts that could not be resolved
+ */
+
+/**
+ * Creates an empty spread resolution
+ * @returns {SpreadResolution}
+ */
+const createResolution = () => ({
+  props: new Map(),
+  opaque: false,
+  opaqueSources: [],
+});
+
+/**
+ * Marks a resolution as opaque, remembering the offending source
+ * @param {SpreadResolution} resolution - Resolution to update
+ * @param {import("@babel/types").Node} node - Node that could not be resolved
+ * @param {string} code - Source code of the file
+ * @returns {SpreadResolution}
+ */
+const markOpaque = (resolution, node, code) => {
+  resolution.opaque = true;
+  resolution.opaqueSources.push(code.substring(node.start, node.end));
+  return resolution;
+};
+
+/**
+ * Copies props from one resolution into another
+ * @param {SpreadResolution} target - Resolution receiving the props
+ * @param {SpreadResolution} source - Resolution providing the props
+ * @param {boolean} certain - Whether the source is applied unconditionally
+ */
+const mergeInto = (target, source, certain) => {
+  for (const [name, prop] of source.props) {
+    target.props.set(name, {
+      certain: certain && prop.certain,
+      valueNode: prop.valueNode,
+    });
+  }
+  target.opaque = target.opaque || source.opaque;
+  target.opaqueSources.push(...source.opaqueSources);
+};
+
+/**
+ * Combines two alternative branches (e.g. a ternary) into one resolution.
+ * A prop is only certain if every branch certainly provides it.
+ * @param {SpreadResolution} left - First branch
+ * @param {SpreadResolution} right - Second branch
+ * @returns {SpreadResolution}
+ */
+const mergeBranches = (left, right) => {
+  const merged = createResolution();
+  const names = new Set([...left.props.keys(), ...right.props.keys()]);
+
+  for (const name of names) {
+    const a = left.props.get(name);
+    const b = right.props.get(name);
+    merged.props.set(name, {
+      certain: Boolean(a && b && a.certain && b.certain),
+      valueNode: a && b && a.valueNode === b.valueNode ? a.valueNode : null,
+    });
+  }
+
+  merged.opaque = left.opaque || right.opaque;
+  merged.opaqueSources = [...left.opaqueSources, ...right.opaqueSources];
+  return merged;
+};
+
+/**
+ * Gets the static name of an object property key
+ * @param {import("@babel/types").Node} property - ObjectProperty or ObjectMethod
+ * @returns {string|null} - Key name or null for computed keys
+ */
+const getPropertyKeyName = (property) => {
+  if (property.computed) {
+    if (property.key.type === "StringLiteral") {
+      return property.key.value;
+    }
+    return null;
+  }
+  if (property.key.type === "Identifier") {
+    return property.key.name;
+  }
+  if (
+    property.key.type === "StringLiteral" ||
+    property.key.type === "NumericLiteral"
+  ) {
+    return String(property.key.value);
+  }
+  return null;
+};
+
+/**
+ * Expressions that wrap a value without changing it
+ */
+const TRANSPARENT_WRAPPERS = new Set([
+  "ParenthesizedExpression",
+  "TSAsExpression",
+  "TSSatisfiesExpression",
+  "TSNonNullExpression",
+  "TypeCastExpression",
+]);
+
+/**
+ * Checks whether a reference to an object only reads it: spreading it, or
+ * reading one of its properties. A `const` binding is never reassigned, but
+ * its object can still be changed, e.g. by `obj.a = 1`, `delete obj.a`,
+ * `obj.set(...)` or `Object.assign(obj, ...)`, and any other use, such as
+ * passing or aliasing it, may lead to such a change.
+ * @param {import("@babel/traverse").NodePath} referencePath - Reference to the binding
+ * @returns {boolean}
+ */
+const isPlainRead = (referencePath) => {
+  let path = referencePath;
+  while (TRANSPARENT_WRAPPERS.has(path.parent.type)) {
+    path = path.parentPath;
+  }
+  const { parent } = path;
+
+  if (parent.type === "JSXSpreadAttribute") {
+    return true;
+  }
+  if (parent.type === "SpreadElement") {
+    return path.parentPath.parent.type === "ObjectExpression";
+  }
+  if (parent.type !== "MemberExpression" || parent.object !== path.node) {
+    return false;
+  }
+
+  // The outermost member of `obj.a.b` decides whether it is written or called
+  let member = path.parentPath;
+  while (
+    member.parent.type === "MemberExpression" &&
+    member.parent.object === member.node
+  ) {
+    member = member.parentPath;
+  }
+  const { parent: user, node } = member;
+  return !(
+    (user.type === "AssignmentExpression" && user.left === node) ||
+    user.type === "UpdateExpression" ||
+    (user.type === "UnaryExpression" && user.operator === "delete") ||
+    ((user.type === "CallExpression" || user.type === "NewExpression") &&
+      user.callee === node)
+  );
+};
+
+/**
+ * Resolves an expression used as a spread source
+ * @param {import("@babel/types").Node} node - Expression node
+ * @param {import("@babel/traverse").Scope} scope - Scope the expression is evaluated in
+ * @param {string} code - Source code of the file
+ * @param {number} depth - Current identifier resolution depth
+ * @returns {SpreadResolution}
+ */
+const resolveExpression = (node, scope, code, depth) => {
+  const resolution = createResolution();
+
+  if (depth > MAX_RESOLUTION_DEPTH) {
+    return markOpaque(resolution, node, code);
+  }
+
+  switch (node.type) {
+    case "ObjectExpression": {
+      for (const property of node.properties) {
+        if (property.type === "SpreadElement") {
+          mergeInto(
+            resolution,
+            resolveExpression(property.argument, scope, code, depth),
+            true
+          );
+          continue;
+        }
+
+        const name = getPropertyKeyName(property);
+        if (name === null) {
+          markOpaque(resolution, property, code);
+          continue;
+        }
+
+        resolution.props.set(name, {
+          certain: true,
+          valueNode:
+            property.type === "ObjectProperty" ? property.value : property,
+        });
+      }
+      return resolution;
+    }
+
+    case "Identifier": {
+      if (node.name === "undefined") {
+        return resolution;
+      }
+
+      const binding = scope.getBinding(node.name);
+      if (
+        binding &&
+        binding.constant &&
+        binding.path.isVariableDeclarator() &&
+        binding.path.node.id.type === "Identifier" &&
+        binding.path.node.init &&
+        binding.referencePaths.every(isPlainRead)
+      ) {
+        return resolveExpression(
+          binding.path.node.init,
+          binding.path.scope,
+          code,
+          depth + 1
+        );
+      }
+      return markOpaque(resolution, node, code);
+    }
+
+    case "NullLiteral":
+    case "BooleanLiteral":
+      // `{...null}` and `{...false}` contribute nothing
+      return resolution;
+
+    case "LogicalExpression": {
+      if (node.operator === "&&") {
+        // `{...(cond && {a: 1})}` - right side only applies when cond is truthy
+        mergeInto(
+          resolution,
+          resolveExpression(node.right, scope, code, depth),
+          false
+        );
+        return resolution;
+      }
+      // `a || b` and `a ?? b` - either side may end up being spread
+      return mergeBranches(
+        resolveExpression(node.left, scope, code, depth),
+        resolveExpression(node.right, scope, code, depth)
+      );
+    }
+
+    case "ConditionalExpression":
+      return mergeBranches(
+        resolveExpression(node.consequent, scope, code, depth),
+        resolveExpression(node.alternate, scope, code, depth)
+      );
+
+    case "ParenthesizedExpression":
+    case "TSAsExpression":
+    case "TSSatisfiesExpression":
+    case "TSNonNullExpression":
+    case "TypeCastExpression":
+      return resolveExpression(node.expression, scope, code, depth);
+
+    default:
+      return markOpaque(resolution, node, code);
+  }
+};
+
+/**
+ * Statically resolves the props contributed by a JSX spread attribute
+ * @param {import("@babel/types").JSXSpreadAttribute} attr - Spread attribute node
+ * @param {import("@babel/traverse").Scope} scope - Scope of the JSX element
+ * @param {string} code - Source code of the file
+ * @returns {SpreadResolution} - Props the spread is known to contribute
+ */
+export const resolveSpreadAttribute = (attr, scope, code) =>
+  resolveExpression(attr.argument, scope, code, 0);
+
+/**
+ * Presence status of a prop on a single JSX element
+ * @typedef {"present"|"missing"|"unknown"} PropStatus
+ */
+
+/**
+ * Determines whether a prop is definitely present, definitely missing,
+ * or unknown because of an opaque or conditional spread
+ * @param {string} propName - Prop to check
+ * @param {Set<string>} explicitProps - Props set through regular attributes
+ * @param {SpreadResolution[]} spreads - Resolved spread attributes of the element
+ * @returns {PropStatus}
+ */
+export const getPropStatus = (propName, explicitProps, spreads) => {
+  if (explicitProps.has(propName)) {
+    return "present";
+  }
+
+  let unknown = false;
+  for (const spread of spreads) {
+    const prop = spread.props.get(propName);
+    if (prop && prop.certain) {
+      return "present";
+    }
+    if (prop || spread.opaque) {
+      unknown = true;
+    }
+  }
+
+  return unknown ? "unknown" : "missing";
+};
@@ -0,0 +1,197 @@
+/**
+ * Static evaluation of prop value expressions
+ *
+ * Folds expressions such as `{'primary'}`, `{SIZE}`, `` {`btn-${size}`} `` or
+ * `{isLarge ? "lg" : "md"}` into the set of values they can take, using only
+ * literals and `const` bindings from the same file. Anything that depends on
+ * runtime data makes the whole expression unresolvable.
+ */
+
+/**
+ * Maximum number of identifier hops followed while evaluating an expression
+ */
+const MAX_RESOLUTION_DEPTH = 10;
+
+/**
+ * Maximum number of candidate values tracked for one expression; template
+ * literals and concatenations multiply candidates, so larger sets are dropped
+ */
+const MAX_CANDIDATES = 32;
+
+/**
+ * Value an expression may evaluate to
+ * @typedef {string|number|boolean|null} Candidate
+ */
+
+/**
+ * Value tracked while evaluating; `undefined` is kept apart from null so it
+ * folds as it does at runtime, e.g. into "undefined" inside a template
+ * @typedef {Candidate|undefined} EvaluatedValue
+ */
+
+/**
+ * Removes duplicate candidates, giving up when there are too many
+ * @param {EvaluatedValue[]} candidates - Candidate values
+ * @returns {EvaluatedValue[]|null}
+ */
+const dedupe = (candidates) => {
+  const unique = [...new Set(candidates)];
+  return unique.length > MAX_CANDIDATES ? null : unique;
+};
+
+/**
+ * Combines every candidate of `left` with every candidate of `right`
+ * @param {EvaluatedValue[]|null} left - Left candidates
+ * @param {EvaluatedValue[]|null} right - Right candidates
+ * @param {(a: EvaluatedValue, b: EvaluatedValue) => EvaluatedValue} combine - Combines one pair
+ * @returns {EvaluatedValue[]|null}
+ */
+const product = (left, right, combine) => {
+  if (!left || !right || left.length * right.length > MAX_CANDIDATES) {
+    return null;
+  }
+  return dedupe(left.flatMap((a) => right.map((b) => combine(a, b))));
+};
+
+/**
+ * Unary operators that can be folded
+ */
+const UNARY_OPERATORS = {
+  "-": (value) => -value,
+  "+": (value) => +value,
+  "!": (value) => !value,
+};
+
+/**
+ * Evaluates an expression into its possible values
+ * @param {import("@babel/types").Node} node - Expression node
+ * @param {import("@babel/traverse").Scope} scope - Scope the expression is evaluated in
+ * @param {number} depth - Current identifier resolution depth
+ * @returns {EvaluatedValue[]|null} - Possible values, or null if they cannot be determined
+ */
+const evaluate = (node, scope, depth) => {
+  if (!node || depth > MAX_RESOLUTION_DEPTH) {
+    return null;
+  }
+
+  switch (node.type) {
+    case "StringLiteral":
+    case "NumericLiteral":
+    case "BooleanLiteral":
+      return [node.value];
+
+    case "NullLiteral":
+      return [null];
+
+    case "TemplateLiteral": {
+      let candidates = [node.quasis[0].value.cooked];
+      node.expressions.forEach((expression, index) => {
+        const quasi = node.quasis[index + 1].value.cooked;
+        candidates = product(
+          candidates,
+          evaluate(expression, scope, depth),
+          (prefix, value) => `${prefix}${value}${quasi}`
+        );
+      });
+      return candidates;
+    }
+
+    case "Identifier": {
+      if (node.name === "undefined" && !scope.getBinding("undefined")) {
+        return [undefined];
+      }
+
+      const binding = scope.getBinding(node.name);
+      if (
+        binding &&
+        binding.constant &&
+        binding.path.isVariableDeclarator() &&
+        binding.path.node.id.type === "Identifier" &&
+        binding.path.node.init
+      ) {
+        return evaluate(binding.path.node.init, binding.path.scope, depth + 1);
+      }
+      return null;
+    }
+
+    case "ConditionalExpression": {
+      const test = evaluate(node.test, scope, depth);
+      if (test && test.length === 1) {
+        // Constant condition, only one branch can be taken
+        return evaluate(
+          test[0] ? node.consequent : node.alternate,
+          scope,
+          depth
+        );
+      }
+
+      const consequent = evaluate(node.consequent, scope, depth);
+      const alternate = evaluate(node.alternate, scope, depth);
+      return consequent && alternate
+        ? dedupe([...consequent, ...alternate])
+        : null;
+    }
+
+    case "LogicalExpression": {
+      const left = evaluate(node.left, scope, depth);
+      if (!left) {
+        return null;
+      }
+
+      // Left values that short-circuit are results; the others defer to the right side
+      const shortCircuits = {
+        "||": (value) => Boolean(value),
+        "&&": (value) => !value,
+        "??": (value) => value !== null && value !== undefined,
+      }[node.operator];
+      const kept = left.filter(shortCircuits);
+      if (kept.length === left.length) {
+        return kept;
+      }
+
+      const right = evaluate(node.right, scope, depth);
+      return right ? dedupe([...kept, ...right]) : null;
+    }
+
+    case "BinaryExpression":
+      if (node.operator !== "+") {
+        return null;
+      }
+      return product(
+        evaluate(node.left, scope, depth),
+        evaluate(node.right, scope, depth),
+        (a, b) => a + b
+      );
+
+    case "UnaryExpression": {
+      const operator = UNARY_OPERATORS[node.operator];
+      const argument = operator && evaluate(node.argument, scope, depth);
+      return argument ? dedupe(argument.map(operator)) : null;
+    }
+
+    case "JSXExpressionContainer":
+    case "ParenthesizedExpression":
+    case "TSAsExpression":
+    case "TSSatisfiesExpression":
+    case "TSNonNullExpression":
+    case "TypeCastExpression":
+      return evaluate(node.expression, scope, depth);
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Statically evaluates a prop value expression into its possible values.
+ * An expression that is `undefined` yields null, as the prop is left unset.
+ * @param {import("@babel/types").Node} node - Expression or JSXExpressionContainer node
+ * @param {import("@babel/traverse").Scope} scope - Scope of the JSX element
+ * @returns {Candidate[]|null} - Possible values, or null if they cannot be determined
+ */
+export const evaluateStaticValue = (node, scope) => {
+  const candidates = evaluate(node, scope, 0);
+  return candidates
+    ? dedupe(candidates.map((value) => (value === undefined ? null : value)))
+    : null;
+};
@@ -0,0 +1,109 @@
+/**
+ * Allowed-value validation
+ *
+ * Compares the statically known values passed at call sites against the
+ * closed set of values a component declares for a prop (literal unions and
+ * `PropTypes.oneOf`), to catch typos that nothing else catches in plain JS.
+ */
+
+/**
+ * Kinds whose normalized value is itself a static value
+ */
+const STATIC_KINDS = new Set(["string", "number", "boolean"]);
+
+/**
+ * Prop value outside the set its definition allows
+ * @typedef {Object} InvalidValueResult
+ * @property {string} filePath - Path of the file, relative to the working directory
+ * @property {number} lineNumber - Line of the element's opening tag
+ * @property {import("./prop-value.js").SourceRange} range - Start and end of the whole element
+ * @property {import("./prop-value.js").SourceRange|null} propRange - Where the invalid prop is set
+ * @property {string} elementName - Tag name of the element
+ * @property {{name: string, filePath: string, line: number}} component - Definition the element resolves to
+ * @property {string} propName - Prop with an invalid value
+ * @property {Array<string|number|boolean>} invalidValues - Values the prop is or can be given that
+ *   are not allowed
+ * @property {Array<string|number|boolean>} allowedValues - Values the definition allows
+ * @property {Object<string, import("./prop-value.js").PropValue>} props - The invalid prop (or all
+ *   props in verbose mode) as typed values
+ * @property {string} message - Explanation of the result
+ */
+
+/**
+ * Lists the values a prop is statically known to take: its literal value,
+ * or the resolved candidates of an expression
+ * @param {import("./prop-value.js").PropValue} propValue - Typed prop value
+ * @returns {Array<string|number|boolean>} - Empty if no value is known
+ */
+const getStaticValues = (propValue) =>
+  STATIC_KINDS.has(propValue.kind)
+    ? [propValue.value]
+    : (propValue.candidates || []).filter((value) => value !== null);
+
+/**
+ * Reports the props given a static value outside the set their definition
+ * allows. Values are compared by type too, so `elevation="1"` does not
+ * satisfy `0 | 1 | 2`. Values depending on runtime data are not checked.
+ * @param {Array<import("./definition-index.js").ResolvedUsage>} resolvedUsages - Usages with their definitions
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.verbose] - Include all props of reported elements
+ * @returns {InvalidValueResult[]}
+ */
+export const checkAllowedValues = (
+  resolvedUsages,
+  { verbose = false } = {}
+) => {
+  const results = [];
+
+  for (const { usage, component } of resolvedUsages) {
+    for (const prop of component.definition.props) {
+      if (!prop.allowedValues || !(prop.name in usage.props)) {
+        continue;
+      }
+
+      const propValue = usage.props[prop.name];
+      const invalidValues = [
+        ...new Set(
+          getStaticValues(propValue).filter(
+            (value) => !prop.allowedValues.includes(value)
+          )
+        ),
+      ];
+      if (invalidValues.length === 0) {
+        continue;
+      }
+
+      // A const or folded expression has one value; branches only may take one
+      const verb =
+        STATIC_KINDS.has(propValue.kind) ||
+        (propValue.candidates && propValue.candidates.length === 1)
+          ? "is"
+          : "can be";
+      results.push({
+        filePath: usage.filePath,
+        lineNumber: usage.lineNumber,
+        range: usage.range,
+        propRange: propValue.range,
+        elementName: usage.elementName,
+        component: {
+          name: component.definition.name,
+          filePath: component.filePath,
+          line: component.definition.line,
+        },
+        propName: prop.name,
+        invalidValues,
+        allowedValues: prop.allowedValues,
+        props: verbose ? usage.props : { [prop.name]: propValue },
+        message: `Prop '${prop.name}' of <${
+          usage.elementName
+        }> ${verb} ${invalidValues
+          .map((value) => JSON.stringify(value))
+          .join(" or ")}; allowed: ${prop.allowedValues
+          .map((value) => JSON.stringify(value))
+          .join(" | ")}.`,
+      });
+    }
+  }
+
+  return results;
+};
@@ -0,0 +1,149 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { threadId } from "worker_threads";
+
+/**
+ * Analysis cache
+ *
+ * Keeps the JSX elements extracted from each file on disk, so repeated
+ * analyses only parse the files that changed. Entries are keyed by a hash of
+ * the file content, its parser profile and the analyzer version: an edited
+ * file, a different profile or an upgrade simply misses, and stale entries
+ * are never read. Each entry is a separate file written atomically, so
+ * concurrent analyses and worker threads can share a cache directory.
+ */
+
+/**
+ * Default cache directory, relative to the working directory
+ */
+export const DEFAULT_CACHE_LOCATION = path.join(
+  "node_modules",
+  ".cache",
+  "jsx-analyzer"
+);
+
+/**
+ * Layout of the cached data, bumped when the extracted element data changes
+ */
+const CACHE_FORMAT = 2;
+
+/**
+ * Name and version of the analyzer, part of every cache key
+ */
+const ANALYZER_VERSION = (() => {
+  const { name, version } = JSON.parse(
+    fs.readFileSync(new URL("../../package.json", import.meta.url), "utf8")
+  );
+  return `${name}@${version}/${CACHE_FORMAT}`;
+})();
+
+/**
+ * Cache settings of an analysis
+ * @typedef {Object} AnalysisCacheOptions
+ * @property {boolean} [cache] - If true, reuses the elements extracted from unchanged files
+ * @property {string} [cacheLocation] - Cache directory; defaults to `node_modules/.cache/jsx-analyzer`
+ */
+
+/**
+ * Opened analysis cache
+ * @typedef {Object} AnalysisCache
+ * @property {string} directory - Absolute cache directory
+ * @property {(code: string, profile: string) => *} read - Cached data of a file, or undefined
+ * @property {(code: string, profile: string, data: *) => void} write - Stores the data of a file
+ */
+
+/**
+ * Converts the Maps and Sets of extracted data to JSON
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*}
+ */
+const replacer = (key, value) => {
+  if (value instanceof Map) {
+    return { $map: [...value] };
+  }
+  if (value instanceof Set) {
+    return { $set: [...value] };
+  }
+  return value;
+};
+
+/**
+ * Restores the Maps and Sets of cached data
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*}
+ */
+const reviver = (key, value) => {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    if (Array.isArray(value.$map)) {
+      return new Map(value.$map);
+    }
+    if (Array.isArray(value.$set)) {
+      return new Set(value.$set);
+    }
+  }
+  return value;
+};
+
+/**
+ * Computes the cache key of a file
+ * @param {string} code - Content of the file
+ * @param {string} profile - Parser profile of the file
+ * @returns {string} - Hex digest
+ */
+export const getCacheKey = (code, profile) =>
+  crypto
+    .createHash("sha256")
+    .update(`${ANALYZER_VERSION}\0${profile}\0`)
+    .update(code)
+    .digest("hex");
+
+/**
+ * Opens the cache of an analysis
+ * @param {AnalysisCacheOptions} [options] - Cache settings
+ * @returns {AnalysisCache|null} - Cache, or null when caching is off
+ */
+export const openAnalysisCache = ({ cache, cacheLocation } = {}) => {
+  if (!cache) {
+    return null;
+  }
+
+  const directory = path.resolve(cacheLocation || DEFAULT_CACHE_LOCATION);
+  const getEntryPath = (key) =>
+    path.join(directory, key.slice(0, 2), `${key}.json`);
+  let writeFailed = false;
+
+  return {
+    directory,
+    read: (code, profile) => {
+      try {
+        return JSON.parse(
+          fs.readFileSync(getEntryPath(getCacheKey(code, profile)), "utf8"),
+          reviver
+        );
+      } catch (error) {
+        // Missing or unreadable entries are parsed again
+        return undefined;
+      }
+    },
+    write: (code, profile, data) => {
+      const entryPath = getEntryPath(getCacheKey(code, profile));
+      const tempPath = `${entryPath}.${process.pid}-${threadId}.tmp`;
+      try {
+        fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify(data, replacer));
+        fs.renameSync(tempPath, entryPath);
+      } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        if (!writeFailed) {
+          writeFailed = true;
+          console.warn(
+            `Warning: Could not write analysis cache in ${directory}: ${error.message}`
+          );
+        }
+      }
+    },
+  };
+};
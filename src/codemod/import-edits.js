@@ -0,0 +1,301 @@
+import path from "path";
+import { getModuleId, resolveModuleId } from "../analysis/import-resolver.js";
+
+/**
+ * Import edits
+ *
+ * Plans the edits that make a file import a component from a new module and
+ * drop the imports nothing refers to anymore. Existing declarations are
+ * extended or trimmed in place so that the rest of the import block keeps its
+ * formatting.
+ */
+
+/**
+ * Export imported under a local name
+ * @typedef {Object} ImportAddition
+ * @property {{source: string, exportName: string}} target - Module source (relative sources are
+ *   relative to the working directory) and export name, `default` for a default export
+ * @property {string} localName - Name the import binds
+ */
+
+/**
+ * Checks whether an import declaration imports from a target module
+ * @param {import("@babel/types").ImportDeclaration} declaration - Import declaration
+ * @param {string} source - Target module source, relative to the working directory if relative
+ * @param {string} filePath - Path of the importing file
+ * @returns {boolean}
+ */
+const importsFrom = (declaration, source, filePath) => {
+  const targetId = source.startsWith(".") ? getModuleId(source) : null;
+  return targetId
+    ? resolveModuleId(declaration.source.value, filePath) === targetId
+    : declaration.source.value === source;
+};
+
+/**
+ * Gets the export an import specifier binds
+ * @param {import("@babel/types").ImportSpecifier|import("@babel/types").ImportDefaultSpecifier} specifier - Specifier
+ * @returns {string} - Export name, `default` for default imports
+ */
+const getImportedName = (specifier) => {
+  if (specifier.type === "ImportDefaultSpecifier") {
+    return "default";
+  }
+  return specifier.imported.type === "StringLiteral"
+    ? specifier.imported.value
+    : specifier.imported.name;
+};
+
+/**
+ * Checks whether a binding is an import of a target export
+ * @param {import("@babel/traverse").Binding} binding - Scope binding
+ * @param {{source: string, exportName: string}} target - Target export
+ * @param {string} filePath - Path of the importing file
+ * @returns {boolean}
+ */
+export const isImportOf = (binding, target, filePath) =>
+  Boolean(binding) &&
+  binding.kind === "module" &&
+  binding.path.node.type !== "ImportNamespaceSpecifier" &&
+  getImportedName(binding.path.node) === target.exportName &&
+  importsFrom(binding.path.parentPath.node, target.source, filePath);
+
+/**
+ * Writes the source a file imports a target module from
+ * @param {string} source - Target module source, relative to the working directory if relative
+ * @param {string} filePath - Path of the importing file
+ * @returns {string}
+ */
+const getImportSource = (source, filePath) => {
+  if (!source.startsWith(".")) {
+    return source;
+  }
+  const relative = path
+    .relative(path.dirname(path.resolve(filePath)), path.resolve(source))
+    .split(path.sep)
+    .join("/");
+  return relative.startsWith("../") ? relative : `./${relative}`;
+};
+
+/**
+ * Writes the specifier binding an export, e.g. `Button` or `Button as AcmeButton`
+ * @param {ImportAddition} addition - Import to write
+ * @returns {string}
+ */
+const formatNamedSpecifier = ({ target, localName }) =>
+  target.exportName === localName
+    ? localName
+    : `${target.exportName} as ${localName}`;
+
+/**
+ * Writes a whole import statement, quoting the source like the file's other imports
+ * @param {ImportAddition} addition - Import to write
+ * @param {string} source - Source as written in the file
+ * @param {string} quote - Quote character
+ * @returns {string}
+ */
+const formatImportStatement = (addition, source, quote) => {
+  const clause =
+    addition.target.exportName === "default"
+      ? addition.localName
+      : `{ ${formatNamedSpecifier(addition)} }`;
+  return `import ${clause} from ${quote}${source}${quote};`;
+};
+
+/**
+ * Computes the range of a whole statement with the line break that follows it
+ * @param {import("@babel/types").Node} node - Statement node
+ * @param {string} code - Source of the file
+ * @returns {{start: number, end: number}}
+ */
+const getStatementRange = (node, code) => {
+  let end = node.end;
+  if (code[end] === "\r") {
+    end++;
+  }
+  if (code[end] === "\n") {
+    end++;
+  }
+  return { start: node.start, end };
+};
+
+/**
+ * Plans the removal of some specifiers of a declaration that keeps others
+ * @param {import("@babel/types").ImportDeclaration} declaration - Import declaration
+ * @param {Set<import("@babel/types").Node>} removed - Specifiers to remove
+ * @param {string} code - Source of the file
+ * @returns {Array<import("./source-edits.js").SourceEdit>}
+ */
+const planSpecifierRemovals = (declaration, removed, code) => {
+  const edits = [];
+  const specifiers = declaration.specifiers;
+  const named = specifiers.filter((spec) => spec.type === "ImportSpecifier");
+  const defaultSpecifier = specifiers.find(
+    (spec) => spec.type !== "ImportSpecifier"
+  );
+
+  if (defaultSpecifier && removed.has(defaultSpecifier)) {
+    // `import Old, { A } from` becomes `import { A } from`
+    const next = specifiers[specifiers.indexOf(defaultSpecifier) + 1];
+    const end =
+      next.type === "ImportSpecifier"
+        ? code.lastIndexOf("{", next.start)
+        : next.start;
+    edits.push({ start: defaultSpecifier.start, end, text: "" });
+  }
+
+  const keptNamed = named.filter((spec) => !removed.has(spec));
+  if (named.length > 0 && keptNamed.length === 0) {
+    // `import A, { Old } from` becomes `import A from`
+    const closingBrace = code.indexOf("}", named[named.length - 1].end);
+    edits.push({
+      start: defaultSpecifier.end,
+      end: closingBrace + 1,
+      text: "",
+    });
+    return edits;
+  }
+
+  // Remove each run of consecutive specifiers with the separator after it,
+  // or before it when the run ends the list
+  for (let first = 0; first < named.length; first++) {
+    if (!removed.has(named[first])) {
+      continue;
+    }
+    let last = first;
+    while (last + 1 < named.length && removed.has(named[last + 1])) {
+      last++;
+    }
+    const next = named[last + 1];
+    edits.push(
+      next
+        ? { start: named[first].start, end: next.start, text: "" }
+        : { start: named[first - 1].end, end: named[last].end, text: "" }
+    );
+    first = last;
+  }
+  return edits;
+};
+
+/**
+ * Plans the edits adding imports to a file and removing import specifiers
+ * that are no longer referenced. A declaration left without specifiers is
+ * removed, or replaced by the first new import when the file has no import
+ * from that module to extend.
+ * @param {import("@babel/types").Program} program - Program node of the file
+ * @param {string} code - Source of the file
+ * @param {string} filePath - Path of the file
+ * @param {ImportAddition[]} additions - Imports the file must have
+ * @param {Array<import("@babel/traverse").Binding>} retiredBindings - Import bindings to remove
+ * @returns {Array<import("./source-edits.js").SourceEdit>}
+ */
+export const planImportEdits = (
+  program,
+  code,
+  filePath,
+  additions,
+  retiredBindings
+) => {
+  const edits = [];
+  const declarations = program.body.filter(
+    (node) => node.type === "ImportDeclaration"
+  );
+
+  // Remove retired specifiers, grouped by declaration
+  const removedByDeclaration = new Map();
+  for (const binding of retiredBindings) {
+    const declaration = binding.path.parentPath.node;
+    if (!removedByDeclaration.has(declaration)) {
+      removedByDeclaration.set(declaration, new Set());
+    }
+    removedByDeclaration.get(declaration).add(binding.path.node);
+  }
+  const removedDeclarations = [];
+  for (const [declaration, removed] of removedByDeclaration) {
+    if (declaration.specifiers.every((spec) => removed.has(spec))) {
+      const edit = { ...getStatementRange(declaration, code), text: "" };
+      removedDeclarations.push({ declaration, edit });
+      edits.push(edit);
+    } else {
+      edits.push(...planSpecifierRemovals(declaration, removed, code));
+    }
+  }
+
+  const quote =
+    declarations.length > 0 ? code[declarations[0].source.start] : '"';
+
+  for (const addition of additions) {
+    const declaration = declarations.find(
+      (node) =>
+        node.importKind !== "type" &&
+        node.specifiers.length > 0 &&
+        !node.specifiers.some(
+          (spec) => spec.type === "ImportNamespaceSpecifier"
+        ) &&
+        !removedDeclarations.some((removed) => removed.declaration === node) &&
+        importsFrom(node, addition.target.source, filePath)
+    );
+
+    if (declaration) {
+      const removed = removedByDeclaration.get(declaration) || new Set();
+      const kept = declaration.specifiers.filter((spec) => !removed.has(spec));
+      const keptNamed = kept.filter((spec) => spec.type === "ImportSpecifier");
+      const keptDefault = kept.find((spec) => spec.type !== "ImportSpecifier");
+
+      if (addition.target.exportName === "default" && !keptDefault) {
+        const first = declaration.specifiers.find(
+          (spec) => !removed.has(spec) || spec.type === "ImportSpecifier"
+        );
+        const position = code.lastIndexOf("{", first.start);
+        edits.push({
+          start: position,
+          end: position,
+          text: `${addition.localName}, `,
+        });
+        continue;
+      }
+      if (addition.target.exportName !== "default") {
+        if (keptNamed.length > 0) {
+          const last = keptNamed[keptNamed.length - 1];
+          edits.push({
+            start: last.end,
+            end: last.end,
+            text: `, ${formatNamedSpecifier(addition)}`,
+          });
+        } else {
+          edits.push({
+            start: keptDefault.end,
+            end: keptDefault.end,
+            text: `, { ${formatNamedSpecifier(addition)} }`,
+          });
+        }
+        continue;
+      }
+    }
+
+    const statement = formatImportStatement(
+      addition,
+      getImportSource(addition.target.source, filePath),
+      quote
+    );
+    const replaced = removedDeclarations.find(
+      (removed) => removed.edit.text === ""
+    );
+    if (replaced) {
+      // Put the new import where the old one was
+      replaced.edit.end = replaced.declaration.end;
+      replaced.edit.text = statement;
+    } else if (declarations.length > 0) {
+      const last = declarations[declarations.length - 1];
+      edits.push({ start: last.end, end: last.end, text: `\n${statement}` });
+    } else if (program.directives.length > 0) {
+      const last = program.directives[program.directives.length - 1];
+      edits.push({ start: last.end, end: last.end, text: `\n${statement}` });
+    } else {
+      const start = program.body.length > 0 ? program.body[0].start : 0;
+      edits.push({ start, end: start, text: `${statement}\n` });
+    }
+  }
+
+  return edits;
+};
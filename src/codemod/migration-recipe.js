@@ -0,0 +1,360 @@
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { createComponentMatcher } from "../analysis/component-matcher.js";
+import { sanitizePropName } from "../security/input-sanitizer.js";
+
+/**
+ * Migration recipes
+ *
+ * A recipe declares how the usages of components move to a new API, e.g.
+ * from a legacy library to a design system:
+ *
+ *   {
+ *     "name": "Legacy buttons to @acme/ui",
+ *     "migrations": [
+ *       {
+ *         "component": "./src/legacy/OldButton#default",
+ *         "renameTo": "Button",
+ *         "import": { "source": "@acme/ui", "name": "Button" },
+ *         "props": {
+ *           "kind": { "renameTo": "variant", "values": { "x": "primary" } },
+ *           "size": { "values": { "big": "large" } },
+ *           "legacy": { "remove": true },
+ *           "onPress": "onClick"
+ *         }
+ *       }
+ *     ]
+ *   }
+ *
+ * `component` is a component query (exact name, glob, /regex/ or
+ * `<module>#<export>`). `import` makes every migrated file import the new
+ * component, under its new name, from `source`; `name` is the export to
+ * import (`default` for a default export) and defaults to the new name. A
+ * relative `source` is relative to the working directory, like module
+ * queries, and is rewritten relative to each file. A prop given as a string
+ * is renamed to it. Keys of `values` are compared with the static value as
+ * text, so `"2"` also maps `{2}`.
+ *
+ * A recipe can be written as JSON, or as a JS module whose default export is
+ * the recipe, and migrations are tried in order: the first one whose
+ * component matches an element applies to it.
+ */
+
+/**
+ * Custom error class for malformed migration recipes
+ */
+class MigrationRecipeError extends Error {
+  constructor(message, code, field) {
+    super(message);
+    this.name = "MigrationRecipeError";
+    this.code = code;
+    this.field = field;
+  }
+}
+
+/**
+ * Pattern of a JSX element name a component can be renamed to
+ */
+const ELEMENT_NAME_PATTERN = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+
+/**
+ * Pattern of a name an import specifier can bind
+ */
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Change applied to one prop of migrated elements
+ * @typedef {Object} PropMigration
+ * @property {string} name - Current prop name
+ * @property {string|null} renameTo - New prop name, or null to keep the name
+ * @property {Map<string, string|number|boolean>|null} values - New values by current value as
+ *   text, or null to keep the values
+ * @property {boolean} remove - Whether the prop is removed
+ */
+
+/**
+ * Validated migration of one component
+ * @typedef {Object} ComponentMigration
+ * @property {string} component - Component query as written in the recipe
+ * @property {import("../analysis/component-matcher.js").ComponentMatcher} matchComponent - Matcher
+ *   for the component query
+ * @property {string|null} renameTo - New element name, or null to keep the name
+ * @property {{source: string, exportName: string}|null} importTarget - Export the new element
+ *   name is imported from, or null to leave imports alone
+ * @property {PropMigration[]} props - Prop changes, in recipe order
+ */
+
+/**
+ * Validated migration recipe
+ * @typedef {Object} MigrationRecipe
+ * @property {string|null} name - Recipe name
+ * @property {ComponentMigration[]} migrations - Component migrations, in recipe order
+ */
+
+/**
+ * Checks whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Validates the change declared for one prop
+ * @param {string} name - Current prop name
+ * @param {string|Object} spec - New name, or `{renameTo, values, remove}`
+ * @param {string} field - Location of the prop in the recipe, for errors
+ * @returns {PropMigration}
+ * @throws {MigrationRecipeError} - If the change is malformed
+ */
+const compilePropMigration = (name, spec, field) => {
+  const propName = sanitizePropName(name);
+  if (typeof spec === "string") {
+    return {
+      name: propName,
+      renameTo: sanitizePropName(spec),
+      values: null,
+      remove: false,
+    };
+  }
+  if (!isPlainObject(spec)) {
+    throw new MigrationRecipeError(
+      `${field} must be a new prop name or an object with renameTo, values or remove`,
+      "INVALID_PROP",
+      field
+    );
+  }
+
+  const migration = {
+    name: propName,
+    renameTo:
+      spec.renameTo === undefined ? null : sanitizePropName(spec.renameTo),
+    values: null,
+    remove: spec.remove === true,
+  };
+
+  if (spec.values !== undefined) {
+    if (!isPlainObject(spec.values)) {
+      throw new MigrationRecipeError(
+        `${field}.values must map current values to new values`,
+        "INVALID_VALUES",
+        `${field}.values`
+      );
+    }
+    migration.values = new Map();
+    for (const [from, to] of Object.entries(spec.values)) {
+      if (!["string", "number", "boolean"].includes(typeof to)) {
+        throw new MigrationRecipeError(
+          `${field}.values.${from} must be a string, number or boolean`,
+          "INVALID_VALUES",
+          `${field}.values`
+        );
+      }
+      migration.values.set(from, to);
+    }
+  }
+
+  if (
+    migration.remove &&
+    (migration.renameTo !== null || migration.values !== null)
+  ) {
+    throw new MigrationRecipeError(
+      `${field} cannot both remove the prop and rename or map it`,
+      "INVALID_PROP",
+      field
+    );
+  }
+  if (!migration.remove && !migration.renameTo && !migration.values) {
+    throw new MigrationRecipeError(
+      `${field} must set renameTo, values or remove`,
+      "INVALID_PROP",
+      field
+    );
+  }
+
+  return migration;
+};
+
+/**
+ * Validates the migration of one component
+ * @param {Object} spec - Migration as written in the recipe
+ * @param {string} field - Location of the migration in the recipe, for errors
+ * @returns {ComponentMigration}
+ * @throws {MigrationRecipeError} - If the migration is malformed
+ */
+const compileComponentMigration = (spec, field) => {
+  if (!isPlainObject(spec)) {
+    throw new MigrationRecipeError(
+      `${field} must be an object`,
+      "INVALID_MIGRATION",
+      field
+    );
+  }
+  if (typeof spec.component !== "string" || spec.component === "") {
+    throw new MigrationRecipeError(
+      `${field}.component must be a component query`,
+      "INVALID_COMPONENT",
+      `${field}.component`
+    );
+  }
+
+  const renameTo = spec.renameTo === undefined ? null : spec.renameTo;
+  if (
+    renameTo !== null &&
+    (typeof renameTo !== "string" || !ELEMENT_NAME_PATTERN.test(renameTo))
+  ) {
+    throw new MigrationRecipeError(
+      `${field}.renameTo must be a JSX element name such as Button or UI.Button`,
+      "INVALID_COMPONENT",
+      `${field}.renameTo`
+    );
+  }
+
+  let importTarget = null;
+  if (spec.import !== undefined) {
+    if (!isPlainObject(spec.import) || typeof spec.import.source !== "string") {
+      throw new MigrationRecipeError(
+        `${field}.import must be an object with a module source`,
+        "INVALID_IMPORT",
+        `${field}.import`
+      );
+    }
+    // The element name must be the local name the new import binds
+    const localName = renameTo || spec.component;
+    if (!IDENTIFIER_PATTERN.test(localName)) {
+      throw new MigrationRecipeError(
+        `${field}.import needs renameTo to be a plain identifier the import can bind`,
+        "INVALID_IMPORT",
+        `${field}.renameTo`
+      );
+    }
+    const exportName =
+      spec.import.name === undefined ? localName : spec.import.name;
+    if (
+      typeof exportName !== "string" ||
+      !IDENTIFIER_PATTERN.test(exportName)
+    ) {
+      throw new MigrationRecipeError(
+        `${field}.import.name must be an export name or default`,
+        "INVALID_IMPORT",
+        `${field}.import.name`
+      );
+    }
+    importTarget = { source: spec.import.source, exportName };
+  }
+
+  const props = [];
+  if (spec.props !== undefined) {
+    if (!isPlainObject(spec.props)) {
+      throw new MigrationRecipeError(
+        `${field}.props must map prop names to their changes`,
+        "INVALID_PROP",
+        `${field}.props`
+      );
+    }
+    for (const [name, propSpec] of Object.entries(spec.props)) {
+      props.push(
+        compilePropMigration(name, propSpec, `${field}.props.${name}`)
+      );
+    }
+  }
+
+  const targets = props
+    .map((prop) => prop.renameTo)
+    .filter((target) => target !== null);
+  const duplicate = targets.find(
+    (target, index) => targets.indexOf(target) !== index
+  );
+  if (duplicate) {
+    throw new MigrationRecipeError(
+      `${field}.props renames more than one prop to '${duplicate}'`,
+      "INVALID_PROP",
+      `${field}.props`
+    );
+  }
+
+  if (!renameTo && !importTarget && props.length === 0) {
+    throw new MigrationRecipeError(
+      `${field} must set renameTo, import or props`,
+      "INVALID_MIGRATION",
+      field
+    );
+  }
+
+  return {
+    component: spec.component,
+    matchComponent: createComponentMatcher(spec.component),
+    renameTo,
+    importTarget,
+    props,
+  };
+};
+
+/**
+ * Validates a migration recipe
+ * @param {Object|Object[]} recipe - Recipe object, or a bare list of migrations
+ * @returns {MigrationRecipe}
+ * @throws {MigrationRecipeError} - If the recipe is malformed
+ * @throws {InputSanitizationError} - If a prop name is not a valid JSX attribute name
+ */
+export const compileMigrationRecipe = (recipe) => {
+  const spec = Array.isArray(recipe) ? { migrations: recipe } : recipe;
+  if (!isPlainObject(spec) || !Array.isArray(spec.migrations)) {
+    throw new MigrationRecipeError(
+      "A migration recipe must be an object with a migrations array",
+      "INVALID_RECIPE",
+      "migrations"
+    );
+  }
+  if (spec.migrations.length === 0) {
+    throw new MigrationRecipeError(
+      "A migration recipe must contain at least one migration",
+      "INVALID_RECIPE",
+      "migrations"
+    );
+  }
+
+  return {
+    name: typeof spec.name === "string" ? spec.name : null,
+    migrations: spec.migrations.map((migration, index) =>
+      compileComponentMigration(migration, `migrations[${index}]`)
+    ),
+  };
+};
+
+/**
+ * Reads a migration recipe from a JSON file, or from the default export of
+ * a JS module
+ * @param {string} filePath - Path of the recipe file
+ * @returns {Promise<Object>} - Recipe as written, to be validated by `compileMigrationRecipe`
+ * @throws {MigrationRecipeError} - If the file cannot be read or parsed
+ */
+export const loadMigrationRecipe = async (filePath) => {
+  const absolutePath = path.resolve(filePath);
+
+  if (path.extname(absolutePath) === ".json") {
+    try {
+      return JSON.parse(fs.readFileSync(absolutePath, "utf8"));
+    } catch (error) {
+      throw new MigrationRecipeError(
+        `Could not read migration recipe ${filePath}: ${error.message}`,
+        "UNREADABLE_RECIPE",
+        "recipe"
+      );
+    }
+  }
+
+  try {
+    const recipeModule = await import(pathToFileURL(absolutePath).href);
+    return recipeModule.default;
+  } catch (error) {
+    throw new MigrationRecipeError(
+      `Could not load migration recipe ${filePath}: ${error.message}`,
+      "UNREADABLE_RECIPE",
+      "recipe"
+    );
+  }
+};
+
+export { MigrationRecipeError };
@@ -0,0 +1,413 @@
+import { planPropRename } from "./prop-rename.js";
+import { isImportOf, planImportEdits } from "./import-edits.js";
+import { formatAttributeValue } from "./prop-insert.js";
+
+/**
+ * Component migrations
+ *
+ * Plans the edits a recipe migration makes to one JSX element: the element
+ * name, prop names, mapped literal values and removed props. An element is
+ * migrated completely or not at all, so a skipped element never ends up half
+ * on the old API and half on the new one.
+ */
+
+/**
+ * Edits for one element, or why it was left alone
+ * @typedef {Object} ElementMigrationPlan
+ * @property {Array<import("./source-edits.js").SourceEdit>} edits - Edits migrating the element
+ * @property {string[]} changes - Description of each change, e.g. `kind → variant`
+ * @property {string[]} skipReasons - Why the element cannot be migrated safely; empty if it can
+ * @property {string[]} unresolvedSpreads - Source of spread attributes involved in a skip
+ */
+
+/**
+ * Element matched by a migration in a file
+ * @typedef {Object} MatchedElement
+ * @property {import("@babel/traverse").NodePath} nodePath - Path of the JSXElement
+ * @property {string} elementName - Dotted element name
+ * @property {import("./migration-recipe.js").ComponentMigration} migration - Migration applied to it
+ * @property {ElementMigrationPlan} plan - Planned edits; `planFileMigration` adds skip reasons
+ */
+
+/**
+ * Reads the static value an attribute is written with
+ * @param {import("@babel/types").JSXAttribute} attr - Attribute
+ * @returns {{value: string|number|boolean}|null} - Value, or null if it is an expression
+ */
+const readAttributeValue = (attr) => {
+  if (attr.value === null) {
+    return { value: true };
+  }
+  const node =
+    attr.value.type === "JSXExpressionContainer"
+      ? attr.value.expression
+      : attr.value;
+  if (
+    ["StringLiteral", "NumericLiteral", "BooleanLiteral"].includes(node.type)
+  ) {
+    return { value: node.value };
+  }
+  if (node.type === "TemplateLiteral" && node.expressions.length === 0) {
+    return { value: node.quasis[0].value.cooked };
+  }
+  return null;
+};
+
+/**
+ * Plans the edit giving an attribute a new value, keeping its quoting
+ * @param {import("@babel/types").JSXAttribute} attr - Attribute
+ * @param {string|number|boolean} value - New value
+ * @param {string} code - Source of the file
+ * @returns {import("./source-edits.js").SourceEdit}
+ */
+const planValueEdit = (attr, value, code) => {
+  if (attr.value === null) {
+    // Boolean shorthand such as `<Button primary>`
+    return {
+      start: attr.name.end,
+      end: attr.name.end,
+      text: `=${formatAttributeValue(value)}`,
+    };
+  }
+  if (attr.value.type === "StringLiteral") {
+    return {
+      start: attr.value.start,
+      end: attr.value.end,
+      text: formatAttributeValue(value, code[attr.value.start]),
+    };
+  }
+  const expression = attr.value.expression;
+  const quote = code[expression.start];
+  return {
+    start: expression.start,
+    end: expression.end,
+    text:
+      typeof value === "string" &&
+      (quote === '"' || quote === "'") &&
+      !/[\\\n]/.test(value) &&
+      !value.includes(quote)
+        ? `${quote}${value}${quote}`
+        : JSON.stringify(value),
+  };
+};
+
+/**
+ * Computes the range removing an attribute with the whitespace before it
+ * @param {import("@babel/types").JSXOpeningElement} openingElement - Opening element
+ * @param {import("@babel/types").JSXAttribute} attr - Attribute to remove
+ * @returns {{start: number, end: number}}
+ */
+const getAttributeRemovalRange = (openingElement, attr) => {
+  const index = openingElement.attributes.indexOf(attr);
+  const previous =
+    index > 0
+      ? openingElement.attributes[index - 1]
+      : openingElement.typeParameters || openingElement.name;
+  return { start: previous.end, end: attr.end };
+};
+
+/**
+ * Plans the migration of one JSX element
+ * @param {import("@babel/types").JSXElement} element - Element to migrate
+ * @param {string} elementName - Dotted element name
+ * @param {import("../../analyzer.js").ElementProps} elementProps - Props of the element
+ * @param {import("./migration-recipe.js").ComponentMigration} migration - Migration to apply
+ * @param {string} code - Source of the file
+ * @returns {ElementMigrationPlan}
+ */
+export const planElementMigration = (
+  element,
+  elementName,
+  elementProps,
+  migration,
+  code
+) => {
+  const { openingElement, closingElement } = element;
+  const plan = {
+    edits: [],
+    changes: [],
+    skipReasons: [],
+    unresolvedSpreads: [],
+  };
+
+  if (migration.renameTo && migration.renameTo !== elementName) {
+    plan.edits.push({
+      start: openingElement.name.start,
+      end: openingElement.name.end,
+      text: migration.renameTo,
+    });
+    if (closingElement) {
+      plan.edits.push({
+        start: closingElement.name.start,
+        end: closingElement.name.end,
+        text: migration.renameTo,
+      });
+    }
+    plan.changes.push(`<${elementName}> → <${migration.renameTo}>`);
+  }
+
+  for (const prop of migration.props) {
+    const attributes = openingElement.attributes.filter(
+      (attr) =>
+        attr.type === "JSXAttribute" &&
+        attr.name.type === "JSXIdentifier" &&
+        attr.name.name === prop.name
+    );
+
+    if (prop.renameTo) {
+      const renamePlan = planPropRename(
+        openingElement,
+        elementProps.spreads,
+        prop.name,
+        prop.renameTo
+      );
+      if (renamePlan.skipReason) {
+        plan.skipReasons.push(renamePlan.skipReason);
+        plan.unresolvedSpreads.push(...renamePlan.unresolvedSpreads);
+        continue;
+      }
+      if (renamePlan.edits.length > 0) {
+        plan.edits.push(...renamePlan.edits);
+        plan.changes.push(`${prop.name} → ${prop.renameTo}`);
+      }
+    } else if (
+      elementProps.spreads.some((spread) => spread.props.has(prop.name))
+    ) {
+      plan.skipReasons.push(`'${prop.name}' is set through a spread attribute`);
+      continue;
+    }
+
+    if (prop.remove) {
+      for (const attr of attributes) {
+        plan.edits.push({
+          ...getAttributeRemovalRange(openingElement, attr),
+          text: "",
+        });
+      }
+      if (attributes.length > 0) {
+        plan.changes.push(`removed ${prop.name}`);
+      }
+      continue;
+    }
+
+    if (!prop.values) {
+      continue;
+    }
+    for (const attr of attributes) {
+      const current = readAttributeValue(attr);
+      if (!current) {
+        // Leave expressions alone only if all their values are known and unmapped
+        const propValue = elementProps.props[prop.name];
+        const candidates = (propValue && propValue.candidates) || [];
+        if (
+          candidates.length === 0 ||
+          candidates.some(
+            (value) => value === null || prop.values.has(String(value))
+          )
+        ) {
+          plan.skipReasons.push(
+            `'${prop.name}' is set from an expression whose value may need mapping`
+          );
+        }
+        continue;
+      }
+
+      const key = String(current.value);
+      if (!prop.values.has(key) || prop.values.get(key) === current.value) {
+        continue;
+      }
+      const value = prop.values.get(key);
+      plan.edits.push(planValueEdit(attr, value, code));
+      plan.changes.push(
+        `${prop.name}: ${JSON.stringify(current.value)} → ${JSON.stringify(
+          value
+        )}`
+      );
+    }
+  }
+
+  return plan;
+};
+
+/**
+ * Gets the identifier a JSX element name starts with, e.g. `UI` in `UI.Button`
+ * @param {import("@babel/types").Node} name - Element name node
+ * @returns {import("@babel/types").JSXIdentifier|null}
+ */
+const getRootIdentifier = (name) => {
+  let current = name;
+  while (current.type === "JSXMemberExpression") {
+    current = current.object;
+  }
+  return current.type === "JSXIdentifier" ? current : null;
+};
+
+/**
+ * Checks whether two edits touch the same characters
+ * @param {import("./source-edits.js").SourceEdit} a - Edit
+ * @param {import("./source-edits.js").SourceEdit} b - Edit
+ * @returns {boolean}
+ */
+const editsOverlap = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * Finds the import bindings that only the migrated elements refer to
+ * @param {MatchedElement[]} elements - Elements migrated with an import rewrite
+ * @param {string} filePath - Path of the file
+ * @returns {Array<import("@babel/traverse").Binding>}
+ */
+const findRetiredBindings = (elements, filePath) => {
+  const migratedReferences = new Set();
+  for (const { nodePath } of elements) {
+    const { openingElement, closingElement } = nodePath.node;
+    migratedReferences.add(getRootIdentifier(openingElement.name));
+    if (closingElement) {
+      migratedReferences.add(getRootIdentifier(closingElement.name));
+    }
+  }
+
+  const retired = new Set();
+  for (const { nodePath, elementName, migration } of elements) {
+    const binding = nodePath.scope.getBinding(elementName.split(".")[0]);
+    if (
+      binding &&
+      binding.kind === "module" &&
+      !isImportOf(binding, migration.importTarget, filePath) &&
+      binding.referencePaths.every((ref) => migratedReferences.has(ref.node))
+    ) {
+      retired.add(binding);
+    }
+  }
+  return [...retired];
+};
+
+/**
+ * Plans all edits migrating the matched elements of a file. Elements whose
+ * edits overlap those of an enclosing element, or whose new name would
+ * resolve to another binding, get a skip reason. For migrations with an
+ * import rewrite, the file imports the new component once and drops the
+ * imports that only migrated elements used.
+ * @param {MatchedElement[]} elements - Matched elements, in traversal order
+ * @param {import("@babel/types").Program} program - Program node of the file
+ * @param {string} code - Source of the file
+ * @param {string} filePath - Path of the file
+ * @returns {Array<import("./source-edits.js").SourceEdit>} - Edits of the elements without skip
+ *   reasons, and import edits
+ */
+export const planFileMigration = (elements, program, code, filePath) => {
+  const accepted = [];
+  for (const element of elements) {
+    if (element.plan.skipReasons.length > 0) {
+      continue;
+    }
+    if (
+      element.plan.edits.some((edit) =>
+        accepted.some((other) => editsOverlap(edit, other))
+      )
+    ) {
+      element.plan.skipReasons.push(
+        "it is inside a prop that the migration of an enclosing element changes"
+      );
+      continue;
+    }
+    accepted.push(...element.plan.edits);
+  }
+
+  // Elements already bound to the new import need no import change
+  const needsImport = new Set(
+    elements.filter(
+      ({ nodePath, elementName, migration }) =>
+        migration.importTarget &&
+        !isImportOf(
+          nodePath.scope.getBinding(elementName.split(".")[0]),
+          migration.importTarget,
+          filePath
+        )
+    )
+  );
+  const isMigrated = (element) =>
+    element.plan.skipReasons.length === 0 &&
+    (element.plan.edits.length > 0 || needsImport.has(element));
+  const getLocalName = (migration) => migration.renameTo || migration.component;
+
+  // New names must resolve to the new import wherever they are used
+  for (const element of elements) {
+    const { migration, nodePath } = element;
+    if (!isMigrated(element) || !needsImport.has(element)) {
+      continue;
+    }
+    const localName = getLocalName(migration);
+    if (
+      nodePath.scope.getBinding(localName) !==
+      nodePath.scope.getProgramParent().getBinding(localName)
+    ) {
+      element.plan.skipReasons.push(
+        `'${localName}' refers to another binding inside this element's scope`
+      );
+    }
+  }
+
+  // Skipping elements can keep an old import alive, so repeat until stable
+  let retired = [];
+  const additions = [];
+  let stable = false;
+  while (!stable) {
+    stable = true;
+    const rewritten = elements.filter(
+      (element) => isMigrated(element) && needsImport.has(element)
+    );
+    retired = findRetiredBindings(rewritten, filePath);
+    additions.length = 0;
+
+    const addedTargets = new Map();
+    for (const migration of new Set(
+      rewritten.map((element) => element.migration)
+    )) {
+      const localName = getLocalName(migration);
+      const target = migration.importTarget;
+      const targetKey = `${target.source}#${target.exportName}`;
+      const programScope = rewritten
+        .find((element) => element.migration === migration)
+        .nodePath.scope.getProgramParent();
+      const binding = programScope.getBinding(localName);
+      const bindingIsTarget =
+        binding &&
+        !retired.includes(binding) &&
+        isImportOf(binding, target, filePath);
+
+      if (
+        (addedTargets.has(localName) &&
+          addedTargets.get(localName) !== targetKey) ||
+        (binding && !bindingIsTarget && !retired.includes(binding))
+      ) {
+        rewritten
+          .filter((element) => element.migration === migration)
+          .forEach((element) =>
+            element.plan.skipReasons.push(
+              `'${localName}' already refers to something else in this file`
+            )
+          );
+        stable = false;
+        break;
+      }
+
+      if (!bindingIsTarget && !addedTargets.has(localName)) {
+        additions.push({ target, localName });
+      }
+      addedTargets.set(localName, targetKey);
+    }
+  }
+
+  for (const element of elements) {
+    if (isMigrated(element) && needsImport.has(element)) {
+      element.plan.changes.push(
+        `imported from ${element.migration.importTarget.source}`
+      );
+    }
+  }
+
+  return [
+    ...elements.filter(isMigrated).flatMap((element) => element.plan.edits),
+    ...planImportEdits(program, code, filePath, additions, retired),
+  ];
+};
@@ -0,0 +1,109 @@
+import { getPropStatus } from "../analysis/spread-resolver.js";
+
+/**
+ * Missing-prop insertion
+ *
+ * Plans the edit adding a missing prop to one JSX element. The attribute is
+ * appended after the existing ones, on its own line when the element already
+ * puts its attributes on separate lines, so nothing else is reformatted.
+ */
+
+/**
+ * Edit for one element, or why it was left alone
+ * @typedef {Object} InsertPlan
+ * @property {Array<import("./source-edits.js").SourceEdit>} edits - Attribute insertion, if any
+ * @property {string|null} skipReason - Why the element cannot be fixed safely, or null
+ * @property {string[]} unresolvedSpreads - Source of spread attributes involved in a skip
+ */
+
+/**
+ * Writes an attribute value, as a quoted string when possible
+ * @param {string|number|boolean} value - Value
+ * @param {string} [quote='"'] - Quote character
+ * @returns {string} - Value as written after `=`, e.g. `"button"` or `{3}`
+ */
+export const formatAttributeValue = (value, quote = '"') =>
+  typeof value === "string" && !value.includes(quote)
+    ? `${quote}${value}${quote}`
+    : `{${JSON.stringify(value)}}`;
+
+/**
+ * Writes a whole attribute, using the shorthand for `true`
+ * @param {string} propName - Prop name
+ * @param {string|number|boolean} value - Value
+ * @returns {string}
+ */
+const formatAttribute = (propName, value) =>
+  value === true ? propName : `${propName}=${formatAttributeValue(value)}`;
+
+/**
+ * Gets the whitespace a line starts with
+ * @param {string} code - Source of the file
+ * @param {number} offset - Offset on the line
+ * @returns {string}
+ */
+const getIndentation = (code, offset) => {
+  const lineStart = code.lastIndexOf("\n", offset - 1) + 1;
+  return code.slice(lineStart).match(/^[ \t]*/)[0];
+};
+
+/**
+ * Plans the insertion of a prop on a JSX element that does not set it.
+ * Elements whose spread attributes may already pass the prop (unresolved or
+ * conditional spreads) are skipped, as the new attribute would override them.
+ * @param {import("@babel/types").JSXOpeningElement} openingElement - Opening element
+ * @param {import("../../analyzer.js").ElementProps} elementProps - Props of the element
+ * @param {string} propName - Prop to insert
+ * @param {string|number|boolean} value - Value to give it
+ * @param {string} code - Source of the file
+ * @returns {InsertPlan}
+ */
+export const planPropInsertion = (
+  openingElement,
+  elementProps,
+  propName,
+  value,
+  code
+) => {
+  const plan = { edits: [], skipReason: null, unresolvedSpreads: [] };
+  const status = getPropStatus(
+    propName,
+    elementProps.explicitProps,
+    elementProps.spreads
+  );
+
+  if (status === "present") {
+    return plan;
+  }
+  if (status === "unknown") {
+    plan.unresolvedSpreads = elementProps.spreads.flatMap(
+      (spread) => spread.opaqueSources
+    );
+    plan.skipReason =
+      plan.unresolvedSpreads.length > 0
+        ? `'${propName}' may be set by a spread attribute that could not be resolved`
+        : `'${propName}' may be set by a conditional spread attribute`;
+    return plan;
+  }
+
+  const { attributes } = openingElement;
+  const anchor =
+    attributes.length > 0
+      ? attributes[attributes.length - 1]
+      : openingElement.typeParameters || openingElement.name;
+  const attribute = formatAttribute(propName, value);
+
+  // Follow a one-attribute-per-line layout
+  const multiline =
+    attributes.length > 0 &&
+    attributes[attributes.length - 1].loc.start.line >
+      openingElement.name.loc.end.line;
+  plan.edits.push({
+    start: anchor.end,
+    end: anchor.end,
+    text: multiline
+      ? `\n${getIndentation(code, anchor.start)}${attribute}`
+      : ` ${attribute}`,
+  });
+  return plan;
+};
@@ -0,0 +1,76 @@
+/**
+ * Prop rename codemod
+ *
+ * Plans the edits renaming a prop on one JSX element. Only attribute names
+ * are rewritten; values, comments and formatting are left untouched.
+ */
+
+/**
+ * Edits for one element, or why it was left alone
+ * @typedef {Object} RenamePlan
+ * @property {Array<import("./source-edits.js").SourceEdit>} edits - Attribute name replacements
+ * @property {string|null} skipReason - Why the element cannot be renamed safely, or null
+ * @property {string[]} unresolvedSpreads - Source of spread attributes involved in a skip
+ */
+
+/**
+ * Plans the rename of a prop on a JSX element. The element is skipped when
+ * it already sets the new name, or when a spread attribute may set either
+ * name: renaming would then change which value wins, or leave the prop
+ * unrenamed inside the spread.
+ * @param {import("@babel/types").JSXOpeningElement} openingElement - Opening element
+ * @param {Array<import("../analysis/spread-resolver.js").SpreadResolution>} spreads - Resolved
+ *   spread attributes of the element
+ * @param {string} fromProp - Current prop name
+ * @param {string} toProp - New prop name
+ * @returns {RenamePlan}
+ */
+export const planPropRename = (openingElement, spreads, fromProp, toProp) => {
+  const attributes = openingElement.attributes.filter(
+    (attr) => attr.type === "JSXAttribute" && attr.name.type === "JSXIdentifier"
+  );
+  const renamed = attributes.filter((attr) => attr.name.name === fromProp);
+  const ambiguousSpreads = spreads.filter(
+    (spread) =>
+      spread.opaque || spread.props.has(fromProp) || spread.props.has(toProp)
+  );
+  const plan = { edits: [], skipReason: null, unresolvedSpreads: [] };
+
+  if (ambiguousSpreads.length > 0) {
+    const providesProp = ambiguousSpreads.some((spread) =>
+      spread.props.has(fromProp)
+    );
+    if (renamed.length === 0 && !providesProp) {
+      // The prop may hide in an unresolved spread, but nothing to rename is visible
+      const opaque = ambiguousSpreads.filter((spread) => spread.opaque);
+      if (opaque.length === 0) {
+        return plan;
+      }
+      plan.skipReason = `'${fromProp}' may be set by a spread attribute that could not be resolved`;
+    } else if (providesProp) {
+      plan.skipReason = `'${fromProp}' is set through a spread attribute`;
+    } else {
+      plan.skipReason = `a spread attribute may set '${fromProp}' or '${toProp}', so renaming could change which value applies`;
+    }
+    plan.unresolvedSpreads = ambiguousSpreads.flatMap(
+      (spread) => spread.opaqueSources
+    );
+    return plan;
+  }
+
+  if (renamed.length === 0) {
+    return plan;
+  }
+
+  if (attributes.some((attr) => attr.name.name === toProp)) {
+    plan.skipReason = `'${toProp}' is already set`;
+    return plan;
+  }
+
+  plan.edits = renamed.map((attr) => ({
+    start: attr.name.start,
+    end: attr.name.end,
+    text: toProp,
+  }));
+  return plan;
+};
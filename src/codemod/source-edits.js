@@ -0,0 +1,195 @@
+/**
+ * Minimal source edits
+ *
+ * Codemods describe their changes as replacements of character ranges so
+ * that everything outside those ranges, formatting included, is kept as-is.
+ * The same edits produce the rewritten source and a unified diff of it.
+ */
+
+/**
+ * Number of unchanged lines shown around each change in a diff
+ */
+const DIFF_CONTEXT = 3;
+
+/**
+ * Replacement of a character range of a file
+ * @typedef {Object} SourceEdit
+ * @property {number} start - Offset of the first replaced character
+ * @property {number} end - Offset after the last replaced character (equal to `start` for insertions)
+ * @property {string} text - Replacement text
+ */
+
+/**
+ * Sorts edits by position and rejects overlapping ones
+ * @param {SourceEdit[]} edits - Edits to sort
+ * @returns {SourceEdit[]}
+ * @throws {Error} - If two edits overlap
+ */
+const sortEdits = (edits) => {
+  const sorted = [...edits].sort((a, b) => a.start - b.start || a.end - b.end);
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].start < sorted[i - 1].end) {
+      throw new Error(
+        `Overlapping edits at offsets ${sorted[i - 1].start}-${
+          sorted[i - 1].end
+        } and ${sorted[i].start}-${sorted[i].end}`
+      );
+    }
+  }
+  return sorted;
+};
+
+/**
+ * Applies edits to a source text
+ * @param {string} code - Original source
+ * @param {SourceEdit[]} edits - Edits with offsets into `code`
+ * @param {number} [offset=0] - Offset of `code` in the file the edits refer to
+ * @returns {string} - Edited source
+ */
+export const applyEdits = (code, edits, offset = 0) => {
+  let result = "";
+  let position = 0;
+  for (const edit of sortEdits(edits)) {
+    result += code.slice(position, edit.start - offset) + edit.text;
+    position = edit.end - offset;
+  }
+  return result + code.slice(position);
+};
+
+/**
+ * Computes the offset at which each line starts
+ * @param {string} code - Source text
+ * @returns {number[]}
+ */
+const getLineStarts = (code) => {
+  const starts = [0];
+  for (let i = 0; i < code.length; i++) {
+    if (code[i] === "\n") {
+      starts.push(i + 1);
+    }
+  }
+  return starts;
+};
+
+/**
+ * Finds the 0-based line containing an offset
+ * @param {number[]} lineStarts - Line start offsets
+ * @param {number} offset - Offset in the source
+ * @returns {number}
+ */
+const getLineIndex = (lineStarts, offset) => {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (lineStarts[middle] <= offset) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low;
+};
+
+/**
+ * Splits a block of whole lines, dropping the line break that ends the block
+ * @param {string} text - Lines of text
+ * @returns {string[]}
+ */
+const splitLines = (text) =>
+  text === "" ? [] : text.replace(/\n$/, "").split("\n");
+
+/**
+ * Creates a unified diff of the changes edits make to a file
+ * @param {string} filePath - Path shown in the diff header
+ * @param {string} code - Original source
+ * @param {SourceEdit[]} edits - Edits with offsets into `code`
+ * @returns {string} - Unified diff, or an empty string if there are no edits
+ */
+export const createUnifiedDiff = (filePath, code, edits) => {
+  if (edits.length === 0) {
+    return "";
+  }
+
+  const lineStarts = getLineStarts(code);
+  const lines = splitLines(code);
+
+  // Group edits touching the same or adjacent lines into changed blocks
+  const blocks = [];
+  for (const edit of sortEdits(edits)) {
+    const first = getLineIndex(lineStarts, edit.start);
+    const last = getLineIndex(lineStarts, Math.max(edit.start, edit.end - 1));
+    const previous = blocks[blocks.length - 1];
+    if (previous && first <= previous.last + 1) {
+      previous.last = Math.max(previous.last, last);
+      previous.edits.push(edit);
+    } else {
+      blocks.push({ first, last, edits: [edit] });
+    }
+  }
+
+  for (const block of blocks) {
+    const start = lineStarts[block.first];
+    const end =
+      block.last + 1 < lineStarts.length
+        ? lineStarts[block.last + 1]
+        : code.length;
+    block.oldLines = lines.slice(block.first, block.last + 1);
+    block.newLines = splitLines(
+      applyEdits(code.slice(start, end), block.edits, start)
+    );
+  }
+
+  // Merge blocks whose context overlaps into hunks
+  const hunks = [];
+  for (const block of blocks) {
+    const previous = hunks[hunks.length - 1];
+    if (
+      previous &&
+      block.first - previous.blocks[previous.blocks.length - 1].last - 1 <=
+        DIFF_CONTEXT * 2
+    ) {
+      previous.blocks.push(block);
+    } else {
+      hunks.push({ blocks: [block] });
+    }
+  }
+
+  const output = [`--- a/${filePath}`, `+++ b/${filePath}`];
+  let lineDelta = 0;
+
+  for (const hunk of hunks) {
+    const firstBlock = hunk.blocks[0];
+    const lastBlock = hunk.blocks[hunk.blocks.length - 1];
+    const from = Math.max(0, firstBlock.first - DIFF_CONTEXT);
+    const to = Math.min(lines.length - 1, lastBlock.last + DIFF_CONTEXT);
+
+    const body = [];
+    let oldCount = 0;
+    let newCount = 0;
+    let line = from;
+    for (const block of hunk.blocks) {
+      for (; line < block.first; line++, oldCount++, newCount++) {
+        body.push(` ${lines[line]}`);
+      }
+      block.oldLines.forEach((text) => body.push(`-${text}`));
+      block.newLines.forEach((text) => body.push(`+${text}`));
+      oldCount += block.oldLines.length;
+      newCount += block.newLines.length;
+      line = block.last + 1;
+    }
+    for (; line <= to; line++, oldCount++, newCount++) {
+      body.push(` ${lines[line]}`);
+    }
+
+    const oldStart = oldCount === 0 ? from : from + 1;
+    const newStart = newCount === 0 ? from + lineDelta : from + lineDelta + 1;
+    output.push(
+      `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+      ...body
+    );
+    lineDelta += newCount - oldCount;
+  }
+
+  return `${output.join("\n")}\n`;
+};
@@ -0,0 +1,90 @@
+import path from "path";
+import { sanitizeGlobPattern } from "../security/input-sanitizer.js";
+import { compileGlob } from "./glob.js";
+
+/**
+ * Include/exclude filters
+ *
+ * Narrows a directory scan to the files matching `include` globs and leaves
+ * out those matching `exclude` globs, e.g. to keep tests, stories and
+ * generated code out of adoption metrics. Globs are relative to the scanned
+ * directory, and an include glob starting with `!` is an exclusion, so
+ * `["src/**", "!*.stories.tsx"]` can be given as a single list.
+ */
+
+/**
+ * File filter options of directory scans
+ * @typedef {Object} FileFilterOptions
+ * @property {string|string[]} [include] - Globs of the files to analyze; all files when omitted
+ * @property {string|string[]} [exclude] - Globs of the files (or directories) to leave out
+ */
+
+/**
+ * Filter applied while walking a scanned directory
+ * @typedef {Object} FileFilter
+ * @property {(filePath: string) => boolean} includesFile - Whether a file is analyzed
+ * @property {(dirPath: string) => boolean} excludesDirectory - Whether a directory is skipped
+ */
+
+/**
+ * Lists the globs of an option, validated
+ * @param {string|string[]|undefined} patterns - Glob or globs
+ * @returns {string[]}
+ * @throws {InputSanitizationError} - If a glob is not a string, is absolute or leaves the directory
+ */
+const toGlobList = (patterns) =>
+  (patterns === undefined || patterns === null ? [] : [].concat(patterns))
+    .map((pattern) => (typeof pattern === "string" ? pattern.trim() : pattern))
+    .filter((pattern) => pattern !== "");
+
+/**
+ * Validates a glob and compiles it
+ * @param {string} pattern - Glob, without its `!` prefix
+ * @returns {RegExp}
+ * @throws {InputSanitizationError} - If the glob is absolute or leaves the directory
+ */
+const compileFilterGlob = (pattern) =>
+  compileGlob(sanitizeGlobPattern(pattern));
+
+/**
+ * Creates the filter of a directory scan
+ * @param {string} rootDir - Scanned directory, which globs are relative to
+ * @param {FileFilterOptions} [options] - Include and exclude globs
+ * @returns {FileFilter|null} - Filter, or null when no globs are given
+ * @throws {InputSanitizationError} - If a glob is invalid
+ */
+export const createFileFilter = (rootDir, { include, exclude } = {}) => {
+  const includes = [];
+  const excludes = toGlobList(exclude).map((pattern) =>
+    compileFilterGlob(pattern)
+  );
+  for (const pattern of toGlobList(include)) {
+    if (typeof pattern === "string" && pattern.startsWith("!")) {
+      excludes.push(compileFilterGlob(pattern.slice(1)));
+    } else {
+      includes.push(compileFilterGlob(pattern));
+    }
+  }
+  if (includes.length === 0 && excludes.length === 0) {
+    return null;
+  }
+
+  const baseDir = path.resolve(rootDir);
+  const toRelativePath = (fullPath) =>
+    path.relative(baseDir, path.resolve(fullPath)).split(path.sep).join("/");
+
+  return {
+    includesFile: (filePath) => {
+      const relativePath = toRelativePath(filePath);
+      return (
+        (includes.length === 0 ||
+          includes.some((regex) => regex.test(relativePath))) &&
+        !excludes.some((regex) => regex.test(relativePath))
+      );
+    },
+    excludesDirectory: (dirPath) => {
+      const relativePath = toRelativePath(dirPath);
+      return excludes.some((regex) => regex.test(relativePath));
+    },
+  };
+};
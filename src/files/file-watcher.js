@@ -0,0 +1,179 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * File watcher
+ *
+ * Reports the paths changed under a directory, or a single file, in
+ * batches: events are collected until none arrived for the debounce delay,
+ * so an editor saving several files, or one file in several writes, leads to
+ * a single re-analysis. Each directory is watched on its own, so the ones a
+ * caller skips (e.g. `node_modules`, or ignored build output) are never
+ * entered, and events of paths it does not follow are dropped before they
+ * are batched. A single file is watched through its directory, so editors
+ * that save by replacing the file keep being followed.
+ */
+
+/**
+ * Quiet period after the last change before a batch is reported, in milliseconds
+ */
+export const DEFAULT_DEBOUNCE = 100;
+
+/**
+ * Running file watcher
+ * @typedef {Object} FileWatcher
+ * @property {() => void} rewatch - Checks every directory against `watchesDirectory` again,
+ *   e.g. after an ignore file changed
+ * @property {() => void} close - Stops watching; pending changes are dropped
+ */
+
+/**
+ * Watches a directory or file for changes
+ * @param {string} target - Directory or file to watch
+ * @param {(changedPaths: string[]) => void} onChange - Called with the absolute paths of the
+ *   files and directories created, changed or removed since the last batch
+ * @param {Object} [options] - Watch options
+ * @param {number} [options.debounce=100] - Quiet period before a batch is reported, in milliseconds
+ * @param {(dirPath: string) => boolean} [options.watchesDirectory] - Whether a directory under
+ *   the target is watched, along with its contents; all are by default
+ * @param {(filePath: string) => boolean} [options.watchesFile] - Whether changes to a file, which
+ *   may have been removed, are reported; all are by default
+ * @returns {FileWatcher}
+ */
+export const watchFiles = (
+  target,
+  onChange,
+  {
+    debounce = DEFAULT_DEBOUNCE,
+    watchesDirectory = () => true,
+    watchesFile = () => true,
+  } = {}
+) => {
+  const targetPath = path.resolve(target);
+  const isDirectory = fs.statSync(targetPath).isDirectory();
+  // Watchers by absolute directory path
+  const watchers = new Map();
+  const changedPaths = new Set();
+  let timer = null;
+
+  const flush = () => {
+    timer = null;
+    const paths = [...changedPaths];
+    changedPaths.clear();
+    onChange(paths);
+  };
+
+  const schedule = (changedPath) => {
+    changedPaths.add(changedPath);
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounce);
+  };
+
+  /**
+   * Stops watching a directory and the directories under it
+   * @param {string} dirPath - Absolute directory path
+   */
+  const unwatch = (dirPath) => {
+    for (const [watchedDir, watcher] of watchers) {
+      if (watchedDir === dirPath || watchedDir.startsWith(dirPath + path.sep)) {
+        watcher.close();
+        watchers.delete(watchedDir);
+      }
+    }
+  };
+
+  /**
+   * Watches a directory, then the directories under it that are followed
+   * @param {string} dirPath - Absolute directory path
+   */
+  const watchTree = (dirPath) => {
+    if (!watchers.has(dirPath)) {
+      let watcher;
+      try {
+        watcher = fs.watch(dirPath, (eventType, fileName) =>
+          handleEvent(dirPath, fileName)
+        );
+      } catch (error) {
+        console.warn(`Warning: Could not watch ${dirPath}: ${error.message}`);
+        return;
+      }
+      watcher.on("error", (error) => {
+        console.warn(`Warning: Could not watch ${dirPath}: ${error.message}`);
+      });
+      watchers.set(dirPath, watcher);
+    }
+    if (!isDirectory) {
+      return;
+    }
+
+    let entries = [];
+    try {
+      entries = fs.readdirSync(dirPath, { withFileTypes: true });
+    } catch (error) {
+      // Removed since; its parent reports it
+    }
+    for (const entry of entries) {
+      const entryPath = path.join(dirPath, entry.name);
+      if (entry.isDirectory() && watchesDirectory(entryPath)) {
+        watchTree(entryPath);
+      }
+    }
+  };
+
+  const handleEvent = (dirPath, fileName) => {
+    if (!fileName) {
+      // Some platforms do not report which file changed
+      schedule(isDirectory ? dirPath : targetPath);
+      return;
+    }
+    const changedPath = path.join(dirPath, fileName.toString());
+    if (!isDirectory) {
+      if (changedPath === targetPath) {
+        schedule(changedPath);
+      }
+      return;
+    }
+
+    const stats = fs.statSync(changedPath, { throwIfNoEntry: false });
+    if (stats && stats.isDirectory()) {
+      // Changes inside watched directories are reported by their own watcher
+      if (!watchers.has(changedPath) && watchesDirectory(changedPath)) {
+        watchTree(changedPath);
+        schedule(changedPath);
+      }
+    } else if (watchers.has(changedPath)) {
+      // A watched directory was removed, or replaced by a file
+      unwatch(changedPath);
+      schedule(changedPath);
+    } else if (watchesFile(changedPath)) {
+      schedule(changedPath);
+    }
+  };
+
+  watchTree(isDirectory ? targetPath : path.dirname(targetPath));
+
+  return {
+    rewatch: () => {
+      if (!isDirectory) {
+        return;
+      }
+      for (const watchedDir of [...watchers.keys()]) {
+        if (
+          watchers.has(watchedDir) &&
+          watchedDir !== targetPath &&
+          !watchesDirectory(watchedDir)
+        ) {
+          unwatch(watchedDir);
+        }
+      }
+      watchTree(targetPath);
+    },
+    close: () => {
+      clearTimeout(timer);
+      for (const watcher of watchers.values()) {
+        watcher.close();
+      }
+      watchers.clear();
+    },
+  };
+};
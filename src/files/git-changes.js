@@ -0,0 +1,229 @@
+import { execFileSync } from "child_process";
+import fs from "fs";
+import path from "path";
+
+/**
+ * Git changes
+ *
+ * Lists the files a branch touched, so pull request checks only analyze
+ * those. A ref is compared from its merge base with HEAD, as a pull request
+ * diff is: commits that landed on the ref since the branch forked are left
+ * out, while committed, staged and unstaged changes of the branch, and files
+ * git does not track yet (unless they are ignored), are included. Deleted
+ * files are left out.
+ *
+ * With the changed lines, results can also be narrowed to the lines the
+ * branch added or modified. Untracked files are changed on every line.
+ */
+
+/**
+ * Custom error class for git failures
+ */
+class GitChangesError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "GitChangesError";
+    this.code = code;
+  }
+}
+
+/**
+ * Size of git output read, in bytes
+ */
+const MAX_GIT_OUTPUT = 64 * 1024 * 1024;
+
+/**
+ * Lines of a file added or modified since the ref, as an inclusive 1-based range
+ * @typedef {Object} LineRange
+ * @property {number} start - First changed line
+ * @property {number} end - Last changed line
+ */
+
+/**
+ * Changed files by absolute path, with their changed lines, or null when
+ * every line counts as changed (untracked files, or lines not requested)
+ * @typedef {Map<string, LineRange[]|null>} ChangedFiles
+ */
+
+/**
+ * Runs git in a directory
+ * @param {string[]} args - Git arguments
+ * @param {string} cwd - Directory git runs in
+ * @returns {string} - Standard output
+ * @throws {GitChangesError} - If git is not installed or fails
+ */
+const runGit = (args, cwd) => {
+  try {
+    return execFileSync("git", ["-c", "core.quotePath=false", ...args], {
+      cwd,
+      encoding: "utf8",
+      maxBuffer: MAX_GIT_OUTPUT,
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new GitChangesError(
+        "git is required to find changed files but was not found",
+        "GIT_NOT_FOUND"
+      );
+    }
+    const stderr = error.stderr ? String(error.stderr).trim() : "";
+    throw new GitChangesError(
+      `git ${args[0]} failed: ${stderr || error.message}`,
+      "GIT_FAILED"
+    );
+  }
+};
+
+/**
+ * Lists the NUL-separated paths git printed
+ * @param {string} output - Output of a `-z` git command
+ * @returns {string[]}
+ */
+const splitPaths = (output) => output.split("\0").filter(Boolean);
+
+/**
+ * Reads the lines each file gained from a zero-context diff
+ * @param {string} diff - Output of `git diff -U0 --no-prefix`
+ * @param {string} cwd - Directory the diff paths are relative to
+ * @returns {Map<string, LineRange[]>} - Changed lines by absolute path
+ */
+const parseChangedLines = (diff, cwd) => {
+  const changedLines = new Map();
+  let ranges = null;
+
+  for (const line of diff.split("\n")) {
+    if (line.startsWith("+++ ")) {
+      // Paths with spaces end with a tab, so the header stays unambiguous
+      const target = line.slice(4).replace(/\t$/, "");
+      ranges = null;
+      if (target === "/dev/null") {
+        continue;
+      }
+      let filePath = target;
+      if (target.startsWith('"')) {
+        // Paths with control characters are quoted; files that cannot be
+        // read back count as changed everywhere
+        try {
+          filePath = JSON.parse(target);
+        } catch (error) {
+          continue;
+        }
+      }
+      ranges = [];
+      changedLines.set(path.resolve(cwd, filePath), ranges);
+      continue;
+    }
+
+    const hunk = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/.exec(line);
+    if (hunk && ranges) {
+      const start = Number(hunk[1]);
+      const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+      // Hunks that only remove lines add none
+      if (count > 0) {
+        ranges.push({ start, end: start + count - 1 });
+      }
+    }
+  }
+
+  return changedLines;
+};
+
+/**
+ * Lists the files changed under a directory, or the file itself when it
+ * changed, since a git ref
+ * @param {string} rootDir - Directory or file to check
+ * @param {string} ref - Branch, tag or commit the changes are relative to, e.g. `origin/main`
+ * @param {Object} [options] - Change options
+ * @param {boolean} [options.lines=false] - If true, also lists the changed lines of each file
+ * @returns {ChangedFiles}
+ * @throws {GitChangesError} - If the ref is invalid, or git is missing or fails
+ */
+export const getChangedFiles = (rootDir, ref, { lines = false } = {}) => {
+  if (typeof ref !== "string" || ref.trim() === "" || ref.startsWith("-")) {
+    throw new GitChangesError(
+      `Invalid git ref ${JSON.stringify(
+        ref
+      )}: expected a branch, tag or commit`,
+      "INVALID_REF"
+    );
+  }
+
+  const target = path.resolve(rootDir);
+  let isFile;
+  try {
+    isFile = fs.statSync(target).isFile();
+  } catch (error) {
+    throw new GitChangesError(
+      `Could not read ${rootDir}: ${error.message}`,
+      "INVALID_PATH"
+    );
+  }
+  // Run git where the paths it prints are relative to, and limited to, the target
+  const cwd = isFile ? path.dirname(target) : target;
+  const base = runGit(["merge-base", ref, "HEAD"], cwd).trim();
+
+  const changedPaths = [
+    ...splitPaths(
+      runGit(
+        [
+          "diff",
+          "--name-only",
+          "-z",
+          "--no-renames",
+          "--diff-filter=d",
+          "--relative",
+          base,
+          "--",
+        ],
+        cwd
+      )
+    ),
+    ...splitPaths(
+      runGit(["ls-files", "-z", "--others", "--exclude-standard"], cwd)
+    ),
+  ]
+    .map((changedPath) => path.resolve(cwd, changedPath))
+    .filter((changedPath) => !isFile || changedPath === target);
+
+  const changedLines = lines
+    ? parseChangedLines(
+        runGit(
+          [
+            "diff",
+            "-U0",
+            "--no-color",
+            "--no-ext-diff",
+            "--no-prefix",
+            "--no-renames",
+            "--diff-filter=d",
+            "--relative",
+            base,
+            "--",
+          ],
+          cwd
+        ),
+        cwd
+      )
+    : new Map();
+
+  return new Map(
+    changedPaths.map((changedPath) => [
+      changedPath,
+      changedLines.has(changedPath) ? changedLines.get(changedPath) : null,
+    ])
+  );
+};
+
+/**
+ * Checks whether any line of a span was changed
+ * @param {LineRange[]|null} ranges - Changed lines of the file, or null if every line changed
+ * @param {number} start - First line of the span
+ * @param {number} end - Last line of the span
+ * @returns {boolean}
+ */
+export const overlapsChangedLines = (ranges, start, end) =>
+  ranges === null ||
+  ranges.some((range) => range.start <= end && start <= range.end);
+
+export { GitChangesError };
@@ -0,0 +1,181 @@
+import { InputSanitizationError } from "../security/input-sanitizer.js";
+
+/**
+ * Path globs
+ *
+ * Wildcard patterns over `/`-separated paths, shared by ignore files and the
+ * include/exclude options of file discovery.
+ */
+
+/**
+ * Most patterns the `{a,b}` alternatives of one glob may expand to
+ */
+const MAX_BRACE_ALTERNATIVES = 1024;
+
+/**
+ * Deepest nesting of `{a,b}` alternatives in one glob
+ */
+const MAX_BRACE_DEPTH = 8;
+
+/**
+ * Escapes a character for use in a regular expression
+ * @param {string} char - Character
+ * @returns {string}
+ */
+const escapeRegexChar = (char) =>
+  /[\\^$.*+?()[\]{}|/]/.test(char) ? `\\${char}` : char;
+
+/**
+ * Converts a wildcard pattern into a regular expression source. `*` and `?`
+ * do not cross `/`, `[...]` is a character class (`[!...]` negated), and a
+ * `**` segment matches any number of directories (everything inside when it
+ * ends the pattern).
+ * @param {string} pattern - Pattern without negation, anchoring or trailing slash
+ * @returns {string}
+ */
+export const wildcardToRegexSource = (pattern) => {
+  let source = "";
+  let i = 0;
+
+  while (i < pattern.length) {
+    const char = pattern[i];
+
+    if (char === "*" && pattern[i + 1] === "*") {
+      const atSegmentStart = i === 0 || pattern[i - 1] === "/";
+      const atSegmentEnd = i + 2 === pattern.length || pattern[i + 2] === "/";
+      if (atSegmentStart && atSegmentEnd) {
+        if (i + 2 === pattern.length) {
+          source += ".*";
+          i += 2;
+        } else {
+          source += "(?:.*/)?";
+          i += 3;
+        }
+        continue;
+      }
+      // Other runs of asterisks behave like a single one
+      while (pattern[i] === "*") {
+        i++;
+      }
+      source += "[^/]*";
+      continue;
+    }
+
+    if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "\\" && i + 1 < pattern.length) {
+      i++;
+      source += escapeRegexChar(pattern[i]);
+    } else if (char === "[") {
+      const close = pattern.indexOf("]", i + 2);
+      if (close === -1) {
+        source += "\\[";
+      } else {
+        let body = pattern.slice(i + 1, close);
+        const negated = body.startsWith("!") || body.startsWith("^");
+        if (negated) {
+          body = body.slice(1);
+        }
+        body = body.replace(/[\\\]^]/g, (match) => `\\${match}`);
+        source += negated ? `[^/${body}]` : `(?!/)[${body}]`;
+        i = close;
+      }
+    } else {
+      source += escapeRegexChar(char);
+    }
+    i++;
+  }
+
+  return source;
+};
+
+/**
+ * Expands the `{a,b}` alternatives of a glob into plain patterns. Every
+ * expansion has at least two branches, so capping the patterns produced
+ * also bounds the work done.
+ * @param {string} pattern - Glob
+ * @param {{remaining: number}} [budget] - Patterns the glob may still expand to
+ * @returns {string[]}
+ * @throws {InputSanitizationError} - If the alternatives are nested too deeply or expand to
+ *   too many patterns
+ */
+const expandBraces = (
+  pattern,
+  budget = { remaining: MAX_BRACE_ALTERNATIVES }
+) => {
+  let depth = 0;
+  let open = -1;
+  const commas = [];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "\\") {
+      i++;
+    } else if (char === "{") {
+      if (depth === 0) {
+        open = i;
+        commas.length = 0;
+      }
+      depth++;
+      if (depth > MAX_BRACE_DEPTH) {
+        throw new InputSanitizationError(
+          `Glob pattern nests {} alternatives more than ${MAX_BRACE_DEPTH} levels deep`,
+          "TOO_COMPLEX",
+          "globPattern",
+          pattern
+        );
+      }
+    } else if (char === "," && depth === 1) {
+      commas.push(i);
+    } else if (char === "}" && depth > 0) {
+      depth--;
+      if (depth === 0 && commas.length > 0) {
+        const prefix = pattern.slice(0, open);
+        const suffix = pattern.slice(i + 1);
+        const bounds = [open, ...commas, i];
+        return bounds
+          .slice(1)
+          .flatMap((end, index) =>
+            expandBraces(
+              `${prefix}${pattern.slice(bounds[index] + 1, end)}${suffix}`,
+              budget
+            )
+          );
+      }
+    }
+  }
+
+  budget.remaining--;
+  if (budget.remaining < 0) {
+    throw new InputSanitizationError(
+      `Glob pattern expands to more than ${MAX_BRACE_ALTERNATIVES} alternatives`,
+      "TOO_COMPLEX",
+      "globPattern",
+      pattern
+    );
+  }
+  return [pattern];
+};
+
+/**
+ * Compiles a glob matched against paths relative to a directory. A glob
+ * without a slash, such as `*.stories.tsx`, matches file names at any depth;
+ * other globs match from the start of the path, e.g. `src/components/*.tsx`.
+ * `{a,b}` lists alternatives.
+ * @param {string} pattern - Glob
+ * @returns {RegExp}
+ * @throws {InputSanitizationError} - If the `{a,b}` alternatives are nested too deeply or
+ *   expand to too many patterns
+ */
+export const compileGlob = (pattern) => {
+  const alternatives = expandBraces(pattern.replace(/^\.\//, "")).map(
+    (alternative) => {
+      const trimmed = alternative.replace(/\/+$/, "");
+      const source = wildcardToRegexSource(trimmed);
+      return trimmed.includes("/") ? source : `(?:.*/)?${source}`;
+    }
+  );
+  return new RegExp(`^(?:${alternatives.join("|")})$`);
+};
@@ -0,0 +1,200 @@
+import fs from "fs";
+import path from "path";
+import { wildcardToRegexSource } from "./glob.js";
+
+/**
+ * Ignore rules
+ *
+ * Decides which files a directory scan skips, with the semantics of git:
+ * every `.gitignore` from the repository root down to a file's directory
+ * applies to it, patterns containing a slash are anchored to the directory of
+ * their file, a trailing slash only matches directories, `!` re-includes a
+ * path, and the last matching pattern wins, with deeper files overriding
+ * shallower ones. `.git/info/exclude` applies with the lowest precedence, and
+ * a `.jsxanalyzerignore` next to a `.gitignore` overrides it, so files can be
+ * hidden from the analyzer (or shown to it) without changing what git tracks.
+ *
+ * As in git, a path inside an ignored directory cannot be re-included, since
+ * the directory is never entered.
+ */
+
+/**
+ * Ignore files read in every scanned directory, lowest precedence first
+ */
+export const IGNORE_FILES = [".gitignore", ".jsxanalyzerignore"];
+
+/**
+ * Compiled line of an ignore file
+ * @typedef {Object} IgnoreRule
+ * @property {string} pattern - Pattern as written
+ * @property {string} source - Path of the file the pattern comes from
+ * @property {string} baseDir - Absolute directory the pattern is relative to
+ * @property {boolean} negated - Whether the pattern re-includes matching paths (`!pattern`)
+ * @property {boolean} directoryOnly - Whether the pattern only matches directories (`pattern/`)
+ * @property {boolean} matchBasename - Whether the pattern is matched against the name of the
+ *   path at any depth rather than against its path from `baseDir`
+ * @property {RegExp} regex - Compiled pattern
+ */
+
+/**
+ * Parses the patterns of an ignore file
+ * @param {string} content - Content of the file
+ * @param {string} baseDir - Directory the patterns are relative to
+ * @param {string} source - Path of the file, for reference
+ * @returns {IgnoreRule[]} - Rules in file order
+ */
+export const parseIgnorePatterns = (content, baseDir, source) => {
+  const rules = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    // Trailing spaces are dropped unless escaped
+    let line = rawLine.replace(/(?<!\\)\s+$/, "");
+    if (line === "" || line.startsWith("#")) {
+      continue;
+    }
+
+    const negated = line.startsWith("!");
+    if (negated) {
+      line = line.slice(1);
+    } else if (line.startsWith("\\!") || line.startsWith("\\#")) {
+      line = line.slice(1);
+    }
+
+    const directoryOnly = line.endsWith("/");
+    if (directoryOnly) {
+      line = line.replace(/\/+$/, "");
+    }
+    // A slash anywhere but at the end anchors the pattern to its directory
+    const matchBasename = !line.includes("/");
+    line = line.replace(/^\//, "");
+    if (line === "") {
+      continue;
+    }
+
+    rules.push({
+      pattern: rawLine.trim(),
+      source,
+      baseDir: path.resolve(baseDir),
+      negated,
+      directoryOnly,
+      matchBasename,
+      regex: new RegExp(`^${wildcardToRegexSource(line)}$`),
+    });
+  }
+
+  return rules;
+};
+
+/**
+ * Reads the rules of an ignore file, if there is one
+ * @param {string} filePath - Path of the ignore file
+ * @param {string} baseDir - Directory its patterns are relative to
+ * @returns {IgnoreRule[]}
+ */
+const readIgnoreFile = (filePath, baseDir) => {
+  try {
+    return parseIgnorePatterns(
+      fs.readFileSync(filePath, "utf8"),
+      baseDir,
+      filePath
+    );
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.warn(
+        `Warning: Could not read ignore file ${filePath}: ${error.message}`
+      );
+    }
+    return [];
+  }
+};
+
+/**
+ * Reads the rules a directory's own ignore files add for its contents
+ * @param {string} dir - Directory
+ * @returns {IgnoreRule[]} - Rules, lowest precedence first
+ */
+export const readDirectoryIgnoreRules = (dir) =>
+  IGNORE_FILES.flatMap((name) => readIgnoreFile(path.join(dir, name), dir));
+
+/**
+ * Finds the root of the git repository containing a directory
+ * @param {string} dir - Absolute directory path
+ * @returns {string|null} - Directory holding `.git`, or null outside a repository
+ */
+const findRepositoryRoot = (dir) => {
+  let currentDir = dir;
+  while (true) {
+    if (fs.existsSync(path.join(currentDir, ".git"))) {
+      return currentDir;
+    }
+    const parentDir = path.dirname(currentDir);
+    if (parentDir === currentDir) {
+      return null;
+    }
+    currentDir = parentDir;
+  }
+};
+
+/**
+ * Loads the rules that apply to the contents of a scanned directory:
+ * `.git/info/exclude` and the ignore files of every directory from the
+ * repository root down to the scanned one. Outside a repository, only the
+ * scanned directory's own ignore files apply.
+ * @param {string} rootDir - Scanned directory
+ * @returns {IgnoreRule[]} - Rules, lowest precedence first
+ */
+export const loadIgnoreRules = (rootDir) => {
+  const scannedDir = path.resolve(rootDir);
+  const repositoryRoot = findRepositoryRoot(scannedDir);
+  if (!repositoryRoot) {
+    return readDirectoryIgnoreRules(scannedDir);
+  }
+
+  const dirs = [];
+  for (let dir = scannedDir; dir !== repositoryRoot; dir = path.dirname(dir)) {
+    dirs.unshift(dir);
+  }
+  dirs.unshift(repositoryRoot);
+
+  return [
+    ...readIgnoreFile(
+      path.join(repositoryRoot, ".git", "info", "exclude"),
+      repositoryRoot
+    ),
+    ...dirs.flatMap(readDirectoryIgnoreRules),
+  ];
+};
+
+/**
+ * Checks whether a path is ignored: the last rule matching it decides
+ * @param {IgnoreRule[]} rules - Rules that apply to the path, lowest precedence first
+ * @param {string} fullPath - Path to check
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean}
+ */
+export const isIgnored = (rules, fullPath, isDirectory) => {
+  const absolutePath = path.resolve(fullPath);
+
+  for (let i = rules.length - 1; i >= 0; i--) {
+    const rule = rules[i];
+    if (rule.directoryOnly && !isDirectory) {
+      continue;
+    }
+    const relativePath = path.relative(rule.baseDir, absolutePath);
+    if (
+      relativePath === "" ||
+      relativePath === ".." ||
+      relativePath.startsWith(`..${path.sep}`) ||
+      path.isAbsolute(relativePath)
+    ) {
+      continue;
+    }
+    const subject = rule.matchBasename
+      ? path.basename(absolutePath)
+      : relativePath.split(path.sep).join("/");
+    if (rule.regex.test(subject)) {
+      return !rule.negated;
+    }
+  }
+  return false;
+};
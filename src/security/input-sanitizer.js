@@ -558,6 +558,18 @@ class InputSanitizer {
       sanitized.includes = params.includes;
     }
 
+    if (params.regex !== undefined) {
+      if (typeof params.regex !== "boolean") {
+        throw new InputSanitizationError(
+          "regex must be a boolean",
+          "INVALID_TYPE",
+          "regex",
+          params.regex,
+        );
+      }
+      sanitized.regex = params.regex;
+    }
+
     return sanitized;
   }
 }
@@ -0,0 +1,31 @@
+import { parentPort, workerData } from "worker_threads";
+import { findPropUsage } from "../../analyzer.js";
+
+/**
+ * Prop usage worker
+ *
+ * Runs `findPropUsage` on the files a worker pool hands it, one file per
+ * task, with the query it was started with.
+ */
+
+const { componentName, propName, propValue, options } = workerData;
+
+parentPort.on("message", ({ index, task: filePath }) => {
+  try {
+    parentPort.postMessage({
+      index,
+      result: findPropUsage(
+        filePath,
+        componentName,
+        propName,
+        propValue,
+        options
+      ),
+    });
+  } catch (error) {
+    parentPort.postMessage({
+      index,
+      error: { name: error.name, message: error.message, code: error.code },
+    });
+  }
+});
@@ -0,0 +1,168 @@
+import os from "os";
+import { Worker } from "worker_threads";
+
+/**
+ * Worker pool
+ *
+ * Spreads per-file tasks across worker threads so that large scans parse
+ * several files at once. Each worker takes the next task as soon as it is
+ * done with the previous one, and results are returned in task order, so the
+ * merged output does not depend on which worker finished first.
+ *
+ * A worker module listens for `{ index, task }` messages on its parent port
+ * and answers each with `{ index, result }`, or `{ index, error }` where
+ * `error` holds the `name`, `message` and `code` of what it threw.
+ */
+
+/**
+ * Custom error class for worker pool failures
+ */
+class WorkerPoolError extends Error {
+  constructor(message, code, cause) {
+    super(message);
+    this.name = "WorkerPoolError";
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Number of workers used when no concurrency is given: one per available CPU
+ * @returns {number}
+ */
+export const getDefaultConcurrency = () =>
+  typeof os.availableParallelism === "function"
+    ? os.availableParallelism()
+    : os.cpus().length || 1;
+
+/**
+ * Validates a concurrency setting
+ * @param {number} [concurrency] - Number of workers; defaults to one per available CPU
+ * @returns {number}
+ * @throws {WorkerPoolError} - If the setting is not a positive integer
+ */
+export const resolveConcurrency = (concurrency) => {
+  if (concurrency === undefined || concurrency === null) {
+    return getDefaultConcurrency();
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new WorkerPoolError(
+      `concurrency must be a positive integer, got ${JSON.stringify(
+        concurrency
+      )}`,
+      "INVALID_CONCURRENCY"
+    );
+  }
+  return concurrency;
+};
+
+/**
+ * Rebuilds an error a worker reported
+ * @param {{name: string, message: string, code?: string}} reported - Error sent by the worker
+ * @returns {Error}
+ */
+const toError = ({ name, message, code }) => {
+  const error = new Error(message);
+  error.name = name;
+  if (code !== undefined) {
+    error.code = code;
+  }
+  return error;
+};
+
+/**
+ * Runs tasks on a pool of worker threads
+ * @param {URL|string} workerModule - Worker module handling the tasks
+ * @param {Array} tasks - Structured-cloneable task descriptions
+ * @param {Object} [options] - Pool options
+ * @param {number} [options.concurrency] - Maximum number of workers
+ * @param {*} [options.workerData] - Data every worker starts with
+ * @returns {Promise<Array>} - Result of each task, in task order
+ * @throws {WorkerPoolError} - If a task fails or a worker exits unexpectedly
+ */
+export const runWorkerTasks = async (
+  workerModule,
+  tasks,
+  { concurrency, workerData } = {}
+) => {
+  const workerCount = Math.min(resolveConcurrency(concurrency), tasks.length);
+  const results = new Array(tasks.length);
+  if (workerCount === 0) {
+    return results;
+  }
+
+  const workers = [];
+  try {
+    await new Promise((resolve, reject) => {
+      let nextIndex = 0;
+      let completed = 0;
+      let failed = false;
+
+      const fail = (error) => {
+        if (!failed) {
+          failed = true;
+          reject(error);
+        }
+      };
+
+      const dispatch = (worker) => {
+        if (nextIndex < tasks.length) {
+          const index = nextIndex++;
+          worker.postMessage({ index, task: tasks[index] });
+        }
+      };
+
+      for (let i = 0; i < workerCount; i++) {
+        const worker = new Worker(workerModule, { workerData });
+        workers.push(worker);
+
+        worker.on("message", ({ index, result, error }) => {
+          if (error) {
+            fail(
+              new WorkerPoolError(
+                `Worker task failed: ${error.message}`,
+                "TASK_FAILED",
+                toError(error)
+              )
+            );
+            return;
+          }
+          results[index] = result;
+          completed++;
+          if (completed === tasks.length) {
+            resolve();
+          } else {
+            dispatch(worker);
+          }
+        });
+        worker.on("error", (error) =>
+          fail(
+            new WorkerPoolError(
+              `Worker crashed: ${error.message}`,
+              "WORKER_CRASHED",
+              error
+            )
+          )
+        );
+        worker.on("exit", (exitCode) => {
+          if (completed < tasks.length) {
+            fail(
+              new WorkerPoolError(
+                `Worker exited with code ${exitCode} before finishing its tasks`,
+                "WORKER_EXITED"
+              )
+            );
+          }
+        });
+
+        dispatch(worker);
+      }
+    });
+  } finally {
+    await Promise.all(workers.map((worker) => worker.terminate()));
+  }
+
+  return results;
+};
+
+export { WorkerPoolError };
@@ -0,0 +1,2713 @@
+#!/usr/bin/env node
+
+/**
+ * Analyzer Library Test Suite
+ *
+ * Exercises the analyzer API directly (without the MCP server) against the
+ * fixtures in ./test to verify:
+ * - Spread attribute resolution
+ * - Import-aware component matching
+ * - Component name patterns (glob and regex)
+ * - Regex prop value matching
+ * - Composable prop queries
+ * - Static evaluation of expression values
+ * - Typed prop values
+ * - Prop inventory
+ * - Component inventory
+ * - Component catalog
+ * - Required-prop validation
+ * - Allowed-value validation
+ * - Source locations and code frames
+ * - Ignore files
+ * - Include/exclude globs
+ * - Parser profiles
+ * - Worker pool analysis
+ * - Analysis cache
+ * - Batch queries
+ * - Streaming results
+ * - Watch mode
+ * - Changed files since a git ref
+ * - Prop rename codemod
+ * - Missing-prop fixes
+ * - Migration recipes
+ * - CLI commands
+ */
+
+import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import {
+  findPropUsage,
+  findPropUsageParallel,
+  findPropUsageBatch,
+  streamPropUsage,
+  watchPropUsage,
+  findPropQuery,
+  listProps,
+  getComponentInventory,
+  getComponentCatalog,
+  findMissingRequiredProps,
+  findInvalidPropValues,
+  renameProp,
+  insertMissingProp,
+  loadMigrationRecipe,
+  migrateComponents,
+} from "./analyzer.js";
+import { InputSanitizationError } from "./src/security/input-sanitizer.js";
+import { PropQueryError } from "./src/analysis/prop-query.js";
+import { MigrationRecipeError } from "./src/codemod/migration-recipe.js";
+import { ParserProfileError } from "./src/analysis/parser-profiles.js";
+import { WorkerPoolError } from "./src/workers/worker-pool.js";
+import { BatchQueryError } from "./src/analysis/batch-query.js";
+import { GitChangesError, getChangedFiles } from "./src/files/git-changes.js";
+import { watchFiles } from "./src/files/file-watcher.js";
+
+const SPREAD_FIXTURE = "./test/components/Spread.jsx";
+const IMPORTS_FIXTURE = "./test/components/Imports.jsx";
+const APP_FIXTURE = "./test/app.jsx";
+const LINKS_FIXTURE = "./test/components/Links.jsx";
+const EXPRESSIONS_FIXTURE = "./test/components/Expressions.jsx";
+const TYPED_FIXTURE = "./test/components/Typed.jsx";
+const CARD_FIXTURE = "./test/components/Card.tsx";
+const LEGACY_FIXTURE = "./test/components/Legacy.jsx";
+const DASHBOARD_FIXTURE = "./test/components/Dashboard.tsx";
+const VARIANTS_FIXTURE = "./test/components/Variants.jsx";
+const TOOLBAR_FIXTURE = "./test/components/Toolbar.jsx";
+const OLD_BUTTON_RECIPE = "./test/migrations/old-button.json";
+
+class AnalyzerTester {
+  constructor() {
+    this.testResults = {
+      passed: 0,
+      failed: 0,
+      errors: [],
+    };
+  }
+
+  /**
+   * Runs a test and tracks results
+   */
+  async runTest(testName, testFn) {
+    try {
+      console.log(`🧪 Testing: ${testName}`);
+      await testFn();
+      console.log(`✅ PASSED: ${testName}`);
+      this.testResults.passed++;
+    } catch (error) {
+      console.error(`❌ FAILED: ${testName} - ${error.message}`);
+      this.testResults.failed++;
+      this.testResults.errors.push({ testName, error: error.message });
+    }
+  }
+
+  /**
+   * Asserts that a condition is true
+   */
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(`Assertion failed: ${message}`);
+    }
+  }
+
+  /**
+   * Asserts that two values are strictly equal
+   */
+  assertEqual(actual, expected, message) {
+    if (actual !== expected) {
+      throw new Error(
+        `Assertion failed: ${message} (expected ${JSON.stringify(
+          expected,
+        )}, got ${JSON.stringify(actual)})`,
+      );
+    }
+  }
+
+  /**
+   * Spread Attribute Resolution Tests
+   */
+  async testSpreadResolution() {
+    const options = { findMissing: false, verbose: true, includes: false };
+
+    await this.runTest(
+      "Spread - Object literal const provides prop",
+      async () => {
+        const results = findPropUsage(
+          SPREAD_FIXTURE,
+          "Button",
+          "variant",
+          "secondary",
+          options,
+        );
+        this.assertEqual(
+          results.length,
+          2,
+          "Should see variant from sharedButtonProps and withDisabled",
+        );
+        this.assert(
+          results.every((result) => result.propStatus === "present"),
+          "Spread-provided props should be marked present",
+        );
+      },
+    );
+
+    await this.runTest("Spread - Nested object spread", async () => {
+      const results = findPropUsage(
+        SPREAD_FIXTURE,
+        "Button",
+        "disabled",
+        null,
+        options,
+      );
+      this.assertEqual(results.length, 1, "Should resolve nested spread");
+      this.assertEqual(
+        results[0].props.disabled.value,
+        true,
+        "Should report the spread value as a typed boolean",
+      );
+    });
+
+    await this.runTest("Spread - Missing prop statuses", async () => {
+      const results = findPropUsage(SPREAD_FIXTURE, "Button", "onClick", null, {
+        ...options,
+        findMissing: true,
+      });
+      const statuses = results.map((result) => result.propStatus);
+
+      this.assertEqual(
+        statuses.filter((status) => status === "missing").length,
+        1,
+        "Only the inline object spread without onClick is definitely missing",
+      );
+      this.assertEqual(
+        statuses.filter((status) => status === "unknown").length,
+        2,
+        "Conditional and opaque spreads should be unknown",
+      );
+    });
+
+    await this.runTest(
+      "Spread - Ternary with prop on both branches",
+      async () => {
+        const results = findPropUsage(
+          SPREAD_FIXTURE,
+          "Button",
+          "onClick",
+          null,
+          {
+            ...options,
+            findMissing: true,
+          },
+        );
+        this.assert(
+          !results.some((result) => result.lineNumber === 23),
+          "Ternary providing onClick on both branches should not be reported",
+        );
+      },
+    );
+
+    await this.runTest("Spread - Mutated const objects", async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), "jsx-mutated-"));
+      const filePath = path.join(directory, "Form.jsx");
+      fs.writeFileSync(
+        filePath,
+        [
+          'import PropTypes from "prop-types";',
+          "",
+          "const Button = ({ onClick, title }) => <button onClick={onClick}>{title}</button>;",
+          "Button.propTypes = { onClick: PropTypes.func.isRequired, title: PropTypes.string };",
+          "",
+          "const handle = () => {};",
+          'const base = { type: "button" };',
+          "base.onClick = handle;",
+          'Object.assign(base, { title: "t" });',
+          'const readOnly = { type: "submit" };',
+          "",
+          "export const Form = () => (",
+          "  <>",
+          "    <Button {...base} />",
+          "    <Button {...readOnly} data-type={readOnly.type} />",
+          "  </>",
+          ");",
+          "",
+        ].join("\n"),
+      );
+      const statuses = (results) =>
+        results
+          .map((result) => `${result.lineNumber}:${result.propStatus}`)
+          .join(",");
+
+      try {
+        this.assertEqual(
+          statuses(
+            findPropUsage(filePath, "Button", "onClick", null, {
+              ...options,
+              findMissing: true,
+            }),
+          ),
+          "14:unknown,15:missing",
+          "Spreads of mutated objects should be unknown, read-only ones resolved",
+        );
+        this.assertEqual(
+          statuses(findMissingRequiredProps(filePath)),
+          "14:unknown,15:missing",
+          "Required props should not be judged from a mutated object",
+        );
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  }
+
+  /**
+   * Import-Aware Component Matching Tests
+   */
+  async testImportTargets() {
+    const options = { findMissing: false, verbose: true, includes: false };
+
+    await this.runTest("Imports - Aliased and namespace imports", async () => {
+      const results = findPropUsage(
+        IMPORTS_FIXTURE,
+        "@acme/ui#Button",
+        "onClick",
+        null,
+        options,
+      );
+      this.assertEqual(
+        results.length,
+        2,
+        "Should match <PrimaryButton> and <UI.Button> but not the local Button",
+      );
+    });
+
+    await this.runTest("Imports - Nested namespace member", async () => {
+      const results = findPropUsage(
+        IMPORTS_FIXTURE,
+        "@acme/ui#Menu.Item",
+        "label",
+        null,
+        options,
+      );
+      this.assertEqual(results.length, 1, "Should match <UI.Menu.Item>");
+    });
+
+    await this.runTest("Imports - Relative module target", async () => {
+      const named = findPropUsage(
+        IMPORTS_FIXTURE,
+        "./test/components/Button#Button",
+        "onClick",
+        null,
+        options,
+      );
+      this.assertEqual(named.length, 1, "Should match the local Button only");
+
+      const defaults = findPropUsage(
+        IMPORTS_FIXTURE,
+        "./test/components/Button.jsx#default",
+        "onClick",
+        null,
+        { ...options, findMissing: true },
+      );
+      this.assertEqual(
+        defaults.length,
+        1,
+        "Should match the default import regardless of extension",
+      );
+    });
+
+    await this.runTest("Imports - Malformed target", async () => {
+      let threw = false;
+      try {
+        findPropUsage(IMPORTS_FIXTURE, "@acme/ui#", "onClick", null, options);
+      } catch (error) {
+        threw = true;
+      }
+      this.assert(threw, "Should reject a target without an export name");
+    });
+  }
+
+  /**
+   * Component Name Pattern Tests
+   */
+  async testComponentPatterns() {
+    const options = { findMissing: false, verbose: false, includes: false };
+    const elementNames = (componentName, propName) =>
+      findPropUsage(
+        IMPORTS_FIXTURE,
+        componentName,
+        propName,
+        null,
+        options,
+      ).map((result) => result.elementName);
+
+    await this.runTest("Patterns - Glob suffix", async () => {
+      this.assertEqual(
+        elementNames("*Button", "onClick").join(","),
+        "PrimaryButton,Button",
+        "`*` should not cross member dots",
+      );
+      this.assertEqual(
+        elementNames("**Button", "onClick").join(","),
+        "PrimaryButton,UI.Button,Button",
+        "`**` should cross member dots",
+      );
+    });
+
+    await this.runTest("Patterns - Glob member", async () => {
+      this.assertEqual(
+        elementNames("UI.*", "onClick").join(","),
+        "UI.Button",
+        "Should match direct members only",
+      );
+      this.assertEqual(
+        elementNames("UI.**", "label").join(","),
+        "UI.Menu.Item",
+        "Should match nested members",
+      );
+    });
+
+    await this.runTest("Patterns - Regex", async () => {
+      this.assertEqual(
+        elementNames("/^(Primary|Legacy)Button$/", "onClick").join(","),
+        "PrimaryButton",
+        "Should match element names against the regex",
+      );
+      this.assertEqual(
+        elementNames("/button$/i", "onClick").join(","),
+        "PrimaryButton,UI.Button,Button",
+        "Should honour the i flag",
+      );
+    });
+
+    await this.runTest("Patterns - ReDoS regex rejected", async () => {
+      let error = null;
+      try {
+        elementNames("/(a+)+b/", "onClick");
+      } catch (caught) {
+        error = caught;
+      }
+      this.assert(
+        error instanceof InputSanitizationError,
+        "Should reject dangerous regex through the input sanitizer",
+      );
+    });
+  }
+
+  /**
+   * Regex Prop Value Tests
+   */
+  async testRegexValues() {
+    const options = { findMissing: false, verbose: false, regex: true };
+
+    await this.runTest("Regex Values - Word boundary alternation", async () => {
+      const results = findPropUsage(
+        APP_FIXTURE,
+        "Button",
+        "variant",
+        "\\b(primary|danger)\\b",
+        options,
+      );
+      this.assertEqual(results.length, 1, "Should match variant=primary only");
+    });
+
+    await this.runTest("Regex Values - Literal with flags", async () => {
+      const results = findPropUsage(
+        APP_FIXTURE,
+        "Button",
+        "variant",
+        "/^(PRIMARY|SECONDARY)$/i",
+        options,
+      );
+      this.assertEqual(results.length, 2, "Should honour the i flag");
+    });
+
+    await this.runTest("Regex Values - ReDoS pattern rejected", async () => {
+      let error = null;
+      try {
+        findPropUsage(APP_FIXTURE, "Button", "variant", "(a+)+", options);
+      } catch (caught) {
+        error = caught;
+      }
+      this.assert(
+        error instanceof InputSanitizationError,
+        "Should reject dangerous regex through the input sanitizer",
+      );
+    });
+
+    await this.runTest("Regex Values - Conflicts with includes", async () => {
+      let threw = false;
+      try {
+        findPropUsage(APP_FIXTURE, "Button", "variant", "primary", {
+          ...options,
+          includes: true,
+        });
+      } catch (error) {
+        threw = true;
+      }
+      this.assert(threw, "Should refuse regex and includes together");
+    });
+  }
+
+  /**
+   * Composable Prop Query Tests
+   */
+  async testPropQueries() {
+    const lines = (query, options = {}) =>
+      findPropQuery(LINKS_FIXTURE, query, options).map(
+        (result) => `${result.lineNumber}:${result.queryStatus}`,
+      );
+
+    await this.runTest("Query - Presence with negation", async () => {
+      this.assertEqual(
+        lines("Button[href]:not([rel])").join(","),
+        "15:match,20:unknown",
+        "Spread-provided rel should count; an opaque spread leaves it unknown",
+      );
+      this.assertEqual(
+        lines("Button[href]:not([rel])", { definiteOnly: true }).join(","),
+        "15:match",
+        "definiteOnly should drop unknown matches",
+      );
+    });
+
+    await this.runTest("Query - Chained :not()", async () => {
+      this.assertEqual(
+        lines("Input:not([aria-label]):not([aria-labelledby])").join(","),
+        "26:match",
+        "Should only report the unlabelled input",
+      );
+    });
+
+    await this.runTest("Query - :is() alternatives and operators", async () => {
+      this.assertEqual(
+        lines('Button:is([href^="/"], [variant=primary])').join(","),
+        "15:match,20:match,23:match",
+        "Alternatives inside :is() should be OR-ed",
+      );
+      this.assertEqual(
+        lines("Button[href=/^https:/]").join(","),
+        "16:match,19:match",
+        "Regex values should match spread-provided props too",
+      );
+    });
+
+    await this.runTest("Query - Selector list and object form", async () => {
+      this.assertEqual(
+        lines("Input[placeholder], [target]").join(","),
+        "16:match,20:unknown,26:match",
+        "Selectors without a component should match any element",
+      );
+      this.assertEqual(
+        lines({
+          component: "Input",
+          where: { or: [{ prop: "aria-label" }, { prop: "aria-labelledby" }] },
+        }).join(","),
+        "24:match,25:match",
+        "Object queries should behave like the string syntax",
+      );
+    });
+
+    await this.runTest("Query - Referenced props only", async () => {
+      const [result] = findPropQuery(LINKS_FIXTURE, "Button[rel][target]");
+      this.assertEqual(
+        Object.keys(result.props).join(","),
+        "rel,target",
+        "Non-verbose results should list the props the query names",
+      );
+    });
+
+    await this.runTest("Query - Syntax errors", async () => {
+      let error = null;
+      try {
+        findPropQuery(LINKS_FIXTURE, "Button[href");
+      } catch (caught) {
+        error = caught;
+      }
+      this.assert(
+        error instanceof PropQueryError && error.position === 11,
+        "Should report a PropQueryError with the failing position",
+      );
+    });
+  }
+
+  /**
+   * Static Expression Evaluation Tests
+   */
+  async testStaticValues() {
+    const options = { findMissing: false, verbose: false, includes: false };
+    const find = (propName, propValue, extra = {}) =>
+      findPropUsage(EXPRESSIONS_FIXTURE, "Button", propName, propValue, {
+        ...options,
+        ...extra,
+      });
+
+    await this.runTest("Static Values - Literals and consts", async () => {
+      const results = find("variant", "primary");
+      this.assertEqual(
+        results.map((result) => result.lineNumber).join(","),
+        "19,20,21",
+        "Literal, const and ternary branches should match exactly",
+      );
+      this.assertEqual(
+        results[1].props.variant.raw,
+        "{PRIMARY}",
+        "The raw expression should still be reported",
+      );
+      this.assertEqual(
+        results[2].props.variant.candidates.join(","),
+        "primary,secondary",
+        "Ternaries should resolve to both branches",
+      );
+    });
+
+    await this.runTest(
+      "Static Values - Templates and concatenation",
+      async () => {
+        this.assertEqual(
+          find("className", "btn-md")
+            .map((result) => result.lineNumber)
+            .join(","),
+          "24",
+          "Template literals with known parts should be folded",
+        );
+        this.assertEqual(
+          find("className", "btn-primary")
+            .map((result) => result.lineNumber)
+            .join(","),
+          "26",
+          "String concatenation should be folded",
+        );
+        this.assertEqual(
+          find("size", "2").length,
+          1,
+          "Number candidates should match their string form",
+        );
+      },
+    );
+
+    await this.runTest(
+      "Static Values - Runtime values stay unresolved",
+      async () => {
+        const results = find("className", null);
+        const runtime = results.find((result) => result.lineNumber === 25);
+        this.assert(
+          runtime && !runtime.props.className.candidates,
+          "Templates using props should not get resolved values",
+        );
+        this.assertEqual(
+          find("variant", "danger").length,
+          0,
+          "Calls and runtime conditions should not be guessed",
+        );
+      },
+    );
+
+    await this.runTest("Static Values - Queries use candidates", async () => {
+      const results = findPropQuery(
+        EXPRESSIONS_FIXTURE,
+        'Button[className^="btn-"]',
+      );
+      this.assertEqual(
+        results.map((result) => result.lineNumber).join(","),
+        "24,26",
+        "Query value operators should see resolved candidates",
+      );
+    });
+
+    await this.runTest("Static Values - Undefined", async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), "jsx-undef-"));
+      const filePath = path.join(directory, "Undefined.jsx");
+      fs.writeFileSync(
+        filePath,
+        [
+          'import { Button } from "./Button.jsx";',
+          "const UNSET = undefined;",
+          "export const Form = () => (",
+          "  <>",
+          "    <Button className={`btn-${undefined}`} label={'a' + UNSET} />",
+          '    <Button variant={UNSET ?? "primary"} disabled={!undefined} />',
+          '    <Button variant={UNSET ? "danger" : "secondary"} />',
+          "    <Button variant={undefined} />",
+          "  </>",
+          ");",
+          "",
+        ].join("\n"),
+      );
+      const lines = (propName, propValue) =>
+        findPropUsage(filePath, "Button", propName, propValue, options)
+          .map((result) => result.lineNumber)
+          .join(",");
+
+      try {
+        this.assertEqual(
+          lines("className", "btn-undefined"),
+          "5",
+          "Templates should print undefined as JavaScript does",
+        );
+        this.assertEqual(
+          lines("className", "btn-null"),
+          "",
+          "Undefined should not be folded as null in templates",
+        );
+        this.assertEqual(
+          lines("label", "aundefined"),
+          "5",
+          "Concatenation should print undefined as JavaScript does",
+        );
+        this.assertEqual(
+          lines("variant", "primary"),
+          "6",
+          "Nullish coalescing should skip undefined",
+        );
+        this.assertEqual(
+          lines("disabled", "true"),
+          "6",
+          "Negating undefined should give true",
+        );
+        this.assertEqual(
+          lines("variant", "secondary"),
+          "7",
+          "Undefined conditions should take the alternate branch",
+        );
+        this.assertEqual(
+          lines("variant", "null"),
+          "",
+          "A prop set to undefined should not match null",
+        );
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  }
+
+  /**
+   * Typed Prop Value Tests
+   */
+  async testTypedValues() {
+    const options = { findMissing: false, verbose: true, includes: false };
+
+    await this.runTest("Typed Values - Kinds", async () => {
+      const [result] = findPropUsage(
+        TYPED_FIXTURE,
+        "Button",
+        "size",
+        null,
+        options,
+      );
+      const kinds = Object.entries(result.props)
+        .map(([propName, propValue]) => `${propName}:${propValue.kind}`)
+        .join(",");
+      this.assertEqual(
+        kinds,
+        "size:number,onClick:identifier,icon:jsx,style:object,items:array,onHover:function,label:call,color:member,tabIndex:number",
+        "Each prop should carry its kind",
+      );
+      this.assertEqual(
+        result.props.color.value,
+        "theme.primary",
+        "Member expressions should be normalized to their dotted name",
+      );
+      this.assertEqual(
+        result.props.tabIndex.value,
+        -1,
+        "Negative numbers should be folded",
+      );
+    });
+
+    await this.runTest("Typed Values - Boolean forms", async () => {
+      const results = findPropUsage(
+        TYPED_FIXTURE,
+        "Button",
+        "disabled",
+        "true",
+        options,
+      );
+      this.assertEqual(
+        results
+          .map((result) => `${result.lineNumber}:${result.props.disabled.kind}`)
+          .join(","),
+        "16:boolean,17:boolean,18:string",
+        "Shorthand and {true} should both be the boolean true",
+      );
+      this.assertEqual(
+        JSON.stringify(results[0].props.disabled),
+        JSON.stringify({
+          kind: "boolean",
+          value: true,
+          raw: null,
+          range: {
+            start: { line: 16, column: 14 },
+            end: { line: 16, column: 22 },
+          },
+        }),
+        "Shorthand props should report the attribute range",
+      );
+    });
+
+    await this.runTest("Typed Values - Matching on typed values", async () => {
+      const results = findPropUsage(TYPED_FIXTURE, "Button", "size", "2", {
+        ...options,
+        verbose: false,
+      });
+      this.assertEqual(
+        results.length,
+        1,
+        "Numbers should match their string form",
+      );
+      this.assertEqual(
+        findPropUsage(TYPED_FIXTURE, "Button", "color", "theme.", {
+          ...options,
+          includes: true,
+        }).length,
+        1,
+        "Member expressions should match on their dotted name",
+      );
+    });
+  }
+
+  /**
+   * Prop Inventory Tests
+   */
+  async testPropInventory() {
+    await this.runTest(
+      "Inventory - Counts and value distribution",
+      async () => {
+        const inventory = listProps(TYPED_FIXTURE, "Button");
+        this.assertEqual(inventory.totalUsages, 4, "Should count every usage");
+        this.assertEqual(
+          inventory.props[0].name,
+          "disabled",
+          "Most used prop should come first",
+        );
+        this.assertEqual(
+          JSON.stringify(inventory.props[0].values),
+          JSON.stringify([
+            { value: true, count: 2 },
+            { value: "true", count: 1 },
+          ]),
+          "Boolean and string values should stay distinct",
+        );
+      },
+    );
+
+    await this.runTest(
+      "Inventory - Candidates and dynamic values",
+      async () => {
+        const inventory = listProps(EXPRESSIONS_FIXTURE, "Button");
+        const variant = inventory.props.find((prop) => prop.name === "variant");
+        this.assertEqual(
+          variant.values
+            .map(({ value, count }) => `${value}:${count}`)
+            .join(","),
+          "primary:3,secondary:1",
+          "Resolved candidates should count towards the distribution",
+        );
+        this.assertEqual(
+          variant.dynamicCount,
+          2,
+          "Calls and runtime expressions should be counted as dynamic",
+        );
+      },
+    );
+
+    await this.runTest("Inventory - Spreads and value limit", async () => {
+      const inventory = listProps(LINKS_FIXTURE, "Button", { maxValues: 1 });
+      const href = inventory.props.find((prop) => prop.name === "href");
+      this.assertEqual(
+        `${href.count}:${href.values.length}:${href.distinctValueCount}`,
+        "4:1:3",
+        "Spread-provided props should count and values should be capped",
+      );
+      this.assertEqual(
+        inventory.usagesWithUnresolvedSpreads,
+        1,
+        "Usages with opaque spreads should be flagged",
+      );
+    });
+  }
+
+  /**
+   * Component Inventory Tests
+   */
+  async testComponentInventory() {
+    const byName = (inventory) =>
+      Object.fromEntries(
+        inventory.components.map((component) => [component.name, component]),
+      );
+
+    await this.runTest("Component Inventory - Import sources", async () => {
+      const components = byName(getComponentInventory(IMPORTS_FIXTURE));
+      this.assertEqual(
+        components["UI.Menu.Item"].importSources[0].source +
+          "#" +
+          components["UI.Menu.Item"].importSources[0].exportName,
+        "@acme/ui#Menu.Item",
+        "Namespace members should report their export",
+      );
+      this.assertEqual(
+        components.LegacyButton.importSources[0].source,
+        "./test/components/Button",
+        "Relative sources should be given from the working directory",
+      );
+      this.assertEqual(
+        components.section.type,
+        "intrinsic",
+        "Lower-case elements should be intrinsic",
+      );
+    });
+
+    await this.runTest(
+      "Component Inventory - Local and custom only",
+      async () => {
+        const inventory = getComponentInventory("./test", { customOnly: true });
+        const components = byName(inventory);
+        this.assert(
+          inventory.components.every(
+            (component) => component.type === "custom",
+          ),
+          "customOnly should leave out intrinsic elements",
+        );
+        this.assertEqual(
+          components.NestedComponent.origins.local,
+          components.NestedComponent.usages,
+          "Components declared in the same file should be local",
+        );
+        this.assertEqual(
+          inventory.components[0].name,
+          "Button",
+          "Most used component should come first",
+        );
+      },
+    );
+  }
+
+  /**
+   * Tests extraction of declared component props
+   */
+  async testComponentCatalog() {
+    const findProp = (catalog, componentName, propName) =>
+      catalog.components
+        .find((component) => component.name === componentName)
+        .props.find((prop) => prop.name === propName);
+
+    await this.runTest("Catalog - JSDoc typedef props", async () => {
+      const catalog = getComponentCatalog("./test/components/Advanced.jsx");
+      const size = findProp(catalog, "Modal", "size");
+      this.assertEqual(
+        `${size.type} = ${size.default}`,
+        '"small" | "medium" | "large" = "medium"',
+        "Typedef props should keep their type and default",
+      );
+      this.assert(
+        findProp(catalog, "Modal", "isOpen").required && !size.required,
+        "Props with a default should be optional",
+      );
+      this.assertEqual(
+        findProp(catalog, "DataTable", "data").default,
+        "[]",
+        "Bracketed defaults should be read in full",
+      );
+    });
+
+    await this.runTest("Catalog - TypeScript props", async () => {
+      const catalog = getComponentCatalog(CARD_FIXTURE);
+      const card = catalog.components.find(({ name }) => name === "Card");
+      this.assertEqual(
+        card.props.map(({ name }) => name).join(","),
+        "className,id,title,elevation,tone,onSelect",
+        "Extended interfaces should contribute their members",
+      );
+      this.assertEqual(
+        findProp(catalog, "Card", "onSelect").type,
+        "(id: string) => void",
+        "Method signatures should read as function types",
+      );
+      this.assert(
+        findProp(catalog, "Card", "tone").required &&
+          !findProp(catalog, "Card", "elevation").required,
+        "Optional members should not be required",
+      );
+      this.assert(
+        catalog.components.find(({ name }) => name === "Badge")
+          .acceptsRestProps,
+        "Props intersected with unresolved types should accept rest props",
+      );
+    });
+
+    await this.runTest("Catalog - PropTypes and classes", async () => {
+      const catalog = getComponentCatalog(LEGACY_FIXTURE);
+      const shape = findProp(catalog, "Avatar", "shape");
+      this.assertEqual(
+        `${shape.type} = ${shape.default}`,
+        'oneOf(["circle", "square"]) = "circle"',
+        "propTypes should give the type and defaultProps the default",
+      );
+      this.assert(
+        !shape.required && findProp(catalog, "Avatar", "src").required,
+        "isRequired should make props required unless they have a default",
+      );
+      this.assertEqual(
+        catalog.components.find(({ name }) => name === "Panel").kind,
+        "class",
+        "Class components should be cataloged",
+      );
+    });
+  }
+
+  /**
+   * Tests required-prop validation against component definitions
+   */
+  async testRequiredProps() {
+    const summarize = (results) =>
+      results
+        .map(
+          (result) =>
+            `${result.lineNumber}:${result.missingProps.join(
+              "+",
+            )}/${result.unknownProps.join("+")}`,
+        )
+        .join(",");
+
+    await this.runTest("Required Props - Imported definitions", async () => {
+      const results = findMissingRequiredProps(DASHBOARD_FIXTURE);
+      this.assertEqual(
+        summarize(results),
+        "13:title+onSelect/,14:/tone+onSelect,16:src/,17:heading/,21:children/",
+        "Each usage should be checked against the definition it imports",
+      );
+      this.assertEqual(
+        results[0].component.filePath,
+        "test/components/Card.tsx",
+        "Definitions outside rootDir should be read through relative imports",
+      );
+      this.assertEqual(
+        results[1].unresolvedSpreads.join(","),
+        "extra",
+        "Unknown props should list the spreads that may set them",
+      );
+    });
+
+    await this.runTest("Required Props - Definite only", async () => {
+      const results = findMissingRequiredProps(DASHBOARD_FIXTURE, {
+        definiteOnly: true,
+      });
+      this.assertEqual(
+        results.map((result) => result.lineNumber).join(","),
+        "13,16,17,21",
+        "Props hidden behind spreads should be ignored",
+      );
+    });
+
+    await this.runTest("Required Props - Spreads", async () => {
+      const results = findMissingRequiredProps(SPREAD_FIXTURE);
+      this.assertEqual(
+        results.map((result) => result.propStatus).join(","),
+        "unknown,unknown,missing",
+        "Opaque spreads should make required props unknown",
+      );
+    });
+  }
+
+  /**
+   * Tests validation of literal values against union and enum types
+   */
+  async testAllowedValues() {
+    await this.runTest("Allowed Values - Declared sets", async () => {
+      const catalog = getComponentCatalog(LEGACY_FIXTURE);
+      const shape = catalog.components
+        .find(({ name }) => name === "Avatar")
+        .props.find(({ name }) => name === "shape");
+      this.assertEqual(
+        JSON.stringify(shape.allowedValues),
+        '["circle","square"]',
+        "PropTypes.oneOf should give the allowed values",
+      );
+      const elevation = getComponentCatalog(CARD_FIXTURE)
+        .components.find(({ name }) => name === "Card")
+        .props.find(({ name }) => name === "elevation");
+      this.assertEqual(
+        JSON.stringify(elevation.allowedValues),
+        "[0,1,2]",
+        "Numeric literal unions should keep numbers",
+      );
+    });
+
+    await this.runTest("Allowed Values - Invalid call sites", async () => {
+      const results = findInvalidPropValues(VARIANTS_FIXTURE);
+      this.assertEqual(
+        results
+          .map(
+            (result) =>
+              `${result.lineNumber}:${result.propName}=${result.invalidValues
+                .map((value) => JSON.stringify(value))
+                .join("+")}`,
+          )
+          .join(","),
+        '16:size="meduim",19:size="larg",22:size="huge",33:elevation=3,33:tone="warning",34:elevation="1",35:shape="round",36:variant="tertiary"',
+        "Literal, const and branch values outside the allowed set should be reported",
+      );
+      this.assertEqual(
+        results[0].allowedValues.join(" | "),
+        "small | medium | large",
+        "Results should list the allowed alternatives",
+      );
+    });
+  }
+
+  /**
+   * Tests element and prop positions and code frames
+   */
+  async testSourceLocations() {
+    await this.runTest("Locations - Element and prop ranges", async () => {
+      const [result] = findPropUsage(
+        TOOLBAR_FIXTURE,
+        "OldButton",
+        "kind",
+        null,
+        {
+          findMissing: false,
+        },
+      );
+      this.assertEqual(
+        JSON.stringify(result.range),
+        '{"start":{"line":7,"column":4},"end":{"line":9,"column":16}}',
+        "The range should span the whole element, closing tag included",
+      );
+      this.assertEqual(
+        JSON.stringify(result.propRange),
+        '{"start":{"line":7,"column":15},"end":{"line":7,"column":23}}',
+        "The prop range should cover the matched attribute",
+      );
+      this.assertEqual(
+        result.codeFrame,
+        undefined,
+        "Code frames should only be added on request",
+      );
+
+      const [missing] = findPropUsage(
+        TOOLBAR_FIXTURE,
+        "OldButton",
+        "size",
+        null,
+        {
+          findMissing: true,
+        },
+      );
+      this.assertEqual(
+        missing.propRange,
+        null,
+        "Missing props should have no prop range",
+      );
+    });
+
+    await this.runTest("Locations - Several results on a line", async () => {
+      const results = findInvalidPropValues(VARIANTS_FIXTURE).filter(
+        (result) => result.lineNumber === 33,
+      );
+      this.assertEqual(
+        results
+          .map(
+            (result) =>
+              `${result.propName}@${result.range.start.column}:${result.propRange.start.column}-${result.propRange.end.column}`,
+          )
+          .join(","),
+        "elevation@6:40-53,tone@6:25-39",
+        "Each violation should point at its own attribute",
+      );
+      const [required] = findMissingRequiredProps(DASHBOARD_FIXTURE);
+      this.assertEqual(
+        JSON.stringify(required.range.start),
+        '{"line":13,"column":6}',
+        "Required-prop results should carry the element range",
+      );
+    });
+
+    await this.runTest("Locations - Code frames", async () => {
+      const [result] = findPropQuery(TOOLBAR_FIXTURE, 'OldButton[kind="y"]', {
+        codeFrame: true,
+        contextLines: 1,
+      });
+      this.assertEqual(
+        result.codeFrame,
+        [
+          "   9 |     </OldButton>",
+          '> 10 |     <OldButton kind="y" size="big" />',
+          "     |     ^",
+          "  11 |     <OldButton",
+        ].join("\n"),
+        "Query results should point at the start of the element",
+      );
+
+      const [invalid] = findInvalidPropValues(VARIANTS_FIXTURE, {
+        codeFrame: true,
+        contextLines: 0,
+      });
+      this.assertEqual(
+        invalid.codeFrame.split("\n")[1].trim(),
+        "|                                                         ^^^^^^^^^^^^^",
+        "Prop results should underline the attribute",
+      );
+    });
+  }
+
+  /**
+   * Tests .gitignore-style file exclusion
+   */
+  async testIgnoreRules() {
+    /**
+     * Lists the files a query over a directory sees, relative to a base directory
+     */
+    const listScannedFiles = (rootDir, baseDir) =>
+      findPropQuery(rootDir, "Probe")
+        .map((result) =>
+          path
+            .relative(baseDir, path.resolve(result.filePath))
+            .split(path.sep)
+            .join("/"),
+        )
+        .sort()
+        .join(",");
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "jsx-ignore-"));
+    const writeFile = (relativePath, content) => {
+      const filePath = path.join(directory, relativePath);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content);
+    };
+    writeFile(".git/info/exclude", "*.local.jsx\n");
+    writeFile(
+      ".gitignore",
+      "# build output\n*.generated.tsx\npackages/*/dist\nbuild/\n!build/keep.jsx\nvendor/\n",
+    );
+    writeFile(".jsxanalyzerignore", "legacy/\n!vendor/\n");
+    writeFile("src/.gitignore", "/Draft.jsx\n!Keep.generated.tsx\n");
+    for (const file of [
+      "src/App.jsx",
+      "src/App.generated.tsx",
+      "src/Scratch.local.jsx",
+      "src/Draft.jsx",
+      "src/nested/Draft.jsx",
+      "src/Keep.generated.tsx",
+      "packages/a/dist/index.js",
+      "packages/a/src/index.js",
+      "packages/a/lib/dist/index.js",
+      "build/out.js",
+      "build/keep.jsx",
+      "legacy/Old.jsx",
+      "vendor/lib.js",
+    ]) {
+      writeFile(file, "export const Example = () => <Probe />;\n");
+    }
+
+    try {
+      await this.runTest("Ignore - gitignore semantics", async () => {
+        this.assertEqual(
+          listScannedFiles(directory, directory),
+          "packages/a/lib/dist/index.js,packages/a/src/index.js,src/App.jsx,src/Keep.generated.tsx,src/nested/Draft.jsx,vendor/lib.js",
+          "File patterns, anchoring, nested files, negation, info/exclude and .jsxanalyzerignore should apply",
+        );
+      });
+
+      await this.runTest(
+        "Ignore - Rules above the scanned directory",
+        async () => {
+          this.assertEqual(
+            listScannedFiles(path.join(directory, "src"), directory),
+            "src/App.jsx,src/Keep.generated.tsx,src/nested/Draft.jsx",
+            "Ignore files between the repository root and the scanned directory should apply",
+          );
+        },
+      );
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Tests include/exclude globs
+   */
+  async testFileFilters() {
+    await this.runTest("File Filters - Include and exclude globs", async () => {
+      const countFiles = (options) =>
+        getComponentInventory("./test", options).fileCount;
+      this.assertEqual(countFiles({}), 16, "All fixtures should be scanned");
+      this.assertEqual(
+        countFiles({ include: "components/**" }),
+        15,
+        "Include globs should select files by path",
+      );
+      this.assertEqual(
+        countFiles({ include: ["components/**", "!*.tsx"] }),
+        13,
+        "Include globs starting with ! should exclude",
+      );
+      this.assertEqual(
+        countFiles({ exclude: ["*.tsx", "components/Spread.jsx"] }),
+        13,
+        "Globs without a slash should match file names at any depth",
+      );
+      this.assertEqual(
+        countFiles({ include: "**/*.{tsx,jsx}", exclude: "components" }),
+        1,
+        "Brace alternatives should match and excluded directories be skipped",
+      );
+
+      const results = findPropUsage("./test", "Button", "variant", null, {
+        findMissing: false,
+        exclude: "components/Spread.jsx",
+      });
+      this.assert(
+        results.length > 0 &&
+          results.every((result) => !result.filePath.endsWith("Spread.jsx")),
+        "Analyses should honour the filters",
+      );
+    });
+
+    await this.runTest("File Filters - Invalid globs", async () => {
+      for (const pattern of [
+        "../outside/**",
+        "/etc/**",
+        42,
+        // Would expand to 4M patterns
+        "{a,b}".repeat(22),
+        `${"{".repeat(9)}a,b${"}".repeat(9)}`,
+      ]) {
+        let error = null;
+        try {
+          findPropQuery("./test", "Button", { include: pattern });
+        } catch (caught) {
+          error = caught;
+        }
+        this.assert(
+          error instanceof InputSanitizationError,
+          `Glob ${JSON.stringify(pattern)} should be rejected`,
+        );
+      }
+    });
+  }
+
+  /**
+   * Tests scanned extensions and parser profiles
+   */
+  async testParserProfiles() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "jsx-profiles-"));
+    const files = {
+      "cast.ts":
+        "export const upper = (value: unknown) => (<string>value).toUpperCase();\n",
+      "module.cjs": 'module.exports = <Probe kind="cjs" />;\n',
+      "Page.mjs": 'export const Page = () => <Probe kind="mjs" />;\n',
+      "Flowed.js":
+        '// @flow\ntype Props = {| label: string |};\nexport const Flowed = (props: Props) => <Probe kind="flow" />;\n',
+      "Generic.tsx":
+        'export const Generic = <T,>(value: T) => <Probe kind="tsx" />;\n',
+      "legacy.es6": 'export const Legacy = () => <Probe kind="es6" />;\n',
+    };
+    for (const [name, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(directory, name), content);
+    }
+
+    /**
+     * Lists the kinds of the probes found, and the files that failed to parse
+     */
+    const scan = (options) => {
+      const warnings = [];
+      const warn = console.warn;
+      console.warn = (message) => warnings.push(message);
+      try {
+        const kinds = findPropQuery(directory, "Probe[kind]", options)
+          .map((result) => result.props.kind.value)
+          .sort()
+          .join(",");
+        const failures = warnings
+          .filter((message) => message.includes("Could not parse"))
+          .map((message) => path.basename(message.split(":")[1].trim()))
+          .sort()
+          .join(",");
+        return { kinds, failures };
+      } finally {
+        console.warn = warn;
+      }
+    };
+
+    try {
+      await this.runTest("Parser Profiles - Defaults", async () => {
+        const { kinds, failures } = scan({});
+        this.assertEqual(
+          kinds,
+          "cjs,flow,mjs,tsx",
+          "Module extensions should be scanned and @flow files parsed with Flow",
+        );
+        this.assertEqual(
+          failures,
+          "",
+          "Type assertions in .ts files should parse without JSX",
+        );
+      });
+
+      await this.runTest("Parser Profiles - Configuration", async () => {
+        this.assertEqual(
+          scan({ extensions: ["es6", ".TSX"] }).kinds,
+          "es6,tsx",
+          "Only the configured extensions should be scanned",
+        );
+        this.assertEqual(
+          scan({ parserProfiles: { ".ts": "tsx" } }).failures,
+          "cast.ts",
+          "Profiles should be configurable per extension",
+        );
+        this.assertEqual(
+          scan({ flow: false }).failures,
+          "Flowed.js",
+          "Flow detection should be optional",
+        );
+
+        for (const options of [
+          { parserProfiles: { ".ts": "coffee" } },
+          { extensions: ["../ts"] },
+          { extensions: [] },
+        ]) {
+          let error = null;
+          try {
+            findPropQuery(directory, "Probe", options);
+          } catch (caught) {
+            error = caught;
+          }
+          this.assert(
+            error instanceof ParserProfileError,
+            `Settings ${JSON.stringify(options)} should be rejected`,
+          );
+        }
+      });
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Tests the worker pool mode of prop usage analysis
+   */
+  async testWorkerPool() {
+    await this.runTest("Worker Pool - Stable merge order", async () => {
+      const options = { verbose: true, codeFrame: true };
+      const sequential = findPropUsage(
+        "./test",
+        "*",
+        "className",
+        null,
+        options,
+      );
+      const parallel = await findPropUsageParallel(
+        "./test",
+        "*",
+        "className",
+        null,
+        { ...options, concurrency: 3 },
+      );
+
+      this.assert(sequential.length > 0, "Should find className usages");
+      this.assertEqual(
+        JSON.stringify(parallel),
+        JSON.stringify(sequential),
+        "Workers should return the sequential results in the same order",
+      );
+    });
+
+    await this.runTest("Worker Pool - Invalid settings", async () => {
+      for (const concurrency of [0, 1.5, "2"]) {
+        let error = null;
+        try {
+          await findPropUsageParallel("./test", "Button", "variant", null, {
+            concurrency,
+          });
+        } catch (caught) {
+          error = caught;
+        }
+        this.assert(
+          error instanceof WorkerPoolError,
+          `Concurrency ${JSON.stringify(concurrency)} should be rejected`,
+        );
+      }
+
+      let error = null;
+      try {
+        await findPropUsageParallel("./test", "Button", "variant", "(a+)+", {
+          regex: true,
+          concurrency: 2,
+        });
+      } catch (caught) {
+        error = caught;
+      }
+      this.assert(
+        error instanceof InputSanitizationError,
+        "Invalid queries should be rejected before workers start",
+      );
+    });
+  }
+
+  /**
+   * Tests the on-disk analysis cache of prop usage analysis
+   */
+  async testAnalysisCache() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "jsx-cache-"));
+    const projectDir = path.join(directory, "src");
+    const cacheLocation = path.join(directory, "cache");
+    fs.mkdirSync(projectDir);
+    fs.writeFileSync(
+      path.join(projectDir, "App.jsx"),
+      'export const App = () => <Button variant="primary" />;\n',
+    );
+    fs.writeFileSync(
+      path.join(projectDir, "Form.jsx"),
+      'const props = { variant: "ghost" };\nexport const Form = () => <Button {...props} />;\n',
+    );
+
+    const options = { verbose: true, cache: true, cacheLocation };
+    const listVariants = (results) =>
+      results
+        .map(
+          (result) =>
+            `${path.basename(result.filePath)}:${result.props.variant.value}`,
+        )
+        .join(",");
+    const listEntries = () =>
+      fs
+        .readdirSync(cacheLocation, { recursive: true })
+        .filter((name) => name.endsWith(".json"))
+        .map((name) => path.join(cacheLocation, name));
+
+    try {
+      await this.runTest("Analysis Cache - Same results", async () => {
+        const uncached = findPropUsage(projectDir, "Button", "variant", null, {
+          verbose: true,
+        });
+        const firstRun = findPropUsage(
+          projectDir,
+          "Button",
+          "variant",
+          null,
+          options,
+        );
+        const secondRun = findPropUsage(
+          projectDir,
+          "Button",
+          "variant",
+          null,
+          options,
+        );
+
+        this.assertEqual(
+          listVariants(uncached),
+          "App.jsx:primary,Form.jsx:ghost",
+          "Should resolve explicit and spread props",
+        );
+        this.assertEqual(
+          JSON.stringify(firstRun),
+          JSON.stringify(uncached),
+          "Results should not depend on the cache",
+        );
+        this.assertEqual(
+          JSON.stringify(secondRun),
+          JSON.stringify(uncached),
+          "Cached results should match parsed ones",
+        );
+        this.assertEqual(listEntries().length, 2, "Should cache each file");
+      });
+
+      await this.runTest("Analysis Cache - No AST nodes", async () => {
+        // Form.jsx gets its variant from a spread, whose value node is dropped
+        for (const entry of listEntries()) {
+          const content = fs.readFileSync(entry, "utf8");
+          this.assert(
+            !/"valueNode":(?!null)/.test(content) && !content.includes('"loc"'),
+            `${path.basename(entry)} should not store AST nodes`,
+          );
+        }
+      });
+
+      await this.runTest("Analysis Cache - Changed files", async () => {
+        // Unchanged files are read from their entries, not parsed again
+        for (const entry of listEntries()) {
+          fs.writeFileSync(
+            entry,
+            fs.readFileSync(entry, "utf8").replaceAll("primary", "cached"),
+          );
+        }
+        this.assertEqual(
+          listVariants(
+            findPropUsage(projectDir, "Button", "variant", null, options),
+          ),
+          "App.jsx:cached,Form.jsx:ghost",
+          "Unchanged files should come from the cache",
+        );
+
+        fs.writeFileSync(
+          path.join(projectDir, "App.jsx"),
+          'export const App = () => <Button variant="secondary" />;\n',
+        );
+        this.assertEqual(
+          listVariants(
+            findPropUsage(projectDir, "Button", "variant", null, options),
+          ),
+          "App.jsx:secondary,Form.jsx:ghost",
+          "Changed files should be parsed again",
+        );
+        this.assertEqual(
+          listEntries().length,
+          3,
+          "Changed content should get its own entry",
+        );
+
+        for (const entry of listEntries()) {
+          fs.writeFileSync(entry, "{");
+        }
+        this.assertEqual(
+          listVariants(
+            findPropUsage(projectDir, "Button", "variant", null, options),
+          ),
+          "App.jsx:secondary,Form.jsx:ghost",
+          "Corrupt entries should be parsed again",
+        );
+      });
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Tests running many prop usage queries in one scan
+   */
+  async testBatchQueries() {
+    await this.runTest(
+      "Batch Queries - Same results as single queries",
+      async () => {
+        const options = { verbose: true };
+        const batchResults = findPropUsageBatch(
+          "./test",
+          [
+            {
+              name: "missing-type",
+              component: "Button",
+              prop: "type",
+              mode: "missing",
+            },
+            { component: "Button", prop: "variant", value: "primary" },
+            { component: "*", prop: "className", value: "^btn", mode: "regex" },
+            {
+              component: "Input",
+              prop: "placeholder",
+              value: "mail",
+              mode: "includes",
+            },
+            { component: "@acme/ui#Button", prop: "variant" },
+          ],
+          options,
+        );
+        const singleResults = [
+          findPropUsage("./test", "Button", "type", null, {
+            ...options,
+            findMissing: true,
+          }),
+          findPropUsage("./test", "Button", "variant", "primary", options),
+          findPropUsage("./test", "*", "className", "^btn", {
+            ...options,
+            regex: true,
+          }),
+          findPropUsage("./test", "Input", "placeholder", "mail", {
+            ...options,
+            includes: true,
+          }),
+          findPropUsage("./test", "@acme/ui#Button", "variant", null, options),
+        ];
+
+        this.assertEqual(
+          batchResults
+            .map(({ query }) => `${query.name}:${query.mode}`)
+            .join(","),
+          "missing-type:missing,queries[1]:exact,queries[2]:regex,queries[3]:includes,queries[4]:exact",
+          "Queries should be named and keep their order",
+        );
+        batchResults.forEach(({ query, results }, index) => {
+          this.assert(results.length > 0, `${query.name} should match`);
+          this.assertEqual(
+            JSON.stringify(results),
+            JSON.stringify(singleResults[index]),
+            `${query.name} should match its single-query results`,
+          );
+        });
+      },
+    );
+
+    await this.runTest("Batch Queries - Each file parsed once", async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), "jsx-batch-"));
+      fs.writeFileSync(path.join(directory, "Broken.jsx"), "<Button type=\n");
+      const warnings = [];
+      const warn = console.warn;
+      console.warn = (message) => warnings.push(message);
+      try {
+        findPropUsageBatch(directory, [
+          { component: "Button", prop: "type" },
+          { component: "Button", prop: "variant" },
+          { component: "Input", prop: "id", mode: "missing" },
+        ]);
+      } finally {
+        console.warn = warn;
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+      this.assertEqual(
+        warnings.filter((message) => message.includes("Could not parse"))
+          .length,
+        1,
+        "A file should be parsed once for all queries",
+      );
+    });
+
+    await this.runTest("Batch Queries - Invalid queries", async () => {
+      for (const queries of [
+        [],
+        { queries: "Button" },
+        [{ prop: "type" }],
+        [{ component: "Button", prop: "type", mode: "absent" }],
+        [{ component: "Button", prop: "type", value: "x", mode: "missing" }],
+        [{ component: "Button", prop: "className", mode: "regex" }],
+      ]) {
+        let error = null;
+        try {
+          findPropUsageBatch("./test", queries);
+        } catch (caught) {
+          error = caught;
+        }
+        this.assert(
+          error instanceof BatchQueryError,
+          `${JSON.stringify(queries)} should be rejected`,
+        );
+      }
+    });
+  }
+
+  /**
+   * Tests the async iterator API of prop usage analysis
+   */
+  async testStreamingResults() {
+    /**
+     * Collects the results of a stream, stopping after `limit` results
+     */
+    const collect = async (stream, limit = Infinity) => {
+      const results = [];
+      for await (const result of stream) {
+        results.push(result);
+        if (results.length === limit) {
+          break;
+        }
+      }
+      return results;
+    };
+
+    await this.runTest("Streaming - Same results", async () => {
+      const options = { verbose: true, codeFrame: true };
+      const streamed = await collect(
+        streamPropUsage("./test", "*", "className", null, options),
+      );
+      this.assertEqual(
+        JSON.stringify(streamed),
+        JSON.stringify(
+          findPropUsage("./test", "*", "className", null, options),
+        ),
+        "Streamed results should match findPropUsage",
+      );
+    });
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "jsx-stream-"));
+    const projectDir = path.join(directory, "src");
+    const cacheLocation = path.join(directory, "cache");
+    fs.mkdirSync(projectDir);
+    for (const name of ["A", "B", "C"]) {
+      fs.writeFileSync(
+        path.join(projectDir, `${name}.jsx`),
+        `export const ${name} = () => <Button variant="${name}" />;\n`,
+      );
+    }
+
+    try {
+      await this.runTest("Streaming - Early stop", async () => {
+        const results = await collect(
+          streamPropUsage(projectDir, "Button", "variant", null, {
+            cache: true,
+            cacheLocation,
+          }),
+          1,
+        );
+        this.assertEqual(results.length, 1, "Should stop after one result");
+        // Only parsed files get a cache entry
+        this.assertEqual(
+          fs
+            .readdirSync(cacheLocation, { recursive: true })
+            .filter((name) => name.endsWith(".json")).length,
+          1,
+          "Files after the last result should not be parsed",
+        );
+      });
+
+      await this.runTest("Streaming - Abort signal", async () => {
+        const controller = new AbortController();
+        const results = [];
+        let error = null;
+        try {
+          for await (const result of streamPropUsage(
+            projectDir,
+            "Button",
+            "variant",
+            null,
+            { signal: controller.signal },
+          )) {
+            results.push(result);
+            controller.abort();
+          }
+        } catch (caught) {
+          error = caught;
+        }
+        this.assertEqual(results.length, 1, "Should stop at the next file");
+        this.assertEqual(
+          error && error.name,
+          "AbortError",
+          "Aborting should reject the iteration",
+        );
+
+        error = null;
+        try {
+          await collect(
+            streamPropUsage(projectDir, "Button", "variant", null, {
+              signal: AbortSignal.abort(),
+            }),
+          );
+        } catch (caught) {
+          error = caught;
+        }
+        this.assertEqual(
+          error && error.name,
+          "AbortError",
+          "An aborted signal should stop before the first file",
+        );
+      });
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Tests re-analyzing changed files while watching a directory
+   */
+  async testWatchMode() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "jsx-watch-"));
+    fs.mkdirSync(path.join(directory, "node_modules"));
+    fs.mkdirSync(path.join(directory, "dist"));
+    fs.writeFileSync(path.join(directory, ".gitignore"), "dist/\n");
+    const updates = [];
+    let notify = null;
+    const watcher = watchPropUsage(directory, "Button", "type", null, {
+      findMissing: true,
+      debounce: 20,
+      onUpdate: (update) => {
+        updates.push(update);
+        if (notify) {
+          notify();
+        }
+      },
+    });
+
+    /**
+     * Runs a file system action and waits for the watcher to report it
+     */
+    const waitForUpdate = (description, action) =>
+      new Promise((resolve, reject) => {
+        const timer = setTimeout(
+          () => reject(new Error(`No update after ${description}`)),
+          5000,
+        );
+        notify = () => {
+          clearTimeout(timer);
+          notify = null;
+          resolve(updates[updates.length - 1]);
+        };
+        action();
+      });
+
+    /**
+     * Writes or removes a file and waits for the watcher to report it
+     */
+    const change = (fileName, content) =>
+      waitForUpdate(`changing ${fileName}`, () => {
+        if (content === null) {
+          fs.rmSync(path.join(directory, fileName));
+        } else {
+          fs.writeFileSync(path.join(directory, fileName), content);
+        }
+      });
+
+    try {
+      // Let the watcher settle before the first change
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      await this.runTest("Watch - New violations", async () => {
+        this.assertEqual(
+          watcher.getResults().length,
+          0,
+          "Empty directory has no results",
+        );
+        const update = await change(
+          "Form.jsx",
+          'export const Form = () => <><Button /><Button type="submit" /></>;\n',
+        );
+        this.assertEqual(update.added.length, 1, "Should report one new");
+        this.assertEqual(update.resolved.length, 0, "Nothing resolved yet");
+        this.assertEqual(update.results.length, 1, "One violation remains");
+        this.assert(
+          update.changedFiles[0].endsWith("Form.jsx"),
+          "Should list the changed file",
+        );
+      });
+
+      await this.runTest("Watch - Moved and resolved violations", async () => {
+        let update = await change(
+          "Form.jsx",
+          '// Moved down\n\nexport const Form = () => <><Button /><Button type="submit" /></>;\n',
+        );
+        this.assertEqual(
+          update.added.length + update.resolved.length,
+          0,
+          "A violation that only moved is neither new nor resolved",
+        );
+        this.assertEqual(
+          watcher.getResults()[0].lineNumber,
+          3,
+          "Results should follow the edit",
+        );
+
+        update = await change(
+          "Form.jsx",
+          'export const Form = () => <Button type="button" />;\n',
+        );
+        this.assertEqual(update.resolved.length, 1, "Should resolve one");
+        this.assertEqual(update.results.length, 0, "No violations remain");
+      });
+
+      await this.runTest("Watch - Deleted files", async () => {
+        await change("Other.jsx", "export const Other = () => <Button />;\n");
+        const update = await change("Other.jsx", null);
+        this.assertEqual(
+          update.resolved.length,
+          1,
+          "Deleting a file resolves its violations",
+        );
+        this.assertEqual(watcher.getResults().length, 0, "Nothing remains");
+      });
+
+      await this.runTest("Watch - Skipped directories", async () => {
+        const count = updates.length;
+        for (const dirName of ["node_modules", "dist"]) {
+          fs.mkdirSync(path.join(directory, dirName, "lib"));
+          fs.writeFileSync(
+            path.join(directory, dirName, "lib", "Bad.jsx"),
+            "export const Bad = () => <Button />;\n",
+          );
+        }
+        await new Promise((resolve) => setTimeout(resolve, 200));
+        this.assertEqual(
+          updates.length,
+          count,
+          "Changes in node_modules and ignored directories should not be analyzed",
+        );
+
+        const batches = [];
+        const fileWatcher = watchFiles(
+          directory,
+          (paths) => batches.push(paths),
+          {
+            debounce: 20,
+            watchesDirectory: (dirPath) =>
+              path.basename(dirPath) !== "node_modules",
+            watchesFile: (filePath) => filePath.endsWith(".jsx"),
+          },
+        );
+        try {
+          await new Promise((resolve) => setTimeout(resolve, 100));
+          fs.writeFileSync(
+            path.join(directory, "node_modules", "lib", "Bad.jsx"),
+            "export const Bad = () => <Button />;\n",
+          );
+          fs.writeFileSync(path.join(directory, "notes.txt"), "Notes\n");
+          await new Promise((resolve) => setTimeout(resolve, 200));
+        } finally {
+          fileWatcher.close();
+        }
+        this.assertEqual(
+          batches.length,
+          0,
+          "Events of skipped paths should never be batched",
+        );
+
+        const update = await change(".gitignore", "");
+        this.assertEqual(
+          update.added.length,
+          1,
+          "Directories an ignore file no longer skips should be scanned",
+        );
+        await change(
+          "dist/lib/Bad.jsx",
+          'export const Bad = () => <Button type="button" />;\n',
+        );
+        this.assertEqual(
+          watcher.getResults().length,
+          0,
+          "Directories an ignore file no longer skips should be watched",
+        );
+        this.assertEqual(watcher.getResults().length, 0, "Nothing is reported");
+      });
+
+      await this.runTest("Watch - Moved and removed directories", async () => {
+        const outside = fs.mkdtempSync(path.join(os.tmpdir(), "jsx-moved-"));
+        fs.mkdirSync(path.join(outside, "nested"));
+        fs.writeFileSync(
+          path.join(outside, "nested", "Moved.jsx"),
+          "export const Moved = () => <Button />;\n",
+        );
+        let update = await waitForUpdate("moving a directory in", () =>
+          fs.renameSync(outside, path.join(directory, "features")),
+        );
+        this.assertEqual(
+          update.added.length,
+          1,
+          "Files of a moved directory should be found",
+        );
+
+        update = await change(
+          "features/nested/Moved.jsx",
+          'export const Moved = () => <Button type="button" />;\n',
+        );
+        this.assertEqual(
+          update.resolved.length,
+          1,
+          "Files in a moved directory should be watched",
+        );
+        await change(
+          "features/nested/Moved.jsx",
+          "export const Moved = () => <Button />;\n",
+        );
+
+        update = await waitForUpdate("removing a directory", () =>
+          fs.rmSync(path.join(directory, "features"), { recursive: true }),
+        );
+        this.assert(
+          update.resolved.length === 1 && watcher.getResults().length === 0,
+          "Removing a directory resolves the violations of its files",
+        );
+      });
+    } finally {
+      watcher.close();
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Tests analyzing only the files and lines changed since a git ref
+   */
+  async testChangedSince() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "jsx-since-"));
+    const git = (...args) =>
+      execFileSync(
+        "git",
+        ["-c", "user.name=Test", "-c", "user.email=test@example.com", ...args],
+        { cwd: directory, stdio: "pipe" },
+      );
+    const write = (fileName, content) => {
+      fs.mkdirSync(path.dirname(path.join(directory, fileName)), {
+        recursive: true,
+      });
+      fs.writeFileSync(path.join(directory, fileName), content);
+    };
+    const button = "export const B = () => <Button />;\n";
+    const byLocation = (results) =>
+      results
+        .map(({ filePath, lineNumber }) =>
+          [path.basename(filePath), lineNumber].join(":"),
+        )
+        .sort();
+
+    try {
+      git("init", "-q");
+      write(".gitignore", "generated/\n");
+      write(
+        "Sign Up.jsx",
+        "export const Form = () => (\n  <>\n    <Button />\n  </>\n);\n",
+      );
+      write("Main.jsx", button);
+      write("Old.jsx", button);
+      git("add", "-A");
+      git("commit", "-qm", "Initial");
+      git("branch", "-M", "main");
+
+      // A commit on main after the branch forked is not part of its changes
+      git("checkout", "-qb", "feature");
+      git("checkout", "-q", "main");
+      write("Main.jsx", `// Changed on main\n${button}`);
+      git("commit", "-qam", "Main");
+      git("checkout", "-q", "feature");
+
+      write(
+        "Sign Up.jsx",
+        "export const Form = () => (\n  <>\n    <Button />\n    <Button />\n  </>\n);\n",
+      );
+      // Paths with spaces end with a tab in diff headers
+      git("commit", "-qam", "Feature");
+      write("nested/New.jsx", button);
+      write("generated/Ignored.jsx", button);
+      write("notes.md", "<Button />\n");
+
+      await this.runTest("Changed since - Changed files", async () => {
+        const results = findPropUsage(directory, "Button", "type", null, {
+          findMissing: true,
+          changedSince: "main",
+        });
+        this.assertEqual(
+          JSON.stringify(byLocation(results)),
+          JSON.stringify(["New.jsx:1", "Sign Up.jsx:3", "Sign Up.jsx:4"]),
+          "Should analyze committed and untracked changes of the branch only",
+        );
+      });
+
+      await this.runTest("Changed since - Changed lines", async () => {
+        const options = {
+          findMissing: true,
+          changedSince: "main",
+          changedLinesOnly: true,
+        };
+        const results = findPropUsage(
+          directory,
+          "Button",
+          "type",
+          null,
+          options,
+        );
+        this.assertEqual(
+          JSON.stringify(byLocation(results)),
+          JSON.stringify(["New.jsx:1", "Sign Up.jsx:4"]),
+          "Should only report added lines and untracked files",
+        );
+
+        const [batchResult] = findPropUsageBatch(
+          directory,
+          [{ component: "Button", prop: "type", mode: "missing" }],
+          options,
+        );
+        this.assertEqual(
+          JSON.stringify(byLocation(batchResult.results)),
+          JSON.stringify(byLocation(results)),
+          "Batches should report the same changed lines",
+        );
+      });
+
+      await this.runTest("Changed since - Invalid refs", async () => {
+        const expectGitError = (options, code, message) => {
+          try {
+            findPropUsage(directory, "Button", "type", null, options);
+            this.assert(false, message);
+          } catch (error) {
+            this.assert(error instanceof GitChangesError, message);
+            this.assertEqual(error.code, code, message);
+          }
+        };
+        expectGitError(
+          { changedSince: "--output=x" },
+          "INVALID_REF",
+          "Refs cannot be git options",
+        );
+        expectGitError(
+          { changedLinesOnly: true },
+          "INVALID_REF",
+          "Changed lines need a ref",
+        );
+        expectGitError(
+          { changedSince: "no-such-branch" },
+          "GIT_FAILED",
+          "Unknown refs should fail",
+        );
+        try {
+          getChangedFiles(path.join(directory, "missing"), "main");
+          this.assert(false, "Missing paths should fail");
+        } catch (error) {
+          this.assertEqual(
+            error.code,
+            "INVALID_PATH",
+            "Missing paths should fail with a GitChangesError",
+          );
+        }
+      });
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Tests the prop rename codemod
+   */
+  async testRenameProp() {
+    await this.runTest("Rename - Dry run", async () => {
+      const before = fs.readFileSync(LINKS_FIXTURE, "utf8");
+      const result = renameProp(LINKS_FIXTURE, "Button", "href", "to", {
+        dryRun: true,
+      });
+      this.assertEqual(
+        fs.readFileSync(LINKS_FIXTURE, "utf8"),
+        before,
+        "Dry runs should not write files",
+      );
+      this.assertEqual(
+        result.files[0].lineNumbers.join(","),
+        "15,16",
+        "Explicit attributes should be renamed",
+      );
+      const diffLines = result.files[0].diff.split("\n");
+      this.assert(
+        diffLines.includes('-      <Button href="/docs">Docs</Button>') &&
+          diffLines.includes('+      <Button to="/docs">Docs</Button>'),
+        "The diff should show the renamed attribute",
+      );
+      this.assertEqual(
+        result.skipped
+          .map((skip) => `${skip.lineNumber}:${skip.reason}`)
+          .join(","),
+        "19:'href' is set through a spread attribute," +
+          "20:a spread attribute may set 'href' or 'to', so renaming could change which value applies",
+        "Usages made ambiguous by spreads should be skipped and reported",
+      );
+    });
+
+    await this.runTest("Rename - Writes attribute names only", async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), "jsx-rename-"));
+      const filePath = path.join(directory, "Links.jsx");
+      const original = fs.readFileSync(LINKS_FIXTURE, "utf8");
+      fs.writeFileSync(filePath, original);
+      try {
+        const result = renameProp(filePath, "Button", "href", "to");
+        this.assertEqual(result.renamedCount, 2, "Should rename two usages");
+        this.assertEqual(
+          fs.readFileSync(filePath, "utf8"),
+          original
+            .replace('<Button href="/docs"', '<Button to="/docs"')
+            .replace('<Button href="https:', '<Button to="https:'),
+          "Only the attribute names should change",
+        );
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    await this.runTest("Rename - Conflicts and invalid names", async () => {
+      const result = renameProp(LINKS_FIXTURE, "Button", "href", "rel", {
+        dryRun: true,
+      });
+      this.assertEqual(
+        result.skipped.find((skip) => skip.lineNumber === 16).reason,
+        "'rel' is already set",
+        "Elements already setting the new name should be skipped",
+      );
+
+      let error = null;
+      try {
+        renameProp(LINKS_FIXTURE, "Button", "href", "to href", {
+          dryRun: true,
+        });
+      } catch (caught) {
+        error = caught;
+      }
+      this.assert(
+        error instanceof InputSanitizationError,
+        "Invalid prop names should be rejected",
+      );
+    });
+  }
+
+  /**
+   * Tests the find-missing fix mode
+   */
+  async testInsertMissingProp() {
+    await this.runTest("Fix Missing - Dry run", async () => {
+      const before = fs.readFileSync(LINKS_FIXTURE, "utf8");
+      const result = insertMissingProp(LINKS_FIXTURE, "Button", "rel", {
+        value: "noopener",
+        dryRun: true,
+      });
+      this.assertEqual(
+        fs.readFileSync(LINKS_FIXTURE, "utf8"),
+        before,
+        "Dry runs should not write files",
+      );
+      this.assertEqual(
+        result.files[0].lineNumbers.join(","),
+        "15,23",
+        "Only usages definitely missing the prop should be fixed",
+      );
+      this.assert(
+        result.files[0].diff
+          .split("\n")
+          .includes('+      <Button href="/docs" rel="noopener">Docs</Button>'),
+        "The diff should show the inserted attribute",
+      );
+      this.assertEqual(
+        result.skipped
+          .map((skip) => `${skip.lineNumber}:${skip.reason}`)
+          .join(","),
+        "20:'rel' may be set by a spread attribute that could not be resolved",
+        "Usages with opaque spreads should be skipped and reported",
+      );
+    });
+
+    await this.runTest("Fix Missing - Defaults and layout", async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), "jsx-fix-"));
+      const filePath = path.join(directory, "Form.jsx");
+      fs.writeFileSync(
+        filePath,
+        [
+          "export const Form = ({ save }) => (",
+          "  <form>",
+          "    <Button>Cancel</Button>",
+          "    <Button",
+          "      onClick={save}",
+          "      disabled",
+          "    >",
+          "      Save",
+          "    </Button>",
+          '    <Button type="submit">Submit</Button>',
+          "    <IconButton icon={save} />",
+          "  </form>",
+          ");",
+          "",
+        ].join("\n"),
+      );
+      try {
+        const result = insertMissingProp(filePath, "*Button", "type", {
+          defaults: { Button: { type: "button" } },
+        });
+        this.assertEqual(result.insertedCount, 2, "Should fix two usages");
+        this.assertEqual(
+          fs.readFileSync(filePath, "utf8"),
+          [
+            "export const Form = ({ save }) => (",
+            "  <form>",
+            '    <Button type="button">Cancel</Button>',
+            "    <Button",
+            "      onClick={save}",
+            "      disabled",
+            '      type="button"',
+            "    >",
+            "      Save",
+            "    </Button>",
+            '    <Button type="submit">Submit</Button>',
+            "    <IconButton icon={save} />",
+            "  </form>",
+            ");",
+            "",
+          ].join("\n"),
+          "The attribute should follow each element's layout",
+        );
+        this.assertEqual(
+          result.skipped.map((skip) => skip.reason).join(","),
+          "no value given for 'type' and no default configured for <IconButton>",
+          "Usages without a value should be skipped",
+        );
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    await this.runTest("Fix Missing - Invalid values", async () => {
+      let error = null;
+      try {
+        insertMissingProp(LINKS_FIXTURE, "Button", "rel", {
+          value: { rel: "noopener" },
+          dryRun: true,
+        });
+      } catch (caught) {
+        error = caught;
+      }
+      this.assert(
+        error instanceof InputSanitizationError,
+        "Non-scalar values should be rejected",
+      );
+    });
+  }
+
+  /**
+   * Tests migration recipes
+   */
+  async testMigrations() {
+    await this.runTest("Migration - Dry run", async () => {
+      const before = fs.readFileSync(TOOLBAR_FIXTURE, "utf8");
+      const recipe = await loadMigrationRecipe(OLD_BUTTON_RECIPE);
+      const result = migrateComponents(TOOLBAR_FIXTURE, recipe, {
+        dryRun: true,
+      });
+      this.assertEqual(
+        fs.readFileSync(TOOLBAR_FIXTURE, "utf8"),
+        before,
+        "Dry runs should not write files",
+      );
+      this.assertEqual(
+        result.applied.map((site) => site.lineNumber).join(","),
+        "7,10,11",
+        "Usages with literal values and no spreads should be migrated",
+      );
+      this.assertEqual(
+        result.applied[0].changes.join(", "),
+        '<OldButton> → <Button>, kind → variant, kind: "x" → "primary", ' +
+          "removed legacy, onPress → onClick, imported from @acme/ui",
+        "Every change of an element should be listed",
+      );
+      const diffLines = result.files[0].diff.split("\n");
+      this.assert(
+        diffLines.includes('+import { Icon, Button } from "@acme/ui";') &&
+          diffLines.includes(
+            '+    <Button variant="secondary" size="large" />',
+          ) &&
+          diffLines.includes("+    </Button>"),
+        "The diff should show the new import, props and closing tags",
+      );
+      this.assert(
+        !diffLines.some((line) => line.startsWith("-import OldButton")),
+        "The old import should stay while skipped usages need it",
+      );
+      this.assertEqual(
+        result.skipped.map((skip) => skip.lineNumber).join(","),
+        "18,19",
+        "Dynamic values and unresolved spreads should be skipped",
+      );
+      this.assertEqual(
+        JSON.stringify(result.summary),
+        JSON.stringify([
+          {
+            component: "./test/components/OldButton#default",
+            applied: 3,
+            skipped: 2,
+          },
+        ]),
+        "The summary should count applied and skipped sites",
+      );
+    });
+
+    await this.runTest("Migration - Idempotent re-run", async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), "jsx-migrate-"));
+      const filePath = path.join(directory, "Toolbar.jsx");
+      fs.writeFileSync(
+        filePath,
+        [
+          'import OldButton from "./OldButton";',
+          "",
+          "export const Toolbar = () => (",
+          '  <OldButton kind="y" legacy>',
+          "    Save",
+          "  </OldButton>",
+          ");",
+          "",
+        ].join("\n"),
+      );
+      const recipe = {
+        migrations: [
+          {
+            component: "OldButton",
+            renameTo: "Button",
+            import: { source: "@acme/ui" },
+            props: {
+              kind: { renameTo: "variant", values: { y: "secondary" } },
+              legacy: { remove: true },
+            },
+          },
+        ],
+      };
+      try {
+        const result = migrateComponents(filePath, recipe);
+        this.assertEqual(result.migratedCount, 1, "Should migrate one usage");
+        this.assertEqual(
+          fs.readFileSync(filePath, "utf8"),
+          [
+            'import { Button } from "@acme/ui";',
+            "",
+            "export const Toolbar = () => (",
+            '  <Button variant="secondary">',
+            "    Save",
+            "  </Button>",
+            ");",
+            "",
+          ].join("\n"),
+          "The unused import should be replaced by the new one",
+        );
+
+        const rerun = migrateComponents(filePath, recipe);
+        this.assertEqual(
+          rerun.files.length + rerun.applied.length + rerun.skipped.length,
+          0,
+          "Running the recipe again should change nothing",
+        );
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    await this.runTest("Migration - Invalid recipes", async () => {
+      const invalidRecipes = [
+        {},
+        { migrations: [{ component: "OldButton" }] },
+        {
+          migrations: [
+            {
+              component: "OldButton",
+              props: { kind: { remove: true, renameTo: "variant" } },
+            },
+          ],
+        },
+        {
+          migrations: [
+            {
+              component: "OldButton",
+              renameTo: "UI.Button",
+              import: { source: "@acme/ui" },
+            },
+          ],
+        },
+      ];
+      for (const recipe of invalidRecipes) {
+        let error = null;
+        try {
+          migrateComponents(TOOLBAR_FIXTURE, recipe, { dryRun: true });
+        } catch (caught) {
+          error = caught;
+        }
+        this.assert(
+          error instanceof MigrationRecipeError,
+          `Recipe ${JSON.stringify(recipe)} should be rejected`,
+        );
+      }
+    });
+  }
+
+  /**
+   * Tests running queries through the command line interface
+   */
+  async testCli() {
+    /**
+     * Runs the CLI, returning its exit status and output
+     */
+    const runCli = (...args) => {
+      try {
+        return {
+          status: 0,
+          output: execFileSync("node", ["cli.js", ...args], {
+            encoding: "utf8",
+            stdio: "pipe",
+          }),
+        };
+      } catch (error) {
+        return {
+          status: error.status,
+          output: `${error.stdout}${error.stderr}`,
+        };
+      }
+    };
+
+    await this.runTest("CLI - Default command", async () => {
+      const { status, output } = runCli("test", "Button", "variant");
+      this.assertEqual(status, 0, "The default command should succeed");
+      this.assert(
+        output.includes("--- JSX Prop Analysis Results ---") &&
+          output.includes("variant:"),
+        "Should print the matching usages",
+      );
+    });
+
+    await this.runTest("CLI - Batch command", async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), "jsx-cli-"));
+      try {
+        const queriesPath = path.join(directory, "queries.json");
+        fs.writeFileSync(
+          queriesPath,
+          JSON.stringify([{ component: "Button", prop: "variant" }]),
+        );
+        const { status, output } = runCli("batch", "test", queriesPath);
+        this.assertEqual(status, 0, "The batch command should succeed");
+        this.assert(output.includes("queries[0]"), "Should print each query");
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    await this.runTest("CLI - Fix previews before writing", async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), "jsx-cli-"));
+      const filePath = path.join(directory, "App.jsx");
+      fs.writeFileSync(filePath, "export const App = () => <Button />;\n");
+      try {
+        const dryRun = runCli(
+          directory,
+          "Button",
+          "type",
+          "button",
+          "--find-missing",
+          "--fix",
+          "--dry-run",
+        );
+        this.assert(
+          dryRun.output.includes(
+            '+export const App = () => <Button type="button" />;',
+          ) && dryRun.output.includes("Would change 1 elements in 1 files."),
+          "Dry runs should print the diff and what would change",
+        );
+        this.assertEqual(
+          fs.readFileSync(filePath, "utf8"),
+          "export const App = () => <Button />;\n",
+          "Dry runs should not write files",
+        );
+
+        const { status, output } = runCli(
+          directory,
+          "Button",
+          "type",
+          "button",
+          "--find-missing",
+          "--fix",
+        );
+        this.assertEqual(status, 0, "The fix should succeed");
+        const diffAt = output.indexOf("+++ ");
+        const summaryAt = output.indexOf("Changed 1 elements in 1 files.");
+        this.assert(
+          diffAt !== -1 && summaryAt > diffAt,
+          "The diff should be printed before the files are written",
+        );
+        this.assertEqual(
+          fs.readFileSync(filePath, "utf8"),
+          'export const App = () => <Button type="button" />;\n',
+          "The fix should write the file",
+        );
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    await this.runTest("CLI - Fix leaves mutated spreads alone", async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), "jsx-cli-"));
+      const filePath = path.join(directory, "App.jsx");
+      const source = [
+        "const handle = () => {};",
+        'const base = { type: "button" };',
+        "base.onClick = handle;",
+        'Object.assign(base, { title: "t" });',
+        "export const App = () => <Button {...base} />;",
+        "",
+      ].join("\n");
+      fs.writeFileSync(filePath, source);
+      try {
+        const { status, output } = runCli(
+          directory,
+          "Button",
+          "title",
+          "x",
+          "--find-missing",
+          "--fix",
+        );
+        this.assertEqual(status, 0, "The fix should succeed");
+        this.assertEqual(
+          fs.readFileSync(filePath, "utf8"),
+          source,
+          "A spread of a mutated object may set the prop, so it should not be overridden",
+        );
+        this.assert(
+          output.includes("Changed 0 elements in 0 files.") &&
+            output.includes(
+              "'title' may be set by a spread attribute that could not be resolved",
+            ),
+          "The usage should be reported as skipped",
+        );
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    await this.runTest("CLI - Changed lines need a ref", async () => {
+      const { status, output } = runCli(
+        "test",
+        "Button",
+        "variant",
+        "--changed-lines",
+      );
+      this.assert(status !== 0, "--changed-lines without --since should fail");
+      this.assert(
+        output.includes("changed-lines -> since"),
+        "Should name the missing argument",
+      );
+    });
+  }
+
+  /**
+   * Runs all analyzer tests
+   */
+  async runAllTests() {
+    console.log("\n🔬 Starting Analyzer Library Test Suite");
+    console.log("========================================\n");
+
+    await this.testSpreadResolution();
+    await this.testImportTargets();
+    await this.testComponentPatterns();
+    await this.testRegexValues();
+    await this.testPropQueries();
+    await this.testStaticValues();
+    await this.testTypedValues();
+    await this.testPropInventory();
+    await this.testComponentInventory();
+    await this.testComponentCatalog();
+    await this.testRequiredProps();
+    await this.testAllowedValues();
+    await this.testSourceLocations();
+    await this.testIgnoreRules();
+    await this.testFileFilters();
+    await this.testParserProfiles();
+    await this.testWorkerPool();
+    await this.testAnalysisCache();
+    await this.testBatchQueries();
+    await this.testStreamingResults();
+    await this.testWatchMode();
+    await this.testChangedSince();
+    await this.testRenameProp();
+    await this.testInsertMissingProp();
+    await this.testMigrations();
+    await this.testCli();
+
+    console.log("\n📊 Analyzer Test Results");
+    console.log("========================");
+    console.log(`✅ Passed: ${this.testResults.passed}`);
+    console.log(`❌ Failed: ${this.testResults.failed}`);
+
+    if (this.testResults.failed > 0) {
+      console.log("\n🚨 Failed Tests:");
+      this.testResults.errors.forEach(({ testName, error }) => {
+        console.log(`   - ${testName}: ${error}`);
+      });
+      process.exit(1);
+    } else {
+      console.log("\n🎉 All analyzer tests passed!");
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const tester = new AnalyzerTester();
+
+  process.on("unhandledRejection", (reason, promise) => {
+    console.error("Unhandled Rejection at:", promise, "reason:", reason);
+    process.exit(1);
+  });
+
+  tester.runAllTests().catch((error) => {
+    console.error("Test runner failed:", error);
+    process.exit(1);
+  });
+}
+
+export { AnalyzerTester };
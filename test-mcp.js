@@ -75,6 +75,16 @@ class MCPTester {
     });
   }
 
+  assertEqual(actual, expected, message) {
+    if (actual !== expected) {
+      throw new Error(
+        `${message} (expected ${JSON.stringify(expected)}, got ${JSON.stringify(
+          actual,
+        )})`,
+      );
+    }
+  }
+
   async testInitialize() {
     console.log("\n📋 Testing initialization...");
 
@@ -309,6 +319,430 @@ class MCPTester {
     }
   }
 
+  async testRegexClassNameSearch() {
+    console.log("\n🧩 Testing regex className search...");
+
+    try {
+      const response = await this.sendRequest("tools/call", {
+        name: "search_prop_values",
+        arguments: {
+          rootDir: "./test",
+          componentName: "NestedComponent",
+          propName: "className",
+          searchValue: "/^(example|no-test-prop)$/",
+          regex: true,
+          verbose: true,
+        },
+      });
+
+      if (response.result && !response.result.isError) {
+        const content = response.result.content[0].text;
+        const result = JSON.parse(content);
+        this.assertEqual(
+          result.summary.totalMatches,
+          2,
+          "Both class names should match the regex",
+        );
+        console.log("✅ Regex className search successful");
+        console.log(
+          `   Found ${result.summary.totalMatches} components with className matching ${result.summary.searchCriteria.matches}`,
+        );
+        return response;
+      } else {
+        throw new Error("Invalid regex className search response");
+      }
+    } catch (error) {
+      console.error("❌ Regex className search failed:", error.message);
+      throw error;
+    }
+  }
+
+  async testPropQuery() {
+    console.log("\n🔎 Testing composable prop query...");
+
+    try {
+      const response = await this.sendRequest("tools/call", {
+        name: "query_jsx_props",
+        arguments: {
+          rootDir: "./test/components",
+          query: "Button[href]:not([rel])",
+          definiteOnly: true,
+        },
+      });
+
+      if (response.result && !response.result.isError) {
+        const content = response.result.content[0].text;
+        const result = JSON.parse(content);
+        this.assertEqual(
+          result.summary.totalMatches,
+          1,
+          "Only the link without rel should match",
+        );
+        console.log("✅ Prop query successful");
+        console.log(
+          `   Found ${result.summary.totalMatches} components matching ${result.summary.query}`,
+        );
+        return response;
+      } else {
+        throw new Error("Invalid prop query response");
+      }
+    } catch (error) {
+      console.error("❌ Prop query failed:", error.message);
+      throw error;
+    }
+  }
+
+  async testListProps() {
+    console.log("\n📇 Testing prop inventory...");
+
+    try {
+      const response = await this.sendRequest("tools/call", {
+        name: "list_props",
+        arguments: {
+          rootDir: "./test",
+          componentName: "Button",
+        },
+      });
+
+      if (response.result && !response.result.isError) {
+        const content = response.result.content[0].text;
+        const result = JSON.parse(content);
+        this.assertEqual(
+          result.totalUsages,
+          27,
+          "Every Button usage should be counted",
+        );
+        this.assertEqual(
+          result.props.length,
+          15,
+          "Every prop set on Button should be listed",
+        );
+        this.assertEqual(
+          result.props[0].name,
+          "variant",
+          "Props should be sorted by usage count",
+        );
+        console.log("✅ Prop inventory successful");
+        console.log(
+          `   Found ${result.props.length} props across ${result.totalUsages} Button usages`,
+        );
+        return response;
+      } else {
+        throw new Error("Invalid prop inventory response");
+      }
+    } catch (error) {
+      console.error("❌ Prop inventory failed:", error.message);
+      throw error;
+    }
+  }
+
+  async testComponentInventory() {
+    console.log("\n🗂️  Testing component inventory...");
+
+    try {
+      const response = await this.sendRequest("tools/call", {
+        name: "component_inventory",
+        arguments: {
+          rootDir: "./test",
+          customOnly: true,
+          include: ["components/**"],
+          exclude: ["*.tsx"],
+        },
+      });
+
+      if (response.result && !response.result.isError) {
+        const content = response.result.content[0].text;
+        const result = JSON.parse(content);
+        this.assertEqual(
+          result.componentCount,
+          13,
+          "Custom components of the included files should be listed",
+        );
+        this.assertEqual(
+          result.fileCount,
+          9,
+          "Excluded .tsx files should not be scanned",
+        );
+        console.log("✅ Component inventory successful");
+        console.log(
+          `   Found ${result.componentCount} components in ${result.fileCount} files`,
+        );
+        return response;
+      } else {
+        throw new Error("Invalid component inventory response");
+      }
+    } catch (error) {
+      console.error("❌ Component inventory failed:", error.message);
+      throw error;
+    }
+  }
+
+  async testComponentCatalog() {
+    console.log("\n📘 Testing component catalog...");
+
+    try {
+      const response = await this.sendRequest("tools/call", {
+        name: "component_catalog",
+        arguments: {
+          rootDir: "./test/components",
+          exportedOnly: true,
+        },
+      });
+
+      if (response.result && !response.result.isError) {
+        const content = response.result.content[0].text;
+        const result = JSON.parse(content);
+        this.assertEqual(
+          result.componentCount,
+          29,
+          "Every exported definition should be listed",
+        );
+        console.log("✅ Component catalog successful");
+        console.log(`   Found ${result.componentCount} component definitions`);
+        return response;
+      } else {
+        throw new Error("Invalid component catalog response");
+      }
+    } catch (error) {
+      console.error("❌ Component catalog failed:", error.message);
+      throw error;
+    }
+  }
+
+  async testCheckRequiredProps() {
+    console.log("\n📋 Testing required-prop validation...");
+
+    try {
+      const response = await this.sendRequest("tools/call", {
+        name: "check_required_props",
+        arguments: {
+          rootDir: "./test/components/Dashboard.tsx",
+        },
+      });
+
+      if (response.result && !response.result.isError) {
+        const content = response.result.content[0].text;
+        const result = JSON.parse(content);
+        this.assertEqual(
+          result.summary.totalViolations,
+          5,
+          "Every usage missing a required prop should be reported",
+        );
+        this.assertEqual(
+          result.summary.definiteViolations,
+          4,
+          "Usages behind spreads should not count as definite",
+        );
+        console.log("✅ Required-prop validation successful");
+        console.log(
+          `   Found ${result.summary.totalViolations} usages missing required props`,
+        );
+        return response;
+      } else {
+        throw new Error("Invalid required-prop validation response");
+      }
+    } catch (error) {
+      console.error("❌ Required-prop validation failed:", error.message);
+      throw error;
+    }
+  }
+
+  async testCheckPropValues() {
+    console.log("\n🔤 Testing allowed-value validation...");
+
+    try {
+      const response = await this.sendRequest("tools/call", {
+        name: "check_prop_values",
+        arguments: {
+          rootDir: "./test/components/Variants.jsx",
+          codeFrame: true,
+          contextLines: 0,
+        },
+      });
+
+      if (response.result) {
+        console.log("✅ Allowed-value validation successful");
+        const content = response.result.content[0].text;
+        const result = JSON.parse(content);
+        console.log(
+          `   Found ${result.summary.totalViolations} invalid prop values`,
+        );
+        const [first] = result.violations;
+        if (first) {
+          const { line, column } = first.propRange.start;
+          console.log(`   First at ${first.filePath}:${line}:${column + 1}`);
+          console.log(first.codeFrame);
+        }
+        return response;
+      } else {
+        throw new Error("Invalid allowed-value validation response");
+      }
+    } catch (error) {
+      console.error("❌ Allowed-value validation failed:", error.message);
+      throw error;
+    }
+  }
+
+  async testBatchAnalyze() {
+    console.log("\n📦 Testing batch queries...");
+
+    try {
+      const response = await this.sendRequest("tools/call", {
+        name: "batch_analyze",
+        arguments: {
+          rootDir: "./test",
+          queries: [
+            {
+              name: "buttons-without-type",
+              component: "Button",
+              prop: "type",
+              mode: "missing",
+            },
+            { component: "Button", prop: "variant", value: "primary" },
+            {
+              component: "*",
+              prop: "className",
+              value: "btn",
+              mode: "includes",
+            },
+          ],
+        },
+      });
+
+      if (response.result && !response.result.isError) {
+        const content = response.result.content[0].text;
+        const result = JSON.parse(content);
+        this.assertEqual(
+          result.queries.map(({ results }) => results.length).join(","),
+          "27,6,5",
+          "Each query should get its own matches",
+        );
+        this.assertEqual(
+          result.queries[1].query.name,
+          "queries[1]",
+          "Unnamed queries should be labeled by position",
+        );
+        console.log("✅ Batch queries successful");
+        result.queries.forEach(({ query, results }) => {
+          console.log(`   ${query.name}: ${results.length} matches`);
+        });
+        return response;
+      } else {
+        throw new Error("Invalid batch query response");
+      }
+    } catch (error) {
+      console.error("❌ Batch queries failed:", error.message);
+      throw error;
+    }
+  }
+
+  async testRenameProp() {
+    console.log("\n✏️  Testing prop rename dry run...");
+
+    try {
+      const response = await this.sendRequest("tools/call", {
+        name: "rename_prop",
+        arguments: {
+          rootDir: "./test/components/Links.jsx",
+          componentName: "Button",
+          from: "href",
+          to: "to",
+        },
+      });
+
+      if (response.result && !response.result.isError) {
+        const content = response.result.content[0].text;
+        const result = JSON.parse(content);
+        this.assertEqual(
+          result.dryRun,
+          true,
+          "Renames should default to a dry run",
+        );
+        this.assertEqual(
+          result.renamedCount,
+          2,
+          "Plain href attributes should be renamed",
+        );
+        this.assertEqual(
+          result.skipped.length,
+          2,
+          "Usages with spreads should be skipped",
+        );
+        console.log("✅ Prop rename dry run successful");
+        console.log(
+          `   Would rename ${result.renamedCount} usages, skipping ${result.skipped.length}`,
+        );
+        return response;
+      } else {
+        throw new Error("Invalid prop rename response");
+      }
+    } catch (error) {
+      console.error("❌ Prop rename dry run failed:", error.message);
+      throw error;
+    }
+  }
+
+  async testFixMissingProps() {
+    console.log("\n🩹 Testing missing prop fix dry run...");
+
+    try {
+      const response = await this.sendRequest("tools/call", {
+        name: "find_missing_props",
+        arguments: {
+          rootDir: "./test/components/Links.jsx",
+          componentName: "Button",
+          propName: "rel",
+          fix: true,
+          value: "noopener",
+        },
+      });
+
+      if (response.result) {
+        console.log("✅ Missing prop fix dry run successful");
+        const content = response.result.content[0].text;
+        const result = JSON.parse(content);
+        console.log(
+          `   Would insert ${result.insertedCount} props, skipping ${result.skipped.length}`,
+        );
+        return response;
+      } else {
+        throw new Error("Invalid missing prop fix response");
+      }
+    } catch (error) {
+      console.error("❌ Missing prop fix dry run failed:", error.message);
+      throw error;
+    }
+  }
+
+  async testMigrateComponents() {
+    console.log("\n🚚 Testing migration recipe dry run...");
+
+    try {
+      const response = await this.sendRequest("tools/call", {
+        name: "migrate_components",
+        arguments: {
+          rootDir: "./test/components/Toolbar.jsx",
+          recipe: "./test/migrations/old-button.json",
+        },
+      });
+
+      if (response.result) {
+        console.log("✅ Migration dry run successful");
+        const content = response.result.content[0].text;
+        const result = JSON.parse(content);
+        console.log(
+          `   Would migrate ${result.migratedCount} usages, skipping ${result.skipped.length}`,
+        );
+        return response;
+      } else {
+        throw new Error("Invalid migration response");
+      }
+    } catch (error) {
+      console.error("❌ Migration dry run failed:", error.message);
+      throw error;
+    }
+  }
+
   async testMissingRequiredProps() {
     console.log("\n⚠️  Testing missing required props...");
 
@@ -418,10 +852,20 @@ class MCPTester {
         },
       });
 
-      if (response.result) {
-        console.log("✅ Non-existent component test successful");
+      if (response.result && !response.result.isError) {
         const content = response.result.content[0].text;
         const result = JSON.parse(content);
+        this.assertEqual(
+          result.summary.totalMatches,
+          0,
+          "Nothing should match a missing component",
+        );
+        this.assertEqual(
+          result.summary.limitReached,
+          false,
+          "Empty summaries should report limitReached too",
+        );
+        console.log("✅ Non-existent component test successful");
         console.log(
           `   As expected, found ${result.summary.totalMatches} matches for non-existent component`,
         );
@@ -553,6 +997,17 @@ class MCPTester {
 
       // Property-specific tests
       await this.testClassNameSearch();
+      await this.testRegexClassNameSearch();
+      await this.testPropQuery();
+      await this.testListProps();
+      await this.testComponentInventory();
+      await this.testComponentCatalog();
+      await this.testCheckRequiredProps();
+      await this.testCheckPropValues();
+      await this.testBatchAnalyze();
+      await this.testRenameProp();
+      await this.testMigrateComponents();
+      await this.testFixMissingProps();
       await this.testMissingRequiredProps();
       await this.testBooleanPropAnalysis();
       await this.testMultipleVariantSearch();
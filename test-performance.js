@@ -2,6 +2,7 @@
 
 import { spawn } from "child_process";
 import { createInterface } from "readline";
+import { findPropUsage, findPropUsageParallel } from "./analyzer.js";
 
 class PerformanceTester {
   constructor() {
@@ -162,6 +163,45 @@ class PerformanceTester {
     }
   }
 
+  async testWorkerPoolAnalysis() {
+    console.log("\n🧵 Comparing sequential and worker pool analysis...");
+    const args = ["./test", "*", "className", null, { verbose: true }];
+
+    try {
+      let startTime = Date.now();
+      const sequential = findPropUsage(...args);
+      const sequentialTime = Date.now() - startTime;
+      console.log(
+        `✅ Sequential analysis: ${sequential.length} matches in ${sequentialTime}ms`
+      );
+
+      for (const concurrency of [1, 2, 4]) {
+        startTime = Date.now();
+        const parallel = await findPropUsageParallel(...args.slice(0, 4), {
+          ...args[4],
+          concurrency,
+        });
+        const parallelTime = Date.now() - startTime;
+
+        if (JSON.stringify(parallel) !== JSON.stringify(sequential)) {
+          throw new Error(
+            `Results with ${concurrency} workers differ from the sequential analysis`
+          );
+        }
+        console.log(
+          `✅ ${concurrency} worker(s): same ${
+            parallel.length
+          } matches in ${parallelTime}ms (${(
+            sequentialTime / Math.max(parallelTime, 1)
+          ).toFixed(2)}x)`
+        );
+      }
+    } catch (error) {
+      console.error("❌ Worker pool analysis failed:", error.message);
+      throw error;
+    }
+  }
+
   async testInvalidParameters() {
     console.log("\n🚨 Testing invalid parameters...");
 
@@ -331,6 +371,7 @@ class PerformanceTester {
       console.log("\n🎯 Starting Performance Test Suite");
       console.log("=====================================");
 
+      await this.testWorkerPoolAnalysis();
       await this.testConcurrentRequests();
       await this.testLargeDirectoryAnalysis();
       await this.testInvalidParameters();
@@ -339,6 +380,7 @@ class PerformanceTester {
 
       console.log("\n🎉 All performance tests completed successfully!");
       console.log("\n📊 Performance Test Summary:");
+      console.log("   - Worker pool analysis: ✅");
       console.log("   - Concurrent requests: ✅");
       console.log("   - Large directory handling: ✅");
       console.log("   - Error handling: ✅");
@@ -90,11 +90,24 @@ class TestRunner {
       "test-mcp.js",
       "test-performance.js",
       "test-edge-cases.js",
+      "test-analyzer.js",
       "analyzer.js",
       "test/components/Button.jsx",
       "test/components/Form.jsx",
       "test/components/Nested.jsx",
       "test/components/Advanced.jsx",
+      "test/components/Spread.jsx",
+      "test/components/Imports.jsx",
+      "test/components/Links.jsx",
+      "test/components/Expressions.jsx",
+      "test/components/Typed.jsx",
+      "test/components/Card.tsx",
+      "test/components/Legacy.jsx",
+      "test/components/Dashboard.tsx",
+      "test/components/Variants.jsx",
+      "test/components/OldButton.jsx",
+      "test/components/Toolbar.jsx",
+      "test/migrations/old-button.json",
       "test/app.jsx",
     ];
 
@@ -133,12 +146,23 @@ class TestRunner {
         "test-edge-cases.js",
       ]);
 
+      // Run analyzer library tests
+      await this.runTestSuite("Analyzer Library Tests", "node", [
+        "test-analyzer.js",
+      ]);
+
       // Run CLI tests if available
       if (existsSync("cli.js")) {
         await this.runTestSuite("CLI Integration Tests", "node", [
           "cli.js",
           "--help",
         ]);
+        await this.runTestSuite("CLI Query Tests", "node", [
+          "cli.js",
+          "test",
+          "Button",
+          "variant",
+        ]);
       }
 
       this.printSummary();
@@ -25,6 +25,7 @@ const testSuites = [
     description: "Server performance, concurrent requests, and error handling",
     testCount: "5+",
     coverage: [
+      "Sequential vs worker pool analysis",
       "Concurrent request handling",
       "Large directory analysis performance",
       "Invalid parameter error handling",
@@ -45,6 +46,39 @@ const testSuites = [
       "Complex component hierarchies",
     ],
   },
+  {
+    name: "Analyzer Library Tests",
+    file: "test-analyzer.js",
+    description: "Direct analyzer API calls with exact result assertions",
+    testCount: "20+",
+    coverage: [
+      "Spread attribute resolution",
+      "Import-aware component matching",
+      "Component name patterns (glob and regex)",
+      "Composable prop queries",
+      "Static evaluation of expression values",
+      "Typed prop values",
+      "Prop inventory",
+      "Component inventory",
+      "Component catalog",
+      "Required-prop validation",
+      "Allowed-value validation",
+      "Source locations and code frames",
+      "Ignore files",
+      "Include/exclude globs",
+      "Parser profiles by extension",
+      "Worker pool analysis",
+      "On-disk analysis cache",
+      "Batch queries with a single parse",
+      "Streaming results with abort",
+      "Watch mode deltas",
+      "Changed files since a git ref",
+      "Prop rename codemod",
+      "Missing-prop fixes",
+      "Migration recipes",
+      "CLI commands",
+    ],
+  },
 ];
 
 let totalTests = 0;
@@ -99,6 +133,7 @@ console.log("  npm test              # Run all tests");
 console.log("  npm run test:basic    # Basic functionality only");
 console.log("  npm run test:performance # Performance tests only");
 console.log("  npm run test:edge-cases  # Edge cases only");
+console.log("  npm run test:analyzer    # Analyzer library only");
 console.log("  npm run test:all      # Complete test suite");
 
 console.log("\nUsing test runner:");
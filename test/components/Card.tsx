@@ -0,0 +1,43 @@
+import React from "react";
+
+interface BaseProps {
+  /** Extra class names */
+  className?: string;
+  id?: string;
+}
+
+export interface CardProps extends BaseProps {
+  /** Card heading */
+  title: string;
+  elevation?: 0 | 1 | 2;
+  tone: "neutral" | "danger";
+  onSelect(id: string): void;
+}
+
+type BadgeProps = {
+  label: string;
+  count?: number;
+} & React.HTMLAttributes<HTMLSpanElement>;
+
+/**
+ * Card with a heading
+ */
+export const Card = ({ title, elevation = 1, ...rest }: CardProps) => {
+  return (
+    <section className={`card card-${elevation}`} {...rest}>
+      <h2>{title}</h2>
+    </section>
+  );
+};
+
+export const Badge: React.FC<BadgeProps> = ({ label, count }) => {
+  return (
+    <span className="badge">
+      {label} {count}
+    </span>
+  );
+};
+
+export function Divider({ inset }: { inset: boolean }) {
+  return <hr className={inset ? "inset" : ""} />;
+}
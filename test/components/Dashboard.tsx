@@ -0,0 +1,24 @@
+import React from "react";
+import { Card, Badge } from "./Card";
+import Avatar, { Panel } from "./Legacy";
+import { Modal } from "./Advanced";
+
+const cardProps = { tone: "neutral" as const, onSelect: () => {} };
+
+export const Dashboard = ({ extra }: { extra: object }) => {
+  return (
+    <main>
+      <Card title="Stats" tone="neutral" onSelect={() => {}} />
+      <Card title="Alerts" {...cardProps} />
+      <Card tone="danger" />
+      <Card {...extra} title="Maybe" />
+      <Badge label="New" />
+      <Avatar size={48} />
+      <Panel>{/* no heading */}</Panel>
+      <Modal isOpen onClose={() => {}} title="Welcome">
+        Hello
+      </Modal>
+      <Modal isOpen onClose={() => {}} title="Empty" />
+    </main>
+  );
+};
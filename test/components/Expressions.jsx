@@ -0,0 +1,33 @@
+import React from "react";
+import { Button } from "./Button.jsx";
+
+const PRIMARY = "primary";
+const SIZES = { small: "sm" };
+const prefix = `btn`;
+const variantFor = (danger) => (danger ? "danger" : "secondary");
+
+/**
+ * Toolbar whose button props are written as expressions
+ * @param {Object} props - Component props
+ * @param {boolean} props.large - Use large buttons
+ * @param {string} props.size - Size passed through from the parent
+ * @returns {React.ReactElement} Rendered toolbar
+ */
+export const ActionBar = ({ large, size }) => {
+  return (
+    <div className="action-bar">
+      <Button variant={"primary"}>Literal</Button>
+      <Button variant={PRIMARY}>Const</Button>
+      <Button variant={large ? "primary" : "secondary"} size={large ? 3 : 2}>
+        Ternary
+      </Button>
+      <Button className={`${prefix}-${large ? "lg" : "md"}`}>Template</Button>
+      <Button className={`${prefix}-${size}`}>Runtime template</Button>
+      <Button className={prefix + "-" + PRIMARY}>Concatenation</Button>
+      <Button variant={variantFor(large)} size={SIZES.small}>
+        Call
+      </Button>
+      <Button variant={large && "danger"}>Logical</Button>
+    </div>
+  );
+};
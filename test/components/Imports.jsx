@@ -0,0 +1,25 @@
+import React from "react";
+import { Button as PrimaryButton } from "@acme/ui";
+import * as UI from "@acme/ui";
+import { Button } from "./Button.jsx";
+import LegacyButton from "./Button.jsx";
+
+/**
+ * Page mixing design-system buttons with the local legacy Button
+ * @returns {React.ReactElement} Rendered settings page
+ */
+export const SettingsPage = () => {
+  return (
+    <section>
+      <PrimaryButton onClick={save} variant="primary">
+        Save
+      </PrimaryButton>
+      <UI.Button onClick={cancel} variant="secondary">
+        Cancel
+      </UI.Button>
+      <UI.Menu.Item label="More" />
+      <Button onClick={reset}>Reset</Button>
+      <LegacyButton>Default export</LegacyButton>
+    </section>
+  );
+};
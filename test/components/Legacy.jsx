@@ -0,0 +1,38 @@
+import React from "react";
+import PropTypes from "prop-types";
+
+/**
+ * Panel written as a class component
+ */
+export class Panel extends React.Component {
+  static propTypes = {
+    /** Panel heading */
+    heading: PropTypes.string.isRequired,
+    collapsed: PropTypes.bool,
+  };
+
+  static defaultProps = {
+    collapsed: false,
+  };
+
+  render() {
+    return <div className="panel">{this.props.heading}</div>;
+  }
+}
+
+const Avatar = (props) => {
+  const { src, size = 32 } = props;
+  return <img src={src} width={size} height={size} alt="" />;
+};
+
+Avatar.propTypes = {
+  src: PropTypes.string.isRequired,
+  size: PropTypes.number,
+  shape: PropTypes.oneOf(["circle", "square"]).isRequired,
+};
+
+Avatar.defaultProps = {
+  shape: "circle",
+};
+
+export default Avatar;
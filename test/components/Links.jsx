@@ -0,0 +1,29 @@
+import React from "react";
+import { Button } from "./Button.jsx";
+import { Input } from "./Form.jsx";
+
+const externalLink = { href: "https://example.com", rel: "noopener" };
+
+/**
+ * Footer mixing link buttons and inputs with and without accessible labels
+ * @param {Object} props - Component props
+ * @returns {React.ReactElement} Rendered footer
+ */
+export const Footer = (props) => {
+  return (
+    <footer>
+      <Button href="/docs">Docs</Button>
+      <Button href="https://example.com" rel="noopener" target="_blank">
+        External
+      </Button>
+      <Button {...externalLink}>Shared link</Button>
+      <Button href="/help" {...props}>
+        Help
+      </Button>
+      <Button variant="primary">Subscribe</Button>
+      <Input aria-label="Email" />
+      <Input aria-labelledby="newsletter-label" />
+      <Input placeholder="Name" />
+    </footer>
+  );
+};
@@ -0,0 +1,24 @@
+import React from "react";
+import PropTypes from "prop-types";
+
+/**
+ * Button of the legacy component library, replaced by Button from @acme/ui
+ */
+const OldButton = ({ kind = "x", size, legacy, onPress, children }) => (
+  <button
+    className={`old-button old-button--${kind} ${legacy ? "old" : ""}`}
+    data-size={size}
+    onClick={onPress}
+  >
+    {children}
+  </button>
+);
+
+OldButton.propTypes = {
+  kind: PropTypes.oneOf(["x", "y"]),
+  size: PropTypes.oneOf(["big", "small"]),
+  legacy: PropTypes.bool,
+  onPress: PropTypes.func,
+};
+
+export default OldButton;
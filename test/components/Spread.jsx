@@ -0,0 +1,30 @@
+import React from "react";
+import { Button } from "./Button.jsx";
+
+const sharedButtonProps = {
+  onClick: () => console.log("clicked"),
+  variant: "secondary",
+};
+
+const withDisabled = { ...sharedButtonProps, disabled: true };
+
+/**
+ * Toolbar rendering buttons whose props come from spread attributes
+ * @param {Object} props - Component props
+ * @param {boolean} props.compact - Use compact buttons
+ * @returns {React.ReactElement} Rendered toolbar
+ */
+export const Toolbar = ({ compact, ...rest }) => {
+  return (
+    <div className="toolbar">
+      <Button {...sharedButtonProps}>Shared</Button>
+      <Button {...withDisabled}>Disabled</Button>
+      <Button {...(compact && { onClick: rest.onCompact })}>Compact</Button>
+      <Button {...(compact ? { onClick: rest.a } : { onClick: rest.b })}>
+        Either
+      </Button>
+      <Button {...rest}>Opaque</Button>
+      <Button {...{ variant: "primary" }}>No handler</Button>
+    </div>
+  );
+};
@@ -0,0 +1,21 @@
+import React from "react";
+import OldButton from "./OldButton";
+import { Icon } from "@acme/ui";
+
+export const Toolbar = ({ kind, onSave, buttonProps }) => (
+  <div className="toolbar">
+    <OldButton kind="x" legacy onPress={onSave}>
+      Save
+    </OldButton>
+    <OldButton kind="y" size="big" />
+    <OldButton
+      kind="x"
+      legacy
+      size="small"
+    >
+      <Icon name="edit" />
+    </OldButton>
+    <OldButton kind={kind}>Dynamic</OldButton>
+    <OldButton {...buttonProps} kind="x" />
+  </div>
+);
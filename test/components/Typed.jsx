@@ -0,0 +1,34 @@
+import React from "react";
+import { Button } from "./Button.jsx";
+
+const theme = { primary: "blue" };
+const t = (key) => key;
+
+/**
+ * Buttons covering every kind of prop value
+ * @param {Object} props - Component props
+ * @param {Function} props.onSave - Save handler
+ * @returns {React.ReactElement} Rendered buttons
+ */
+export const SaveButtons = ({ onSave }) => {
+  return (
+    <div>
+      <Button disabled>Shorthand</Button>
+      <Button disabled={true}>Expression</Button>
+      <Button disabled="true">String</Button>
+      <Button
+        size={2}
+        onClick={onSave}
+        icon={<span>💾</span>}
+        style={{ margin: 0 }}
+        items={[1, 2]}
+        onHover={() => {}}
+        label={t("save")}
+        color={theme.primary}
+        tabIndex={-1}
+      >
+        Everything
+      </Button>
+    </div>
+  );
+};
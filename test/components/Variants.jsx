@@ -0,0 +1,41 @@
+import React from "react";
+import { Modal } from "./Advanced.jsx";
+import { Button } from "./Button.jsx";
+import { Card } from "./Card";
+import Avatar from "./Legacy";
+
+const SIZE = "larg";
+
+export const Variants = ({ open, compact, size }) => {
+  const close = () => {};
+  return (
+    <div>
+      <Modal isOpen={open} onClose={close} title="Valid" size="small">
+        Valid
+      </Modal>
+      <Modal isOpen={open} onClose={close} title="Typo" size="meduim">
+        Typo
+      </Modal>
+      <Modal isOpen={open} onClose={close} title="Const" size={SIZE}>
+        Const
+      </Modal>
+      <Modal
+        isOpen={open}
+        onClose={close}
+        title="Branches"
+        size={compact ? "small" : "huge"}
+      >
+        Branches
+      </Modal>
+      <Modal isOpen={open} onClose={close} title="Dynamic" size={size}>
+        Dynamic
+      </Modal>
+      <Card title="Tone" tone="warning" elevation={3} onSelect={close} />
+      <Card title="Elevation" tone="danger" elevation="1" onSelect={close} />
+      <Avatar src="me.png" shape="round" />
+      <Button variant="tertiary" onClick={close}>
+        Button
+      </Button>
+    </div>
+  );
+};